@@ -2,8 +2,10 @@ import Cart from '../models/cart.model.js';
 import Product from '../models/product.model.js';
 import asyncHandler from 'express-async-handler';
 import { createError } from '../utils/error.js';
+import { findVariant, optionValue } from '../services/productVariant.service.js';
+import { getUnitPrice } from '../services/pricing.service.js';
 
-const CART_PRODUCT_SELECT = 'title titleEn images price seller discountPercentage discountedPrice quantity stock';
+const CART_PRODUCT_SELECT = 'title titleEn images price seller discountPercentage discountedPrice quantity stock variants';
 const CART_POPULATE_CONFIG = {
   path: 'items.product',
   select: CART_PRODUCT_SELECT
@@ -37,7 +39,7 @@ export const getCart = asyncHandler(async (req, res, next) => {
 // @route   POST /api/cart
 // @access  Private
 export const addToCart = asyncHandler(async (req, res) => {
-  const { productId, quantity = 1, sizes = [], colors = [] } = req.body;
+  const { productId, variantId, quantity = 1, sizes = [], colors = [] } = req.body;
 
   // التحقق من وجود المنتج
   const product = await Product.findById(productId);
@@ -48,10 +50,26 @@ export const addToCart = asyncHandler(async (req, res) => {
     });
   }
 
+  // Products with variants are bought per variant (e.g. Red / XL)
+  let variant = null;
+  if (product.variants?.length) {
+    variant = findVariant(product, variantId);
+    if (!variant || !variant.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: variantId ? 'Variant not found for this product' : 'Please choose a variant'
+      });
+    }
+  }
+
   // Normalize inputs
   const parsedQuantity = parseInt(quantity);
-  const normalizedSizes = Array.isArray(sizes) ? sizes : (sizes ? [sizes] : []);
-  const normalizedColors = Array.isArray(colors) ? colors : (colors ? [colors] : []);
+  const normalizedSizes = variant
+    ? [optionValue(variant, 'size')].filter(Boolean)
+    : (Array.isArray(sizes) ? sizes : (sizes ? [sizes] : []));
+  const normalizedColors = variant
+    ? [optionValue(variant, 'color')].filter(Boolean)
+    : (Array.isArray(colors) ? colors : (colors ? [colors] : []));
 
   // التحقق من صحة البيانات
   if (isNaN(parsedQuantity) || parsedQuantity < 1) {
@@ -61,14 +79,14 @@ export const addToCart = asyncHandler(async (req, res) => {
     });
   }
 
-  // تحقق من التوافق بين الكمية والاختيارات
-  if (normalizedSizes.length && normalizedSizes.length !== parsedQuantity) {
+  // تحقق من التوافق بين الكمية والاختيارات (variants carry a single size / color)
+  if (!variant && normalizedSizes.length && normalizedSizes.length !== parsedQuantity) {
     return res.status(400).json({
       success: false,
       message: 'Sizes count must equal quantity'
     });
   }
-  if (normalizedColors.length && normalizedColors.length !== parsedQuantity) {
+  if (!variant && normalizedColors.length && normalizedColors.length !== parsedQuantity) {
     return res.status(400).json({
       success: false,
       message: 'Colors count must equal quantity'
@@ -84,19 +102,21 @@ export const addToCart = asyncHandler(async (req, res) => {
   }
 
   // البحث عن عنصر مطابق
-  const existingItemIndex = cart.items.findIndex(item =>
-    item.product.toString() === productId &&
-    JSON.stringify(item.sizes.sort()) === JSON.stringify(normalizedSizes.sort()) &&
-    JSON.stringify(item.colors.sort()) === JSON.stringify(normalizedColors.sort())
+  const existingItemIndex = cart.items.findIndex(item => variant
+    ? item.variant?.toString() === variant._id.toString()
+    : item.product.toString() === productId &&
+      JSON.stringify(item.sizes.sort()) === JSON.stringify(normalizedSizes.sort()) &&
+      JSON.stringify(item.colors.sort()) === JSON.stringify(normalizedColors.sort())
   );
 
   // حساب الكمية الإجمالية
   const currentQty = existingItemIndex !== -1 ? cart.items[existingItemIndex].quantity : 0;
   const newTotalQty = currentQty + parsedQuantity;
+  const stock = variant ? variant.quantity : product.quantity;
 
   // التحقق من المخزون
-  if (newTotalQty > product.quantity) {
-    const availableQty = product.quantity - currentQty;
+  if (newTotalQty > stock) {
+    const availableQty = stock - currentQty;
     return res.status(400).json({
       success: false,
       message: `Only ${availableQty} more items available in stock`
@@ -109,8 +129,10 @@ export const addToCart = asyncHandler(async (req, res) => {
   } else {
     cart.items.push({
       product: productId,
+      variant: variant?._id,
+      sku: variant?.sku,
       quantity: parsedQuantity,
-      price: product.price,
+      price: getUnitPrice(product, variant),
       sizes: normalizedSizes,
       colors: normalizedColors
     });
@@ -171,12 +193,20 @@ export const updateCartItem = asyncHandler(async (req, res) => {
 
   const cartItem = cart.items[itemIndex];
   const product = cartItem.product;
+  const variant = findVariant(product, cartItem.variant);
+  if (cartItem.variant && !variant?.isActive) {
+    return res.status(400).json({
+      success: false,
+      message: 'This variant is no longer available'
+    });
+  }
+  const stock = variant ? variant.quantity : product.quantity;
 
   // Check stock availability
-  if (parsedQuantity > product.quantity) {
+  if (parsedQuantity > stock) {
     return res.status(400).json({
       success: false,
-      message: `Only ${product.quantity} items available in stock`
+      message: `Only ${stock} items available in stock`
     });
   }
 
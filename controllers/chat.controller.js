@@ -1,120 +1,285 @@
-// import Chat from '../models/chat.model.js';
-// import { createError } from '../utils/error.js';
-
-// export const startChat = async (req, res, next) => {
-//   try {
-//     const { participantId, orderId, productId, initialMessage } = req.body;
-
-//     if (req.user._id.toString() === participantId) {
-//       return next(createError('Cannot start chat with yourself', 403));
-//     }
-
-//     let chat = await Chat.findOne({
-//       participants: { $all: [req.user._id, participantId] },
-//       ...(orderId && { order: orderId }),
-//       ...(productId && { product: productId })
-//     });
-
-//     if (!chat) {
-//       chat = new Chat({
-//         participants: [req.user._id, participantId],
-//         ...(orderId && { order: orderId }),
-//         ...(productId && { product: productId }),
-//         messages: []
-//       });
-//     }
-
-//     if (initialMessage) {
-//       chat.messages.push({
-//         sender: req.user._id,
-//         content: initialMessage,
-//         timestamp: new Date()
-//       });
-//       chat.lastMessage = new Date();
-//     }
-
-//     await chat.save().catch(err => {
-//       console.error('Error saving chat:', err);
-//       throw createError('Failed to save chat', 500);
-//     });
-//     res.status(200).json(chat);
-//   } catch (error) {
-//     next(error);
-//   }
-// };
-
-// export const sendMessage = async (req, res, next) => {
-//   try {
-//     const { chatId, content } = req.body;
-
-//     const chat = await Chat.findById(chatId);
-//     if (!chat) {
-//       return next(createError('Chat not found', 404));
-//     }
-
-//     if (!chat.participants.some(p => p.toString() === req.user._id.toString())) {
-//       return next(createError('Not authorized to send message in this chat', 403));
-//     }
-
-//     const message = {
-//       sender: req.user._id,
-//       content,
-//       timestamp: new Date()
-//     };
-
-//     chat.messages.push(message);
-//     chat.lastMessage = new Date();
-//     await chat.save().catch(err => {
-//       console.error('Error saving chat:', err);
-//       throw createError('Failed to save chat', 500);
-//     });
-
-//     req.io.to(chatId).emit('newMessage', { chatId, message });
-
-//     res.status(201).json(message);
-//   } catch (error) {
-//     next(error);
-//   }
-// };
-
-// export const getChats = async (req, res, next) => {
-//   try {
-//     const chats = await Chat.find({
-//       participants: req.user._id
-//     })
-//       .populate('participants', 'name email avatar')
-//       .populate('product', 'name images')
-//       .sort({ lastMessage: -1 })
-//       .catch(err => {
-//         console.error('Error fetching chats:', err);
-//         throw createError('Failed to fetch chats', 500);
-//       });
-
-//     res.json(chats);
-//   } catch (error) {
-//     next(error);
-//   }
-// };
-
-// export const getChat = async (req, res, next) => {
-//   try {
-//     const chat = await Chat.findOne({
-//       _id: req.params.id,
-//       participants: req.user._id
-//     })
-//       .populate('participants', 'name email avatar')
-//       .populate('product', 'name images')
-//       .catch(err => {
-//         console.error('Error fetching chat:', err);
-//         throw createError('Failed to fetch chat', 500);
-//       });
-
-//     if (!chat) {
-//       return next(createError('Chat not found', 404));
-//     }
-
-//     res.json(chat);
-//   } catch (error) {
-//     next(error);
-//   }
-// };
+import asyncHandler from 'express-async-handler';
+import Chat from '../models/chat.model.js';
+import Message from '../models/message.model.js';
+import ChatModerationLog from '../models/chatModerationLog.model.js';
+import User from '../models/user.model.js';
+import { createError } from '../utils/error.js';
+import { removeImage } from '../services/imageUploadService.js';
+import {
+  addAdminToChat,
+  findChatForUser,
+  findOrCreateChat,
+  formatChat,
+  getUnreadTotal,
+  markChatRead,
+  postMessage,
+  resolveChatParties,
+  uploadChatAttachments
+} from '../services/chat.service.js';
+
+const CHAT_POPULATE = [
+  { path: 'participants', select: 'firstName lastName avatar role vendorProfile.storeName vendorProfile.slug vendorProfile.logo' },
+  { path: 'admins', select: 'firstName lastName' },
+  { path: 'product', select: 'title images price' },
+  { path: 'order', select: 'status total createdAt' }
+];
+
+// @desc    Start (or reopen) a conversation about a product or an order
+// @route   POST /api/chats
+// @access  Private
+export const startChat = asyncHandler(async (req, res) => {
+  const { message } = req.body;
+
+  const parties = await resolveChatParties(req.user, req.body);
+  const { chat, created } = await findOrCreateChat(parties);
+
+  if (message) {
+    await postMessage(req.app.get('io'), chat, req.user, { content: message });
+  }
+
+  const populated = await Chat.findById(chat._id).populate(CHAT_POPULATE);
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    data: formatChat(populated, req.user._id)
+  });
+});
+
+// @desc    The user's conversations, latest activity first, with unread counts
+// @route   GET /api/chats?status=active|resolved|archived
+// @access  Private
+export const getChats = asyncHandler(async (req, res) => {
+  const filter = { $or: [{ participants: req.user._id }, { admins: req.user._id }] };
+  if (req.query.status) filter.status = req.query.status;
+
+  const [total, chats] = await Promise.all([
+    Chat.countDocuments(filter),
+    res.locals.paginateQuery(Chat.find(filter).populate(CHAT_POPULATE).lean(), { lastMessageAt: -1 })
+  ]);
+
+  res.json({
+    success: true,
+    data: chats.map((chat) => formatChat(chat, req.user._id)),
+    pagination: res.locals.buildLinks(total)
+  });
+});
+
+// @desc    Unread messages across all conversations
+// @route   GET /api/chats/unread
+// @access  Private
+export const getUnreadChatCount = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: { unread: await getUnreadTotal(req.user._id) }
+  });
+});
+
+// @desc    One conversation
+// @route   GET /api/chats/:id
+// @access  Private (members, admins)
+export const getChat = asyncHandler(async (req, res) => {
+  const chat = await findChatForUser(req.params.id, req.user);
+  await chat.populate(CHAT_POPULATE);
+
+  res.json({
+    success: true,
+    data: formatChat(chat, req.user._id)
+  });
+});
+
+// @desc    Message history, newest first (`?cursor=` to page back)
+// @route   GET /api/chats/:id/messages
+// @access  Private (members, admins)
+export const getMessages = asyncHandler(async (req, res) => {
+  const chat = await findChatForUser(req.params.id, req.user);
+  const filter = { chat: chat._id };
+
+  const [total, messages] = await Promise.all([
+    Message.countDocuments(filter),
+    res.locals.paginateQuery(
+      Message.find(filter).populate('sender', 'firstName lastName avatar').lean(),
+      { createdAt: -1 }
+    )
+  ]);
+
+  res.json({
+    success: true,
+    data: messages,
+    pagination: res.locals.buildLinks(total)
+  });
+});
+
+// @desc    Send a message with optional image attachments
+// @route   POST /api/chats/:id/messages (multipart: content, attachments[])
+// @access  Private (members; admins after joining)
+export const sendMessage = asyncHandler(async (req, res) => {
+  const chat = await findChatForUser(req.params.id, req.user);
+
+  if (req.user.role === 'admin' && !chat.admins.some((id) => id.equals(req.user._id))) {
+    throw createError('انضم إلى المحادثة أولاً', 403);
+  }
+
+  const content = req.body.content || undefined;
+  if (!content && !req.files?.length) {
+    throw createError('الرسالة فارغة', 400);
+  }
+
+  const attachments = await uploadChatAttachments(req.files);
+  let message;
+  try {
+    message = await postMessage(req.app.get('io'), chat, req.user, { content, attachments });
+  } catch (err) {
+    // A blocked message is not stored: drop its uploads too
+    attachments.forEach(({ publicId }) => removeImage(publicId).catch(() => {}));
+    throw err;
+  }
+  await message.populate('sender', 'firstName lastName avatar');
+
+  res.status(201).json({
+    success: true,
+    data: message
+  });
+});
+
+// @desc    Mark the conversation as read
+// @route   PATCH /api/chats/:id/read
+// @access  Private (members)
+export const markChatAsRead = asyncHandler(async (req, res) => {
+  const chat = await findChatForUser(req.params.id, req.user);
+  await markChatRead(req.app.get('io'), chat, req.user._id);
+
+  res.json({
+    success: true,
+    data: { chatId: chat._id, unreadCount: 0 }
+  });
+});
+
+// @desc    Resolve, archive or reopen a conversation
+// @route   PATCH /api/chats/:id/status
+// @access  Private (members, admins)
+export const updateChatStatus = asyncHandler(async (req, res) => {
+  const { status } = req.body;
+  const chat = await findChatForUser(req.params.id, req.user);
+
+  chat.status = status;
+  chat.resolvedBy = status === 'resolved' ? req.user._id : undefined;
+  chat.resolvedAt = status === 'resolved' ? new Date() : undefined;
+  await chat.save();
+
+  req.app.get('io')?.to(`chat_${chat._id}`).emit('chat_status_changed', {
+    chatId: chat._id,
+    status,
+    by: req.user._id
+  });
+
+  res.json({
+    success: true,
+    message: 'تم تحديث حالة المحادثة',
+    data: { chatId: chat._id, status }
+  });
+});
+
+// @desc    All conversations for dispute handling
+// @route   GET /api/chats/admin?status=&order=&product=&user=
+// @access  Private/Admin
+export const getChatsForAdmin = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.order) filter.order = req.query.order;
+  if (req.query.product) filter.product = req.query.product;
+  if (req.query.user) filter.participants = req.query.user;
+
+  const [total, chats] = await Promise.all([
+    Chat.countDocuments(filter),
+    res.locals.paginateQuery(Chat.find(filter).populate(CHAT_POPULATE).lean(), { lastMessageAt: -1 })
+  ]);
+
+  res.json({
+    success: true,
+    data: chats.map((chat) => formatChat(chat, req.user._id)),
+    pagination: res.locals.buildLinks(total)
+  });
+});
+
+// @desc    Join a conversation to handle a dispute
+// @route   POST /api/chats/:id/join
+// @access  Private/Admin
+export const joinChatAsAdmin = asyncHandler(async (req, res) => {
+  const chat = await findChatForUser(req.params.id, req.user);
+  const joined = await addAdminToChat(req.app.get('io'), chat, req.user);
+
+  res.json({
+    success: true,
+    message: joined ? 'تم الانضمام إلى المحادثة' : 'أنت بالفعل عضو في المحادثة',
+    data: { chatId: chat._id }
+  });
+});
+
+// @desc    Messages the contact-sharing filter masked or blocked in a conversation
+// @route   GET /api/chats/:id/moderation
+// @access  Private/Admin
+export const getChatModerationLog = asyncHandler(async (req, res) => {
+  const chat = await findChatForUser(req.params.id, req.user);
+  const filter = { chat: chat._id };
+
+  const [total, entries] = await Promise.all([
+    ChatModerationLog.countDocuments(filter),
+    res.locals.paginateQuery(
+      ChatModerationLog.find(filter).populate('sender', 'firstName lastName email role').lean(),
+      { createdAt: -1 }
+    )
+  ]);
+
+  res.json({
+    success: true,
+    data: entries,
+    pagination: res.locals.buildLinks(total)
+  });
+});
+
+// @desc    Users flagged for repeatedly sharing contact details
+// @route   GET /api/chats/admin/flagged-users
+// @access  Private/Admin
+export const getFlaggedChatUsers = asyncHandler(async (req, res) => {
+  const filter = { 'chatFlag.flagged': true };
+
+  const [total, users] = await Promise.all([
+    User.countDocuments(filter),
+    res.locals.paginateQuery(
+      User.find(filter).select('firstName lastName email role vendorProfile.storeName chatFlag').lean(),
+      { 'chatFlag.flaggedAt': -1 }
+    )
+  ]);
+
+  res.json({
+    success: true,
+    data: users,
+    pagination: res.locals.buildLinks(total)
+  });
+});
+
+// @desc    Clear a user's flag after review (earlier offenses stop counting)
+// @route   PATCH /api/chats/admin/flagged-users/:userId/review
+// @access  Private/Admin
+export const reviewFlaggedChatUser = asyncHandler(async (req, res) => {
+  const user = await User.findOneAndUpdate(
+    { _id: req.params.userId, 'chatFlag.flagged': true },
+    {
+      $set: {
+        'chatFlag.flagged': false,
+        'chatFlag.reviewedBy': req.user._id,
+        'chatFlag.reviewedAt': new Date(),
+        'chatFlag.note': req.body.note
+      }
+    },
+    { new: true }
+  ).select('firstName lastName email chatFlag');
+
+  if (!user) throw createError('المستخدم غير موجود أو غير مُبلّغ عنه', 404);
+
+  res.json({
+    success: true,
+    message: 'تمت مراجعة المستخدم',
+    data: user
+  });
+});
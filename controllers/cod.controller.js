@@ -0,0 +1,175 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import CodCollection from '../models/codCollection.model.js';
+import CashHandover from '../models/cashHandover.model.js';
+import User from '../models/user.model.js';
+import { createError } from '../utils/error.js';
+import { createCashHandover, getAgentCashSummary } from '../services/cod.service.js';
+
+const COLLECTION_POPULATE = [
+  { path: 'order', select: 'recipientInfo total paymentMethod createdAt' },
+  { path: 'seller', select: 'firstName lastName vendorProfile.storeName' }
+];
+
+// @desc    The agent's cash in hand and the collections not handed over yet
+// @route   GET /api/cod/me
+// @access  Private/Delivery
+export const getMyCash = asyncHandler(async (req, res) => {
+  const [summary, collections] = await Promise.all([
+    getAgentCashSummary(req.user._id),
+    CodCollection.find({ collectedBy: req.user._id, status: 'held' })
+      .populate(COLLECTION_POPULATE)
+      .sort({ collectedAt: 1 })
+      .lean()
+  ]);
+
+  res.json({
+    success: true,
+    data: { ...summary, collections }
+  });
+});
+
+// @desc    The agent's past cash handovers
+// @route   GET /api/cod/me/handovers
+// @access  Private/Delivery
+export const getMyHandovers = asyncHandler(async (req, res) => {
+  const filter = { agent: req.user._id };
+
+  const [total, handovers] = await Promise.all([
+    CashHandover.countDocuments(filter),
+    res.locals.paginateQuery(CashHandover.find(filter).select('-collections').lean(), { createdAt: -1 })
+  ]);
+
+  res.json({
+    success: true,
+    data: handovers,
+    pagination: res.locals.buildLinks(total)
+  });
+});
+
+// @desc    Delivery agents with the cash they hold
+// @route   GET /api/cod/agents
+// @access  Private/Admin
+export const getAgentsCash = asyncHandler(async (req, res) => {
+  const [agents, held] = await Promise.all([
+    User.find({ role: 'delivery' }).select('firstName lastName phone isActive deliveryProfile.cashInHand').lean(),
+    CodCollection.aggregate([
+      { $match: { status: 'held' } },
+      { $group: { _id: '$collectedBy', amount: { $sum: '$amount' }, count: { $sum: 1 }, oldest: { $min: '$collectedAt' } } }
+    ])
+  ]);
+
+  const heldByAgent = new Map(held.map((entry) => [entry._id.toString(), entry]));
+
+  res.json({
+    success: true,
+    data: agents
+      .map(({ deliveryProfile, ...agent }) => {
+        const entry = heldByAgent.get(agent._id.toString());
+        return {
+          ...agent,
+          cashInHand: Math.round((deliveryProfile?.cashInHand || 0) * 100) / 100,
+          heldCollections: entry?.count || 0,
+          heldAmount: Math.round((entry?.amount || 0) * 100) / 100,
+          oldestCollectionAt: entry?.oldest || null
+        };
+      })
+      .sort((a, b) => b.cashInHand - a.cashInHand)
+  });
+});
+
+// @desc    Cash-on-delivery collections
+// @route   GET /api/cod/collections?agent=&status=&order=
+// @access  Private/Admin
+export const getCollections = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.agent) filter.collectedBy = req.query.agent;
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.order) filter.order = req.query.order;
+
+  const [total, collections] = await Promise.all([
+    CodCollection.countDocuments(filter),
+    res.locals.paginateQuery(
+      CodCollection.find(filter)
+        .populate([...COLLECTION_POPULATE, { path: 'collectedBy', select: 'firstName lastName role' }])
+        .lean(),
+      { collectedAt: -1 }
+    )
+  ]);
+
+  res.json({
+    success: true,
+    data: collections,
+    pagination: res.locals.buildLinks(total)
+  });
+});
+
+// @desc    Confirm the cash received from an agent against their held collections
+// @route   POST /api/cod/handovers
+// @access  Private/Admin
+export const createHandover = asyncHandler(async (req, res) => {
+  const { agentId, receivedAmount, collectionIds, note } = req.body;
+
+  const handover = await createCashHandover(req.app.get('io'), {
+    agentId,
+    admin: req.user,
+    receivedAmount,
+    collectionIds,
+    note
+  });
+
+  res.status(201).json({
+    success: true,
+    message: handover.status === 'balanced'
+      ? 'تم تأكيد استلام النقدية'
+      : `تم تسجيل الاستلام مع فرق ${handover.discrepancy.toFixed(2)} جنيه`,
+    data: handover
+  });
+});
+
+// @desc    Cash handovers, `discrepancy=true` for the short / over ones
+// @route   GET /api/cod/handovers?agent=&status=&discrepancy=
+// @access  Private/Admin
+export const getHandovers = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.agent) filter.agent = req.query.agent;
+  if (req.query.status) filter.status = req.query.status;
+  else if (req.query.discrepancy === 'true') filter.status = { $in: ['short', 'over'] };
+
+  const [total, handovers] = await Promise.all([
+    CashHandover.countDocuments(filter),
+    res.locals.paginateQuery(
+      CashHandover.find(filter)
+        .select('-collections')
+        .populate('agent', 'firstName lastName phone')
+        .populate('receivedBy', 'firstName lastName')
+        .lean(),
+      { createdAt: -1 }
+    )
+  ]);
+
+  res.json({
+    success: true,
+    data: handovers,
+    pagination: res.locals.buildLinks(total)
+  });
+});
+
+// @desc    One handover with the collections it settled
+// @route   GET /api/cod/handovers/:id
+// @access  Private/Admin
+export const getHandover = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) throw createError('عملية التسليم غير موجودة', 404);
+
+  const handover = await CashHandover.findById(req.params.id)
+    .populate('agent', 'firstName lastName phone')
+    .populate('receivedBy', 'firstName lastName')
+    .populate({ path: 'collections', populate: COLLECTION_POPULATE })
+    .lean();
+  if (!handover) throw createError('عملية التسليم غير موجودة', 404);
+
+  res.json({
+    success: true,
+    data: handover
+  });
+});
@@ -1,5 +1,6 @@
 import Complaint from '../models/complaint.model.js';
 import { sendNotification } from '../utils/notify.js';
+import { handlePaginationError } from '../middlewares/pagination.js';
 
 export const createComplaint = async (req, res) => {
   try {
@@ -64,22 +65,21 @@ export const getComplaints = async (req, res) => {
 
 export const getComplaintsForAdmin = async (req, res) => {
   try {
-    // Pagination handled by middleware
-    const { skip, limit } = res.locals.pagination;
+    // Pagination (page or cursor mode) handled by middleware
     const filter = {};
     if (req.query.status) filter.status = req.query.status;
 
     const [complaints, total] = await Promise.all([
-      Complaint.find(filter)
-        .populate('user', 'firstName lastName email')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit),
+      res.locals.paginateQuery(
+        Complaint.find(filter).populate('user', 'firstName lastName email'),
+        { createdAt: -1 }
+      ),
       Complaint.countDocuments(filter),
     ]);
 
     res.json({ success: true, data: complaints, pagination: res.locals.buildLinks(total) });
   } catch (err) {
+    if (handlePaginationError(res, err)) return;
     console.error('Admin complaints fetch error', err);
     res.status(500).json({ message: 'فشل في جلب الشكاوى' });
   }
@@ -1,7 +1,10 @@
 import asyncHandler from 'express-async-handler';
 import Coupon from '../models/coupon.model.js';
 import Cart from '../models/cart.model.js';
-import Order from '../models/order.model.js';
+import { evaluateCoupon } from '../services/coupon.service.js';
+import { buildShipments } from '../services/shipment.service.js';
+import { findVariant } from '../services/productVariant.service.js';
+import { getUnitPrice } from '../services/pricing.service.js';
 
 // 🧾 Get all coupons
 export const getAllCoupons = asyncHandler(async (req, res) => {
@@ -109,7 +112,7 @@ export const removeCouponFromCart = asyncHandler(async (req, res) => {
 
     // Calculate original subtotal from cart items
     const originalSubtotal = cart.items.reduce((total, item) => {
-        return total + (item.product.price * item.quantity);
+        return total + (getUnitPrice(item.product, findVariant(item.product, item.variant)) * item.quantity);
     }, 0);
 
     // Remove coupon from cart
@@ -158,61 +161,33 @@ export const validateCouponCode = asyncHandler(async (req, res) => {
         return res.status(400).send('Cart is empty');
     }
 
+    // Price each line like checkout does (variant overrides, product discount)
+    const lines = cart.items
+        .filter((item) => item.product)
+        .map((item) => ({
+            id: item._id,
+            product: item.product,
+            seller: item.product.seller,
+            price: getUnitPrice(item.product, findVariant(item.product, item.variant)),
+            quantity: item.quantity
+        }));
+
     // Calculate cart total
-    const cartTotal = cart.items.reduce((total, item) => {
-        return total + (item.product.price * item.quantity);
-    }, 0);
+    const cartTotal = lines.reduce((total, line) => total + (line.price * line.quantity), 0);
 
     if (cartTotal <= 0) {
         return res.status(400).send('Invalid cart total');
     }
 
-    // Find valid coupon
-    const coupon = await Coupon.findOne({
-        code: code.toUpperCase(), // Convert to uppercase
-        isActive: true,
-        validFrom: { $lte: new Date() },
-        validUntil: { $gte: new Date() },
-        $expr: { $lt: ['$currentUses', '$maxUses'] } // currentUses < maxUses
-    });
-    //console.log(coupon, 'cde')
-    if (!coupon) {
-        return res.status(400).send('Invalid or expired coupon code');
-    }
-
-    // Validate minimum purchase amount
-    if (cartTotal < coupon.minPurchaseAmount) {
-        return res.status(400).send(`Minimum purchase amount of $${coupon.minPurchaseAmount} required`);
-    }
+    const coupon = await Coupon.findOne({ code: code.toUpperCase() });
 
-    // ✅ IMPORTANT: Check if user has already used this coupon in a completed order
-    const existingOrder = await Order.findOne({
-        buyer: req.user._id,
-        'coupon.code': coupon.code,
-        paymentStatus: { $in: ['paid', 'pending', 'confirmed', 'processing', 'completed'] },
-        wasCanceled: false
+    // Scope, per-user limit, first order, minimum purchase... (throws 400)
+    const { eligibleSubtotal, discountAmount, shippingDiscount } = await evaluateCoupon(coupon, {
+        userId: req.user._id,
+        lines,
+        shipments: buildShipments(lines.map((line) => ({ ...line, _id: line.id })))
     });
 
-    if (existingOrder) {
-        return res.status(400).send('You have already used this coupon in a previous order');
-    }
-
-    // Calculate discount
-    let discountAmount = 0;
-
-    if (coupon.discountType === 'percentage') {
-        discountAmount = (cartTotal * coupon.discountValue) / 100;
-
-        // Apply max discount limit
-        if (coupon.maxDiscountAmount && discountAmount > coupon.maxDiscountAmount) {
-            discountAmount = coupon.maxDiscountAmount;
-        }
-    } else if (coupon.discountType === 'fixed') {
-        discountAmount = coupon.discountValue;
-    }
-
-    // Ensure discount doesn't exceed cart total
-    discountAmount = Math.min(discountAmount, cartTotal);
     const discountedTotal = Math.max(0, cartTotal - discountAmount);
 
     // ✅ Update the cart total with the discounted amount
@@ -223,6 +198,7 @@ export const validateCouponCode = asyncHandler(async (req, res) => {
     cart.appliedCoupon = {
         code: coupon.code,
         discountAmount: discountAmount,
+        shippingDiscount: shippingDiscount,
         discountedTotal: discountedTotal,
         originalTotal: cartTotal,
         couponId: coupon._id,
@@ -242,16 +218,22 @@ export const validateCouponCode = asyncHandler(async (req, res) => {
             discountValue: coupon.discountValue,
             minPurchaseAmount: coupon.minPurchaseAmount,
             maxDiscountAmount: coupon.maxDiscountAmount,
+            firstOrderOnly: coupon.firstOrderOnly,
+            excludeDiscountedItems: coupon.excludeDiscountedItems,
             remainingUses: coupon.maxUses - coupon.currentUses
         },
         cart: {
             originalTotal: parseFloat(cartTotal.toFixed(2)),
+            eligibleSubtotal: parseFloat(eligibleSubtotal.toFixed(2)),
             discountedTotal: parseFloat(discountedTotal.toFixed(2)),
             discountAmount: parseFloat(discountAmount.toFixed(2)),
+            shippingDiscount: parseFloat(shippingDiscount.toFixed(2)),
             savingsPercentage: parseFloat(savingsPercentage.toFixed(1))
         },
-        message: `Coupon applied successfully! You saved $${discountAmount.toFixed(2)} (${savingsPercentage.toFixed(1)}% off)`
+        message: coupon.discountType === 'free_shipping'
+            ? `Coupon applied successfully! Shipping is free for eligible items`
+            : `Coupon applied successfully! You saved ${discountAmount.toFixed(2)} EGP (${savingsPercentage.toFixed(1)}% off)`
     };
 
     res.send(response);
-});
\ No newline at end of file
+});
@@ -1,8 +1,12 @@
 import Order from '../models/order.model.js';
 import ReturnRequest from '../models/returnRequest.model.js';
 import Rating from '../models/rating.model.js';
+import SellerApplication from '../models/sellerApplication.model.js';
 import mongoose from 'mongoose';
 import Product from '../models/product.model.js';
+import User from '../models/user.model.js';
+import { getRestockReport } from '../services/stockAlert.service.js';
+import { getSellerQuestionStats } from '../services/productQuestion.service.js';
 
 // Helper to count docs with query
 const quickCount = (Model, query) => Model.countDocuments(query);
@@ -12,7 +16,7 @@ export const getSellerCounters = async (req, res) => {
   try {
     const sellerId = new mongoose.Types.ObjectId(req.user._id);
 
-    const [newOrders, ongoingOrders, returnsCount, reviewsCount] = await Promise.all([
+    const [newOrders, ongoingOrders, returnsCount, reviewsCount, outOfStock, restock, questions] = await Promise.all([
       quickCount(Order, {
         'items.seller': sellerId,
         createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
@@ -22,7 +26,10 @@ export const getSellerCounters = async (req, res) => {
         deliveryStatus: { $nin: ['delivered', 'cancelled'] }
       }),
       quickCount(ReturnRequest, { seller: sellerId }),
-      quickCount(Rating, { seller: sellerId })
+      quickCount(Rating, { seller: sellerId }),
+      quickCount(Product, { seller: sellerId, outOfStock: true }),
+      getRestockReport(sellerId),
+      getSellerQuestionStats(sellerId)
     ]);
 
     res.json({
@@ -31,7 +38,20 @@ export const getSellerCounters = async (req, res) => {
         newOrders,
         ongoingOrders,
         returns: returnsCount,
-        reviews: reviewsCount
+        reviews: reviewsCount,
+        outOfStock,
+        // "Restock needed" report: products / variants at or below the threshold
+        restockNeeded: restock.count,
+        lowStockThreshold: restock.threshold,
+        restockItems: restock.items,
+        // Product Q&A: open questions and response time
+        unansweredQuestions: questions.unanswered,
+        oldestUnansweredQuestionAt: questions.oldestUnansweredAt,
+        questionResponse: {
+          answered: questions.answered,
+          avgHours: questions.avgResponseHours,
+          answeredWithin24h: questions.answeredWithin24h
+        }
       }
     });
   } catch (error) {
@@ -40,14 +60,39 @@ export const getSellerCounters = async (req, res) => {
   }
 };
 
+// Seller: set the stock level that triggers low-stock alerts
+export const updateLowStockThreshold = async (req, res) => {
+  try {
+    const threshold = Number(req.body.threshold);
+    if (!Number.isInteger(threshold) || threshold < 0) {
+      return res.status(400).json({ success: false, message: 'الحد الأدنى للمخزون يجب أن يكون رقماً صحيحاً موجباً' });
+    }
+
+    const result = await User.updateOne(
+      { _id: req.user._id, vendorProfile: { $exists: true } },
+      { $set: { 'vendorProfile.lowStockThreshold': threshold } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(400).json({ success: false, message: 'يجب إكمال ملف المتجر أولاً' });
+    }
+
+    res.json({ success: true, data: { lowStockThreshold: threshold } });
+  } catch (error) {
+    console.error('Low stock threshold error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update low stock threshold' });
+  }
+};
+
 // Admin counters (platform level)
 export const getAdminCounters = async (_req, res) => {
   try {
-    const [newOrders, ongoingOrders, returnsCount, reviewsCount] = await Promise.all([
+    const [newOrders, ongoingOrders, returnsCount, reviewsCount, pendingReviews, pendingSellerApplications] = await Promise.all([
       quickCount(Order, { createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } }),
       quickCount(Order, { deliveryStatus: { $nin: ['delivered', 'cancelled'] } }),
       quickCount(ReturnRequest, {}),
-      quickCount(Rating, {})
+      quickCount(Rating, {}),
+      quickCount(Rating, { status: 'pending' }),
+      quickCount(SellerApplication, { status: 'pending' })
     ]);
 
     res.json({
@@ -56,7 +101,11 @@ export const getAdminCounters = async (_req, res) => {
         newOrders,
         ongoingOrders,
         returns: returnsCount,
-        reviews: reviewsCount
+        reviews: reviewsCount,
+        // Review moderation queue
+        pendingReviews,
+        // Seller applications waiting for an admin
+        pendingSellerApplications
       }
     });
   } catch (error) {
@@ -0,0 +1,224 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import Order from '../models/order.model.js';
+import User from '../models/user.model.js';
+import { createError } from '../utils/error.js';
+import { ensureShipments } from '../services/shipment.service.js';
+import {
+  ACTIVE_DELIVERY_STATUSES,
+  assignDelivery,
+  autoAssignDelivery,
+  autoAssignPendingDeliveries,
+  getAgentLoads,
+  normalizeZone,
+  rescheduleDelivery,
+  unassignDelivery,
+  updateDeliveryTask
+} from '../services/deliveryAssignment.service.js';
+
+const ORDER_NOT_FOUND_MESSAGE = 'الطلب غير موجود';
+
+// What a courier needs to deliver: never the secret code
+const DELIVERY_FIELDS = 'recipientInfo deliveryMethod deliveryAddress deliveryInfo pickupPoint paymentMethod paymentStatus total status deliveryStatus shipments.seller shipments.status delivery createdAt';
+
+const findOrder = async (orderId) => {
+  if (!mongoose.isValidObjectId(orderId)) throw createError(ORDER_NOT_FOUND_MESSAGE, 404);
+
+  const order = await Order.findById(orderId);
+  if (!order) throw createError(ORDER_NOT_FOUND_MESSAGE, 404);
+
+  ensureShipments(order);
+  return order;
+};
+
+// @desc    The agent's assigned deliveries (`status` defaults to the open ones)
+// @route   GET /api/deliveries/me?status=
+// @access  Private/Delivery
+export const getMyDeliveries = asyncHandler(async (req, res) => {
+  const filter = {
+    'delivery.agent': req.user._id,
+    'delivery.status': req.query.status || { $in: ACTIVE_DELIVERY_STATUSES }
+  };
+
+  const [total, orders] = await Promise.all([
+    Order.countDocuments(filter),
+    res.locals.paginateQuery(Order.find(filter).select(DELIVERY_FIELDS).lean(), { 'delivery.assignedAt': 1 })
+  ]);
+
+  res.json({
+    success: true,
+    data: orders,
+    pagination: res.locals.buildLinks(total)
+  });
+});
+
+// @desc    Picked up, out for delivery, a failed attempt (with reason code) or back with the sellers
+// @route   PATCH /api/deliveries/:orderId/status
+// @access  Private/Delivery (assigned agent)
+export const updateMyDelivery = asyncHandler(async (req, res) => {
+  const order = await findOrder(req.params.orderId);
+  await updateDeliveryTask(req.app.get('io'), order, req.user, req.body);
+
+  res.json({
+    success: true,
+    message: 'تم تحديث حالة التوصيل',
+    data: {
+      orderId: order._id,
+      status: order.status,
+      delivery: order.delivery
+    }
+  });
+});
+
+// @desc    Buyer: new delivery date or a pickup point after a failed attempt
+// @route   PATCH /api/deliveries/:orderId/reschedule
+// @access  Private (buyer)
+export const rescheduleMyDelivery = asyncHandler(async (req, res) => {
+  const order = await findOrder(req.params.orderId);
+  await rescheduleDelivery(req.app.get('io'), order, req.user, req.body);
+
+  res.json({
+    success: true,
+    message: req.body.pickupPointId ? 'سيتم تسليم طلبك في نقطة الاستلام' : 'تم تحديد موعد التوصيل الجديد',
+    data: {
+      orderId: order._id,
+      deliveryMethod: order.deliveryMethod,
+      pickupPoint: order.pickupPoint,
+      rescheduledFor: order.delivery.rescheduledFor
+    }
+  });
+});
+
+// @desc    Orders by courier status: `unassigned=true` lists ready orders nobody has yet
+// @route   GET /api/deliveries?agent=&status=&unassigned=
+// @access  Private/Admin
+export const getDeliveries = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.unassigned === 'true') {
+    filter.status = 'ready';
+    filter['delivery.agent'] = { $exists: false };
+  } else {
+    filter['delivery.agent'] = req.query.agent || { $exists: true };
+    if (req.query.status) filter['delivery.status'] = req.query.status;
+  }
+
+  const [total, orders] = await Promise.all([
+    Order.countDocuments(filter),
+    res.locals.paginateQuery(
+      Order.find(filter).select(`${DELIVERY_FIELDS} buyer`).populate('delivery.agent', 'firstName lastName phone').lean(),
+      { createdAt: 1 }
+    )
+  ]);
+
+  res.json({
+    success: true,
+    data: orders,
+    pagination: res.locals.buildLinks(total)
+  });
+});
+
+// @desc    Assign an order to an agent, or to the best match when no `agentId` is given
+// @route   POST /api/deliveries/:orderId/assign
+// @access  Private/Admin
+export const assignOrderDelivery = asyncHandler(async (req, res) => {
+  const order = await findOrder(req.params.orderId);
+  const io = req.app.get('io');
+
+  let agent;
+  if (req.body.agentId) {
+    agent = await User.findById(req.body.agentId).select('firstName lastName role isActive');
+    if (!agent) throw createError('المندوب غير موجود', 404);
+    await assignDelivery(io, order, agent, { actor: req.user });
+  } else {
+    agent = await autoAssignDelivery(io, order);
+    if (!agent) throw createError('لا يوجد مندوب متاح يغطي عنوان هذا الطلب', 404);
+  }
+
+  res.json({
+    success: true,
+    message: 'تم إسناد الطلب إلى المندوب',
+    data: {
+      orderId: order._id,
+      agent: { _id: agent._id, firstName: agent.firstName, lastName: agent.lastName },
+      delivery: order.delivery
+    }
+  });
+});
+
+// @desc    Take an order off its agent's queue (before pickup)
+// @route   DELETE /api/deliveries/:orderId/assign
+// @access  Private/Admin
+export const unassignOrderDelivery = asyncHandler(async (req, res) => {
+  const order = await findOrder(req.params.orderId);
+  await unassignDelivery(order, req.user);
+
+  res.json({
+    success: true,
+    message: 'تم إلغاء إسناد الطلب',
+    data: { orderId: order._id }
+  });
+});
+
+// @desc    Auto-assign every ready, unassigned order now
+// @route   POST /api/deliveries/auto-assign
+// @access  Private/Admin
+export const runAutoAssign = asyncHandler(async (req, res) => {
+  const result = await autoAssignPendingDeliveries(req.app.get('io'));
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// @desc    Delivery agents with their zones and open deliveries
+// @route   GET /api/deliveries/agents
+// @access  Private/Admin
+export const getDeliveryAgents = asyncHandler(async (req, res) => {
+  const agents = await User.find({ role: 'delivery' })
+    .select('firstName lastName email phone isActive deliveryProfile')
+    .populate('deliveryProfile.pickupPoints', 'stationName address')
+    .sort({ firstName: 1 })
+    .lean();
+
+  const loads = await getAgentLoads(agents.map((agent) => agent._id));
+
+  res.json({
+    success: true,
+    data: agents.map((agent) => ({
+      ...agent,
+      activeDeliveries: loads.get(agent._id.toString()) || 0
+    }))
+  });
+});
+
+// @desc    Make a user a delivery agent and/or set their zones and pickup points
+// @route   PUT /api/deliveries/agents/:userId
+// @access  Private/Admin
+export const updateDeliveryAgent = asyncHandler(async (req, res) => {
+  const { zones, pickupPoints, isAvailable } = req.body;
+
+  const user = await User.findById(req.params.userId);
+  if (!user) throw createError('المستخدم غير موجود', 404);
+  if (!['user', 'delivery'].includes(user.role)) {
+    throw createError('لا يمكن تحويل هذا الحساب إلى مندوب توصيل', 400);
+  }
+
+  user.role = 'delivery';
+  if (zones) user.set('deliveryProfile.zones', [...new Set(zones.map(normalizeZone).filter(Boolean))]);
+  if (pickupPoints) user.set('deliveryProfile.pickupPoints', pickupPoints);
+  if (isAvailable !== undefined) user.set('deliveryProfile.isAvailable', isAvailable);
+  await user.save({ validateModifiedOnly: true });
+
+  res.json({
+    success: true,
+    message: 'تم تحديث بيانات المندوب',
+    data: {
+      _id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+      deliveryProfile: user.deliveryProfile
+    }
+  });
+});
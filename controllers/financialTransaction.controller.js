@@ -1,5 +1,6 @@
 import FinancialTransaction from '../models/financialTransaction.model.js';
 import mongoose from 'mongoose';
+import { handlePaginationError } from '../middlewares/pagination.js';
 
 // Helper to build filter from query params
 const buildFilter = (query, sellerId = null) => {
@@ -56,18 +57,15 @@ export const getSellerTransactions = async (req, res) => {
 // @access  Admin
 export const getAdminTransactions = async (req, res) => {
   try {
-    const { skip, limit, page } = res.locals.pagination;
-
     const sellerId = req.query.sellerId;
     const filter = buildFilter(req.query, sellerId);
 
     const [total, transactions] = await Promise.all([
       FinancialTransaction.countDocuments(filter),
-      FinancialTransaction.find(filter)
-        .populate('seller', 'firstName lastName email')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
+      res.locals.paginateQuery(
+        FinancialTransaction.find(filter).populate('seller', 'firstName lastName email'),
+        { createdAt: -1 }
+      )
     ]);
 
     res.json({
@@ -76,6 +74,7 @@ export const getAdminTransactions = async (req, res) => {
       pagination: res.locals.buildLinks(total)
     });
   } catch (error) {
+    if (handlePaginationError(res, error)) return;
     console.error('Error fetching admin transactions:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch transactions' });
   }
@@ -1,6 +1,7 @@
 import expressAsyncHandler from 'express-async-handler';
 import Notification from '../models/notification.model.js';
 import User from '../models/user.model.js';
+import { handlePaginationError } from '../middlewares/pagination.js';
 
 
 // Get notifications list with pagination
@@ -8,8 +9,8 @@ export const getNotifications = async (req, res) => {
   try {
     const userId = req.user._id;
     const role = req.user.role;
-    // Pagination params
-    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    // Offset (`skip`) or cursor mode, limit from the pagination middleware
+    const { limit, mode } = res.locals.pagination;
     const skip = parseInt(req.query.skip, 10) || 0;
 
     const baseFilter = {
@@ -19,18 +20,25 @@ export const getNotifications = async (req, res) => {
       ],
     };
 
+    const listQuery = Notification.find(baseFilter).lean();
+
     const [notifications, total, unread] = await Promise.all([
-      Notification.find(baseFilter)
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .lean(),
+      mode === 'cursor'
+        ? res.locals.paginateQuery(listQuery, { createdAt: -1 })
+        : listQuery.sort({ createdAt: -1 }).skip(skip).limit(limit),
       Notification.countDocuments(baseFilter),
       Notification.countDocuments({ ...baseFilter, isRead: false }),
     ]);
 
-    res.json({ success: true, data: notifications, total, unread });
+    res.json({
+      success: true,
+      data: notifications,
+      total,
+      unread,
+      ...(mode === 'cursor' && { pagination: res.locals.buildLinks(total) })
+    });
   } catch (error) {
+    if (handlePaginationError(res, error)) return;
     console.error('Error fetching notifications:', error);
     res.status(500).json({ message: 'فشل في جلب الإشعارات' });
   }
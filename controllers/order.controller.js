@@ -1,5 +1,4 @@
 import Order from '../models/order.model.js';
-import Product from '../models/product.model.js';
 import logOrderActivity from '../services/orderActivity.service.js';
 import User from '../models/user.model.js';
 import SecretCode from '../models/secretCode.model.js';
@@ -9,16 +8,25 @@ import Address from '../models/address.model.js';
 import mongoose from 'mongoose';
 import PlatformEarningsModel from '../models/PlatformEarnings.model.js';
 import FinancialTransaction from '../models/financialTransaction.model.js';
-import Coupon from '../models/coupon.model.js';
 import asyncHandler from 'express-async-handler';
-
-// calc platform percentage 
-function getPlatformFeeByPrice(price) {
-  if (price < 300) return 0.18;
-  if (price >= 300 && price <= 799) return 0.15;
-  if (price >= 800 && price <= 1999) return 0.12;
-  return 0.10; // more than 2000
-}
+import { refundCancelledOrder, refundCancelledShipment } from '../services/refund.service.js';
+import {
+  assertTransition,
+  canTransition,
+  getAllowedTransitions,
+  getOrderStatus,
+  transitionOrder,
+  transitionShipment
+} from '../services/orderStatus.service.js';
+import { ensureShipments, findSellerShipment } from '../services/shipment.service.js';
+import { processShipmentPayout } from '../services/payout.service.js';
+import { buildStockHold, reserveStock } from '../services/inventory.service.js';
+import { checkStockLevels } from '../services/stockAlert.service.js';
+import { redeemCoupon } from '../services/coupon.service.js';
+import { formatQuote, matchesQuote, quoteCart } from '../services/pricing.service.js';
+import { variantLabel } from '../services/productVariant.service.js';
+import { assertAssignedAgent, completeDeliveryTask } from '../services/deliveryAssignment.service.js';
+import { recordCodCollection } from '../services/cod.service.js';
 
 const formatAddressString = (address) => {
   if (!address) return '';
@@ -41,6 +49,13 @@ const formatAddressString = (address) => {
     .trim();
 };
 
+// Governorate of a structured address, used to route the order to a courier
+const governorateOf = (address) => {
+  if (!address || typeof address === 'string') return undefined;
+  const { state, governorate, region } = address.toObject ? address.toObject() : address;
+  return (state || governorate || region)?.trim() || undefined;
+};
+
 export const createOrderFilterObj = (req, res, next) => {
   let filterObj = {};
 
@@ -55,6 +70,7 @@ export const createOrderFilterObj = (req, res, next) => {
     paymentStatus,
     deliveryMethod,
     deliveryStatus,
+    status,
     payoutProcessed,
     isPrepared,
     secretCode,
@@ -109,6 +125,11 @@ export const createOrderFilterObj = (req, res, next) => {
     filterObj.deliveryStatus = deliveryStatus;
   }
 
+  // Lifecycle status filter
+  if (status) {
+    filterObj.status = status;
+  }
+
   // Boolean filters
   if (payoutProcessed !== undefined) {
     filterObj.payoutProcessed = payoutProcessed === 'true';
@@ -165,6 +186,87 @@ const generateUniqueSecretCode = async (buyerId) => {
   return code;
 };
 
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+// Buyer-facing labels for lifecycle statuses
+const STATUS_LABELS = {
+  placed: 'تم استلام الطلب',
+  confirmed: 'تم تأكيد الطلب',
+  preparing: 'جاري تجهيز الطلب',
+  ready: 'الطلب جاهز للشحن',
+  shipped: 'تم شحن الطلب',
+  out_for_delivery: 'الطلب خرج للتوصيل',
+  delivered: 'تم تسليم الطلب',
+  cancelled: 'تم إلغاء الطلب',
+  returned: 'تم إرجاع الطلب'
+};
+
+// Apply a staff-driven status change: transition, refund on cancel, notify buyer
+const applyStatusChange = async (req, order, to, note) => {
+  await transitionOrder(order, to, {
+    actorId: req.user._id,
+    role: req.user.role,
+    note
+  });
+
+  let refund = null;
+  if (to === 'cancelled') {
+    refund = await refundCancelledOrder(order, {
+      actorId: req.user._id,
+      io: req.app.get('io')
+    });
+  }
+
+  try {
+    await Notification.create({
+      userId: idOf(order.buyer),
+      role: 'user',
+      type: to === 'cancelled' ? 'ORDER_CANCELLED' : 'SHIPPING_STATUS_UPDATED',
+      title: 'تم تحديث حالة طلبك ✅',
+      message: `📦 ${STATUS_LABELS[to]} - الطلب رقم #${order._id.toString().slice(-6)}`,
+      data: { orderId: order._id, status: to },
+      link: `/orders/${order._id}`
+    });
+  } catch (nErr) {
+    console.error('Failed to notify buyer about status change:', nErr);
+  }
+
+  return refund;
+};
+
+// Same as `applyStatusChange`, scoped to one seller shipment
+const applyShipmentChange = async (req, order, shipment, to, note) => {
+  await transitionShipment(order, shipment, to, {
+    actorId: req.user._id,
+    role: req.user.role,
+    note
+  });
+
+  let refund = null;
+  if (to === 'cancelled') {
+    refund = await refundCancelledShipment(order, shipment, {
+      actorId: req.user._id,
+      io: req.app.get('io')
+    });
+  }
+
+  try {
+    await Notification.create({
+      userId: idOf(order.buyer),
+      role: 'user',
+      type: to === 'cancelled' ? 'ORDER_CANCELLED' : 'SHIPPING_STATUS_UPDATED',
+      title: 'تم تحديث حالة شحنتك ✅',
+      message: `📦 ${STATUS_LABELS[to]} - شحنة من الطلب رقم #${order._id.toString().slice(-6)}`,
+      data: { orderId: order._id, shipmentId: shipment._id, status: to },
+      link: `/orders/${order._id}`
+    });
+  } catch (nErr) {
+    console.error('Failed to notify buyer about shipment status change:', nErr);
+  }
+
+  return refund;
+};
+
 export const updatePayment = asyncHandler(async (req, res) => {
   const { orderId, paymentMethod, totalAmount } = req.body;
 
@@ -212,6 +314,7 @@ export const createOrder = asyncHandler(async (req, res, next) => {
 
   const requestedAddressId = req.body.addressId;
   let deliveryAddress = formatAddressString(req.body.deliveryAddress || req.body.deliveryInfo?.address);
+  let governorate = governorateOf(req.body.deliveryAddress || req.body.deliveryInfo?.address);
   let pickupPoint = req.body.pickupPoint || req.body.deliveryInfo?.pickupPoint;
 
   // Validate delivery info based on method
@@ -220,6 +323,7 @@ export const createOrder = asyncHandler(async (req, res, next) => {
       const savedAddress = await Address.findOne({ _id: requestedAddressId, user: req.user._id });
       if (savedAddress) {
         deliveryAddress = formatAddressString(savedAddress);
+        governorate = governorateOf(savedAddress);
       }
     }
 
@@ -231,6 +335,7 @@ export const createOrder = asyncHandler(async (req, res, next) => {
 
       if (defaultAddress) {
         deliveryAddress = formatAddressString(defaultAddress);
+        governorate = governorateOf(defaultAddress);
       }
     }
 
@@ -249,103 +354,139 @@ export const createOrder = asyncHandler(async (req, res, next) => {
     }
   }
 
-  // Calculate order totals - use cart's appliedCoupon if exists
-  let subtotal = cart.items.reduce((sum, item) => sum + (item.product.price * item.quantity), 0);
-  let discount = 0;
-  let couponData = null;
-
-  // ✅ Check if coupon is applied in cart
-  if (cart.appliedCoupon) {
-    couponData = {
-      code: cart.appliedCoupon.code,
-      discountAmount: cart.appliedCoupon.discountAmount,
-      couponId: cart.appliedCoupon.couponId
-    };
-
-    // ✅ IMPORTANT: Increment coupon usage only when order is created
-    await Coupon.findByIdAndUpdate(
-      cart.appliedCoupon.couponId,
-      { $inc: { currentUses: 1 } }
-    );
-
-    // Clear coupon from cart
-    cart.appliedCoupon = undefined;
-    await cart.save();
+  // Every price, discount and fee comes from the server-side quote
+  const quote = await quoteCart(cart, { userId: req.user._id });
+  const {
+    lines,
+    items: orderItems,
+    shipments,
+    subtotal,
+    discount,
+    shippingFee,
+    total,
+    coupon: couponData,
+    couponDoc: coupon
+  } = quote;
+
+  // The buyer confirmed a total: refuse if prices changed since they saw it
+  const expectedTotal = req.body.expectedTotal ?? req.body.total;
+  if (expectedTotal !== undefined && !matchesQuote(quote, expectedTotal)) {
+    return res.status(409).json({
+      message: 'Order total has changed, please review your order',
+      quote: formatQuote(quote)
+    });
   }
 
-  // Use frontend values if provided, otherwise calculate
-  const shippingFee = subtotal > 500 ? 0 : 30;
-  const total = req.body.total || (subtotal - discount + shippingFee);
+  shipments.forEach((shipment) => {
+    shipment.statusHistory = [{ to: 'placed', actor: req.user._id, actorRole: 'user' }];
+  });
 
   const deliveryInfoData = {
     address: req.body.deliveryMethod === 'home' ? deliveryAddress : undefined,
+    governorate: req.body.deliveryMethod === 'home' ? governorate : undefined,
     pickupPoint: req.body.deliveryMethod === 'pickup' ? pickupPoint : undefined
   };
 
-  // Create order
-  const order = await Order.create({
-    buyer: req.user._id,
-    items: cart.items.map(item => ({
-      product: item.product._id,
-      seller: item.product.seller,
-      quantity: item.quantity,
-      price: item.product.price,
-      color: item.colors?.length > 0 ? item.colors[0] : undefined,
-      size: item.sizes?.length > 0 ? item.sizes[0] : undefined
-    })),
-
-    // Recipient information (can be different from buyer)
-    recipientInfo: {
-      fullName: req.body.recipientInfo.fullName,
-      phoneNumber: req.body.recipientInfo.phoneNumber
-    },
+  const secretCode = await generateUniqueSecretCode(req.user._id);
 
-    // Order info
-    paymentMethod: req.body.paymentMethod,
-    deliveryMethod: req.body.deliveryMethod,
+  // Stock, coupon, order and cart change together or not at all
+  const session = await mongoose.startSession();
+  let order;
 
-    // Use the determined delivery address (either from request or default)
-    deliveryAddress: req.body.deliveryMethod === 'home' ? deliveryAddress : undefined,
-    pickupPoint: req.body.deliveryMethod === 'pickup' ? pickupPoint : undefined,
+  try {
+    await session.withTransaction(async () => {
+      // Conditional decrements: a line that would oversell aborts the checkout
+      await reserveStock(lines.map(({ item, variant }) => ({
+        product: item.product._id,
+        variant: variant?._id,
+        quantity: item.quantity,
+        title: variant ? `${item.product.title} (${variantLabel(variant)})` : item.product.title
+      })), { session });
+
+      order = new Order({
+        buyer: req.user._id,
+        items: orderItems,
+        shipments,
+
+        // Recipient information (can be different from buyer)
+        recipientInfo: {
+          fullName: req.body.recipientInfo.fullName,
+          phoneNumber: req.body.recipientInfo.phoneNumber
+        },
+
+        // Order info
+        paymentMethod: req.body.paymentMethod,
+        deliveryMethod: req.body.deliveryMethod,
+
+        // Use the determined delivery address (either from request or default)
+        deliveryAddress: req.body.deliveryMethod === 'home' ? deliveryAddress : undefined,
+        pickupPoint: req.body.deliveryMethod === 'pickup' ? pickupPoint : undefined,
+
+        // Delivery info structure
+        deliveryInfo: deliveryInfoData,
+
+        // ✅ Add coupon data to order
+        coupon: couponData,
+
+        // Totals
+        subtotal,
+        discount,
+        shippingFee,
+        total,
+
+        // Default statuses
+        status: 'placed',
+        statusHistory: [{ to: 'placed', actor: req.user._id, actorRole: 'user' }],
+        paymentStatus: 'pending',
+        deliveryStatus: 'pending',
+
+        // Stock is held until Paymob confirms online payments
+        stockHold: buildStockHold(req.body.paymentMethod),
+
+        // Secret code
+        secretCode
+      });
 
-    // Delivery info structure
-    deliveryInfo: deliveryInfoData,
+      if (coupon) {
+        // ✅ IMPORTANT: Increment coupon usage only when order is created
+        await redeemCoupon(coupon, {
+          userId: req.user._id,
+          orderId: order._id,
+          discountAmount: couponData.discountAmount,
+          shippingDiscount: couponData.shippingDiscount,
+          session
+        });
+      }
 
-    // ✅ Add coupon data to order
-    coupon: couponData,
+      await order.save({ session });
 
-    // Totals
-    subtotal,
-    discount,
-    shippingFee,
-    total,
+      await Cart.deleteOne({ user: req.user._id }, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
 
-    // Default statuses
-    paymentStatus: 'pending',
-    deliveryStatus: 'pending',
+  // Alert sellers whose stock just crossed their low-stock threshold
+  await checkStockLevels(orderItems.map((item) => item.product));
 
-    // Secret code
-    secretCode: await generateUniqueSecretCode(req.user._id)
+  await logOrderActivity({
+    orderId: order._id,
+    actorId: req.user._id,
+    actorRole: 'user',
+    action: 'order_placed',
+    description: 'Order placed by buyer',
+    metadata: { to: 'placed', paymentMethod: order.paymentMethod }
   });
 
-  // //console.log('Order created:', order)
-
   // Notify each seller about items to prepare in this order
   try {
-    const sellerItemsMap = {};
-    order.items.forEach((it) => {
-      const sellerId = it.seller.toString();
-      if (!sellerItemsMap[sellerId]) sellerItemsMap[sellerId] = [];
-      sellerItemsMap[sellerId].push(it);
-    });
-
-    const notifications = Object.keys(sellerItemsMap).map((sellerId) => ({
-      userId: sellerId,
+    const notifications = order.shipments.map((shipment) => ({
+      userId: shipment.seller,
       role: 'seller',
       type: 'ORDER_PLACED',
       title: 'طلب جديد 🔔',
-      message: `طلب جديد يحتوي على ${sellerItemsMap[sellerId].length} منتج - الرقم ${order._id.toString().slice(-6)}`,
-      orderId: order._id,
+      message: `طلب جديد يحتوي على ${shipment.items.length} منتج - الرقم ${order._id.toString().slice(-6)}`,
+      data: { orderId: order._id, shipmentId: shipment._id },
       link: `/vendor/dashboard`
     }));
 
@@ -356,33 +497,25 @@ export const createOrder = asyncHandler(async (req, res, next) => {
     console.error('Failed to create seller notifications for order:', nErr);
   }
 
-  // Update product quantities and sold counts
-  const bulkOps = cart.items.map(item => ({
-    updateOne: {
-      filter: { _id: item.product._id },
-      update: {
-        $inc: {
-          quantity: -item.quantity,
-          sold: item.quantity
-        }
-      }
-    }
-  }));
-
-  const result = await Product.bulkWrite(bulkOps, { ordered: false });
-
+  res.status(201).json({
+    status: 'success',
+    data: order
+  });
+});
 
-if (result.modifiedCount !== cart.items.length) {
-  throw new Error(`Failed to update all products. Expected ${cart.items.length} updates, but got ${result.modifiedCount}`);
-}
+// @desc    Preview the server-side price of the current cart
+// @route   GET /api/orders/quote
+// @access  Private
+export const getCheckoutQuote = asyncHandler(async (req, res) => {
+  const cart = await Cart.findOne({ user: req.user._id }).populate('items.product');
 
-// Clear the user's cart
-await Cart.findOneAndDelete({ user: req.user._id });
+  // A coupon that stopped applying is reported instead of failing the preview
+  const quote = await quoteCart(cart, { userId: req.user._id, strictCoupon: false });
 
-res.status(201).json({
-  status: 'success',
-  data: order
-});
+  res.json({
+    status: 'success',
+    data: formatQuote(quote)
+  });
 });
 
 // get all orders 
@@ -407,13 +540,23 @@ export const getVendorOrders = asyncHandler(async (req, res) => {
       select: 'title titleEn images'
     });
 
-  // Only return the items that belong to this seller in each order
+  // Orders placed before shipments existed are split on first read
+  for (const ord of orders) {
+    ensureShipments(ord);
+    if (ord.isModified('shipments')) {
+      await ord.save();
+    }
+  }
+
+  // Only return the items and the shipment that belong to this seller in each order
   const shaped = orders.map((ord) => {
     const obj = ord.toObject();
     obj.items = obj.items.filter((it) => {
       const sid = (it.seller?._id || it.seller).toString();
       return sid === sellerId;
     });
+    obj.shipment = obj.shipments.find((sh) => idOf(sh.seller) === sellerId) || null;
+    delete obj.shipments;
     return obj;
   });
   res.json(shaped);
@@ -471,14 +614,18 @@ export const confirmPreparation = asyncHandler(async (req, res) => {
 
   const sellerId = req.user._id.toString();
 
-  const sellerHasItems = order.items.some(
-    (it) => ((it.seller?._id || it.seller).toString()) === sellerId
-  );
+  ensureShipments(order);
+  const shipment = findSellerShipment(order, sellerId);
 
-  if (!sellerHasItems) {
+  if (!shipment) {
     return res.status(403).json({ message: 'This order has no items for the current seller' });
   }
 
+  const status = shipment.status;
+  if (!['placed', 'confirmed', 'preparing'].includes(status)) {
+    return res.status(400).json({ message: `Shipment can no longer be prepared (status: ${status})` });
+  }
+
   let anyUpdated = false;
 
   order.items.forEach((it) => {
@@ -489,8 +636,14 @@ export const confirmPreparation = asyncHandler(async (req, res) => {
     }
   });
 
-  order.isPrepared = order.items.every((it) => it.isPrepared === true);
-  await order.save();
+  const transitionOpts = { actorId: req.user._id, role: req.user.role === 'admin' ? 'admin' : 'seller' };
+
+  // The seller's shipment goes placed/confirmed -> preparing -> ready; the order
+  // itself becomes ready once every seller's shipment is
+  if (status !== 'preparing') {
+    await transitionShipment(order, shipment, 'preparing', transitionOpts);
+  }
+  await transitionShipment(order, shipment, 'ready', { ...transitionOpts, note: 'Seller prepared their items' });
 
   // Log order preparation activity
   await logOrderActivity({
@@ -499,7 +652,11 @@ export const confirmPreparation = asyncHandler(async (req, res) => {
     actorRole: 'seller',
     action: 'order_prepared',
     description: 'Seller confirmed preparation of items',
-    metadata: { itemsPrepared: anyUpdated }
+    metadata: {
+      itemsPrepared: anyUpdated,
+      shipmentId: shipment._id,
+      preparationMinutes: shipment.preparationMinutes
+    }
   });
 
   // ----------------------------
@@ -800,243 +957,99 @@ export const confirmPreparation = asyncHandler(async (req, res) => {
 // complete order and update seller balance 
 // platform only 
 export const orderComplete = asyncHandler(async (req, res) => {
-  const { id, code } = req.body;
+  const { id, code, shipmentId } = req.body;
 
   // Find order by ID + secret code
-  const order = await Order.findOne({ _id: id, secretCode: code }).populate("items.seller");
+  const order = await Order.findOne({ _id: id, secretCode: code });
   if (!order) {
     return res.status(404).json({ message: 'Order not found or code invalid' });
   }
 
-  // Update order status
-  order.deliveryStatus = 'delivered';
-  order.paymentStatus = 'paid';
-  order.deliveredAt = Date.now();
-  await order.save();
-
-  // Log order completion
-  await logOrderActivity({
-    orderId: order._id,
-    actorId: req.user._id,
-    actorRole: 'delivery',
-    action: 'order_delivered',
-    description: 'Order marked as delivered & paid',
-    metadata: { secretCodeVerified: true }
-  });
-
-  // Process payouts only once
-  if (!order.payoutProcessed) {
-    const sellerEarningsMap = {};
-    let totalCouponDiscount = order.coupon?.discountAmount || 0;
-    let totalPlatformEarnings = 0;
-    let totalSellerEarnings = 0;
-
-    // 💰 Calculate seller earnings and platform fees
-    order.items.forEach((item) => {
-      const sellerId = item.seller._id.toString();
-      const itemTotal = item.price * item.quantity;
-
-      // Get dynamic platform fee based on product price
-      const platformFeePercentage = getPlatformFeeByPrice(item.price);
-
-      const sellerEarnings = itemTotal * (1 - platformFeePercentage);
-      const platformCommission = itemTotal * platformFeePercentage;
-
-      if (!sellerEarningsMap[sellerId]) {
-        sellerEarningsMap[sellerId] = {
-          seller: item.seller,
-          earnings: 0,
-          platformCommission: 0,          // after coupon deductions (if any)
-          originalPlatformCommission: 0,  // before coupon deductions
-          itemTotal: 0
-        };
-      }
-
-      // 🔥 SELLERS GET FULL EARNINGS - NO DISCOUNT DEDUCTIONS
-      sellerEarningsMap[sellerId].earnings += sellerEarnings;
+  // Only the courier the order is assigned to can hand it over
+  assertAssignedAgent(order, req.user);
 
-      // Platform commission (before discount adjustments)
-      sellerEarningsMap[sellerId].platformCommission += platformCommission;
-      sellerEarningsMap[sellerId].originalPlatformCommission += platformCommission;
-      sellerEarningsMap[sellerId].itemTotal += itemTotal;
-
-      totalPlatformEarnings += platformCommission;
-      totalSellerEarnings += sellerEarnings;
-    });
-
-    // Add shipping fee to platform earnings
-    totalPlatformEarnings += order.shippingFee || 0;
-
-    // 🔥 ALL DISCOUNTS ARE DEDUCTED FROM PLATFORM EARNINGS ONLY
-    // Distribute the ENTIRE coupon discount across platform commissions
-    let remainingDiscount = totalCouponDiscount;
-
-    // First pass: distribute discount proportionally to platform commission share
-    if (remainingDiscount > 0) {
-      const totalPlatformCommissionBeforeShipping = totalPlatformEarnings - (order.shippingFee || 0);
-
-      // Check if platform commission is enough to cover the discount
-      if (totalPlatformCommissionBeforeShipping >= remainingDiscount) {
-        // Deduct discount proportionally from each seller's platform commission
-        for (const sellerId in sellerEarningsMap) {
-          const seller = sellerEarningsMap[sellerId];
-          const platformShare = seller.platformCommission / totalPlatformCommissionBeforeShipping;
-          const platformDiscount = remainingDiscount * platformShare;
-
-          // Deduct from platform commission only
-          seller.platformCommission = Math.max(0, seller.platformCommission - platformDiscount);
-        }
-      } else {
-        // If platform commission is less than discount, use all commission and shipping
-        // This is an edge case - platform will have negative earnings for this order
-        const totalAvailable = totalPlatformEarnings;
-        if (totalAvailable >= remainingDiscount) {
-          // Use platform commission first
-          for (const sellerId in sellerEarningsMap) {
-            const seller = sellerEarningsMap[sellerId];
-            const platformShare = seller.platformCommission / totalPlatformCommissionBeforeShipping;
-            const platformDiscount = Math.min(seller.platformCommission, remainingDiscount * platformShare);
-
-            seller.platformCommission = Math.max(0, seller.platformCommission - platformDiscount);
-            remainingDiscount -= platformDiscount;
-          }
-
-          // If still discount remaining, deduct from shipping fee
-          // In this case, we'll reduce the shippingRevenue recorded
-        }
-      }
-    }
-
-    // Update sellers and create platform earnings records
-    for (const sellerId in sellerEarningsMap) {
-      const { seller, earnings, platformCommission, originalPlatformCommission } = sellerEarningsMap[sellerId];
-
-      // Calculate the discount applied to this seller's platform commission
-      const discountAmount = originalPlatformCommission - platformCommission;
-
-      // Platform earnings for this seller (after discount)
-      const platformEarningsAfterDiscount = platformCommission;
+  ensureShipments(order);
+  if (order.isModified('shipments')) {
+    await order.save();
+  }
 
-      // Shipping revenue is full shipping fee (if any)
-      const shippingRevenue = order.shippingFee ?
-        (originalPlatformCommission / (totalPlatformEarnings - (order.shippingFee || 0))) * order.shippingFee :
-        0;
+  // A single seller's shipment can be handed over on its own
+  const targets = order.shipments.filter((sh) => (shipmentId
+    ? sh._id.toString() === shipmentId.toString()
+    : sh.status !== 'cancelled'));
 
-      // Add platform earnings record
-      await PlatformEarningsModel.create({
-        orderId: order._id,
-        sellerId: seller._id,
-        commission: originalPlatformCommission, // Original commission before discount
-        discountAmount: discountAmount, // Amount deducted from platform (not seller)
-        amount: platformEarningsAfterDiscount + shippingRevenue, // Platform's actual earnings
-        shippingRevenue: shippingRevenue,
-        discountDetails: totalCouponDiscount > 0 ? {
-          couponCode: order.coupon?.code,
-          totalCouponDiscount,
-          platformDiscountShare: discountAmount,
-          note: "Entire discount borne by platform"
-        } : undefined,
-      });
+  if (shipmentId && targets.length === 0) {
+    return res.status(404).json({ message: 'Shipment not found in this order' });
+  }
 
-      // 🔥 UPDATE SELLER WALLET WITH FULL EARNINGS (NO DISCOUNT DEDUCTIONS)
-      if (!seller.wallet) {
-        seller.wallet = {
-          balance: 0,
-          pendingBalance: 0,
-          availableBalance: 0,
-          pendingTransactions: [],
-          lastTransaction: null,
-        };
-      }
+  const pending = targets.filter((sh) => sh.status !== 'delivered' || !sh.payout?.processed);
+  if (pending.length === 0) {
+    return res.status(400).json({ message: 'Order already delivered' });
+  }
 
-      const releaseDate = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+  const role = req.user.role === 'admin' ? 'admin' : 'delivery';
 
-      seller.wallet.pendingBalance = (seller.wallet.pendingBalance || 0) + earnings;
-      seller.wallet.pendingTransactions = seller.wallet.pendingTransactions || [];
-      seller.wallet.pendingTransactions.push({
-        orderId: order._id,
-        amount: earnings,
-        releaseDate,
-        status: 'pending'
-      });
+  // Validate every hand-over before touching any of them
+  pending
+    .filter((sh) => sh.status !== 'delivered')
+    .forEach((sh) => assertTransition(sh, 'delivered', role));
 
-      seller.wallet.lastTransaction = {
-        amount: earnings,
-        type: 'sale',
-        date: new Date(),
-        orderId: order._id,
-        // No coupon deduction for sellers
-        couponDeduction: null
-      };
-
-      // Create financial transaction record
-      await FinancialTransaction.create({
-        seller: seller._id,
-        order: order._id,
-        amount: earnings,
-        type: 'credit',
-        balanceAfter: (seller.wallet.balance || 0) + (seller.wallet.pendingBalance || 0),
-        source: 'order_payout',
-        status: 'pending',
-        note: 'Full earnings - All discounts borne by platform'
+  for (const shipment of pending) {
+    if (shipment.status !== 'delivered') {
+      await transitionShipment(order, shipment, 'delivered', {
+        actorId: req.user._id,
+        role,
+        note: 'Shipment delivered with secret code',
+        metadata: { secretCodeVerified: true }
       });
+    }
+  }
 
-      await seller.save();
-
-      // Notification for seller
-      const sellerNotification = new Notification({
-        userId: seller._id,
-        role: 'seller',
-        type: 'PAYOUT_COMPLETED',
-        title: '💵 تم تحويل الأرباح',
-        message: `تم تحويل مبلغ ${earnings.toFixed(2)} جنيه كأرباح كاملة من الطلب رقم #${order._id}`,
-        orderId: order._id,
-        link: `/seller/orders/${order._id}`
-      });
+  // Process each shipment's payout only once
+  const wasProcessed = order.payoutProcessed;
+  for (const shipment of pending) {
+    await processShipmentPayout(order, shipment);
+  }
 
-      await sellerNotification.save();
-    }
+  // Cash on delivery: the courier now holds the buyer's money until the handover
+  let cashCollected = 0;
+  for (const shipment of pending) {
+    const collection = await recordCodCollection(order, shipment, req.user);
+    cashCollected += collection?.amount || 0;
+  }
 
-    // Mark order as processed
+  const activeShipments = order.shipments.filter((sh) => sh.status !== 'cancelled');
+  if (activeShipments.every((sh) => sh.payout?.processed)) {
     order.payoutProcessed = true;
-    order.payoutDate = new Date();
-    await order.save();
-
-    // Create a platform summary record for this order
-    const platformSummary = await PlatformEarningsModel.aggregate([
-      { $match: { orderId: order._id } },
-      {
-        $group: {
-          _id: '$orderId',
-          totalPlatformCommission: { $sum: '$commission' },
-          totalDiscounts: { $sum: '$discounts' },
-          totalShippingRevenue: { $sum: '$shippingRevenue' },
-          netPlatformEarnings: { $sum: '$amount' },
-          sellerCount: { $sum: 1 }
-        }
-      }
-    ]);
+    order.payoutDate = order.payoutDate || new Date();
+  }
 
-    // Platform admin notification about discount impact
-    const adminUsers = await User.find({ role: 'admin' });
-    const adminNotifications = [];
+  const delivered = getOrderStatus(order) === 'delivered';
+  if (delivered && order.paymentStatus === 'pending') {
+    order.paymentStatus = 'paid';
+  }
+  completeDeliveryTask(order, req.user);
+  await order.save();
 
-    for (const admin of adminUsers) {
-      const adminNotification = new Notification({
-        userId: admin._id,
-        role: 'admin',
-        type: 'ORDER_COMPLETED',
-        title: '💰 ملخص أرباح الطلب',
-        message: `تم تسليم الطلب #${order._id} - إجمالي خصم الكوبون: ${totalCouponDiscount.toFixed(2)} جنيه (مخصوم من أرباح المنصة)`,
+  // Item discount plus any shipping waived by a free-shipping coupon
+  const totalCouponDiscount = (order.coupon?.discountAmount || 0) + (order.coupon?.shippingDiscount || 0);
+
+  // Platform admin notification about discount impact, once the whole order is paid out
+  if (order.payoutProcessed && !wasProcessed) {
+    const adminUsers = await User.find({ role: 'admin' }).select('_id');
+    const adminNotifications = adminUsers.map((admin) => ({
+      userId: admin._id,
+      role: 'admin',
+      type: 'ORDER_COMPLETED',
+      title: '💰 ملخص أرباح الطلب',
+      message: `تم تسليم الطلب #${order._id} - إجمالي خصم الكوبون: ${totalCouponDiscount.toFixed(2)} جنيه (مخصوم من أرباح المنصة)`,
+      data: {
         orderId: order._id,
-        link: `/admin/orders/${order._id}`,
-        metadata: {
-          totalCouponDiscount,
-          platformImpact: totalCouponDiscount > 0 ? "Discount fully borne by platform" : "No discount applied"
-        }
-      });
-      adminNotifications.push(adminNotification);
-    }
+        totalCouponDiscount,
+        platformImpact: totalCouponDiscount > 0 ? 'Discount fully borne by platform' : 'No discount applied'
+      },
+      link: `/admin/orders/${order._id}`
+    }));
 
     if (adminNotifications.length > 0) {
       await Notification.insertMany(adminNotifications);
@@ -1044,55 +1057,199 @@ export const orderComplete = asyncHandler(async (req, res) => {
   }
 
   // Notification for buyer
-  const buyerNotification = new Notification({
+  await Notification.create({
     userId: order.buyer,
     role: 'user',
     type: 'ORDER_COMPLETED',
-    title: '✅ تم تسليم الطلب',
-    message: `تم تسليم طلبك رقم #${order._id} بنجاح 🎉 ${order.coupon ? `(تم تطبيق خصم بقيمة ${order.coupon.discountAmount} جنيه)` : ''}`,
-    orderId: order._id,
+    title: delivered ? '✅ تم تسليم الطلب' : '📦 تم تسليم جزء من طلبك',
+    message: delivered
+      ? `تم تسليم طلبك رقم #${order._id} بنجاح 🎉 ${order.coupon ? `(تم تطبيق خصم بقيمة ${order.coupon.discountAmount} جنيه)` : ''}`
+      : `تم تسليم ${pending.length} شحنة من طلبك رقم #${order._id} وباقي الشحنات في الطريق`,
+    data: { orderId: order._id, shipmentIds: pending.map((sh) => sh._id) },
     link: `/orders/${order._id}`
   });
-  await buyerNotification.save();
 
   res.json({
-    message: 'Order completed successfully',
+    message: delivered ? 'Order completed successfully' : 'Shipment delivered successfully',
+    status: order.status,
+    shipments: order.shipments.map((sh) => ({
+      _id: sh._id,
+      seller: idOf(sh.seller),
+      status: sh.status,
+      payoutProcessed: Boolean(sh.payout?.processed)
+    })),
     payoutProcessed: order.payoutProcessed,
+    cashCollected: Math.round(cashCollected * 100) / 100,
     couponApplied: !!order.coupon,
-    couponDiscount: order.coupon?.discountAmount || 0,
+    couponDiscount: totalCouponDiscount,
     platformDiscountImpact: order.coupon ? 'Discount fully deducted from platform earnings' : 'No discount applied'
   });
 });
+// Legacy delivery statuses mapped onto the order lifecycle
+const LEGACY_DELIVERY_STATUS = {
+  shipped: 'shipped',
+  delivered: 'delivered',
+  cancelled: 'cancelled'
+};
+
+// Admin: move an order along its lifecycle (accepts legacy `deliveryStatus`)
 export const updateDeliveryStatus = asyncHandler(async (req, res) => {
-  // //console.log('im in the updateDeliveryStatus');
-  // Find the order by id
-  const { id, deliveryStatus } = req.body;
-  const order = await Order.findById(id)
+  const { id, deliveryStatus, status, note } = req.body;
+  const to = status || LEGACY_DELIVERY_STATUS[deliveryStatus];
+
+  if (!to) {
+    return res.status(400).json({ message: 'Invalid order status' });
+  }
 
+  const order = await Order.findById(id);
   if (!order) {
-    return res.status(404).json({ message: 'Order not found   ' });
+    return res.status(404).json({ message: 'Order not found' });
   }
 
-  order.deliveryStatus = deliveryStatus;
-  await order.save();
-  // //create notification for buyer
-  const buyerNotification = new Notification({
-    userId: req.user._id,
-    role: 'user',
-    type: 'ORDER_PLACED',
-    title: 'تم تحديث حالة طلبك بنجاح ✅',
-    message: `📦 تم ${deliveryStatus} الطلب`,
-    orderId: order._id,
-    link: `/orders/${order._id}`
-  });
-  await buyerNotification.save();
+  const refund = await applyStatusChange(req, order, to, note);
 
   res.json({
     message: 'success',
+    status: order.status,
+    allowedTransitions: getAllowedTransitions(order, req.user.role),
+    refund
   });
 });
 
-// Simple one-time cancellation/activation
+// Staff (admin / seller / delivery): move an order to the next lifecycle status
+export const updateOrderStatus = asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    return res.status(404).json({ message: 'Order not found' });
+  }
+
+  if (!['admin', 'seller', 'delivery'].includes(req.user.role)) {
+    return res.status(403).json({ message: 'Not allowed to change the order status' });
+  }
+
+  if (req.user.role === 'delivery') {
+    assertAssignedAgent(order, req.user);
+  }
+
+  // Delivery must be confirmed with the buyer's secret code
+  if (status === 'delivered') {
+    return res.status(400).json({ message: 'Use /api/orders/complete with the secret code to deliver an order' });
+  }
+
+  // Sellers only ever move their own shipment
+  if (req.user.role === 'seller') {
+    ensureShipments(order);
+    const shipment = findSellerShipment(order, req.user._id);
+    if (!shipment) {
+      return res.status(403).json({ message: 'This order has no items for the current seller' });
+    }
+
+    const refund = await applyShipmentChange(req, order, shipment, status, note);
+
+    return res.json({
+      success: true,
+      status: order.status,
+      shipment: { _id: shipment._id, status: shipment.status },
+      allowedTransitions: getAllowedTransitions(shipment, req.user.role),
+      refund
+    });
+  }
+
+  const refund = await applyStatusChange(req, order, status, note);
+
+  res.json({
+    success: true,
+    status: order.status,
+    allowedTransitions: getAllowedTransitions(order, req.user.role),
+    refund
+  });
+});
+
+// Staff (admin / seller / delivery): move one seller shipment and/or update its tracking info
+export const updateShipment = asyncHandler(async (req, res) => {
+  const { status, note, tracking } = req.body;
+
+  if (!['admin', 'seller', 'delivery'].includes(req.user.role)) {
+    return res.status(403).json({ message: 'Not allowed to update shipments' });
+  }
+
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    return res.status(404).json({ message: 'Order not found' });
+  }
+
+  const shipment = order.shipments.id(req.params.shipmentId);
+  if (!shipment) {
+    return res.status(404).json({ message: 'Shipment not found in this order' });
+  }
+
+  if (req.user.role === 'seller' && idOf(shipment.seller) !== req.user._id.toString()) {
+    return res.status(403).json({ message: 'This shipment belongs to another seller' });
+  }
+
+  if (req.user.role === 'delivery') {
+    assertAssignedAgent(order, req.user);
+  }
+
+  if (status === 'delivered') {
+    return res.status(400).json({ message: 'Use /api/orders/complete with the secret code to deliver a shipment' });
+  }
+
+  if (status) {
+    // Fail before touching the tracking info
+    assertTransition(shipment, status, req.user.role);
+  }
+
+  if (tracking) {
+    shipment.tracking = {
+      ...(shipment.tracking?.toObject?.() || shipment.tracking || {}),
+      ...tracking,
+      updatedAt: new Date()
+    };
+  }
+
+  let refund = null;
+  if (status) {
+    refund = await applyShipmentChange(req, order, shipment, status, note);
+  } else {
+    await order.save();
+
+    await logOrderActivity({
+      orderId: order._id,
+      actorId: req.user._id,
+      actorRole: req.user.role,
+      action: 'shipment_tracking_updated',
+      description: 'Shipment tracking info updated',
+      metadata: { shipmentId: shipment._id, tracking }
+    });
+
+    try {
+      await Notification.create({
+        userId: idOf(order.buyer),
+        role: 'user',
+        type: 'SHIPPING_STATUS_UPDATED',
+        title: 'تم تحديث بيانات تتبع شحنتك 🚚',
+        message: `رقم التتبع: ${shipment.tracking.trackingNumber || '-'} - الطلب رقم #${order._id.toString().slice(-6)}`,
+        data: { orderId: order._id, shipmentId: shipment._id, tracking: shipment.tracking },
+        link: `/orders/${order._id}`
+      });
+    } catch (nErr) {
+      console.error('Failed to notify buyer about tracking update:', nErr);
+    }
+  }
+
+  res.json({
+    success: true,
+    status: order.status,
+    shipment,
+    allowedTransitions: getAllowedTransitions(shipment, req.user.role),
+    refund
+  });
+});
+
+// Buyer: one-time cancellation / reactivation
 export const toggleOrderStatus = asyncHandler(async (req, res, next) => {
   const { id, action } = req.body;
 
@@ -1104,9 +1261,20 @@ export const toggleOrderStatus = asyncHandler(async (req, res, next) => {
     });
   }
 
+  if (req.user.role !== 'admin' && idOf(order.buyer) !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized for this order'
+    });
+  }
+
+  const role = req.user.role === 'admin' ? 'admin' : 'user';
+  const status = getOrderStatus(order);
+  let refund = null;
+
   if (action === 'cancel') {
     // CANCEL LOGIC
-    if (order.OrderStatus === 'canceled') {
+    if (status === 'cancelled') {
       return res.status(400).json({
         success: false,
         message: 'Already canceled'
@@ -1130,19 +1298,58 @@ export const toggleOrderStatus = asyncHandler(async (req, res, next) => {
       });
     }
 
-    order.OrderStatus = "canceled";
-    order.cancelDate = new Date();
-    order.cancelCount = (order.cancelCount || 0) + 1;
+    if (!canTransition(status, 'cancelled', role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Order can no longer be cancelled (status: ${status})`
+      });
+    }
+
+    await transitionOrder(order, 'cancelled', {
+      actorId: req.user._id,
+      role,
+      note: 'Order cancelled by buyer'
+    });
+
+    // Give the money back for orders that were already paid by card / wallet
+    refund = await refundCancelledOrder(order, {
+      actorId: req.user._id,
+      io: req.app.get('io')
+    });
 
   } else if (action === 'activate') {
     // ACTIVATE LOGIC
-    if (order.OrderStatus !== 'canceled') {
+    if (status !== 'cancelled') {
       return res.status(400).json({
         success: false,
         message: 'Order is not canceled'
       });
     }
 
+    // Its payment hold was let go (payment window ran out or cancelled unpaid)
+    if (order.stockHold?.status === 'released') {
+      return res.status(400).json({
+        success: false,
+        message: 'Order payment was not completed, please place a new order'
+      });
+    }
+
+    // Sent back to the sellers after failed delivery attempts
+    if (['returning_to_seller', 'returned_to_seller'].includes(order.delivery?.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order was returned to the seller, please place a new order'
+      });
+    }
+
+    // A refunded order can't be revived
+    if (order.refundedAmount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order has already been refunded'
+      });
+    }
+
     // Check if already activated after cancellation
     if (order.activateCount >= 1) {
       return res.status(400).json({
@@ -1153,22 +1360,30 @@ export const toggleOrderStatus = asyncHandler(async (req, res, next) => {
 
     // 1-day limit after cancellation
     const oneDayInMs = 24 * 60 * 60 * 1000;
-    if (Date.now() - order.cancelDate.getTime() > oneDayInMs) {
+    if (!order.cancelDate || Date.now() - order.cancelDate.getTime() > oneDayInMs) {
       return res.status(400).json({
         success: false,
         message: '1-day activation period expired'
       });
     }
 
-    order.OrderStatus = "active";
-    order.activateCount = (order.activateCount || 0) + 1;
+    await transitionOrder(order, 'placed', {
+      actorId: req.user._id,
+      role,
+      note: 'Order reactivated by buyer'
+    });
+  } else {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid action'
+    });
   }
 
-  await order.save();
-
   res.status(200).json({
     success: true,
-    message: `Order ${action}ed successfully`
+    message: `Order ${action}ed successfully`,
+    status: order.status,
+    refund
   });
 });
 
@@ -1184,7 +1399,8 @@ export const releasePendingEarnings = asyncHandler(async () => {
     'wallet.pendingTransactions': {
       $elemMatch: {
         releaseDate: { $lte: now },
-        status: 'pending'
+        status: 'pending',
+        awaitingCash: { $ne: true }
       }
     }
   });
@@ -1195,7 +1411,7 @@ export const releasePendingEarnings = asyncHandler(async () => {
     if (!seller.wallet || !seller.wallet.pendingTransactions) continue;
 
     const pendingTransactions = seller.wallet.pendingTransactions.filter(
-      t => t.status === 'pending' && new Date(t.releaseDate) <= now
+      t => t.status === 'pending' && new Date(t.releaseDate) <= now && !t.awaitingCash
     );
 
     if (pendingTransactions.length === 0) continue;
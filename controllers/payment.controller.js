@@ -1,6 +1,9 @@
 import axios from 'axios';
 import crypto from 'crypto';
 import Order from '../models/order.model.js';
+import { refundCancelledOrder } from '../services/refund.service.js';
+import { getOrderStatus } from '../services/orderStatus.service.js';
+import { releaseCancelledStock } from '../services/inventory.service.js';
 
 /* ================== ENV ================== */
 const PAYMOB_API_KEY = process.env.PAYMOB_API_KEY;
@@ -41,6 +44,17 @@ export const createPaymobPayment = async (req, res) => {
       return res.status(404).json({ message: 'Order not found' });
     }
 
+    // The reserved stock is released once the payment window runs out
+    const hold = order.stockHold;
+    if (hold?.status === 'released' || (hold?.status === 'held' && hold.expiresAt <= new Date())) {
+      return res.status(400).json({ message: 'Payment window expired, please place a new order' });
+    }
+
+    // Don't let the payment key outlive the stock hold
+    const expiration = hold?.status === 'held'
+      ? Math.max(60, Math.floor((hold.expiresAt - Date.now()) / 1000))
+      : 3600;
+
     /* 1️⃣ Auth */
     const { data: auth } = await axios.post(
       'https://accept.paymob.com/api/auth/tokens',
@@ -67,7 +81,7 @@ export const createPaymobPayment = async (req, res) => {
       {
         auth_token: auth.token,
         amount_cents: Math.round(order.total * 100),
-        expiration: 3600,
+        expiration,
         order_id: paymobOrder.id,
         currency: 'EGP',
         integration_id: integrationId,
@@ -188,9 +202,32 @@ export const paymobWebhook = async (req, res) => {
       });
 
       if (order) {
-        order.paymentStatus = 'completed';
-        order.transactionId = data.id;
+        order.paymentStatus = 'paid';
+        // Keep the Paymob transaction id, refunds are issued against it
+        order.paymentData = { ...(order.paymentData || {}), transactionId: data.id };
+        order.markModified('paymentData');
+
+        // Confirm the hold atomically so it can't be released at the same time;
+        // a cancelled order never gets its hold confirmed
+        let holdReleased = order.stockHold?.status === 'released';
+        if (order.stockHold?.status === 'held') {
+          const confirmed = await Order.updateOne(
+            { _id: order._id, 'stockHold.status': 'held', status: { $ne: 'cancelled' } },
+            { $set: { 'stockHold.status': 'confirmed', paymentStatus: 'paid' } }
+          );
+          holdReleased = confirmed.modifiedCount === 0;
+          // Cancelled with the hold still out: release it (and its stock) now
+          if (holdReleased && getOrderStatus(order) === 'cancelled') {
+            await releaseCancelledStock(order);
+          }
+          order.stockHold.status = holdReleased ? 'released' : 'confirmed';
+        }
         await order.save();
+
+        // Paid after the hold ran out or the order was cancelled: give the money back
+        if (holdReleased || getOrderStatus(order) === 'cancelled') {
+          await refundCancelledOrder(order, { io: req.app.get('io') });
+        }
       }
     }
 
@@ -5,6 +5,11 @@ import asyncHandler from 'express-async-handler';
 import User from '../models/user.model.js';
 import { createError } from '../utils/error.js';
 import { searchCache } from '../utils/cache.js';
+import { parseVariants } from '../services/productVariant.service.js';
+import { checkStockLevels } from '../services/stockAlert.service.js';
+import { notifyWishlistWatchers } from '../services/wishlistAlert.service.js';
+import { notifyStoreFollowers } from '../services/store.service.js';
+import { getProductPageQuestions } from '../services/productQuestion.service.js';
 
 const defaultDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
 const escapeRegex = (str = '') => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -45,6 +50,7 @@ export const createFilterObj = (req, res, next) => {
     category,
     isFeatured,
     discountPercentage,
+    inStock,
   } = req.query;
 
   if (minPrice || maxPrice) {
@@ -69,6 +75,10 @@ export const createFilterObj = (req, res, next) => {
     filterObj.isFeatured = isFeatured === 'true';
   }
 
+  if (inStock === 'true') {
+    filterObj.outOfStock = { $ne: true };
+  }
+
   if (discountPercentage) {
     filterObj.discountPercentage = { $gte: parseFloat(discountPercentage) };
   }
@@ -185,6 +195,10 @@ export const createProduct = asyncHandler(async (req, res) => {
     }
   }
 
+  // Each variant carries its own SKU, stock and optional price; the product
+  // quantity becomes their sum
+  const variants = productData.variants ? parseVariants(productData.variants) : [];
+
   const price = parseFloat(productData.price);
   const discountPercentage = parseFloat(productData.discountPercentage) || 0;
   const discountAmount = price * (discountPercentage / 100);
@@ -204,9 +218,12 @@ export const createProduct = asyncHandler(async (req, res) => {
     status: productData.status || 'pending',
     sellerPercentage: discountedPrice * 0.88,
     isFeatured: productData.isFeatured === 'true' || productData.isFeatured === true,
-    quantity: parseInt(productData.quantity) || 0
+    quantity: parseInt(productData.quantity) || 0,
+    variants
   });
 
+  await checkStockLevels([product._id]);
+
   await product.populate('category', 'name nameEn');
   await product.populate('seller', 'firstName lastName email');
 
@@ -269,10 +286,6 @@ export const getProductsForAdmin = asyncHandler(async (req, res) => {
 export const getProducts = asyncHandler(async (req, res) => {
   //console.log('Getting products with filter...');
 
-  const { skip, limit, page } = res.locals.pagination; // from pagination middleware || 1;
-  // limit from middleware || 12;
-  // skip calculated by middleware
-
   // بناء كائن الفلتر الأساسي
   const filter = {
     isApproved: true,
@@ -294,15 +307,14 @@ export const getProducts = asyncHandler(async (req, res) => {
   //console.log('Final filter object:', filter);
 
   
-  const total = await Product.countDocuments(filter);
-  console.log(total, 'total')
-  console.log(skip, 'skip')
-  console.log(page, 'page')
-  const products = await Product.find(filter)
-    .populate('category', 'name nameEn')
-    .sort(req.sortObj || { approvedAt: -1 })
-    .skip(skip)
-    .limit(limit);
+  // Page or cursor mode, see middlewares/pagination.js
+  const [total, products] = await Promise.all([
+    Product.countDocuments(filter),
+    res.locals.paginateQuery(
+      Product.find(filter).populate('category', 'name nameEn'),
+      req.sortObj || { approvedAt: -1 }
+    )
+  ]);
 
   const formattedProducts = formatProductsArray(products);
 
@@ -324,9 +336,16 @@ export const getProductById = asyncHandler(async (req, res) => {
     throw new Error('Product not found');
   }
 
+  // Most upvoted answered questions
+  const { questions, answeredCount } = await getProductPageQuestions(product._id);
+
   res.json({
     success: true,
-    product: formatProductResponse(product)
+    product: {
+      ...formatProductResponse(product),
+      questions,
+      answeredQuestionsCount: answeredCount
+    }
   });
 });
 
@@ -456,6 +475,10 @@ export const approveProduct = asyncHandler(async (req, res) => {
     console.error('Failed to notify seller of approval', notifErr);
   }
 
+  await notifyWishlistWatchers(req.app.get('io'), product);
+  // Followers can be many: fan out in the background, it never throws
+  notifyStoreFollowers(req.app.get('io'), product);
+
   res.json({
     success: true,
     message: 'تم الموافقة على المنتج',
@@ -590,6 +613,10 @@ export const updateProduct = asyncHandler(async (req, res) => {
     product.sizes = sizes;
   }
 
+  if (updates.variants !== undefined) {
+    product.variants = parseVariants(updates.variants);
+  }
+
   if (updates.price !== undefined || updates.discountPercentage !== undefined) {
     const price = updates.price !== undefined ? parseFloat(updates.price) : product.price;
     const discountPercentage = updates.discountPercentage !== undefined ? parseFloat(updates.discountPercentage) : product.discountPercentage;
@@ -608,6 +635,9 @@ export const updateProduct = asyncHandler(async (req, res) => {
   ];
 
   allowedUpdates.forEach(key => {
+    // Stock of a product with variants is managed per variant
+    if (key === 'quantity' && product.variants.length) return;
+
     if (updates[key] !== undefined) {
       if (key === 'quantity' || key === 'sellerPercentage') {
         product[key] = parseFloat(updates[key]);
@@ -626,6 +656,12 @@ export const updateProduct = asyncHandler(async (req, res) => {
 
   const updatedProduct = await product.save();
 
+  // Restocking clears the alert state, running low raises a new one
+  await checkStockLevels([updatedProduct._id]);
+
+  // Restock / price drop alerts for wishlists (seller edits wait for approval)
+  await notifyWishlistWatchers(req.app.get('io'), updatedProduct);
+
   if (req.user.role !== 'admin') {
     try {
       const admins = await User.find({ role: 'admin' }).select('_id');
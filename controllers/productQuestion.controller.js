@@ -0,0 +1,302 @@
+import asyncHandler from 'express-async-handler';
+import ProductQuestion from '../models/productQuestion.model.js';
+import Product from '../models/product.model.js';
+import { createError } from '../utils/error.js';
+import { sendNotification } from '../utils/notify.js';
+import { formatQuestion } from '../services/productQuestion.service.js';
+
+const QUESTION_NOT_FOUND_MESSAGE = 'السؤال غير موجود';
+
+const QUESTION_SORTS = {
+  top: { upvoteCount: -1, createdAt: -1 },
+  newest: { createdAt: -1 }
+};
+
+// `?answered=true|false` filter
+const answeredFilter = (answered) => {
+  if (answered === 'true') return { isAnswered: true };
+  if (answered === 'false') return { isAnswered: false };
+  return {};
+};
+
+const findProductQuestion = async (productId, questionId) => {
+  const question = await ProductQuestion.findOne({ _id: questionId, product: productId });
+  if (!question) throw createError(QUESTION_NOT_FOUND_MESSAGE, 404);
+  return question;
+};
+
+// @desc    Published questions of a product
+// @route   GET /api/products/:productId/questions?answered=&sort=top|newest
+// @access  Public
+export const getProductQuestions = asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+  const filter = {
+    product: productId,
+    status: 'published',
+    ...answeredFilter(req.query.answered)
+  };
+
+  const [total, questions] = await Promise.all([
+    ProductQuestion.countDocuments(filter),
+    res.locals.paginateQuery(
+      ProductQuestion.find(filter).populate('user', 'firstName lastName').lean(),
+      QUESTION_SORTS[req.query.sort] || QUESTION_SORTS.top
+    )
+  ]);
+
+  res.json({
+    success: true,
+    data: questions.map((q) => formatQuestion(q, req.user?._id)),
+    pagination: res.locals.buildLinks(total)
+  });
+});
+
+// @desc    Ask a question about a product
+// @route   POST /api/products/:productId/questions
+// @access  Private
+export const askQuestion = asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+
+  const product = await Product.findOne({ _id: productId, isApproved: true, isActive: true })
+    .select('_id title seller');
+  if (!product) throw createError('المنتج غير موجود', 404);
+
+  if (product.seller.toString() === req.user._id.toString()) {
+    throw createError('لا يمكنك طرح سؤال على منتجك', 400);
+  }
+
+  const question = await ProductQuestion.create({
+    product: product._id,
+    seller: product.seller,
+    user: req.user._id,
+    question: req.body.question
+  });
+
+  try {
+    await sendNotification(req.app.get('io'), {
+      userId: product.seller,
+      role: 'seller',
+      actor: req.user._id,
+      type: 'PRODUCT_QUESTION_ASKED',
+      title: 'سؤال جديد على منتجك',
+      message: `تم طرح سؤال جديد على منتجك "${product.title}"`,
+      data: { productId: product._id, questionId: question._id }
+    });
+  } catch (err) {
+    console.error('Failed to notify seller of new question:', err.message);
+  }
+
+  await question.populate('user', 'firstName lastName');
+
+  res.status(201).json({
+    success: true,
+    message: 'تم إرسال سؤالك',
+    data: formatQuestion(question.toObject(), req.user._id)
+  });
+});
+
+// @desc    Answer (or edit the answer to) a question
+// @route   PUT /api/products/:productId/questions/:questionId/answer
+// @access  Private/Seller of the product, Admin
+export const answerQuestion = asyncHandler(async (req, res) => {
+  const question = await findProductQuestion(req.params.productId, req.params.questionId);
+
+  const isAdminUser = req.user.role === 'admin';
+  if (!isAdminUser && question.seller.toString() !== req.user._id.toString()) {
+    throw createError('غير مصرح لك بالإجابة على هذا السؤال', 403);
+  }
+
+  const now = new Date();
+  const firstAnswer = !question.isAnswered;
+
+  question.answer = {
+    text: req.body.answer,
+    answeredBy: req.user._id,
+    answeredByRole: isAdminUser ? 'admin' : 'seller',
+    updatedAt: now
+  };
+  question.isAnswered = true;
+  if (firstAnswer) question.answeredAt = now;
+  await question.save();
+
+  if (firstAnswer) {
+    try {
+      await sendNotification(req.app.get('io'), {
+        userId: question.user,
+        role: 'user',
+        actor: req.user._id,
+        type: 'PRODUCT_QUESTION_ANSWERED',
+        title: 'تمت الإجابة على سؤالك',
+        message: 'تمت الإجابة على سؤالك عن المنتج',
+        data: { productId: question.product, questionId: question._id }
+      });
+    } catch (err) {
+      console.error('Failed to notify user of answer:', err.message);
+    }
+  }
+
+  await question.populate('user', 'firstName lastName');
+
+  res.json({
+    success: true,
+    message: 'تم حفظ الإجابة',
+    data: formatQuestion(question.toObject(), req.user._id)
+  });
+});
+
+// @desc    Upvote a question, or take the upvote back
+// @route   POST /api/products/:productId/questions/:questionId/upvote
+// @access  Private
+export const toggleQuestionUpvote = asyncHandler(async (req, res) => {
+  const { productId, questionId } = req.params;
+  const userId = req.user._id;
+  const base = { _id: questionId, product: productId, status: 'published' };
+
+  // Atomic, so double clicks can't count twice
+  let updated = await ProductQuestion.findOneAndUpdate(
+    { ...base, upvotes: { $ne: userId } },
+    { $addToSet: { upvotes: userId }, $inc: { upvoteCount: 1 } },
+    { new: true }
+  ).select('upvoteCount');
+  let upvoted = true;
+
+  if (!updated) {
+    updated = await ProductQuestion.findOneAndUpdate(
+      { ...base, upvotes: userId },
+      { $pull: { upvotes: userId }, $inc: { upvoteCount: -1 } },
+      { new: true }
+    ).select('upvoteCount');
+    upvoted = false;
+  }
+
+  if (!updated) throw createError(QUESTION_NOT_FOUND_MESSAGE, 404);
+
+  res.json({
+    success: true,
+    data: { upvoted, upvoteCount: updated.upvoteCount }
+  });
+});
+
+// @desc    Report an abusive question to the moderators
+// @route   POST /api/products/:productId/questions/:questionId/report
+// @access  Private
+export const reportQuestion = asyncHandler(async (req, res) => {
+  const { productId, questionId } = req.params;
+
+  const question = await ProductQuestion.findOne({ _id: questionId, product: productId }).select('_id');
+  if (!question) throw createError(QUESTION_NOT_FOUND_MESSAGE, 404);
+
+  await ProductQuestion.updateOne(
+    { _id: questionId, reports: { $ne: req.user._id } },
+    { $addToSet: { reports: req.user._id }, $inc: { reportCount: 1 } }
+  );
+
+  res.json({
+    success: true,
+    message: 'تم إرسال البلاغ'
+  });
+});
+
+// @desc    Delete a question (the asker while unanswered, or an admin)
+// @route   DELETE /api/products/:productId/questions/:questionId
+// @access  Private
+export const deleteQuestion = asyncHandler(async (req, res) => {
+  const question = await findProductQuestion(req.params.productId, req.params.questionId);
+
+  if (req.user.role !== 'admin') {
+    if (question.user.toString() !== req.user._id.toString()) {
+      throw createError('غير مصرح لك بحذف هذا السؤال', 403);
+    }
+    if (question.isAnswered) {
+      throw createError('لا يمكن حذف سؤال تمت الإجابة عليه', 400);
+    }
+  }
+
+  await question.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'تم حذف السؤال'
+  });
+});
+
+// @desc    Questions on the seller's products (unanswered first by default)
+// @route   GET /api/questions/seller?answered=
+// @access  Private/Seller
+export const getSellerQuestions = asyncHandler(async (req, res) => {
+  const filter = {
+    seller: req.user._id,
+    status: 'published',
+    ...answeredFilter(req.query.answered)
+  };
+
+  const [total, questions] = await Promise.all([
+    ProductQuestion.countDocuments(filter),
+    res.locals.paginateQuery(
+      ProductQuestion.find(filter)
+        .populate('user', 'firstName lastName')
+        .populate('product', 'title images')
+        .lean(),
+      { isAnswered: 1, createdAt: 1 }
+    )
+  ]);
+
+  res.json({
+    success: true,
+    data: questions.map((q) => ({ ...formatQuestion(q), product: q.product })),
+    pagination: res.locals.buildLinks(total)
+  });
+});
+
+// @desc    Moderation queue: reported questions first
+// @route   GET /api/questions/admin?status=&reported=true
+// @access  Private/Admin
+export const getQuestionsForAdmin = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.reported === 'true') filter.reportCount = { $gt: 0 };
+
+  const [total, questions] = await Promise.all([
+    ProductQuestion.countDocuments(filter),
+    res.locals.paginateQuery(
+      ProductQuestion.find(filter)
+        .select('-upvotes -reports')
+        .populate('user', 'firstName lastName email')
+        .populate('product', 'title')
+        .lean(),
+      { reportCount: -1, createdAt: -1 }
+    )
+  ]);
+
+  res.json({
+    success: true,
+    data: questions,
+    pagination: res.locals.buildLinks(total)
+  });
+});
+
+// @desc    Hide or restore a question
+// @route   PATCH /api/questions/:questionId/moderate
+// @access  Private/Admin
+export const moderateQuestion = asyncHandler(async (req, res) => {
+  const { status, reason } = req.body;
+
+  const question = await ProductQuestion.findByIdAndUpdate(
+    req.params.questionId,
+    {
+      status,
+      moderationReason: reason,
+      moderatedBy: req.user._id,
+      moderatedAt: new Date()
+    },
+    { new: true }
+  ).select('-upvotes -reports');
+
+  if (!question) throw createError(QUESTION_NOT_FOUND_MESSAGE, 404);
+
+  res.json({
+    success: true,
+    message: status === 'hidden' ? 'تم إخفاء السؤال' : 'تم نشر السؤال',
+    data: question
+  });
+});
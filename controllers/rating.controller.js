@@ -1,10 +1,17 @@
-import Rating from '../models/rating.model.js';
+import Rating, { SUB_RATINGS } from '../models/rating.model.js';
 import Product from '../models/product.model.js';
 import { createError } from '../utils/error.js';
+import { sendNotification } from '../utils/notify.js';
+import { findDeliveredPurchase } from '../services/review.service.js';
+import { computeSellerReputation, refreshSellerReputation } from '../services/sellerReputation.service.js';
 import asyncHandler from 'express-async-handler';
 
 const RATING_EXISTS_MESSAGE = 'تم تقيم المنتج من قبل .';
 const RATING_NOT_FOUND_MESSAGE = 'Rating not found.';
+const RATING_PENDING_MESSAGE = 'تم إرسال تقييمك وسيظهر بعد مراجعته';
+
+// Fields a reviewer can set (status and verifiedPurchase are server-side only)
+const REVIEW_FIELDS = ['rating', 'comment', 'images', 'wouldRecommend', ...SUB_RATINGS];
 
 const formatUserName = (userDoc) => {
   if (!userDoc) return 'Unknown User';
@@ -19,6 +26,15 @@ const formatRatingResponse = (ratingDoc) => {
     id: rating._id,
     rating: rating.rating,
     comment: rating.comment,
+    images: rating.images || [],
+    subRatings: Object.fromEntries(
+      SUB_RATINGS.filter((field) => rating[field] != null).map((field) => [field, rating[field]])
+    ),
+    wouldRecommend: rating.wouldRecommend,
+    verifiedPurchase: Boolean(rating.verifiedPurchase),
+    isFeatured: Boolean(rating.isFeatured),
+    status: rating.status,
+    rejectionReason: rating.status === 'rejected' ? rating.rejectionReason : undefined,
     createdAt: rating.createdAt,
     updatedAt: rating.updatedAt,
     user: rating.user
@@ -30,19 +46,14 @@ const formatRatingResponse = (ratingDoc) => {
   };
 };
 
-const validateRatingValue = (value) => Number.isInteger(value) && value >= 1 && value <= 5;
+const pickReviewFields = (body) => Object.fromEntries(
+  REVIEW_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]])
+);
 
 export const addRating = asyncHandler(async (req, res, next) => {
   const { productId } = req.params;
-  const { rating, comment } = req.body;
-  //console.log(productId, 'ids')
-
-  const numericRating = Number(rating);
-  if (!validateRatingValue(numericRating)) {
-    return next(createError('Rating must be an integer between 1 and 5.', 400));
-  }
 
-  const product = await Product.findById(productId).select('_id seller');
+  const product = await Product.findById(productId).select('_id seller ratingsAverage');
   if (!product) {
     return next(createError('Product not found.', 404));
   }
@@ -56,23 +67,31 @@ export const addRating = asyncHandler(async (req, res, next) => {
     return next(createError(RATING_EXISTS_MESSAGE, 400));
   }
 
+  // Only buyers who received the product can review it
+  const purchase = await findDeliveredPurchase(req.user._id, product);
+  if (!purchase) {
+    return next(createError('يمكنك تقييم المنتج بعد استلامه فقط', 403));
+  }
+
   const newRating = await Rating.create({
+    ...pickReviewFields(req.body),
     product: product._id,
     seller: product.seller,
     user: req.user._id,
-    rating: numericRating,
-    comment: typeof comment === 'string' ? comment.trim() : undefined
+    order: purchase._id,
+    verifiedPurchase: true,
+    status: 'pending'
   });
 
   await newRating.populate({ path: 'user', select: 'firstName lastName' });
 
-  const summary = await Rating.calcAverageRatings(product._id);
-
   return res.status(201).json({
     success: true,
+    message: RATING_PENDING_MESSAGE,
     data: {
       rating: formatRatingResponse(newRating),
-      productAverage: summary.ratingsAverage
+      // Unchanged until the review is approved
+      productAverage: product.ratingsAverage
     }
   });
 });
@@ -84,9 +103,18 @@ export const getProductRatings = asyncHandler(async (req, res, next) => {
     return next(createError('Product not found.', 404));
   }
 
-  const ratings = await Rating.find({ product: productId })
-    .sort({ createdAt: -1 })
-    .populate({ path: 'user', select: 'firstName lastName' });
+  const filter = { product: productId, status: 'approved' };
+  if (req.query.verified === 'true') filter.verifiedPurchase = true;
+  if (req.query.withImages === 'true') filter['images.0'] = { $exists: true };
+
+  const [ratings, myRating] = await Promise.all([
+    Rating.find(filter)
+      .sort({ isFeatured: -1, createdAt: -1 })
+      .populate({ path: 'user', select: 'firstName lastName' }),
+    // The reviewer still sees their own review while it waits for moderation
+    Rating.findOne({ product: productId, user: req.user._id })
+      .populate({ path: 'user', select: 'firstName lastName' })
+  ]);
 
   const formattedRatings = ratings.map(formatRatingResponse);
   //console.log(formattedRatings,'rats')
@@ -94,6 +122,7 @@ export const getProductRatings = asyncHandler(async (req, res, next) => {
     success: true,
     data: {
       ratings: formattedRatings,
+      myRating: myRating ? formatRatingResponse(myRating) : null,
       averageRating: product.ratingsAverage,
       total: formattedRatings.length
     }
@@ -102,7 +131,6 @@ export const getProductRatings = asyncHandler(async (req, res, next) => {
 
 export const updateRating = asyncHandler(async (req, res, next) => {
   const { productId, ratingId } = req.params;
-  const { rating, comment } = req.body;
 
   const existingRating = await Rating.findById(ratingId);
   if (!existingRating || existingRating.product.toString() !== productId) {
@@ -113,38 +141,35 @@ export const updateRating = asyncHandler(async (req, res, next) => {
     return next(createError('You are not allowed to update this rating.', 403));
   }
 
-  const updates = {};
-
-  if (rating !== undefined) {
-    const numericRating = Number(rating);
-    if (!validateRatingValue(numericRating)) {
-      return next(createError('Rating must be an integer between 1 and 5.', 400));
-    }
-    updates.rating = numericRating;
-  }
-
-  if (comment !== undefined) {
-    if (comment !== null && typeof comment !== 'string') {
-      return next(createError('Comment must be a string.', 400));
-    }
-    updates.comment = typeof comment === 'string' ? comment.trim() : undefined;
-  }
-
+  const updates = pickReviewFields(req.body);
   if (!Object.keys(updates).length) {
     return next(createError('Nothing to update.', 400));
   }
 
-  Object.assign(existingRating, updates);
+  // An edited review goes back through moderation
+  const wasApproved = existingRating.status === 'approved';
+  Object.assign(existingRating, updates, {
+    status: 'pending',
+    isFeatured: false,
+    rejectionReason: undefined
+  });
   await existingRating.save();
   await existingRating.populate({ path: 'user', select: 'firstName lastName' });
 
-  const summary = await Rating.calcAverageRatings(productId);
+  let summary;
+  if (wasApproved) {
+    summary = await Rating.calcAverageRatings(productId);
+    await refreshSellerReputation(existingRating.seller);
+  } else {
+    summary = await Product.findById(productId).select('ratingsAverage').lean();
+  }
 
   return res.status(200).json({
     success: true,
+    message: RATING_PENDING_MESSAGE,
     data: {
       rating: formatRatingResponse(existingRating),
-      productAverage: summary.ratingsAverage
+      productAverage: summary?.ratingsAverage ?? 0
     }
   });
 });
@@ -166,6 +191,9 @@ export const deleteRating = asyncHandler(async (req, res, next) => {
 
   await ratingDoc.deleteOne();
   const summary = await Rating.calcAverageRatings(productId);
+  if (ratingDoc.status === 'approved') {
+    await refreshSellerReputation(ratingDoc.seller);
+  }
 
   return res.status(200).json({
     success: true,
@@ -174,4 +202,144 @@ export const deleteRating = asyncHandler(async (req, res, next) => {
       productAverage: summary.ratingsAverage
     }
   });
-});
\ No newline at end of file
+});
+
+// @desc    Review moderation queue (pending by default)
+// @route   GET /api/admin/ratings?status=pending|approved|rejected&product=
+// @access  Private/Admin
+export const getRatingsForAdmin = asyncHandler(async (req, res) => {
+  const filter = { status: req.query.status || 'pending' };
+  if (req.query.product) filter.product = req.query.product;
+
+  const [total, ratings] = await Promise.all([
+    Rating.countDocuments(filter),
+    res.locals.paginateQuery(
+      Rating.find(filter)
+        .populate({ path: 'user', select: 'firstName lastName email' })
+        .populate({ path: 'product', select: 'title images' }),
+      // Oldest pending reviews first
+      filter.status === 'pending' ? { createdAt: 1 } : { moderatedAt: -1 }
+    )
+  ]);
+
+  res.json({
+    success: true,
+    data: ratings.map((rating) => ({ ...formatRatingResponse(rating), product: rating.product })),
+    pagination: res.locals.buildLinks(total)
+  });
+});
+
+// @desc    Approve or reject a review (approved reviews count toward the rating)
+// @route   PATCH /api/admin/ratings/:ratingId/moderate
+// @access  Private/Admin
+export const moderateRating = asyncHandler(async (req, res, next) => {
+  const { status, reason, isFeatured } = req.body;
+
+  const rating = await Rating.findById(req.params.ratingId);
+  if (!rating) {
+    return next(createError(RATING_NOT_FOUND_MESSAGE, 404));
+  }
+
+  const statusChanged = rating.status !== status;
+  rating.status = status;
+  rating.rejectionReason = status === 'rejected' ? reason : undefined;
+  rating.isFeatured = status === 'approved' && Boolean(isFeatured);
+  rating.moderatedBy = req.user._id;
+  rating.moderatedAt = new Date();
+  await rating.save();
+
+  const summary = await Rating.calcAverageRatings(rating.product);
+
+  if (statusChanged) {
+    await refreshSellerReputation(rating.seller);
+
+    const io = req.app.get('io');
+    try {
+      await sendNotification(io, {
+        userId: rating.user,
+        role: 'user',
+        actor: req.user._id,
+        type: status === 'approved' ? 'REVIEW_APPROVED' : 'REVIEW_REJECTED',
+        title: status === 'approved' ? 'تم نشر تقييمك' : 'تم رفض تقييمك',
+        message: status === 'approved'
+          ? 'تمت الموافقة على تقييمك وأصبح ظاهراً للجميع'
+          : `تم رفض تقييمك${reason ? `: ${reason}` : ''}`,
+        data: { productId: rating.product, ratingId: rating._id }
+      });
+
+      if (status === 'approved') {
+        await sendNotification(io, {
+          userId: rating.seller,
+          role: 'seller',
+          type: 'REVIEW_RECEIVED',
+          title: 'تقييم جديد على منتجك',
+          message: `حصل منتجك على تقييم ${rating.rating} من 5`,
+          data: { productId: rating.product, ratingId: rating._id }
+        });
+      }
+    } catch (err) {
+      console.error('Failed to send review moderation notification:', err.message);
+    }
+  }
+
+  await rating.populate({ path: 'user', select: 'firstName lastName' });
+
+  res.json({
+    success: true,
+    message: status === 'approved' ? 'تمت الموافقة على التقييم' : 'تم رفض التقييم',
+    data: {
+      rating: formatRatingResponse(rating),
+      productAverage: summary.ratingsAverage
+    }
+  });
+});
+
+// @desc    Reviews on the seller's products
+// @route   GET /api/sellers/ratings?status=approved|pending|rejected
+// @access  Private/Seller
+export const getSellerRatings = asyncHandler(async (req, res) => {
+  const filter = { seller: req.user._id, status: req.query.status || 'approved' };
+
+  const [total, ratings] = await Promise.all([
+    Rating.countDocuments(filter),
+    res.locals.paginateQuery(
+      Rating.find(filter)
+        .populate({ path: 'user', select: 'firstName lastName' })
+        .populate({ path: 'product', select: 'title images' }),
+      { createdAt: -1 }
+    )
+  ]);
+
+  res.json({
+    success: true,
+    data: ratings.map((rating) => ({ ...formatRatingResponse(rating), product: rating.product })),
+    pagination: res.locals.buildLinks(total)
+  });
+});
+
+// @desc    The seller's rating distribution and reputation breakdown
+// @route   GET /api/sellers/ratings/stats
+// @access  Private/Seller
+export const getSellerRatingStats = asyncHandler(async (req, res) => {
+  const distribution = await Rating.aggregate([
+    { $match: { seller: req.user._id, status: 'approved' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  // Stored by the review / order events and the nightly job; only computed
+  // (not saved) for a seller who has none yet
+  const reputation = req.user.vendorProfile?.reputation?.updatedAt
+    ? req.user.vendorProfile.reputation
+    : await computeSellerReputation(req.user._id);
+
+  res.json({
+    success: true,
+    data: {
+      distribution: Object.fromEntries([1, 2, 3, 4, 5].map((star) => [
+        star,
+        distribution.find((row) => row._id === star)?.count || 0
+      ])),
+      reputation
+    }
+  });
+});
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import Refund from '../models/refund.model.js';
+import { retryRefund as retryRefundService } from '../services/refund.service.js';
+import { createError } from '../utils/error.js';
+
+const REFUND_STATUSES = ['pending', 'completed', 'failed'];
+
+// @desc    List the current user's refunds
+// @route   GET /api/refunds/me
+// @access  Private
+export const getMyRefunds = asyncHandler(async (req, res) => {
+  const { skip, limit } = res.locals.pagination;
+  const filter = { buyer: req.user._id };
+
+  const [total, refunds] = await Promise.all([
+    Refund.countDocuments(filter),
+    Refund.find(filter)
+      .select('-items.sellerReversal -items.platformReversal')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+  ]);
+
+  res.json({ success: true, data: refunds, pagination: res.locals.buildLinks(total) });
+});
+
+// @desc    List refunds (filter by status / order / method)
+// @route   GET /api/refunds/admin
+// @access  Admin
+export const getRefundsForAdmin = asyncHandler(async (req, res) => {
+  const { skip, limit } = res.locals.pagination;
+  const filter = {};
+
+  if (REFUND_STATUSES.includes(req.query.status)) filter.status = req.query.status;
+  if (['paymob', 'store_credit'].includes(req.query.method)) filter.method = req.query.method;
+  if (req.query.orderId && mongoose.Types.ObjectId.isValid(req.query.orderId)) {
+    filter.order = new mongoose.Types.ObjectId(req.query.orderId);
+  }
+
+  const [total, refunds] = await Promise.all([
+    Refund.countDocuments(filter),
+    Refund.find(filter)
+      .populate('buyer', 'firstName lastName email phone')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+  ]);
+
+  res.json({ success: true, data: refunds, pagination: res.locals.buildLinks(total) });
+});
+
+// @desc    Retry a failed refund (optionally as store credit)
+// @route   POST /api/refunds/admin/:id/retry
+// @access  Admin
+export const retryRefund = asyncHandler(async (req, res, next) => {
+  const refund = await Refund.findOne({ _id: req.params.id, status: 'failed' });
+  if (!refund) {
+    return next(createError('عملية الاسترداد غير موجودة أو لم تفشل', 404));
+  }
+
+  await retryRefundService(refund, {
+    storeCredit: req.body.method === 'store_credit',
+    io: req.app.get('io')
+  });
+
+  res.json({ success: refund.status === 'completed', data: refund });
+});
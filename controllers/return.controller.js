@@ -5,6 +5,8 @@ import Notification from '../models/notification.model.js';
 import User from '../models/user.model.js';
 import { createError } from '../utils/error.js';
 import asyncHandler from 'express-async-handler';
+import { refundReturnRequest } from '../services/refund.service.js';
+import { refreshSellerReputation } from '../services/sellerReputation.service.js';
 
 export const createReturnRequest = asyncHandler(async (req, res) => {
   const { orderId, reason, itemId, images = [] } = req.body;
@@ -127,6 +129,9 @@ export const createReturnRequest = asyncHandler(async (req, res) => {
 
   await returnRequest.save();
 
+  // Return rate is part of the seller's reputation
+  refreshSellerReputation(orderItem.seller);
+
   // ======== Blocking rules ========
   // 1) Block buyer if they have made more than 3 return requests within the last 6 months
   const sixMonthsAgo = new Date(Date.now() - 6 * 30 * 24 * 60 * 60 * 1000);
@@ -297,11 +302,27 @@ export const updateReturnStatus = asyncHandler(async (req, res) => {
   }
 
   // حدّث الحالة والملاحظات إن وُجدت
+  const wasRejected = returnRequest.status === 'rejected';
   returnRequest.status = status;
   // if (adminNote) returnRequest.adminNote = adminNote;
 
   await returnRequest.save();
 
+  // Rejected returns don't count toward the seller's return rate
+  if (wasRejected !== (status === 'rejected')) {
+    refreshSellerReputation(returnRequest.seller?._id || returnRequest.seller);
+  }
+
+  // استرداد المبلغ للمشتري وعكس أرباح البائع والمنصة عند إنهاء الإرجاع
+  let refund = null;
+  if (status === 'finished') {
+    refund = await refundReturnRequest(returnRequest, {
+      actorId: req.user._id,
+      io: req.app.get('io'),
+      storeCredit: req.body.refundMethod === 'store_credit'
+    });
+  }
+
   // إرسال إشعارات للمستخدمين المعنيين حسب الحالة
   const notifications = [];
 
@@ -371,6 +392,7 @@ export const updateReturnStatus = asyncHandler(async (req, res) => {
   res.json({
     message: 'تم تحديث حالة طلب الإرجاع بنجاح',
     returnRequest,
+    refund,
   });
 });
 
@@ -5,6 +5,23 @@ import mongoose from 'mongoose';
 import asyncHandler from 'express-async-handler';
 import { searchCache } from '../utils/cache.js';
 import logger from '../utils/logger.js';
+import { normalizeSearchText, trigrams } from '../utils/searchText.js';
+import {
+  clearRecentSearches,
+  getRecentSearches,
+  getSuggestions,
+  recordSearch
+} from '../services/searchSuggest.service.js';
+import {
+  getClickThroughRates,
+  getTopQueries,
+  getTrendingQueries,
+  getZeroResultQueries,
+  logSearchClick,
+  logSearchEvent,
+  resolveWindow
+} from '../services/searchAnalytics.service.js';
+import { combineFacetFilters, computeFacets, parseFacetFilters } from '../services/searchFacets.service.js';
 
 /**
  * ============================================
@@ -12,12 +29,13 @@ import logger from '../utils/logger.js';
  * ============================================
  * 
  * Features:
- * - MongoDB text search (when index exists)
- * - Regex fallback for Arabic and short queries
+ * - Arabic-aware normalization (alef / hamza, taa marbuta, yaa, tashkeel)
+ * - Trigram fuzzy matching for misspellings
  * - Multi-field search (title, description, brand, category)
  * - Relevance scoring
  * - Caching for performance
  * - Support for filters and sorting
+ * - Facet counts for multi-select filters
  */
 
 // ============================================
@@ -32,28 +50,6 @@ const escapeRegex = (str) => {
   return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 };
 
-/**
- * Check if string is Arabic
- */
-const isArabic = (text) => {
-  return /^[\u0600-\u06FF\s]+$/.test(text);
-};
-
-/**
- * Check if MongoDB text index exists
- */
-const hasTextIndex = async () => {
-  try {
-    const indexes = await Product.collection.getIndexes();
-    return Object.keys(indexes).some(key =>
-      indexes[key].text || indexes[key].weights
-    );
-  } catch (err) {
-    logger.warn('Error checking text index:', err.message);
-    return false;
-  }
-};
-
 /**
  * Build search conditions for regex-based search
  */
@@ -121,32 +117,27 @@ const findMatchingCategories = async (searchTerm) => {
   }
 };
 
+// Share of the query trigrams a title must have to count as a misspelling
+const FUZZY_THRESHOLD = 0.35;
+
 /**
  * Build complete search query
+ *
+ * Everything is compared in its normalized form (see utils/searchText.js) so
+ * Arabic spelling variants and mixed Arabic / English queries behave the same.
+ * Returns the `$match` plus the stages that score each candidate and drop
+ * those that only share a few trigrams with the query.
  */
 const buildSearchQuery = async (searchTerm, baseFilter) => {
   const trimmed = searchTerm.trim();
-  if (!trimmed) return baseFilter;
-
-  const textIndexExists = await hasTextIndex();
-  const isArabicText = isArabic(trimmed);
-
-  // Use MongoDB text search if:
-  // 1. Text index exists
-  // 2. Query is not pure Arabic (text search works better with English/Latin)
-  // 3. Query length > 2 characters
-  if (textIndexExists && !isArabicText && trimmed.length > 2) {
-    try {
-      return {
-        ...baseFilter,
-        $text: { $search: trimmed }
-      };
-    } catch (err) {
-      logger.warn('Text search failed, falling back to regex:', err.message);
-    }
-  }
+  const normalized = normalizeSearchText(trimmed);
+  if (!normalized) return { match: baseFilter, stages: [] };
 
-  // Fallback to regex-based search
+  const words = normalized.split(' ').map(escapeRegex);
+  const phrase = words.join(' ');
+  const queryTrigrams = trigrams(normalized);
+
+  // Products saved before the normalized fields existed, until backfilled
   const regexConditions = buildRegexSearchConditions(trimmed);
 
   // Add brand and category search
@@ -156,7 +147,11 @@ const buildSearchQuery = async (searchTerm, baseFilter) => {
   ]);
 
   // Combine all search conditions
-  const allConditions = [...regexConditions];
+  const allConditions = [
+    { searchText: { $regex: words.join('|') } },
+    { searchTrigrams: { $in: queryTrigrams } },
+    ...regexConditions
+  ];
 
   if (brandIds.length > 0) {
     allConditions.push({ brand: { $in: brandIds } });
@@ -166,123 +161,112 @@ const buildSearchQuery = async (searchTerm, baseFilter) => {
     allConditions.push({ category: { $in: categoryIds } });
   }
 
-  return {
-    ...baseFilter,
-    $or: allConditions
+  const text = { $ifNull: ['$searchText', ''] };
+  const hasWord = (word) => ({ $cond: [{ $regexMatch: { input: text, regex: word } }, 1, 0] });
+  const similarity = {
+    $divide: [
+      { $size: { $setIntersection: [{ $ifNull: ['$searchTrigrams', []] }, queryTrigrams] } },
+      queryTrigrams.length
+    ]
   };
-};
 
-/**
- * Determine sort order based on search type
- */
-const getSortOrder = (mongoQuery, searchTerm) => {
-  // If using text search, sort by relevance score
-  if (mongoQuery.$text) {
-    return { score: { $meta: 'textScore' }, createdAt: -1 };
-  }
+  const stages = [
+    {
+      $addFields: {
+        _relevance: {
+          $add: [
+            // Whole phrase, more at the start of the title
+            { $cond: [{ $regexMatch: { input: text, regex: `^${phrase}` } }, 3, 0] },
+            { $cond: [{ $regexMatch: { input: text, regex: phrase } }, 2, 0] },
+            // Share of the query words found
+            { $multiply: [2, { $divide: [{ $add: words.map(hasWord) }, words.length] }] },
+            // Misspellings: trigram similarity of the title
+            { $cond: [{ $gte: [similarity, FUZZY_THRESHOLD] }, similarity, 0] },
+            { $cond: [{ $in: ['$brand', brandIds] }, 1, 0] },
+            { $cond: [{ $in: ['$category', categoryIds] }, 1, 0] },
+            // Not normalized yet: it got here through the raw regex
+            { $cond: [{ $eq: [text, ''] }, 1, 0] }
+          ]
+        }
+      }
+    },
+    { $match: { _relevance: { $gt: 0 } } }
+  ];
 
-  // For regex searches, prioritize by:
-  // 1. Title matches (exact start)
-  // 2. Ratings
-  // 3. Creation date
   return {
-    ratingsAverage: -1,
-    ratingsQuantity: -1,
-    createdAt: -1
+    match: { ...baseFilter, $or: allConditions },
+    stages
   };
 };
 
 /**
- * Execute search with fallback handling
+ * Determine sort order: most relevant first, then ratings and recency
  */
-const executeSearch = async (mongoQuery, sortObj, skip, limit) => {
-  try {
-    console.log('Search query raw:', mongoQuery);
-
-    const aggResult = await Product.aggregate([
-      { $match: mongoQuery },
-      {
-        $facet: {
-          docs: [
-            { $sort: sortObj },
-            { $skip: skip },
-            { $limit: limit },
-            {
-              $lookup: {
-                from: 'categories',
-                localField: 'category',
-                foreignField: '_id',
-                as: 'category',
-                pipeline: [{ $project: { name: 1 } }]
-              }
-            },
-            { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
-            {
-              $lookup: {
-                from: 'brands',
-                localField: 'brand',
-                foreignField: '_id',
-                as: 'brand',
-                pipeline: [{ $project: { name: 1 } }]
-              }
-            },
-            { $unwind: { path: '$brand', preserveNullAndEmptyArrays: true } },
-            { $project: { title: 1, price: 1, discountedPrice: 1, images: 1, ratingsAverage: 1, ratingsQuantity: 1, createdAt: 1, 'category.name': 1, 'brand.name': 1, sellerTrusted: 1 } }
-          ],
-          meta: [ { $count: 'total' } ]
-        }
-      }
-    ]);
-    const total = aggResult[0]?.meta[0]?.total || 0;
-    let products = aggResult[0]?.docs || [];
-
-    return { total, products };
+const getSortOrder = () => ({
+  _relevance: -1,
+  ratingsAverage: -1,
+  ratingsQuantity: -1,
+  createdAt: -1
+});
 
-  } catch (err) {
-    // If text search fails, fall back to regex
-    if (err.message && (err.message.includes('text index') || err.message.includes('$text'))) {
-      logger.warn('Text search failed, using regex fallback');
-
-      // Extract search term from error context or use simple regex
-      const searchTerm = mongoQuery.$text?.$search || '';
-      const escaped = escapeRegex(searchTerm);
-
-      const fallbackQuery = {
-        isApproved: true,
-        status: 'available',
-        isActive: true,
-        $or: [
-          { title: { $regex: escaped, $options: 'i' } },
-          { description: { $regex: escaped, $options: 'i' } }
-        ]
-      };
-
-      const total = await Product.countDocuments(fallbackQuery);
-      const products = await Product.find(fallbackQuery)
-        .select('title price discountedPrice images ratingsAverage ratingsQuantity createdAt category brand sellerTrusted')
-        .populate('category', 'name')
-        .populate('brand', 'name')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .lean();
-
-      return { total, products };
+/**
+ * Execute search
+ */
+const executeSearch = async (search, sortObj, skip, limit) => {
+  const aggResult = await Product.aggregate([
+    { $match: search.match },
+    ...search.stages,
+    {
+      $facet: {
+        docs: [
+          { $sort: sortObj },
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: 'categories',
+              localField: 'category',
+              foreignField: '_id',
+              as: 'category',
+              pipeline: [{ $project: { name: 1 } }]
+            }
+          },
+          { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+          {
+            $lookup: {
+              from: 'brands',
+              localField: 'brand',
+              foreignField: '_id',
+              as: 'brand',
+              pipeline: [{ $project: { name: 1 } }]
+            }
+          },
+          { $unwind: { path: '$brand', preserveNullAndEmptyArrays: true } },
+          { $project: { title: 1, price: 1, discountedPrice: 1, images: 1, ratingsAverage: 1, ratingsQuantity: 1, createdAt: 1, 'category.name': 1, 'brand.name': 1, sellerTrusted: 1, relevance: '$_relevance' } }
+        ],
+        meta: [ { $count: 'total' } ]
+      }
     }
+  ]);
+  const total = aggResult[0]?.meta[0]?.total || 0;
+  const products = aggResult[0]?.docs || [];
 
-    throw err;
-  }
+  return { total, products };
 };
 
+// Facet params as the client sent them, stored with the search event
+const FACET_PARAMS = ['category', 'brand', 'seller', 'color', 'size', 'minPrice', 'maxPrice', 'rating', 'inStock'];
+const pickFacetParams = (query) => Object.fromEntries(
+  FACET_PARAMS.filter((key) => query[key] !== undefined).map((key) => [key, query[key]])
+);
+
 export const searchProducts = asyncHandler(async (req, res) => {
   // Validate search query
-console.log('search787')
   const qRaw = (req.query.q || '').toString().trim();
   if (!qRaw) {
     res.status(400);
     throw new Error('Search query parameter "q" is required');
   }
-  console.log('Search query raw:', qRaw);
 
   // Pagination variables from middleware
   const { skip, limit, page } = res.locals.pagination;
@@ -294,30 +278,19 @@ console.log('search787')
     isActive: true
   };
 
-  // Add optional filters
-  if (req.query.category && mongoose.isValidObjectId(req.query.category)) {
-    baseFilter.category = new mongoose.Types.ObjectId(req.query.category);
-  }
-
-  if (req.query.brand && mongoose.isValidObjectId(req.query.brand)) {
-    baseFilter.brand = new mongoose.Types.ObjectId(req.query.brand);
-  }
-
-  if (req.query.minPrice || req.query.maxPrice) {
-    baseFilter.price = {};
-    if (req.query.minPrice) {
-      baseFilter.price.$gte = parseFloat(req.query.minPrice);
-    }
-    if (req.query.maxPrice) {
-      baseFilter.price.$lte = parseFloat(req.query.maxPrice);
-    }
-  }
+  // Multi-select facet filters (category, brand, seller, color, size, price, rating, inStock)
+  const facetFilters = parseFacetFilters(req.query);
+  const wantFacets = req.query.facets === 'true';
 
   // Build search query
-  const mongoQuery = await buildSearchQuery(qRaw, baseFilter);
+  const searchQuery = await buildSearchQuery(qRaw, baseFilter);
+  const search = {
+    match: { ...searchQuery.match, ...combineFacetFilters(facetFilters) },
+    stages: searchQuery.stages
+  };
 
   // Determine sort order
-  let sortObj = getSortOrder(mongoQuery, qRaw);
+  let sortObj = getSortOrder();
 
   // Handle custom sort parameter
   if (req.query.sort) {
@@ -341,35 +314,62 @@ console.log('search787')
   }
 
   // Check cache
-  const cacheKey = `search:v5:${JSON.stringify({
+  const cacheKey = `search:v8:${JSON.stringify({
     query: qRaw,
     page,
     limit,
-    filters: baseFilter,
+    filters: combineFacetFilters(facetFilters),
+    facets: wantFacets,
     sort: req.query.sort
   })}`;
 
+  // Popular queries and the user's recent searches (first page only)
+  if (page === 1) {
+    recordSearch(qRaw, req.user?._id);
+  }
+
+  // Analytics event for this request, its id lets the client report a click
+  const logEvent = (resultCount) => logSearchEvent({
+    query: qRaw,
+    filters: pickFacetParams(req.query),
+    sort: req.query.sort,
+    page,
+    resultCount,
+    userId: req.user?._id,
+    sessionId: req.get('x-session-id')
+  });
+
   const cached = await searchCache.get(cacheKey);
   if (cached) {
     logger.debug('Search cache hit', { query: qRaw, page });
+    const searchId = await logEvent(cached.total);
     return res.json({
       success: true,
       ...cached,
+      searchId,
       cached: true
     });
   }
 
-  // Execute search
-  const { total, products } = await executeSearch(mongoQuery, sortObj, skip, limit);
+  // Execute search (and the facet counts, when asked for)
+  const [{ total, products }, facets] = await Promise.all([
+    executeSearch(search, sortObj, skip, limit),
+    wantFacets ? computeFacets(searchQuery, facetFilters) : null
+  ]);
 
   // Format response
   const result = {
     success: true,
     products,
     query: qRaw,
+    total,
     pagination: res.locals.buildLinks(total)
   };
 
+  if (wantFacets) {
+    result.facets = facets;
+  }
+
   // Cache result for 5 minutes
   await searchCache.set(cacheKey, result, 300);
 
@@ -379,5 +379,127 @@ console.log('search787')
     total
   });
 
-  res.json(result);
+  const searchId = await logEvent(total);
+  res.json({ ...result, searchId });
+});
+
+// @desc    Autocomplete: product titles, categories, brands, popular and recent queries
+// @route   GET /api/search/suggest?q=
+// @access  Public (recent searches when signed in)
+export const suggestSearch = asyncHandler(async (req, res) => {
+  const q = (req.query.q || '').toString();
+
+  const [suggestions, recent] = await Promise.all([
+    getSuggestions(q),
+    req.user ? getRecentSearches(req.user._id) : []
+  ]);
+
+  // Recent searches narrowed to what is being typed
+  const prefix = normalizeSearchText(q);
+  const matchingRecent = prefix
+    ? recent.filter((entry) => normalizeSearchText(entry.query).startsWith(prefix))
+    : recent;
+
+  res.json({
+    success: true,
+    query: q,
+    ...suggestions,
+    recent: matchingRecent
+  });
+});
+
+// @desc    Get the user's recent searches
+// @route   GET /api/search/history
+// @access  Private
+export const getSearchHistory = asyncHandler(async (req, res) => {
+  const recent = await getRecentSearches(req.user._id);
+
+  res.json({
+    success: true,
+    data: recent
+  });
+});
+
+// @desc    Clear the user's recent searches (or just `?q=` one of them)
+// @route   DELETE /api/search/history
+// @access  Private
+export const clearSearchHistory = asyncHandler(async (req, res) => {
+  const removed = await clearRecentSearches(req.user._id, req.query.q);
+
+  res.json({
+    success: true,
+    message: 'تم مسح سجل البحث',
+    removed
+  });
+});
+
+// @desc    Record the product a user opened from a search's results
+// @route   POST /api/search/click
+// @access  Public
+export const recordSearchClick = asyncHandler(async (req, res) => {
+  const recorded = await logSearchClick(req.body);
+
+  res.json({
+    success: true,
+    recorded
+  });
+});
+
+// @desc    Most searched queries in a time window
+// @route   GET /api/search/analytics/top?from=&to=&limit=
+// @access  Private/Admin
+export const getTopSearches = asyncHandler(async (req, res) => {
+  const window = resolveWindow(req.query);
+  const data = await getTopQueries({ ...window, limit: req.query.limit });
+
+  res.json({
+    success: true,
+    ...window,
+    data
+  });
+});
+
+// @desc    Queries that returned no products
+// @route   GET /api/search/analytics/zero-results?from=&to=&limit=
+// @access  Private/Admin
+export const getZeroResultSearches = asyncHandler(async (req, res) => {
+  const window = resolveWindow(req.query);
+  const data = await getZeroResultQueries({ ...window, limit: req.query.limit });
+
+  res.json({
+    success: true,
+    ...window,
+    data
+  });
+});
+
+// @desc    Click-through rate per query, lowest first
+// @route   GET /api/search/analytics/ctr?from=&to=&limit=&minSearches=
+// @access  Private/Admin
+export const getSearchClickThrough = asyncHandler(async (req, res) => {
+  const window = resolveWindow(req.query);
+  const data = await getClickThroughRates({
+    ...window,
+    limit: req.query.limit,
+    minSearches: req.query.minSearches
+  });
+
+  res.json({
+    success: true,
+    ...window,
+    data
+  });
+});
+
+// @desc    Queries growing fastest over the last `hours`
+// @route   GET /api/search/analytics/trending?hours=&limit=
+// @access  Private/Admin
+export const getTrendingSearches = asyncHandler(async (req, res) => {
+  const data = await getTrendingQueries({ hours: req.query.hours, limit: req.query.limit });
+
+  res.json({
+    success: true,
+    hours: req.query.hours,
+    data
+  });
 });
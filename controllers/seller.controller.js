@@ -0,0 +1,62 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import User from '../models/user.model.js';
+import Product from '../models/product.model.js';
+import { createError } from '../utils/error.js';
+
+// @desc    Public seller profile with reputation
+// @route   GET /api/sellers/:sellerId
+// @access  Public
+export const getSellerProfile = asyncHandler(async (req, res) => {
+  const { sellerId } = req.params;
+  if (!mongoose.isValidObjectId(sellerId)) {
+    throw createError('البائع غير موجود', 404);
+  }
+
+  const seller = await User.findOne({
+    _id: sellerId,
+    role: 'seller',
+    isActive: true,
+    vendorProfile: { $exists: true }
+  })
+    .select('vendorProfile.storeName vendorProfile.slug vendorProfile.logo vendorProfile.city vendorProfile.rating vendorProfile.reputation isTrustedSeller createdAt')
+    .lean();
+
+  if (!seller) {
+    throw createError('البائع غير موجود', 404);
+  }
+
+  const productCount = await Product.countDocuments({
+    seller: seller._id,
+    isApproved: true,
+    isActive: true,
+    status: 'available'
+  });
+
+  const reputation = seller.vendorProfile.reputation || {};
+
+  res.json({
+    success: true,
+    data: {
+      id: seller._id,
+      storeName: seller.vendorProfile.storeName,
+      // Storefront: GET /api/stores/:slug
+      storeSlug: seller.vendorProfile.slug || null,
+      logo: seller.vendorProfile.logo || null,
+      city: seller.vendorProfile.city,
+      isTrustedSeller: seller.isTrustedSeller,
+      memberSince: seller.createdAt,
+      productCount,
+      rating: seller.vendorProfile.rating || 0,
+      reputation: {
+        score: reputation.score ?? 0,
+        reviewAverage: reputation.reviewAverage ?? 0,
+        reviewCount: reputation.reviewCount ?? 0,
+        onTimeRate: reputation.onTimeRate ?? null,
+        cancellationRate: reputation.cancellationRate ?? null,
+        returnRate: reputation.returnRate ?? null,
+        updatedAt: reputation.updatedAt ?? null
+      }
+    }
+  });
+});
@@ -0,0 +1,268 @@
+import asyncHandler from 'express-async-handler';
+import User from '../models/user.model.js';
+import SellerApplication, { OPEN_APPLICATION_STATUSES } from '../models/sellerApplication.model.js';
+import { createError } from '../utils/error.js';
+import { sendNotification } from '../utils/notify.js';
+import {
+  isNationalIdTaken,
+  mergeDocuments,
+  missingRequiredDocuments,
+  notifyAdminsOfApplication,
+  uploadKycDocuments,
+  uploadedDocumentTypes,
+  withSignedDocumentUrls,
+  withoutDocumentUrls
+} from '../services/sellerApplication.service.js';
+
+const APPLICATION_NOT_FOUND_MESSAGE = 'طلب البائع غير موجود';
+const NATIONAL_ID_TAKEN_MESSAGE = 'الرقم القومي مسجل لبائع آخر';
+
+const STORE_FIELDS = ['storeName', 'ownerName', 'phone', 'nationalId', 'city', 'description', 'payoutMethod', 'payoutAccount'];
+
+const pickStoreFields = (body) => Object.fromEntries(
+  STORE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]])
+);
+
+// Review decision -> application status, notification and audit action
+const REVIEW_DECISIONS = {
+  approve: {
+    status: 'approved',
+    type: 'SELLER_APPLICATION_APPROVED',
+    title: 'تمت الموافقة على طلبك',
+    message: () => 'مبروك! تم تفعيل حسابك كبائع ويمكنك الآن إضافة منتجاتك',
+    response: 'تمت الموافقة على الطلب وترقية الحساب إلى بائع'
+  },
+  reject: {
+    status: 'rejected',
+    type: 'SELLER_APPLICATION_REJECTED',
+    title: 'تم رفض طلبك',
+    message: (reason) => `تم رفض طلب فتح المتجر: ${reason}`,
+    response: 'تم رفض الطلب'
+  },
+  request_changes: {
+    status: 'changes_requested',
+    type: 'SELLER_APPLICATION_CHANGES_REQUESTED',
+    title: 'طلبك يحتاج إلى تعديلات',
+    message: (reason) => `يرجى تعديل طلب فتح المتجر: ${reason}`,
+    response: 'تم طلب تعديلات من المتقدم'
+  }
+};
+
+// @desc    Apply to become a seller (store details + identity documents)
+// @route   POST /api/seller-applications
+// @access  Private (multipart: nationalIdFront, nationalIdBack, commercialRegister?, taxCard?)
+export const submitSellerApplication = asyncHandler(async (req, res) => {
+  if (req.user.role !== 'user') {
+    throw createError(req.user.role === 'seller' ? 'حسابك بالفعل حساب بائع' : 'لا يمكن لهذا الحساب التقديم كبائع', 400);
+  }
+
+  const open = await SellerApplication.exists({ user: req.user._id, status: { $in: OPEN_APPLICATION_STATUSES } });
+  if (open) {
+    throw createError('لديك طلب قيد المراجعة بالفعل', 409);
+  }
+
+  const missing = missingRequiredDocuments(uploadedDocumentTypes(req.files));
+  if (missing.length) {
+    throw createError(`المستندات المطلوبة: ${missing.join(', ')}`, 400);
+  }
+
+  const store = pickStoreFields(req.body);
+  if (await isNationalIdTaken(store.nationalId, req.user._id)) {
+    throw createError(NATIONAL_ID_TAKEN_MESSAGE, 409);
+  }
+
+  const documents = await uploadKycDocuments(req.files);
+
+  const application = await SellerApplication.create({
+    user: req.user._id,
+    store,
+    documents,
+    history: [{ action: 'submitted', to: 'pending', actor: req.user._id, actorRole: req.user.role }]
+  });
+
+  await notifyAdminsOfApplication(req.app.get('io'), application);
+
+  res.status(201).json({
+    success: true,
+    message: 'تم إرسال طلبك وسيتم مراجعته قريباً',
+    data: withoutDocumentUrls(application.toObject())
+  });
+});
+
+// @desc    The current user's latest application
+// @route   GET /api/seller-applications/me
+// @access  Private
+export const getMySellerApplication = asyncHandler(async (req, res) => {
+  const application = await SellerApplication.findOne({ user: req.user._id })
+    .sort({ createdAt: -1 })
+    .select('-history.actor')
+    .lean();
+
+  if (!application) throw createError(APPLICATION_NOT_FOUND_MESSAGE, 404);
+
+  res.json({
+    success: true,
+    data: withoutDocumentUrls(application)
+  });
+});
+
+// @desc    Edit an open application; resubmits it when changes were requested
+// @route   PUT /api/seller-applications/me
+// @access  Private (multipart, every field optional)
+export const updateMySellerApplication = asyncHandler(async (req, res) => {
+  const application = await SellerApplication.findOne({
+    user: req.user._id,
+    status: { $in: OPEN_APPLICATION_STATUSES }
+  });
+  if (!application) throw createError(APPLICATION_NOT_FOUND_MESSAGE, 404);
+
+  const updates = pickStoreFields(req.body);
+  if (!Object.keys(updates).length && !uploadedDocumentTypes(req.files).length) {
+    throw createError('لا توجد تعديلات', 400);
+  }
+
+  if (updates.nationalId && await isNationalIdTaken(updates.nationalId, req.user._id)) {
+    throw createError(NATIONAL_ID_TAKEN_MESSAGE, 409);
+  }
+
+  Object.assign(application.store, updates);
+  application.documents = mergeDocuments(application.documents, await uploadKycDocuments(req.files));
+
+  const resubmitted = application.status === 'changes_requested';
+  application.history.push({
+    action: resubmitted ? 'resubmitted' : 'updated',
+    from: application.status,
+    to: 'pending',
+    actor: req.user._id,
+    actorRole: req.user.role
+  });
+  if (resubmitted) {
+    application.status = 'pending';
+    application.reviewReason = undefined;
+    application.submittedAt = new Date();
+  }
+  await application.save();
+
+  if (resubmitted) {
+    await notifyAdminsOfApplication(req.app.get('io'), application, { resubmitted: true });
+  }
+
+  res.json({
+    success: true,
+    message: resubmitted ? 'تم إعادة إرسال طلبك للمراجعة' : 'تم تحديث طلبك',
+    data: withoutDocumentUrls(application.toObject())
+  });
+});
+
+// @desc    Review queue (pending by default, oldest first)
+// @route   GET /api/seller-applications?status=pending|changes_requested|approved|rejected
+// @access  Private/Admin
+export const getSellerApplications = asyncHandler(async (req, res) => {
+  const filter = { status: req.query.status || 'pending' };
+
+  const [total, applications] = await Promise.all([
+    SellerApplication.countDocuments(filter),
+    res.locals.paginateQuery(
+      SellerApplication.find(filter)
+        .select('-history')
+        .populate('user', 'firstName lastName email phone createdAt')
+        .lean(),
+      OPEN_APPLICATION_STATUSES.includes(filter.status) ? { submittedAt: 1 } : { reviewedAt: -1 }
+    )
+  ]);
+
+  res.json({
+    success: true,
+    data: applications.map(withSignedDocumentUrls),
+    pagination: res.locals.buildLinks(total)
+  });
+});
+
+// @desc    Application with its documents (signed, expiring URLs) and audit trail
+// @route   GET /api/seller-applications/:id
+// @access  Private/Admin
+export const getSellerApplication = asyncHandler(async (req, res) => {
+  const application = await SellerApplication.findById(req.params.id)
+    .populate('user', 'firstName lastName email phone isVerified createdAt')
+    .populate('history.actor', 'firstName lastName email')
+    .lean();
+
+  if (!application) throw createError(APPLICATION_NOT_FOUND_MESSAGE, 404);
+
+  res.json({
+    success: true,
+    data: withSignedDocumentUrls(application)
+  });
+});
+
+// @desc    Approve, reject or request changes (approval upgrades the user to seller)
+// @route   PATCH /api/seller-applications/:id/review
+// @access  Private/Admin
+export const reviewSellerApplication = asyncHandler(async (req, res) => {
+  const { decision, reason } = req.body;
+  const outcome = REVIEW_DECISIONS[decision];
+
+  const application = await SellerApplication.findById(req.params.id);
+  if (!application) throw createError(APPLICATION_NOT_FOUND_MESSAGE, 404);
+
+  if (application.status !== 'pending') {
+    throw createError('لا يمكن مراجعة هذا الطلب في حالته الحالية', 400);
+  }
+
+  if (decision === 'approve') {
+    const user = await User.findById(application.user);
+    if (!user || !user.isActive) throw createError('المستخدم غير موجود', 404);
+    if (!['user', 'seller'].includes(user.role)) {
+      throw createError('لا يمكن ترقية هذا الحساب إلى بائع', 400);
+    }
+    if (await isNationalIdTaken(application.store.nationalId, user._id)) {
+      throw createError(NATIONAL_ID_TAKEN_MESSAGE, 409);
+    }
+
+    const { description, ...store } = application.store.toObject();
+    user.role = 'seller';
+    user.vendorProfile = {
+      ...(user.vendorProfile?.toObject?.() || {}),
+      ...store,
+      ...(description ? { description } : {}),
+      isApproved: true,
+      isNewSeller: true
+    };
+    // Saving generates the storefront slug
+    await user.save({ validateModifiedOnly: true });
+  }
+
+  application.history.push({
+    action: outcome.status,
+    from: application.status,
+    to: outcome.status,
+    actor: req.user._id,
+    actorRole: req.user.role,
+    reason
+  });
+  application.status = outcome.status;
+  application.reviewReason = decision === 'approve' ? undefined : reason;
+  application.reviewedBy = req.user._id;
+  application.reviewedAt = new Date();
+  await application.save();
+
+  try {
+    await sendNotification(req.app.get('io'), {
+      userId: application.user,
+      role: decision === 'approve' ? 'seller' : 'user',
+      actor: req.user._id,
+      type: outcome.type,
+      title: outcome.title,
+      message: outcome.message(reason),
+      data: { applicationId: application._id }
+    });
+  } catch (err) {
+    console.error('Failed to notify seller applicant:', err.message);
+  }
+
+  res.json({
+    success: true,
+    message: outcome.response,
+    data: withSignedDocumentUrls(application.toObject())
+  });
+});
@@ -0,0 +1,179 @@
+import asyncHandler from 'express-async-handler';
+import User from '../models/user.model.js';
+import Product from '../models/product.model.js';
+import StoreFollow from '../models/storeFollow.model.js';
+import { createError } from '../utils/error.js';
+import {
+  STORE_NOT_FOUND_MESSAGE,
+  findStoreBySlug,
+  formatStore,
+  storeProductsFilter
+} from '../services/store.service.js';
+
+const STORE_PRODUCT_FIELDS = 'title images price discountedPrice discountPercentage ratingsAverage ratingsQuantity outOfStock category brand approvedAt createdAt';
+
+// @desc    Public storefront of a seller
+// @route   GET /api/stores/:slug
+// @access  Public
+export const getStore = asyncHandler(async (req, res) => {
+  const seller = await findStoreBySlug(req.params.slug);
+
+  const [productCount, followerCount, following] = await Promise.all([
+    Product.countDocuments(storeProductsFilter(seller._id)),
+    StoreFollow.countDocuments({ seller: seller._id }),
+    req.user ? StoreFollow.exists({ user: req.user._id, seller: seller._id }) : null
+  ]);
+
+  res.json({
+    success: true,
+    data: formatStore(seller, {
+      productCount,
+      followerCount,
+      isFollowing: Boolean(following)
+    })
+  });
+});
+
+// @desc    Approved products of a store (same filters and sort as /api/products)
+// @route   GET /api/stores/:slug/products?category=&minPrice=&maxPrice=&inStock=&sort=
+// @access  Public
+export const getStoreProducts = asyncHandler(async (req, res) => {
+  const seller = await findStoreBySlug(req.params.slug);
+
+  const filter = {
+    ...(req.filterObj || {}),
+    // Storefronts never show pending or hidden products, whatever the query says
+    ...storeProductsFilter(seller._id)
+  };
+
+  const [total, products] = await Promise.all([
+    Product.countDocuments(filter),
+    res.locals.paginateQuery(
+      Product.find(filter).select(STORE_PRODUCT_FIELDS).populate('category', 'name nameEn').lean(),
+      req.sortObj || { approvedAt: -1 }
+    )
+  ]);
+
+  res.json({
+    success: true,
+    store: { id: seller._id, slug: seller.vendorProfile.slug, storeName: seller.vendorProfile.storeName },
+    products,
+    pagination: res.locals.buildLinks(total)
+  });
+});
+
+// @desc    Follow a store
+// @route   POST /api/stores/:slug/follow
+// @access  Private
+export const followStore = asyncHandler(async (req, res) => {
+  const seller = await findStoreBySlug(req.params.slug);
+
+  if (seller._id.toString() === req.user._id.toString()) {
+    throw createError('لا يمكنك متابعة متجرك', 400);
+  }
+
+  // Upsert so following twice is a no-op
+  await StoreFollow.updateOne(
+    { user: req.user._id, seller: seller._id },
+    { $setOnInsert: { user: req.user._id, seller: seller._id } },
+    { upsert: true }
+  );
+
+  res.json({
+    success: true,
+    message: 'تمت متابعة المتجر',
+    data: {
+      isFollowing: true,
+      followerCount: await StoreFollow.countDocuments({ seller: seller._id })
+    }
+  });
+});
+
+// @desc    Unfollow a store
+// @route   DELETE /api/stores/:slug/follow
+// @access  Private
+export const unfollowStore = asyncHandler(async (req, res) => {
+  const seller = await findStoreBySlug(req.params.slug);
+
+  await StoreFollow.deleteOne({ user: req.user._id, seller: seller._id });
+
+  res.json({
+    success: true,
+    message: 'تم إلغاء متابعة المتجر',
+    data: {
+      isFollowing: false,
+      followerCount: await StoreFollow.countDocuments({ seller: seller._id })
+    }
+  });
+});
+
+// @desc    Stores the current user follows
+// @route   GET /api/stores/following
+// @access  Private
+export const getFollowedStores = asyncHandler(async (req, res) => {
+  const filter = { user: req.user._id };
+
+  const [total, follows] = await Promise.all([
+    StoreFollow.countDocuments(filter),
+    res.locals.paginateQuery(
+      StoreFollow.find(filter)
+        .populate({
+          path: 'seller',
+          match: { isActive: true },
+          select: 'vendorProfile.storeName vendorProfile.slug vendorProfile.logo vendorProfile.banner vendorProfile.description vendorProfile.city vendorProfile.rating isTrustedSeller createdAt'
+        })
+        .lean(),
+      { createdAt: -1 }
+    )
+  ]);
+
+  res.json({
+    success: true,
+    // Deactivated stores drop out of the list
+    data: follows
+      .filter((follow) => follow.seller?.vendorProfile)
+      .map((follow) => formatStore(follow.seller, { followedAt: follow.createdAt })),
+    pagination: res.locals.buildLinks(total)
+  });
+});
+
+// @desc    Seller's own storefront, including follower count
+// @route   GET /api/stores/me
+// @access  Private/Seller
+export const getMyStore = asyncHandler(async (req, res) => {
+  const seller = await User.findOne({ _id: req.user._id, vendorProfile: { $exists: true } })
+    .select('vendorProfile isTrustedSeller createdAt')
+    .lean();
+  if (!seller) throw createError(STORE_NOT_FOUND_MESSAGE, 404);
+
+  const followerCount = await StoreFollow.countDocuments({ seller: seller._id });
+
+  res.json({
+    success: true,
+    data: formatStore(seller, { followerCount })
+  });
+});
+
+// @desc    Update the storefront description, logo and banner
+// @route   PATCH /api/stores/me
+// @access  Private/Seller
+export const updateMyStore = asyncHandler(async (req, res) => {
+  const seller = await User.findOne({ _id: req.user._id, vendorProfile: { $exists: true } });
+  if (!seller) throw createError(STORE_NOT_FOUND_MESSAGE, 404);
+
+  ['description', 'logo', 'banner'].forEach((field) => {
+    if (req.body[field] !== undefined) {
+      // Empty string clears the field
+      seller.vendorProfile[field] = req.body[field] || undefined;
+    }
+  });
+  await seller.save();
+
+  const followerCount = await StoreFollow.countDocuments({ seller: seller._id });
+
+  res.json({
+    success: true,
+    message: 'تم تحديث المتجر',
+    data: formatStore(seller.toObject(), { followerCount })
+  });
+});
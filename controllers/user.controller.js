@@ -10,6 +10,7 @@ import Product from '../models/product.model.js';
 import asyncHandler from 'express-async-handler';
 import { revokeAllUserTokens } from '../utils/jwt.js';
 import { redis } from '../config/redis-client.js';
+import { refreshSellerReputation } from '../services/sellerReputation.service.js';
 export const searchUsers = asyncHandler(async (req, res) => {
   let { q = "", role, page = 1, limit = 10 } = req.query;
 
@@ -117,7 +118,12 @@ export const getSellerOrders = asyncHandler(async (req, res) => {
 });
 
 export const getSellerForAdmin = asyncHandler(async (req, res) => {
-  const seller = await User.find({ role: 'seller' });
+  const query = User.find({ role: 'seller' });
+  // `?sort=reputation` lists the best rated sellers first
+  if (req.query.sort === 'reputation') {
+    query.sort({ 'vendorProfile.rating': -1, createdAt: -1 });
+  }
+  const seller = await query;
   //console.log('/////////////////////////////////////////////////////////////////');
   //console.log(seller, 'the seller >>>>>>>>>>>>>>>>>>>>>');
   //console.log('/////////////////////////////////////////////////////////////////');
@@ -356,7 +362,7 @@ export const softDeleteUser = asyncHandler(async (req, res, next) => {
 // دالة لاستعادة المستخدم المحذوف
 export const setSellerTrustedStatus = asyncHandler(async (req, res) => {
   const { id: sellerId } = req.params;
-  const { trusted = true } = req.body; // default true if not provided
+  const { trusted = true } = req.body; // default true if not provided, null hands it back to the reputation thresholds
 
   // Validate seller ID
   if (!sellerId) {
@@ -369,21 +375,32 @@ export const setSellerTrustedStatus = asyncHandler(async (req, res) => {
     return res.status(404).json({ success: false, message: 'Seller not found' });
   }
 
-  // Update trust status only if changed
-  if (seller.isTrustedSeller !== trusted) {
+  if (trusted === null) {
+    seller.trustedSellerSource = 'auto';
+    await seller.save();
+    await refreshSellerReputation(sellerId);
+    const refreshed = await User.findById(sellerId).select('isTrustedSeller');
+    seller.isTrustedSeller = refreshed.isTrustedSeller;
+  } else {
+    // A manual decision sticks: the reputation thresholds no longer change it
+    const changed = seller.isTrustedSeller !== trusted;
     seller.isTrustedSeller = trusted;
+    seller.trustedSellerSource = 'manual';
     await seller.save();
 
     // Update all products of this seller
-    await Product.updateMany({ seller: sellerId }, { sellerTrusted: trusted });
+    if (changed) {
+      await Product.updateMany({ seller: sellerId }, { sellerTrusted: trusted });
+    }
   }
 
   res.status(200).json({
     success: true,
-    message: `Seller trust status set to ${trusted}`,
+    message: trusted === null ? 'Seller trust status is now set by reputation' : `Seller trust status set to ${trusted}`,
     data: {
       sellerId: seller._id,
-      isTrustedSeller: seller.isTrustedSeller
+      isTrustedSeller: seller.isTrustedSeller,
+      trustedSellerSource: seller.trustedSellerSource
     }
   });
 });
@@ -122,6 +122,51 @@ export const checkFavorite = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Set back-in-stock / price-drop alerts for a wishlist item
+// @route   PATCH /api/wishlist/:productId/alerts
+// @access  Private
+export const setWishlistAlerts = asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+  const { backInStock, priceBelow } = req.body;
+
+  const wishlist = await Wishlist.findOne({ user: req.user._id });
+  const item = wishlist?.products.find(
+    (it) => it.product && it.product._id.toString() === productId
+  );
+
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      message: 'المنتج غير موجود في قائمة الأمنيات'
+    });
+  }
+
+  if (backInStock !== undefined) {
+    // Only sold-out items can wait for a restock
+    if (backInStock && item.product.quantity > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'المنتج متوفر حالياً في المخزون'
+      });
+    }
+    item.alerts.backInStock = backInStock;
+  }
+
+  if (priceBelow !== undefined) {
+    // A new target re-arms the alert
+    item.alerts.priceBelow = priceBelow ?? undefined;
+    item.alerts.lastNotifiedPrice = undefined;
+  }
+
+  await wishlist.save();
+
+  res.json({
+    success: true,
+    message: 'تم تحديث تنبيهات المنتج',
+    data: { product: productId, alerts: item.alerts }
+  });
+});
+
 // @desc    Clear wishlist
 // @route   DELETE /api/wishlist
 // @access  Private
@@ -0,0 +1,394 @@
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import WithdrawalRequest, { OPEN_WITHDRAWAL_STATUSES } from '../models/withdrawalRequest.model.js';
+import FinancialTransaction from '../models/financialTransaction.model.js';
+import Notification from '../models/notification.model.js';
+import User from '../models/user.model.js';
+import { sendNotification } from '../utils/notify.js';
+import { createError } from '../utils/error.js';
+import { WITHDRAWAL_STATUSES } from '../validations/withdrawal.validation.js';
+
+const MIN_WITHDRAWAL_AMOUNT = Number(process.env.WITHDRAWAL_MIN_AMOUNT || 100);
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Notify the seller (persisted + realtime). Failures never break the request.
+const notifySeller = async (req, sellerId, payload) => {
+  try {
+    await sendNotification(req.app.get('io'), {
+      userId: sellerId,
+      role: 'seller',
+      actor: req.user._id,
+      ...payload
+    });
+  } catch (err) {
+    console.error('Failed to notify seller about withdrawal:', err.message);
+  }
+};
+
+// Return held funds to the seller's available balance and record the reversal
+const releaseHold = async (withdrawal, actorId, note) => {
+  // Re-synced like the hold in `requestWithdrawal`: availableBalance follows
+  // balance instead of being incremented on its own
+  const seller = await User.findByIdAndUpdate(
+    withdrawal.seller,
+    [{
+      $set: {
+        'wallet.balance': { $add: [{ $ifNull: ['$wallet.balance', 0] }, withdrawal.amount] },
+        'wallet.availableBalance': { $add: [{ $ifNull: ['$wallet.balance', 0] }, withdrawal.amount] },
+        'wallet.heldBalance': { $subtract: [{ $ifNull: ['$wallet.heldBalance', 0] }, withdrawal.amount] }
+      }
+    }],
+    { new: true }
+  );
+
+  await FinancialTransaction.updateMany(
+    { 'metadata.withdrawalId': withdrawal._id, status: 'pending' },
+    { status: 'failed' }
+  );
+
+  await FinancialTransaction.create({
+    seller: withdrawal.seller,
+    amount: withdrawal.amount,
+    type: 'credit',
+    balanceAfter: seller?.wallet?.balance || 0,
+    source: 'withdrawal',
+    status: 'completed',
+    note,
+    metadata: { withdrawalId: withdrawal._id, stage: 'released', actor: actorId }
+  });
+
+  return seller;
+};
+
+// @desc    Request a withdrawal of available wallet balance
+// @route   POST /api/withdrawals
+// @access  Seller
+export const requestWithdrawal = asyncHandler(async (req, res, next) => {
+  const amount = roundMoney(Number(req.body.amount));
+  const { payoutMethod, payoutAccount } = req.user.vendorProfile || {};
+
+  if (!payoutMethod || !payoutAccount) {
+    return next(createError('يرجى إضافة وسيلة استلام الأرباح في ملف المتجر أولاً', 400));
+  }
+
+  if (amount < MIN_WITHDRAWAL_AMOUNT) {
+    return next(createError(`الحد الأدنى للسحب هو ${MIN_WITHDRAWAL_AMOUNT} جنيه`, 400));
+  }
+
+  const hasOpenRequest = await WithdrawalRequest.exists({
+    seller: req.user._id,
+    status: { $in: OPEN_WITHDRAWAL_STATUSES }
+  });
+  if (hasOpenRequest) {
+    return next(createError('لديك طلب سحب قيد المراجعة بالفعل', 409));
+  }
+
+  // The hold, the request and its ledger entry are written together: a failed
+  // write can't leave money held without a request to release it
+  const session = await mongoose.startSession();
+  let seller;
+  let withdrawal;
+  try {
+    await session.withTransaction(async () => {
+      // Atomically move the amount from balance into the hold. availableBalance
+      // mirrors balance (as the payout processor keeps it), so it is re-synced from
+      // the guarded field rather than decremented on its own and going negative.
+      seller = await User.findOneAndUpdate(
+        { _id: req.user._id, 'wallet.balance': { $gte: amount } },
+        [{
+          $set: {
+            'wallet.balance': { $subtract: ['$wallet.balance', amount] },
+            'wallet.availableBalance': { $subtract: ['$wallet.balance', amount] },
+            'wallet.heldBalance': { $add: [{ $ifNull: ['$wallet.heldBalance', 0] }, amount] }
+          }
+        }],
+        { new: true, session }
+      );
+
+      if (!seller) {
+        throw createError('الرصيد المتاح غير كافٍ لإتمام عملية السحب', 400);
+      }
+
+      [withdrawal] = await WithdrawalRequest.create([{
+        seller: seller._id,
+        amount,
+        currency: seller.wallet.currency || 'EGP',
+        payoutMethod,
+        payoutAccount,
+        sellerNote: req.body.note
+      }], { session });
+
+      await FinancialTransaction.create([{
+        seller: seller._id,
+        amount,
+        type: 'debit',
+        balanceAfter: seller.wallet.balance,
+        source: 'withdrawal',
+        status: 'pending',
+        note: 'Withdrawal requested – amount on hold',
+        metadata: { withdrawalId: withdrawal._id, stage: 'hold', payoutMethod }
+      }], { session });
+    });
+  } catch (err) {
+    // A concurrent request won the one-open-request-per-seller index
+    if (err.code === 11000) {
+      return next(createError('لديك طلب سحب قيد المراجعة بالفعل', 409));
+    }
+    throw err;
+  } finally {
+    await session.endSession();
+  }
+
+  await notifySeller(req, seller._id, {
+    type: 'WITHDRAWAL_REQUESTED',
+    title: 'تم استلام طلب السحب',
+    message: `تم تعليق مبلغ ${amount.toFixed(2)} جنيه من رصيدك لحين مراجعة طلب السحب`,
+    data: { withdrawalId: withdrawal._id, amount }
+  });
+
+  try {
+    const admins = await User.find({ role: 'admin' }).select('_id');
+    if (admins.length > 0) {
+      await Notification.insertMany(admins.map((admin) => ({
+        userId: admin._id,
+        actor: seller._id,
+        role: 'admin',
+        type: 'WITHDRAWAL_REQUESTED',
+        title: '💸 طلب سحب جديد',
+        message: `طلب سحب بقيمة ${amount.toFixed(2)} جنيه من ${seller.vendorProfile?.storeName || seller.email}`,
+        data: { withdrawalId: withdrawal._id, amount },
+        link: `/admin/withdrawals/${withdrawal._id}`
+      })));
+    }
+  } catch (nErr) {
+    console.error('Failed to notify admins about withdrawal:', nErr);
+  }
+
+  res.status(201).json({
+    success: true,
+    data: withdrawal,
+    wallet: {
+      balance: seller.wallet.balance,
+      heldBalance: seller.wallet.heldBalance
+    }
+  });
+});
+
+// @desc    List the current seller's withdrawal requests
+// @route   GET /api/withdrawals/me
+// @access  Seller
+export const getMyWithdrawals = asyncHandler(async (req, res) => {
+  const { skip, limit } = res.locals.pagination;
+  const filter = { seller: req.user._id };
+
+  if (WITHDRAWAL_STATUSES.includes(req.query.status)) {
+    filter.status = req.query.status;
+  }
+
+  const [total, withdrawals] = await Promise.all([
+    WithdrawalRequest.countDocuments(filter),
+    WithdrawalRequest.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+  ]);
+
+  res.json({
+    success: true,
+    data: withdrawals,
+    pagination: res.locals.buildLinks(total)
+  });
+});
+
+// @desc    Cancel an own pending withdrawal request
+// @route   PATCH /api/withdrawals/:id/cancel
+// @access  Seller
+export const cancelWithdrawal = asyncHandler(async (req, res, next) => {
+  const withdrawal = await WithdrawalRequest.findOneAndUpdate(
+    { _id: req.params.id, seller: req.user._id, status: 'pending' },
+    { status: 'cancelled', isOpen: false, cancelledAt: new Date() },
+    { new: true }
+  );
+
+  if (!withdrawal) {
+    return next(createError('طلب السحب غير موجود أو لا يمكن إلغاؤه', 404));
+  }
+
+  const seller = await releaseHold(withdrawal, req.user._id, 'Withdrawal cancelled by seller – hold released');
+
+  res.json({
+    success: true,
+    data: withdrawal,
+    wallet: {
+      balance: seller?.wallet?.balance,
+      heldBalance: seller?.wallet?.heldBalance
+    }
+  });
+});
+
+// @desc    List withdrawal requests (filter by status / seller)
+// @route   GET /api/withdrawals/admin
+// @access  Admin
+export const getWithdrawalsForAdmin = asyncHandler(async (req, res) => {
+  const { skip, limit } = res.locals.pagination;
+  const filter = {};
+
+  if (WITHDRAWAL_STATUSES.includes(req.query.status)) {
+    filter.status = req.query.status;
+  }
+  if (req.query.sellerId && mongoose.Types.ObjectId.isValid(req.query.sellerId)) {
+    filter.seller = new mongoose.Types.ObjectId(req.query.sellerId);
+  }
+
+  const [total, withdrawals] = await Promise.all([
+    WithdrawalRequest.countDocuments(filter),
+    WithdrawalRequest.find(filter)
+      .populate('seller', 'firstName lastName email phone vendorProfile.storeName wallet.balance wallet.heldBalance')
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+  ]);
+
+  res.json({
+    success: true,
+    data: withdrawals,
+    pagination: res.locals.buildLinks(total)
+  });
+});
+
+// @desc    Approve a pending withdrawal (funds stay on hold until paid)
+// @route   PATCH /api/withdrawals/admin/:id/approve
+// @access  Admin
+export const approveWithdrawal = asyncHandler(async (req, res, next) => {
+  const withdrawal = await WithdrawalRequest.findOneAndUpdate(
+    { _id: req.params.id, status: 'pending' },
+    {
+      status: 'approved',
+      reviewedBy: req.user._id,
+      reviewedAt: new Date(),
+      adminNote: req.body.note
+    },
+    { new: true }
+  );
+
+  if (!withdrawal) {
+    return next(createError('طلب السحب غير موجود أو تمت مراجعته بالفعل', 404));
+  }
+
+  await FinancialTransaction.updateMany(
+    { 'metadata.withdrawalId': withdrawal._id, status: 'pending' },
+    {
+      note: 'Withdrawal approved – awaiting transfer',
+      'metadata.stage': 'approved',
+      'metadata.approvedBy': req.user._id
+    }
+  );
+
+  await notifySeller(req, withdrawal.seller, {
+    type: 'WITHDRAWAL_APPROVED',
+    title: '✅ تمت الموافقة على طلب السحب',
+    message: `تمت الموافقة على سحب ${withdrawal.amount.toFixed(2)} جنيه وسيتم التحويل قريباً`,
+    data: { withdrawalId: withdrawal._id, amount: withdrawal.amount }
+  });
+
+  res.json({ success: true, data: withdrawal });
+});
+
+// @desc    Reject a pending/approved withdrawal and release the hold
+// @route   PATCH /api/withdrawals/admin/:id/reject
+// @access  Admin
+export const rejectWithdrawal = asyncHandler(async (req, res, next) => {
+  const withdrawal = await WithdrawalRequest.findOneAndUpdate(
+    { _id: req.params.id, status: { $in: OPEN_WITHDRAWAL_STATUSES } },
+    {
+      status: 'rejected',
+      isOpen: false,
+      rejectionReason: req.body.reason,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date()
+    },
+    { new: true }
+  );
+
+  if (!withdrawal) {
+    return next(createError('طلب السحب غير موجود أو لا يمكن رفضه', 404));
+  }
+
+  await releaseHold(withdrawal, req.user._id, `Withdrawal rejected: ${req.body.reason}`);
+
+  await notifySeller(req, withdrawal.seller, {
+    type: 'WITHDRAWAL_REJECTED',
+    title: '❌ تم رفض طلب السحب',
+    message: `تم رفض طلب سحب ${withdrawal.amount.toFixed(2)} جنيه وإعادة المبلغ إلى رصيدك. السبب: ${req.body.reason}`,
+    data: { withdrawalId: withdrawal._id, amount: withdrawal.amount, reason: req.body.reason }
+  });
+
+  res.json({ success: true, data: withdrawal });
+});
+
+// @desc    Mark an approved withdrawal as paid with the transfer reference
+// @route   PATCH /api/withdrawals/admin/:id/paid
+// @access  Admin
+export const markWithdrawalPaid = asyncHandler(async (req, res, next) => {
+  const { transferReference, note } = req.body;
+
+  const withdrawal = await WithdrawalRequest.findOneAndUpdate(
+    { _id: req.params.id, status: 'approved' },
+    {
+      status: 'paid',
+      isOpen: false,
+      transferReference,
+      paidBy: req.user._id,
+      paidAt: new Date(),
+      ...(note ? { adminNote: note } : {})
+    },
+    { new: true }
+  );
+
+  if (!withdrawal) {
+    return next(createError('طلب السحب غير موجود أو لم تتم الموافقة عليه بعد', 404));
+  }
+
+  const seller = await User.findById(withdrawal.seller);
+  seller.wallet.heldBalance = Math.max(0, roundMoney((seller.wallet.heldBalance || 0) - withdrawal.amount));
+  seller.wallet.lastTransaction = {
+    amount: withdrawal.amount,
+    type: 'withdrawal',
+    date: withdrawal.paidAt
+  };
+  seller.wallet.transactionHistory = seller.wallet.transactionHistory || [];
+  seller.wallet.transactionHistory.push({
+    type: 'withdrawal',
+    amount: withdrawal.amount,
+    description: `Withdrawal via ${withdrawal.payoutMethod}`,
+    reference: transferReference,
+    status: 'completed'
+  });
+  if (seller.wallet.transactionHistory.length > 100) {
+    seller.wallet.transactionHistory = seller.wallet.transactionHistory.slice(-100);
+  }
+  await seller.save();
+
+  await FinancialTransaction.updateMany(
+    { 'metadata.withdrawalId': withdrawal._id, status: 'pending' },
+    {
+      status: 'completed',
+      balanceAfter: seller.wallet.balance,
+      note: `Withdrawal paid – ref ${transferReference}`,
+      'metadata.stage': 'paid',
+      'metadata.transferReference': transferReference,
+      'metadata.paidBy': req.user._id
+    }
+  );
+
+  await notifySeller(req, withdrawal.seller, {
+    type: 'SELLER_PAYOUT_PROCESSED',
+    title: '💵 تم تحويل المبلغ',
+    message: `تم تحويل ${withdrawal.amount.toFixed(2)} جنيه إلى حسابك (${withdrawal.payoutMethod}) - رقم العملية ${transferReference}`,
+    data: { withdrawalId: withdrawal._id, amount: withdrawal.amount, transferReference }
+  });
+
+  res.json({ success: true, data: withdrawal });
+});
@@ -0,0 +1,22 @@
+import { autoAssignPendingDeliveries } from '../services/deliveryAssignment.service.js';
+
+const DEFAULT_INTERVAL_MINUTES = 10;
+
+const assignReadyOrders = async (io) => {
+  try {
+    await autoAssignPendingDeliveries(io);
+  } catch (error) {
+    console.error('Failed to auto-assign deliveries:', error);
+  }
+};
+
+export const startDeliveryAutoAssigner = (io) => {
+  const intervalMinutes = parseInt(process.env.DELIVERY_AUTO_ASSIGN_INTERVAL_MINUTES || `${DEFAULT_INTERVAL_MINUTES}`, 10);
+
+  // 0 leaves every assignment to the admins
+  if (intervalMinutes === 0) return;
+  const intervalMs = Math.max(intervalMinutes, 1) * 60 * 1000;
+
+  assignReadyOrders(io);
+  setInterval(() => assignReadyOrders(io), intervalMs);
+};
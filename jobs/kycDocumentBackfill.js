@@ -0,0 +1,46 @@
+import cloudinary from '../config/cloudinary.js';
+import SellerApplication from '../models/sellerApplication.model.js';
+import logger from '../utils/logger.js';
+
+// KYC documents uploaded before they were private are public Cloudinary
+// images: make them authenticated and drop their stored URL
+const backfillKycDocuments = async () => {
+  try {
+    const applications = await SellerApplication.find({ 'documents.url': { $exists: true } });
+
+    let migrated = 0;
+    for (const application of applications) {
+      // One missing image must not stop the others
+      try {
+        for (const doc of application.documents.filter((d) => d.url)) {
+          if (doc.publicId) {
+            const result = await cloudinary.uploader.rename(doc.publicId, doc.publicId, {
+              type: 'upload',
+              to_type: 'authenticated',
+              resource_type: 'image'
+            });
+            doc.format = result.format;
+            doc.accessType = 'authenticated';
+          }
+          doc.url = undefined;
+          // Saved per document, so a later failure doesn't lose a done rename
+          await application.save({ validateBeforeSave: false });
+        }
+        migrated += 1;
+      } catch (error) {
+        logger.error(`Failed to make the KYC documents of application ${application._id} private:`, error.message);
+      }
+    }
+
+    if (migrated > 0) {
+      logger.info(`KYC documents made private for ${migrated} seller applications`);
+    }
+  } catch (error) {
+    logger.error('Failed to backfill KYC documents:', error.message);
+  }
+};
+
+export const startKycDocumentBackfill = () => {
+  // Only needed once per deployment: new documents are uploaded private
+  backfillKycDocuments();
+};
@@ -10,7 +10,8 @@ const processPendingTransactions = async () => {
       'wallet.pendingTransactions': {
         $elemMatch: {
           status: 'pending',
-          releaseDate: { $lte: now }
+          releaseDate: { $lte: now },
+          awaitingCash: { $ne: true }
         }
       }
     });
@@ -27,7 +28,7 @@ const processPendingTransactions = async () => {
       user.wallet.pendingTransactions = user.wallet.pendingTransactions || [];
 
       user.wallet.pendingTransactions.forEach((transaction) => {
-        if (transaction.status === 'pending' && transaction.releaseDate <= now) {
+        if (transaction.status === 'pending' && transaction.releaseDate <= now && !transaction.awaitingCash) {
           const amount = transaction.amount || 0;
           user.wallet.pendingBalance = Math.max(0, (user.wallet.pendingBalance || 0) - amount);
           user.wallet.balance = (user.wallet.balance || 0) + amount;
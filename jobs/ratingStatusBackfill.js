@@ -0,0 +1,23 @@
+import Rating from '../models/rating.model.js';
+import logger from '../utils/logger.js';
+
+// Ratings written before moderation existed were already public: keep them approved
+const backfillRatingStatus = async () => {
+  try {
+    const { modifiedCount } = await Rating.updateMany(
+      { status: { $exists: false } },
+      { $set: { status: 'approved', verifiedPurchase: false } }
+    );
+
+    if (modifiedCount > 0) {
+      logger.info(`Moderation status backfilled for ${modifiedCount} ratings`);
+    }
+  } catch (error) {
+    logger.error('Failed to backfill rating status:', error.message);
+  }
+};
+
+export const startRatingStatusBackfill = () => {
+  // Only needed once per deployment: new ratings get a status on creation
+  backfillRatingStatus();
+};
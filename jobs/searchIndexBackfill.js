@@ -0,0 +1,38 @@
+import Product from '../models/product.model.js';
+import logger from '../utils/logger.js';
+
+const BATCH_SIZE = 500;
+
+// Fill the normalized search fields of products saved before they existed
+const backfillSearchFields = async () => {
+  try {
+    let updated = 0;
+
+    for (;;) {
+      const products = await Product.find({ searchTitle: { $exists: false } })
+        .select('title description')
+        .limit(BATCH_SIZE)
+        .lean();
+      if (products.length === 0) break;
+
+      await Product.bulkWrite(products.map((product) => ({
+        updateOne: {
+          filter: { _id: product._id },
+          update: { $set: Product.buildSearchFields(product) }
+        }
+      })));
+      updated += products.length;
+    }
+
+    if (updated > 0) {
+      logger.info(`Search fields backfilled for ${updated} products`);
+    }
+  } catch (error) {
+    logger.error('Failed to backfill product search fields:', error.message);
+  }
+};
+
+export const startSearchIndexBackfill = () => {
+  // Only needed once per deployment: products keep their fields in sync on save
+  backfillSearchFields();
+};
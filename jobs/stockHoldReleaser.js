@@ -0,0 +1,22 @@
+import { releaseExpiredHolds } from '../services/inventory.service.js';
+
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+const processExpiredHolds = async () => {
+  try {
+    await releaseExpiredHolds();
+  } catch (error) {
+    console.error('Failed to release expired stock holds:', error);
+  }
+};
+
+export const startStockHoldReleaser = () => {
+  const intervalMinutes = parseInt(process.env.STOCK_HOLD_RELEASE_INTERVAL_MINUTES || `${DEFAULT_INTERVAL_MINUTES}`, 10);
+  const intervalMs = Math.max(intervalMinutes, 1) * 60 * 1000;
+
+  // Run once on startup
+  processExpiredHolds();
+
+  // Schedule repeated runs
+  setInterval(processExpiredHolds, intervalMs);
+};
@@ -0,0 +1,40 @@
+import User, { RESERVED_STORE_SLUGS } from '../models/user.model.js';
+import logger from '../utils/logger.js';
+
+// Sellers created before storefronts existed have no slug, and stores named
+// like a route ("me", "following") got one their storefront can't be reached
+// at: saving generates a new one
+const backfillStoreSlugs = async () => {
+  try {
+    const sellers = await User.find({
+      'vendorProfile.storeName': { $exists: true },
+      $or: [
+        { 'vendorProfile.slug': { $exists: false } },
+        { 'vendorProfile.slug': { $in: RESERVED_STORE_SLUGS } }
+      ]
+    });
+
+    let generated = 0;
+    for (const seller of sellers) {
+      // One bad store (e.g. a slug collision) must not stop the others
+      try {
+        seller.vendorProfile.slug = undefined;
+        await seller.save({ validateBeforeSave: false });
+        generated += 1;
+      } catch (error) {
+        logger.error(`Failed to generate a store slug for seller ${seller._id}:`, error.message);
+      }
+    }
+
+    if (generated > 0) {
+      logger.info(`Store slugs generated for ${generated} sellers`);
+    }
+  } catch (error) {
+    logger.error('Failed to backfill store slugs:', error.message);
+  }
+};
+
+export const startStoreSlugBackfill = () => {
+  // Only needed once per deployment: new stores get a slug when saved
+  backfillStoreSlugs();
+};
@@ -154,6 +154,31 @@ export const isUser = (req, res, next) => {
   }
 };
 
+// Attach the user when a valid token is sent, carry on as a guest otherwise
+// (public routes that personalize their response)
+export const optionalProtect = async (req, res, next) => {
+  let token;
+  if (req.cookies && req.cookies.accessToken) {
+    token = req.cookies.accessToken;
+  } else if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  }
+
+  if (!token || !process.env.JWT_ACCESS_SECRET) return next();
+
+  try {
+    const decoded = await verifyAccessToken(token);
+    const user = await User.findById(decoded.id).select('-password');
+    if (user && user.isActive && !user.isBlocked) {
+      req.user = user;
+    }
+  } catch (error) {
+    logger.info("ℹ️ Ignoring invalid token on public route:", error.message);
+  }
+
+  next();
+};
+
 // Optional: Add a middleware to check if user is authenticated (without role check)
 export const isAuthenticated = (req, res, next) => {
   if (req.user) {
@@ -394,4 +394,24 @@ export const sendPasswordResetEmail = async (user, code, language = 'ar') => {
     });
 };
 
+// إرسال تنبيه من قائمة الأمنيات (عودة المنتج للمخزون / انخفاض السعر)
+export const sendWishlistAlertEmail = async (user, { title, message, link }, language = 'ar') => {
+    const direction = language === 'en' ? 'left' : 'right';
+    const action = language === 'en' ? 'View product' : 'عرض المنتج';
+
+    return sendEmail({
+        email: user.email,
+        subject: `${title} - Mirvory`,
+        html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; text-align: ${direction};">
+          <h2 style="color: #1976D2;">${title}</h2>
+          <p>${message}</p>
+          <a href="${link}" style="display: inline-block; background: #1976D2; color: #fff; padding: 12px 24px; border-radius: 8px; text-decoration: none;">
+            ${action}
+          </a>
+        </div>
+      `
+    });
+};
+
 export default sendEmail;
\ No newline at end of file
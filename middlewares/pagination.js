@@ -1,8 +1,39 @@
+import { createError } from '../utils/error.js';
+import {
+  cursorCondition,
+  cursorMatchesSort,
+  decodeCursor,
+  encodeCursor,
+  reverseSort,
+  withTieBreaker
+} from '../utils/cursor.js';
 
 const DEFAULT_LIMIT = 12;
 const MAX_LIMIT = 100;
 
-export default function paginate(defaultLimit = DEFAULT_LIMIT) {
+// A client error found while reading the page (e.g. a cursor made for another sort)
+const paginationError = (message) => Object.assign(createError(message, 400), { isPaginationError: true });
+
+/**
+ * Answer a pagination error thrown by `res.locals.paginateQuery` in a
+ * controller that handles its own errors (and would turn it into a 500).
+ *
+ * @returns {boolean} Whether the error was answered
+ */
+export const handlePaginationError = (res, error) => {
+  if (!error?.isPaginationError) return false;
+  res.status(error.statusCode).json({ success: false, message: error.message });
+  return true;
+};
+
+/**
+ * Page mode (default): `?page=&limit=`, skip based.
+ * Cursor mode: `?cursor=` (empty for the first page) with the `nextCursor` /
+ * `prevCursor` of the previous response; stays fast and stable on deep pages.
+ * Only routes passing `allowCursor` (whose controller reads through
+ * `res.locals.paginateQuery`) accept it.
+ */
+export default function paginate(defaultLimit = DEFAULT_LIMIT, { allowCursor = false } = {}) {
   return function (req, res, next) {
     const limitParam = parseInt(req.query.limit, 10);
     const pageParam = parseInt(req.query.page, 10);
@@ -12,7 +43,54 @@ export default function paginate(defaultLimit = DEFAULT_LIMIT) {
 
     const skip = (page - 1) * limit;
 
-    res.locals.pagination = { skip, limit, page };
+    const mode = allowCursor && req.query.cursor !== undefined ? 'cursor' : 'page';
+    let cursor = null;
+    if (mode === 'cursor' && req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor) return next(createError('Invalid pagination cursor', 400));
+    }
+
+    res.locals.pagination = { skip, limit, page, mode, cursor };
+
+    // Cursors of the page served in cursor mode, set by paginateQuery
+    let cursors = { next: null, prev: null };
+
+    /**
+     * Run a mongoose find query for the current page in either mode.
+     *
+     * @param {import('mongoose').Query} query Filtered query, without sort/skip/limit
+     * @param {Object} sort e.g. `{ price: 1 }`
+     * @returns {Promise<Array>} Documents of the page, in `sort` order
+     */
+    res.locals.paginateQuery = async function (query, sort = { createdAt: -1 }) {
+      if (mode === 'page') {
+        return query.sort(sort).skip(skip).limit(limit);
+      }
+
+      const fullSort = withTieBreaker(sort);
+      if (cursor && !cursorMatchesSort(cursor, fullSort)) {
+        throw paginationError('Pagination cursor does not match the sort order');
+      }
+
+      const backwards = cursor?.direction === 'prev';
+      const readSort = backwards ? reverseSort(fullSort) : fullSort;
+      if (cursor) query.and([cursorCondition(readSort, cursor.values)]);
+
+      // One extra document tells whether there is more in the read direction
+      const docs = await query.sort(readSort).limit(limit + 1);
+      const hasMore = docs.length > limit;
+      const pageDocs = docs.slice(0, limit);
+      if (backwards) pageDocs.reverse();
+
+      const first = pageDocs[0];
+      const last = pageDocs[pageDocs.length - 1];
+      cursors = {
+        next: last && (backwards || hasMore) ? encodeCursor(last, fullSort, 'next') : null,
+        prev: first && (backwards ? hasMore : Boolean(cursor)) ? encodeCursor(first, fullSort, 'prev') : null
+      };
+
+      return pageDocs;
+    };
 
     // Helper to build "next" and "prev" links (Arabic / English based on `lang` query)
     res.locals.buildLinks = function (totalCount, baseUrl = req.originalUrl.split('?')[0]) {
@@ -20,6 +98,31 @@ export default function paginate(defaultLimit = DEFAULT_LIMIT) {
       const lang = (req.query.lang || '').toLowerCase();
       const isArabic = lang === 'ar' || lang === 'ar-eg' || lang === 'arabic';
 
+      if (mode === 'cursor') {
+        // Keep the filters and sort the cursor was made for
+        const makeCursorLink = (token) => {
+          const params = new URLSearchParams();
+          Object.entries(req.query)
+            .filter(([key]) => key !== 'cursor' && key !== 'page')
+            .forEach(([key, value]) => [].concat(value).forEach((v) => params.append(key, v)));
+          params.set('cursor', token);
+          params.set('limit', limit);
+          return `${baseUrl}?${params.toString()}`;
+        };
+
+        return {
+          mode,
+          total: totalCount,
+          limit,
+          nextCursor: cursors.next,
+          prevCursor: cursors.prev,
+          next: cursors.next ? makeCursorLink(cursors.next) : null,
+          prev: cursors.prev ? makeCursorLink(cursors.prev) : null,
+          labelNext: isArabic ? 'التالي' : 'Next',
+          labelPrev: isArabic ? 'السابق' : 'Previous',
+        };
+      }
+
       const makeLink = (p) => `${baseUrl}?page=${p}&limit=${limit}`;
 
       const links = {
@@ -38,3 +141,6 @@ export default function paginate(defaultLimit = DEFAULT_LIMIT) {
     next();
   };
 }
+
+// paginate() for routes that also accept cursor mode
+export const paginateWithCursor = (defaultLimit = DEFAULT_LIMIT) => paginate(defaultLimit, { allowCursor: true });
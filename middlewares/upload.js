@@ -0,0 +1,43 @@
+import multer from 'multer';
+import { createError } from '../utils/error.js';
+
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/jpg', 'image/webp'];
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+
+// Files stay in memory and are streamed to Cloudinary by services/imageUploadService.js
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 10 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(createError('تنسيق صورة غير مدعوم. المسموح: JPEG, PNG, WEBP', 400));
+    }
+    return cb(null, true);
+  }
+});
+
+// Turn multer errors into 400s
+const withUploadErrors = (handler) => (req, res, next) => handler(req, res, (err) => {
+  if (err instanceof multer.MulterError) {
+    const message = err.code === 'LIMIT_FILE_SIZE'
+      ? 'حجم الصورة يتجاوز الحد الأقصى (5MB)'
+      : `ملف غير صالح: ${err.field || err.code}`;
+    return next(createError(message, 400));
+  }
+  return next(err);
+});
+
+/**
+ * Accept one image per named field (`req.files[field][0]`).
+ *
+ * @param {string[]} fields Form field names
+ */
+export const uploadImageFields = (fields) =>
+  withUploadErrors(upload.fields(fields.map((name) => ({ name, maxCount: 1 }))));
+
+/**
+ * Accept up to `maxCount` images on one field (`req.files`).
+ */
+export const uploadImageArray = (field, maxCount) => withUploadErrors(upload.array(field, maxCount));
+
+export default upload;
@@ -24,7 +24,9 @@ const platformEarningsSchema = new mongoose.Schema({
         couponCode: String,
         totalCouponDiscount: Number,
         platformShare: Number,
-        sellerShare: Number
+        sellerShare: Number,
+        // Shipping waived by a free-shipping coupon
+        shippingDiscount: Number
     },
     amount: {
         type: Number, 
@@ -34,6 +36,11 @@ const platformEarningsSchema = new mongoose.Schema({
         type: Number, // commission - discounts
         required: true
     },
+    // Platform share given back through refunds (already deducted from amount)
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
     
     createdAt: {
         type: Date,
@@ -6,6 +6,11 @@ const cartItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Selected variant (products with variants only)
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sku: String,
   quantity: {
     type: Number,
     required: true,
@@ -43,6 +48,8 @@ const cartSchema = new mongoose.Schema({
   appliedCoupon: {
     code: String,
     discountAmount: Number,
+    // Shipping waived at checkout by a free-shipping coupon
+    shippingDiscount: Number,
     discountedTotal: Number,
     originalTotal: Number,
     couponId: {  
@@ -126,7 +133,7 @@ cartSchema.statics.getUserCart = async function (userId) {
   const cart = await this.findOne({ user: userId })
     .populate({
       path: 'items.product',
-      select: 'title titleEn images price seller discountPercentage discountedPrice quantity stock',
+      select: 'title titleEn images price seller discountPercentage discountedPrice quantity stock variants',
       model: 'Product'
     });
 
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// `balanced` when the cash counted matches the collections, `short` / `over` otherwise
+export const HANDOVER_STATUSES = ['balanced', 'short', 'over'];
+
+// Cash a delivery agent handed over to an admin, against the collections it settles
+const cashHandoverSchema = new mongoose.Schema({
+  agent: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  collections: [{ type: mongoose.Schema.Types.ObjectId, ref: 'CodCollection' }],
+  expectedAmount: { type: Number, required: true },
+  receivedAmount: { type: Number, required: true, min: 0 },
+  // receivedAmount - expectedAmount
+  discrepancy: { type: Number, default: 0 },
+  status: { type: String, enum: HANDOVER_STATUSES, required: true },
+  // Agent's cash in hand once the handover is counted
+  cashInHandAfter: Number,
+  note: { type: String, maxlength: 500 }
+}, { timestamps: true });
+
+cashHandoverSchema.index({ agent: 1, createdAt: -1 });
+cashHandoverSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('CashHandover', cashHandoverSchema);
@@ -1,37 +1,53 @@
 import mongoose from 'mongoose';
 
-const messageSchema = new mongoose.Schema({
-  sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  content: { type: String, required: true },
-  timestamp: { type: Date, default: Date.now },
-  read: { type: Boolean, default: false }
-});
+export const CHAT_STATUSES = ['active', 'resolved', 'archived'];
 
+// Conversation between a buyer and a seller about a product or an order.
+// Messages live in their own collection (models/message.model.js).
 const chatSchema = new mongoose.Schema({
   participants: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
-    validate: [arrayLimit, 'Participants must be 2 users']
+    required: true
   }],
+  buyer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Admins who joined the conversation to handle a dispute
+  admins: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+
   order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
   product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
-  messages: [messageSchema],
-  lastMessage: { type: Date },
-  status: { 
-    type: String, 
-    enum: ['active', 'resolved', 'archived'], 
-    default: 'active' 
-  }
-}, { timestamps: true });
 
-function arrayLimit(val) {
-  return val.length === 2;
-}
+  lastMessage: {
+    sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    content: String,
+    hasAttachments: Boolean,
+    createdAt: Date
+  },
+  lastMessageAt: { type: Date, default: Date.now },
+
+  // Unread message count per member (user id -> count)
+  unreadCounts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
 
-chatSchema.index({ participants: 1, lastMessage: -1 });
-chatSchema.index({ 'participants._id': 1, status: 1 });
+  status: {
+    type: String,
+    enum: CHAT_STATUSES,
+    default: 'active'
+  },
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  resolvedAt: Date
+}, { timestamps: true });
 
+chatSchema.path('participants').validate((val) => val.length === 2, 'Participants must be 2 users');
 
-export default mongoose.model('Chat', chatSchema);
+chatSchema.index({ participants: 1, lastMessageAt: -1 });
+chatSchema.index({ admins: 1, lastMessageAt: -1 });
+// One conversation per buyer, seller and product / order (unset ones index as null)
+chatSchema.index({ buyer: 1, seller: 1, product: 1, order: 1 }, { unique: true });
+chatSchema.index({ status: 1, lastMessageAt: -1 });
 
+export default mongoose.model('Chat', chatSchema);
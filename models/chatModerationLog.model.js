@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// One entry per chat message the safety filter masked or blocked
+const chatModerationLogSchema = new mongoose.Schema({
+  chat: { type: mongoose.Schema.Types.ObjectId, ref: 'Chat', required: true },
+  // Stored message (masked ones only, blocked messages are never stored)
+  message: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+  sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  action: { type: String, enum: ['masked', 'blocked'], required: true },
+  findings: [{
+    _id: false,
+    type: { type: String, enum: ['phone', 'email', 'url'] },
+    // Found only after undoing an obfuscation (spelled-out digits, "at" / "dot")
+    obfuscated: Boolean
+  }],
+  // Original text, for the admins reviewing the sender
+  content: { type: String, maxlength: 2000 }
+}, { timestamps: true });
+
+chatModerationLogSchema.index({ chat: 1, createdAt: -1 });
+chatModerationLogSchema.index({ sender: 1, createdAt: -1 });
+
+export default mongoose.model('ChatModerationLog', chatModerationLogSchema);
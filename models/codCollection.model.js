@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+export const COD_COLLECTION_STATUSES = ['held', 'reconciled'];
+
+// Cash a courier collected from the buyer for one delivered shipment
+const codCollectionSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  shipment: { type: mongoose.Schema.Types.ObjectId, required: true },
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Delivery agent (or admin) who took the cash
+  collectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  collectorRole: { type: String, enum: ['delivery', 'admin'] },
+  amount: { type: Number, required: true, min: 0 },
+  collectedAt: { type: Date, default: Date.now },
+  // `held` until the cash is handed over to an admin
+  status: { type: String, enum: COD_COLLECTION_STATUSES, default: 'held' },
+  handover: { type: mongoose.Schema.Types.ObjectId, ref: 'CashHandover' },
+  reconciledAt: Date,
+  reconciledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+codCollectionSchema.index({ order: 1, shipment: 1 }, { unique: true });
+codCollectionSchema.index({ collectedBy: 1, status: 1, collectedAt: 1 });
+
+export default mongoose.model('CodCollection', codCollectionSchema);
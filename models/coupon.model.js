@@ -10,7 +10,8 @@ const couponSchema = new mongoose.Schema({
   },
   discountType: {
     type: String,
-    enum: ['percentage', 'fixed'],
+    // `free_shipping` waives the shipping fee of shipments with eligible items
+    enum: ['percentage', 'fixed', 'free_shipping'],
     required: true
   },
   discountValue: {
@@ -42,6 +43,30 @@ const couponSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Redemptions allowed per user, null for unlimited. Coupons opt in: the
+  // default also applies to coupons saved before the field existed
+  perUserLimit: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // Only valid on the user's first order
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Restrict the coupon to some cart lines; empty lists mean "everything"
+  scope: {
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+    brands: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Brand' }],
+    sellers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }]
+  },
+  // Products already on sale don't get the coupon on top
+  excludeDiscountedItems: {
+    type: Boolean,
+    default: false
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// One record per order that used a coupon, used for per-user limits
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true
+    },
+    code: String,
+    // n-th redemption of this coupon by this user; unique so two concurrent
+    // checkouts can't both take the last allowed use
+    sequence: {
+      type: Number,
+      required: true
+    },
+    discountAmount: { type: Number, default: 0 },
+    shippingDiscount: { type: Number, default: 0 },
+    status: {
+      type: String,
+      enum: ['active', 'released'],
+      default: 'active'
+    },
+    releasedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+couponRedemptionSchema.index({ coupon: 1, user: 1, sequence: 1 }, { unique: true });
+couponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+couponRedemptionSchema.index({ order: 1 });
+
+export default mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+const attachmentSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  publicId: String
+}, { _id: false });
+
+const messageSchema = new mongoose.Schema({
+  chat: { type: mongoose.Schema.Types.ObjectId, ref: 'Chat', required: true },
+  sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  senderRole: { type: String, enum: ['user', 'seller', 'admin'] },
+  // `system` messages record events such as an admin joining
+  type: { type: String, enum: ['text', 'system'], default: 'text' },
+  content: { type: String, trim: true, maxlength: 2000 },
+  attachments: [attachmentSchema],
+  // Contact details were masked by the safety filter
+  masked: { type: Boolean, default: false },
+  readBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
+}, { timestamps: true });
+
+messageSchema.pre('validate', function (next) {
+  if (!this.content && !this.attachments?.length) {
+    this.invalidate('content', 'A message needs text or an attachment');
+  }
+  next();
+});
+
+messageSchema.index({ chat: 1, createdAt: -1 });
+
+export default mongoose.model('Message', messageSchema);
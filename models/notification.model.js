@@ -27,6 +27,12 @@ const notificationSchema = new mongoose.Schema(
         'ORDER_CANCELLED',
         'ORDER_REFUNDED',
         'ORDER_PREPARED',
+        'DELIVERY_ASSIGNED',
+        'DELIVERY_FAILED_ATTEMPT',
+        'DELIVERY_RESCHEDULED',
+        'DELIVERY_RETURNED_TO_SELLER',
+        'COD_HANDOVER_CONFIRMED',
+        'COD_HANDOVER_DISCREPANCY',
         'PAYOUT_COMPLETED',
         // Return related
         'RETURN_REQUESTED',
@@ -49,6 +55,9 @@ const notificationSchema = new mongoose.Schema(
         'PRODUCT_OUT_OF_STOCK',
         'LOW_STOCK',
         'PRODUCT_REVIEW_ADDED',
+        'PRODUCT_QUESTION_ASKED',
+        'PRODUCT_QUESTION_ANSWERED',
+        'STORE_NEW_PRODUCT',
 
         // User/Auth related
         'USER_REGISTERED',
@@ -62,6 +71,7 @@ const notificationSchema = new mongoose.Schema(
         'SELLER_APPLICATION_SUBMITTED',
         'SELLER_APPLICATION_APPROVED',
         'SELLER_APPLICATION_REJECTED',
+        'SELLER_APPLICATION_CHANGES_REQUESTED',
         'SELLER_BALANCE_UPDATED',
         'SELLER_PAYOUT_PROCESSED',
         'SELLER_PAYOUT_FAILED',
@@ -82,14 +92,18 @@ const notificationSchema = new mongoose.Schema(
         'SUPPORT_TICKET_RESOLVED',
         'COMPLAINT_SUBMITTED',
         'COMPLAINT_RESPONDED',
+        'CHAT_USER_FLAGGED',
 
         // Review/Rating related
         'REVIEW_RECEIVED',
+        'REVIEW_APPROVED',
+        'REVIEW_REJECTED',
         'REVIEW_RESPONDED',
         'RATING_RECEIVED',
 
         // Wishlist/Cart related
         'WISHLIST_ITEM_BACK_IN_STOCK',
+        'WISHLIST_ITEM_PRICE_DROPPED',
         'CART_ITEM_PRICE_DROPPED',
         'CART_ITEM_OUT_OF_STOCK',
 
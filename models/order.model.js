@@ -1,4 +1,105 @@
 import mongoose from 'mongoose';
+import { ORDER_STATUSES } from '../services/orderStatus.service.js';
+
+const statusHistorySchema = new mongoose.Schema({
+  from: String,
+  to: { type: String, enum: ORDER_STATUSES },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: String,
+  note: String,
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Courier work queue statuses of an assigned order (services/deliveryAssignment.service.js)
+export const DELIVERY_TASK_STATUSES = [
+  'assigned',
+  'picked_up',
+  'out_for_delivery',
+  'failed_attempt',
+  'delivered',
+  // Cancelled after too many failed attempts, on its way back to the sellers
+  'returning_to_seller',
+  'returned_to_seller'
+];
+
+export const DELIVERY_FAILURE_REASONS = [
+  'no_answer',
+  'buyer_unavailable',
+  'wrong_address',
+  'phone_unreachable',
+  'buyer_refused',
+  'other'
+];
+
+const deliveryHistorySchema = new mongoose.Schema({
+  action: String,
+  from: String,
+  to: String,
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: String,
+  reason: String,
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Per-seller fulfilment group ("sub-order") of a multi-vendor order
+const shipmentSchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // _ids of the order items handled by this seller
+  items: [{ type: mongoose.Schema.Types.ObjectId }],
+  subtotal: { type: Number, default: 0 },
+  shippingFee: { type: Number, default: 0 },
+  // Shipping waived by a free-shipping coupon (already taken off shippingFee)
+  shippingDiscount: { type: Number, default: 0 },
+
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'placed'
+  },
+  statusHistory: [statusHistorySchema],
+
+  preparedAt: Date,
+  preparationMinutes: Number,
+
+  tracking: {
+    carrier: String,
+    trackingNumber: String,
+    url: String,
+    updatedAt: Date
+  },
+  shippedAt: Date,
+  // Stock put back on sale after the shipment was cancelled before shipping
+  stockRestored: Boolean,
+
+  deliveredAt: Date,
+  deliveredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  payout: {
+    processed: { type: Boolean, default: false },
+    sellerAmount: Number,
+    commission: Number,
+    couponShare: Number,
+    platformAmount: Number,
+    processedAt: Date
+  }
+});
 
 const orderSchema = new mongoose.Schema({
   buyer: {
@@ -17,11 +118,21 @@ const orderSchema = new mongoose.Schema({
       ref: 'User',
       required: true
     },
+    // Variant snapshot at checkout time
+    variant: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    options: [{ _id: false, name: String, value: String }],
     quantity: Number,
+    // Unit price paid (product discount applied) and the price before it
     price: Number,
+    listPrice: Number,
+    // Part of the coupon discount applied to this line (0 when not eligible)
+    couponDiscount: Number,
     color: String,
     size: String,
-    isPrepared: { type: Boolean, default: false }
+    isPrepared: { type: Boolean, default: false },
+    refunded: { type: Boolean, default: false },
+    refundedAt: Date
   }],
 
   // Recipient Information (can be different from buyer)
@@ -45,9 +156,41 @@ const orderSchema = new mongoose.Schema({
   },
   deliveryInfo: {
     address: String,
+    // Governorate (address `state`) used to route the order to a courier
+    governorate: String,
     pickupPoint: mongoose.Schema.Types.Mixed
   },
 
+  // Courier assignment, the delivery agent's side of the lifecycle
+  delivery: {
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    status: {
+      type: String,
+      enum: DELIVERY_TASK_STATUSES
+    },
+    assignedAt: Date,
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    autoAssigned: Boolean,
+    attempts: [{
+      _id: false,
+      reason: { type: String, enum: DELIVERY_FAILURE_REASONS },
+      note: String,
+      at: { type: Date, default: Date.now }
+    }],
+    // Set by the buyer after a failed attempt
+    rescheduledFor: Date,
+    rescheduleNote: String,
+    returnedAt: Date,
+    stockRestored: Boolean,
+    history: [deliveryHistorySchema]
+  },
+
   paymentMethod: {
     type: String,
     enum: ['cash', 'card','wallet'],
@@ -55,12 +198,18 @@ const orderSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed'],
+    enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
   coupon: {
     code: String,
+    discountType: String,
     discountAmount: Number,
+    shippingDiscount: Number,
     couponId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Coupon'
@@ -69,6 +218,19 @@ const orderSchema = new mongoose.Schema({
   payoutDate: { type: Date },
   paymentData: mongoose.Schema.Types.Mixed,
 
+  // Stock of an order without shipments put back on sale after cancelling
+  stockRestored: Boolean,
+
+  // Stock held while a card / wallet payment is pending
+  stockHold: {
+    status: {
+      type: String,
+      enum: ['held', 'confirmed', 'released']
+    },
+    expiresAt: Date,
+    releasedAt: Date
+  },
+
   // Order Totals
   subtotal: Number,
   shippingFee: Number,
@@ -79,9 +241,19 @@ const orderSchema = new mongoose.Schema({
     enum: ['home', 'pickup'],
     default: 'home'
   },
+  // Order lifecycle, only changed through services/orderStatus.service.js
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    index: true
+  },
+  statusHistory: [statusHistorySchema],
+  // Order status is rolled up from these when present
+  shipments: [shipmentSchema],
+  // Derived from `status` (kept for existing clients), plus the courier's failed attempts and returns
   deliveryStatus: {
     type: String,
-    enum: ['pending', 'shipped', 'delivered', 'cancelled'],
+    enum: ['pending', 'shipped', 'delivered', 'cancelled', 'failed_attempt', 'returning_to_seller', 'returned_to_seller'],
     default: 'pending'
   },
 
@@ -105,13 +277,11 @@ const orderSchema = new mongoose.Schema({
   // Order status management
   cancelCount: {
     type: Number,
-    default: 0,
-    max: 1
+    default: 0
   },
   activateCount: {
     type: Number,
-    default: 0,
-    max: 1
+    default: 0
   },
   wasCanceled: {
     type: Boolean,
@@ -127,6 +297,10 @@ const orderSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now }
 });
 
+orderSchema.index({ 'shipments.seller': 1, createdAt: -1 });
+orderSchema.index({ 'stockHold.status': 1, 'stockHold.expiresAt': 1 });
+orderSchema.index({ 'delivery.agent': 1, 'delivery.status': 1 });
+
 // ✅ Middleware to auto-populate seller and product for all find queries
 orderSchema.pre(/^find/, function (next) {
   this.populate({
@@ -138,6 +312,9 @@ orderSchema.pre(/^find/, function (next) {
   }).populate({
     path: 'buyer',
     select: 'firstName lastName email phone'
+  }).populate({
+    path: 'shipments.seller',
+    select: 'firstName lastName vendorProfile.storeName'
   }).populate({
     path: 'deliveryInfo.pickupPoint',
     select: 'stationName address phone'
@@ -14,7 +14,7 @@ const orderActivityLogSchema = new mongoose.Schema(
     },
     actorRole: {
       type: String,
-      enum: ['seller', 'admin', 'user', 'system'],
+      enum: ['seller', 'admin', 'user', 'delivery', 'system'],
       default: 'system'
     },
     action: {
@@ -1,4 +1,22 @@
 import mongoose from 'mongoose';
+import { normalizeSearchText, trigrams } from '../utils/searchText.js';
+
+// A sellable combination of option values (e.g. color: Red / size: XL)
+const variantSchema = new mongoose.Schema({
+  sku: { type: String, trim: true },
+  options: [{
+    _id: false,
+    name: { type: String, required: true, trim: true },
+    value: { type: String, required: true, trim: true }
+  }],
+  // Overrides the product price when set
+  price: { type: Number, min: 0 },
+  quantity: { type: Number, default: 0, min: 0 },
+  images: [{ type: String }],
+  isActive: { type: Boolean, default: true },
+  // Last alerted stock level, see services/stockAlert.service.js
+  stockLevel: { type: String, enum: ['ok', 'low', 'out'], default: 'ok' }
+});
 
 const productSchema = new mongoose.Schema({
   seller: {
@@ -20,11 +38,22 @@ const productSchema = new mongoose.Schema({
   discountedPrice: { type: Number, default: function () { return this.price; } },
   status: { type: String, enum: ['available', 'pending'], default: 'available' },
   sellerPercentage: { type: Number, default: 0 },
+  // Total stock; the sum of the active variants' stock when the product has variants
   quantity: { type: Number, default: 0, min: 0 },
   sold: { type: Number, default: 0 },
+  variants: [variantSchema],
+  // Kept in sync by the stock alert service
+  stockLevel: { type: String, enum: ['ok', 'low', 'out'], default: 'ok' },
+  outOfStock: { type: Boolean, default: false },
+  // Normalized title, title + description and title trigrams, see utils/searchText.js
+  searchTitle: { type: String, select: false },
+  searchText: { type: String, select: false },
+  searchTrigrams: { type: [String], select: false },
   isApproved: { type: Boolean, default: false },
   isActive: { type: Boolean, default: true },
   approvedAt: { type: Date },            
+  // Set when the store's followers were told about the product (first approval only)
+  followersNotifiedAt: { type: Date },
   rejectionReason: { type: String },      // نص سبب الرفض
   rejectionAt: { type: Date },            // تاريخ الرفض لحساب الحذف بعد يومين
   category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', required: true },
@@ -286,16 +315,7 @@ productSchema.methods.updateRatingStats = async function () {
     this.ratingsQuantity = stats.ratingsQuantity;
     this.ratingsAverage = stats.ratingsAverage;
     this.ratingsDistribution = stats.ratingsDistribution;
-    this.detailedRatings = {
-      productQuality: stats.avgProductQuality || 0,
-      valueForMoney: stats.avgValueForMoney || 0,
-      accuracy: stats.avgAccuracy || 0,
-      shippingSpeed: stats.avgShippingSpeed || 0,
-      packaging: stats.avgPackaging || 0,
-      sellerCommunication: stats.avgSellerCommunication || 0,
-      sizeAccuracy: stats.avgSizeAccuracy || 0,
-      colorAccuracy: stats.avgColorAccuracy || 0
-    };
+    this.detailedRatings = stats.detailedRatings;
     this.recommendationRate = stats.recommendationRate || 0;
     this.verifiedReviewsCount = stats.verifiedPurchaseCount || 0;
     this.reviewsWithImagesCount = stats.withImagesCount || 0;
@@ -362,12 +382,50 @@ productSchema.pre('save', function (next) {
   next();
 });
 
+// Keep variant SKUs unique within the product and the total stock in sync
+productSchema.pre('save', function (next) {
+  if (!this.variants?.length || !this.isModified('variants')) return next();
+
+  this.variants.forEach((variant, index) => {
+    if (!variant.sku) {
+      const suffix = variant.options.map((opt) => opt.value).join('-') || index + 1;
+      variant.sku = `${this._id.toString().slice(-6)}-${suffix}`.toUpperCase().replace(/\s+/g, '');
+    }
+  });
+
+  const skus = this.variants.map((variant) => variant.sku);
+  if (new Set(skus).size !== skus.length) {
+    return next(new Error('Variant SKUs must be unique within a product'));
+  }
+
+  this.quantity = this.variants
+    .filter((variant) => variant.isActive)
+    .reduce((sum, variant) => sum + (variant.quantity || 0), 0);
+  next();
+});
+
 // Update timestamp before save
 productSchema.pre('save', function (next) {
   this.updatedAt = new Date();
   next();
 });
 
+// Arabic-normalized search fields of a product
+const buildSearchFields = ({ title, description }) => ({
+  searchTitle: normalizeSearchText(title),
+  searchText: normalizeSearchText(`${title || ''} ${description || ''}`),
+  searchTrigrams: trigrams(title)
+});
+
+productSchema.statics.buildSearchFields = buildSearchFields;
+
+productSchema.pre('save', function (next) {
+  if (this.isNew || this.isModified('title') || this.isModified('description')) {
+    Object.assign(this, buildSearchFields(this));
+  }
+  next();
+});
+
 // Update rating stats when product is loaded (optional)
 productSchema.post('find', async function (docs) {
   // You can choose to auto-update rating stats here if needed
@@ -393,6 +451,10 @@ productSchema.index({ category: 1, status: 1 });
 productSchema.index({ isFeatured: 1, status: 1 });
 productSchema.index({ ratingsAverage: -1, ratingsQuantity: -1 });
 productSchema.index({ 'colors.value': 1 });
+productSchema.index({ 'variants.sku': 1 });
+productSchema.index({ seller: 1, outOfStock: 1 });
+productSchema.index({ searchTrigrams: 1 });
+productSchema.index({ searchTitle: 1 });
 productSchema.index({ 'detailedRatings.productQuality': -1 });
 productSchema.index({ trustScore: -1 }); // Virtual, but useful if materialized
 productSchema.index({ lastRatingAt: -1 });
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// Public question on a product page, answered by the product's seller (or an admin)
+const productQuestionSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    // Seller of the product, who is expected to answer
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    question: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 500
+    },
+
+    answer: {
+      text: { type: String, trim: true, maxlength: 2000 },
+      answeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      answeredByRole: { type: String, enum: ['seller', 'admin'] },
+      updatedAt: Date
+    },
+    isAnswered: {
+      type: Boolean,
+      default: false
+    },
+    // First answer, for response-time stats
+    answeredAt: Date,
+
+    upvotes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    upvoteCount: {
+      type: Number,
+      default: 0
+    },
+
+    // Moderation: questions are published right away, admins hide abusive ones
+    status: {
+      type: String,
+      enum: ['published', 'hidden'],
+      default: 'published'
+    },
+    reports: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    reportCount: {
+      type: Number,
+      default: 0
+    },
+    moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    moderatedAt: Date,
+    moderationReason: String
+  },
+  { timestamps: true }
+);
+
+productQuestionSchema.index({ product: 1, status: 1, isAnswered: 1, upvoteCount: -1 });
+productQuestionSchema.index({ seller: 1, isAnswered: 1, createdAt: -1 });
+productQuestionSchema.index({ status: 1, reportCount: -1 });
+
+export default mongoose.model('ProductQuestion', productQuestionSchema);
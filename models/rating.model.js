@@ -1,5 +1,26 @@
 import mongoose from 'mongoose';
 
+export const SUB_RATINGS = [
+  'productQuality',
+  'valueForMoney',
+  'accuracy',
+  'shippingSpeed',
+  'packaging',
+  'sellerCommunication',
+  'sizeAccuracy',
+  'colorAccuracy'
+];
+
+const subRating = {
+  type: Number,
+  min: 1,
+  max: 5,
+  validate: {
+    validator: (value) => value == null || Number.isInteger(value),
+    message: 'Rating must be an integer value'
+  }
+};
+
 const ratingSchema = new mongoose.Schema(
   {
     product: {
@@ -31,7 +52,50 @@ const ratingSchema = new mongoose.Schema(
       type: String,
       trim: true,
       maxlength: 1000
-    }
+    },
+    images: {
+      type: [String],
+      default: []
+    },
+
+    // Optional 1-5 sub-ratings, averaged into product.detailedRatings
+    productQuality: subRating,
+    valueForMoney: subRating,
+    accuracy: subRating,
+    shippingSpeed: subRating,
+    packaging: subRating,
+    sellerCommunication: subRating,
+    sizeAccuracy: subRating,
+    colorAccuracy: subRating,
+    wouldRecommend: Boolean,
+
+    // Set by the server from the buyer's delivered orders, never by the client
+    verifiedPurchase: {
+      type: Boolean,
+      default: false
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+
+    // Only approved reviews are public and count toward the product's rating
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending',
+      index: true
+    },
+    isFeatured: {
+      type: Boolean,
+      default: false
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: Date,
+    rejectionReason: String
   },
   {
     timestamps: true,
@@ -42,33 +106,59 @@ const ratingSchema = new mongoose.Schema(
 
 // Prevent duplicate reviews
 ratingSchema.index({ product: 1, user: 1 }, { unique: true });
+// Seller reputation and the seller's review listing
+ratingSchema.index({ seller: 1, status: 1 });
 
-// Static method to calculate average ratings for a product
+// Recompute a product's rating stats from its approved reviews
 ratingSchema.statics.calcAverageRatings = async function (productId) {
   const normalizedProductId =
     typeof productId === 'string' ? new mongoose.Types.ObjectId(productId) : productId;
 
-  const stats = await this.aggregate([
+  const [stats] = await this.aggregate([
     {
-      $match: { product: normalizedProductId },
+      $match: { product: normalizedProductId, status: 'approved' },
     },
     {
       $group: {
         _id: '$product',
         nRating: { $sum: 1 },
         avgRating: { $avg: '$rating' },
+        ...Object.fromEntries([1, 2, 3, 4, 5].map((star) => [
+          `star${star}`,
+          { $sum: { $cond: [{ $eq: ['$rating', star] }, 1, 0] } }
+        ])),
+        // $avg skips reviews without the sub-rating
+        ...Object.fromEntries(SUB_RATINGS.map((field) => [field, { $avg: `$${field}` }])),
+        recommendations: { $sum: { $cond: [{ $eq: ['$wouldRecommend', true] }, 1, 0] } },
+        recommendationAnswers: { $sum: { $cond: [{ $eq: [{ $type: '$wouldRecommend' }, 'bool'] }, 1, 0] } },
+        verifiedPurchaseCount: { $sum: { $cond: ['$verifiedPurchase', 1, 0] } },
+        withImagesCount: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$images', []] } }, 0] }, 1, 0] } },
       },
     },
   ]);
 
+  const round = (value) => Math.round((value || 0) * 10) / 10;
+
   const summary = {
-    ratingsQuantity: stats[0]?.nRating || 0,
-    ratingsAverage: stats[0]?.avgRating || 0,
+    ratingsQuantity: stats?.nRating || 0,
+    ratingsAverage: stats?.avgRating || 0,
+    ratingsDistribution: Object.fromEntries([1, 2, 3, 4, 5].map((star) => [star, stats?.[`star${star}`] || 0])),
+    detailedRatings: Object.fromEntries(SUB_RATINGS.map((field) => [field, round(stats?.[field])])),
+    recommendationRate: stats?.recommendationAnswers
+      ? Math.round((stats.recommendations / stats.recommendationAnswers) * 100)
+      : 0,
+    verifiedPurchaseCount: stats?.verifiedPurchaseCount || 0,
+    withImagesCount: stats?.withImagesCount || 0,
   };
 
   await this.model('Product').findByIdAndUpdate(productId, {
     ratingsQuantity: summary.ratingsQuantity,
     ratingsAverage: summary.ratingsAverage,
+    ratingsDistribution: summary.ratingsDistribution,
+    detailedRatings: summary.detailedRatings,
+    recommendationRate: summary.recommendationRate,
+    verifiedReviewsCount: summary.verifiedPurchaseCount,
+    reviewsWithImagesCount: summary.withImagesCount,
     lastRatingAt: summary.ratingsQuantity ? new Date() : null,
   });
 
@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+const refundItemSchema = new mongoose.Schema(
+  {
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    quantity: Number,
+    itemTotal: Number,
+    couponShare: { type: Number, default: 0 },
+    shippingShare: { type: Number, default: 0 },
+    refundAmount: Number,
+
+    // How the refund is split between the seller and the platform
+    sellerReversal: { type: Number, default: 0 },
+    platformReversal: { type: Number, default: 0 }
+  },
+  { _id: false }
+);
+
+const refundSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      index: true
+    },
+    buyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    returnRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReturnRequest'
+    },
+    reason: {
+      type: String,
+      enum: ['return', 'cancellation', 'manual'],
+      required: true
+    },
+    items: [refundItemSchema],
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    currency: {
+      type: String,
+      default: 'EGP'
+    },
+    method: {
+      type: String,
+      enum: ['paymob', 'store_credit'],
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed'],
+      default: 'pending',
+      index: true
+    },
+    providerReference: String,
+    failureReason: String,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    processedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    completedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+refundSchema.index({ createdAt: -1 });
+
+export default mongoose.model('Refund', refundSchema);
@@ -50,6 +50,10 @@ const returnRequestSchema = new mongoose.Schema({
     enum: ['pending', 'approved', 'processing', 'ready_for_pickup', 'received', 'rejected', 'finished'],
     default: 'pending'
   },
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
   deleteAt: {
     type: Date,
     default: null
@@ -88,5 +92,7 @@ returnRequestSchema.pre('save', function (next) {
 
 // إنشاء index لتسريع عملية البحث عن الطلبات المنتهية الصلاحية
 returnRequestSchema.index({ deleteAt: 1 }, { expireAfterSeconds: 0 });
+// Return rate in the seller reputation window
+returnRequestSchema.index({ seller: 1, createdAt: -1 });
 
 export default mongoose.model('ReturnRequest', returnRequestSchema);
\ No newline at end of file
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Raw search events expire after this many days; SearchTerm keeps the all-time counts
+const RETENTION_DAYS = parseInt(process.env.SEARCH_EVENTS_RETENTION_DAYS || '90', 10);
+
+// One search request, and the product the user opened from its results
+const searchEventSchema = new mongoose.Schema({
+  // Normalized query, see utils/searchText.js
+  term: {
+    type: String,
+    required: true
+  },
+  query: String,
+  filters: mongoose.Schema.Types.Mixed,
+  sort: String,
+  page: Number,
+  resultCount: {
+    type: Number,
+    default: 0
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sessionId: String,
+
+  clickedProduct: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  // 1-based rank of the clicked product in the results
+  clickPosition: Number,
+  clickedAt: Date,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+searchEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+searchEventSchema.index({ term: 1, createdAt: -1 });
+searchEventSchema.index({ resultCount: 1, createdAt: -1 });
+
+export default mongoose.model('SearchEvent', searchEventSchema);
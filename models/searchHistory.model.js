@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// A user's recent searches, one entry per normalized query
+const searchHistorySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    term: {
+      type: String,
+      required: true
+    },
+    query: {
+      type: String,
+      required: true
+    },
+    searchedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }
+);
+
+searchHistorySchema.index({ user: 1, term: 1 }, { unique: true });
+searchHistorySchema.index({ user: 1, searchedAt: -1 });
+
+export default mongoose.model('SearchHistory', searchHistorySchema);
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// How often each (normalized) query is searched, for popular suggestions
+const searchTermSchema = new mongoose.Schema(
+  {
+    term: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    // Last spelling users typed, shown in suggestions
+    query: {
+      type: String,
+      required: true
+    },
+    count: {
+      type: Number,
+      default: 0
+    },
+    lastSearchedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+searchTermSchema.index({ count: -1 });
+
+export default mongoose.model('SearchTerm', searchTermSchema);
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+export const APPLICATION_STATUSES = ['pending', 'changes_requested', 'approved', 'rejected'];
+// Applications the user can still edit and the admins still have to decide on
+export const OPEN_APPLICATION_STATUSES = ['pending', 'changes_requested'];
+
+export const KYC_DOCUMENT_TYPES = ['national_id_front', 'national_id_back', 'commercial_register', 'tax_card'];
+export const REQUIRED_KYC_DOCUMENTS = ['national_id_front', 'national_id_back'];
+
+// Identity documents are private Cloudinary images: admins get signed,
+// expiring URLs (services/sellerApplication.service.js), none is stored
+const documentSchema = new mongoose.Schema({
+  type: { type: String, enum: KYC_DOCUMENT_TYPES, required: true },
+  publicId: String,
+  format: String,
+  // Cloudinary delivery type, unset ('upload', public) on documents not migrated yet
+  accessType: { type: String, enum: ['upload', 'authenticated'] },
+  // Public URL of documents uploaded before they were private, cleared by jobs/kycDocumentBackfill.js
+  url: String,
+  uploadedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Audit trail: every submission and review decision
+const historySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['submitted', 'updated', 'resubmitted', 'approved', 'rejected', 'changes_requested'],
+    required: true
+  },
+  from: String,
+  to: String,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: String,
+  reason: String,
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A user's request to become a seller, reviewed by an admin
+const sellerApplicationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Copied to `vendorProfile` on approval
+  store: {
+    storeName: { type: String, required: true, trim: true, maxlength: 100 },
+    ownerName: { type: String, required: true, trim: true, maxlength: 100 },
+    phone: { type: String, required: true, trim: true, match: /^01[0125][0-9]{8}$/ },
+    nationalId: { type: String, required: true, trim: true, minlength: 14, maxlength: 14 },
+    city: { type: String, trim: true },
+    description: { type: String, trim: true, maxlength: 1000 },
+    payoutMethod: { type: String, enum: ['instapay', 'vodafone_cash', 'bank'], required: true },
+    payoutAccount: { type: String, required: true, trim: true }
+  },
+
+  documents: [documentSchema],
+
+  status: {
+    type: String,
+    enum: APPLICATION_STATUSES,
+    default: 'pending'
+  },
+  // Reason shown to the applicant for a rejection or requested changes
+  reviewReason: String,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  submittedAt: { type: Date, default: Date.now },
+
+  history: [historySchema]
+}, {
+  timestamps: true
+});
+
+sellerApplicationSchema.index({ user: 1, createdAt: -1 });
+sellerApplicationSchema.index({ status: 1, submittedAt: 1 });
+
+export default mongoose.model('SellerApplication', sellerApplicationSchema);
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// A buyer following a seller's store (notified when the store lists new products)
+const storeFollowSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+storeFollowSchema.index({ user: 1, seller: 1 }, { unique: true });
+storeFollowSchema.index({ seller: 1, createdAt: -1 });
+storeFollowSchema.index({ user: 1, createdAt: -1 });
+
+export default mongoose.model('StoreFollow', storeFollowSchema);
@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
+import { slugify } from '../utils/searchText.js';
 
 const vendorSchema = new mongoose.Schema(
   {
@@ -38,6 +39,29 @@ const vendorSchema = new mongoose.Schema(
       trim: true
     },
 
+    // Public storefront: /api/stores/:slug
+    slug: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+
+    logo: {
+      type: String,
+      trim: true
+    },
+
+    banner: {
+      type: String,
+      trim: true
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+
     payoutMethod: {
       type: String,
       enum: ['instapay', 'vodafone_cash', 'bank'],
@@ -73,6 +97,26 @@ const vendorSchema = new mongoose.Schema(
       default: 0
     },
 
+    // Stock at or below this triggers a LOW_STOCK alert
+    lowStockThreshold: {
+      type: Number,
+      default: 5,
+      min: 0
+    },
+
+    // Kept up to date by services/sellerReputation.service.js
+    reputation: {
+      score: Number,
+      reviewAverage: Number,
+      reviewCount: Number,
+      orderCount: Number,
+      onTimeRate: Number,
+      cancellationRate: Number,
+      returnRate: Number,
+      windowDays: Number,
+      updatedAt: Date
+    },
+
   },
   { _id: false }
 );
@@ -107,6 +151,12 @@ const walletSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Funds reserved by open withdrawal requests (already deducted from balance)
+  heldBalance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   pendingTransactions: [{
     orderId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -126,6 +176,8 @@ const walletSchema = new mongoose.Schema({
       enum: ['pending', 'released', 'cancelled'],
       default: 'pending'
     },
+    // Cash-on-delivery earnings wait for the courier's cash to be reconciled
+    awaitingCash: Boolean,
     createdAt: {
       type: Date,
       default: Date.now
@@ -220,13 +272,37 @@ const userSchema = new mongoose.Schema({
     default: false,
     index: true
   },
-  // Indicates whether the admin has marked this seller as trusted
+  // Whether the seller is trusted, set by an admin or by the reputation thresholds
   isTrustedSeller: {
     type: Boolean,
     default: false,
     index: true
   },
+  // 'manual' when an admin set isTrustedSeller, which the reputation thresholds then leave alone
+  trustedSellerSource: {
+    type: String,
+    enum: ['auto', 'manual']
+  },
+  // Set by services/chatSafety.service.js when the user keeps sharing contact details in chats
+  chatFlag: {
+    flagged: { type: Boolean, default: false },
+    flaggedAt: Date,
+    offenses: Number,
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: Date,
+    note: String
+  },
   vendorProfile: vendorSchema,
+  // Delivery agents: where they deliver, used by the auto-assigner
+  deliveryProfile: {
+    // Governorates (address `state`) of home deliveries, stored normalized
+    zones: [{ type: String, trim: true }],
+    pickupPoints: [{ type: mongoose.Schema.Types.ObjectId, ref: 'PickupPoint' }],
+    // Off-duty agents are skipped by the auto-assigner
+    isAvailable: Boolean,
+    // Cash-on-delivery money collected and not handed over yet (services/cod.service.js)
+    cashInHand: Number
+  },
   wallet: {
     type: walletSchema,
     default: () => ({})
@@ -337,6 +413,26 @@ const userSchema = new mongoose.Schema({
   }
 });
 
+// Paths under /api/stores/ taken by routes, which would shadow a storefront with that slug
+export const RESERVED_STORE_SLUGS = ['me', 'following'];
+
+// Give each store a unique slug once; it stays put when the store is renamed so links keep working
+userSchema.pre('save', async function (next) {
+  if (!this.vendorProfile?.storeName || this.vendorProfile.slug) {
+    return next();
+  }
+
+  try {
+    const base = slugify(this.vendorProfile.storeName) || 'store';
+    const taken = RESERVED_STORE_SLUGS.includes(base)
+      || await this.constructor.exists({ 'vendorProfile.slug': base, _id: { $ne: this._id } });
+    this.vendorProfile.slug = taken ? `${base}-${this._id.toString().slice(-6)}` : base;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Password hashing middleware
 userSchema.pre('save', async function (next) {
   // Only hash the password if it has been modified (or is new)
@@ -542,7 +638,10 @@ userSchema.index({ phone: 1 }, {
   partialFilterExpression: { phone: { $exists: true, $ne: null } }
 });
 userSchema.index({ 'vendorProfile.storeName': 'text' });
+userSchema.index({ 'vendorProfile.slug': 1 }, { unique: true, sparse: true });
+userSchema.index({ 'chatFlag.flagged': 1, 'chatFlag.flaggedAt': -1 });
 userSchema.index({ role: 1, isActive: 1 });
+userSchema.index({ 'deliveryProfile.zones': 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ lastLogin: -1 });
 userSchema.index({ 'security.accountLockedUntil': 1 });
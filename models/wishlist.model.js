@@ -17,6 +17,16 @@ const wishlistSchema = new mongoose.Schema({
     addedAt: {
       type: Date,
       default: Date.now
+    },
+    // Opt-in alerts for this item (one-shot, re-armed by the user)
+    alerts: {
+      backInStock: { type: Boolean, default: false },
+      backInStockNotifiedAt: Date,
+      // Notify when the price drops below this amount
+      priceBelow: { type: Number, min: 0 },
+      // Price of the last drop alert, only a lower price alerts again
+      lastNotifiedPrice: Number,
+      priceDropNotifiedAt: Date
     }
   }]
 }, {
@@ -27,7 +37,7 @@ const wishlistSchema = new mongoose.Schema({
 wishlistSchema.pre(/^find/, function (next) {
   this.populate({
     path: 'products.product',
-    select: 'title description images price discountedPrice discountPercentage category ratings status'
+    select: 'title description images price discountedPrice discountPercentage category ratings status quantity'
   });
   next();
 });
@@ -59,5 +69,6 @@ wishlistSchema.methods.hasProduct = function (productId) {
 // Index for better performance
 wishlistSchema.index({ user: 1 });
 wishlistSchema.index({ 'products.product': 1 });
+wishlistSchema.index({ 'products.product': 1, 'products.alerts.backInStock': 1 });
 
 export default mongoose.model('Wishlist', wishlistSchema);
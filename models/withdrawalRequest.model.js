@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+
+// Requests still holding seller funds; a seller has at most one
+export const OPEN_WITHDRAWAL_STATUSES = ['pending', 'approved'];
+
+const withdrawalRequestSchema = new mongoose.Schema(
+  {
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    currency: {
+      type: String,
+      default: 'EGP'
+    },
+
+    // Snapshot of the seller payout details at request time
+    payoutMethod: {
+      type: String,
+      enum: ['instapay', 'vodafone_cash', 'bank'],
+      required: true
+    },
+    payoutAccount: {
+      type: String,
+      required: true,
+      trim: true
+    },
+
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'paid', 'cancelled'],
+      default: 'pending',
+      index: true
+    },
+    // True while the request holds seller funds (pending or approved). Backs
+    // the one-open-request-per-seller index: MongoDB 5 partial indexes can't
+    // filter on a list of statuses
+    isOpen: {
+      type: Boolean,
+      default: true
+    },
+
+    sellerNote: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    adminNote: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    transferReference: {
+      type: String,
+      trim: true
+    },
+
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    paidBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    paidAt: Date,
+    cancelledAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+withdrawalRequestSchema.index({ seller: 1, createdAt: -1 });
+withdrawalRequestSchema.index({ status: 1, createdAt: -1 });
+withdrawalRequestSchema.index(
+  { seller: 1 },
+  { unique: true, partialFilterExpression: { isOpen: true } }
+);
+
+export default mongoose.model('WithdrawalRequest', withdrawalRequestSchema);
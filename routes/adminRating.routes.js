@@ -0,0 +1,16 @@
+import express from 'express';
+import { getRatingsForAdmin, moderateRating } from '../controllers/rating.controller.js';
+import { isAdmin, protect } from '../middlewares/auth.middleware.js';
+import paginate from '../middlewares/pagination.js';
+import { validate } from '../validations/validation.middleware.js';
+import { moderateRatingSchema, ratingModerationQuerySchema } from '../validations/review.validation.js';
+
+const router = express.Router();
+
+router.use(protect, isAdmin);
+
+// Review moderation queue
+router.get('/', validate(ratingModerationQuerySchema, 'query'), paginate(), getRatingsForAdmin);
+router.patch('/:ratingId/moderate', validate(moderateRatingSchema), moderateRating);
+
+export default router;
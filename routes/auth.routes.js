@@ -53,6 +53,7 @@ router.use(protect);
 router.get('/me', getCurrentUser);
 router.patch('/change-password', joiValidate(changePasswordValidation), changePassword);
 router.put('/profile', joiValidate(updateProfileValidation), updateProfile);
+// Store details are submitted and reviewed through /api/seller-applications
 // router.put('/vendor-profile', validate(vendorProfileValidation), updateVendorProfile);
 // TODO
 // Admin routes
@@ -1,34 +1,61 @@
 import express from 'express';
 import {
-  startChat,
-  sendMessage,
+  getChat,
   getChats,
-  getChat
+  getChatModerationLog,
+  getChatsForAdmin,
+  getFlaggedChatUsers,
+  getMessages,
+  getUnreadChatCount,
+  joinChatAsAdmin,
+  markChatAsRead,
+  reviewFlaggedChatUser,
+  sendMessage,
+  startChat,
+  updateChatStatus
 } from '../controllers/chat.controller.js';
-import { protect } from '../middlewaress/auth.middleware.js';
-
-// Import validations
+import { isAdmin, protect } from '../middlewares/auth.middleware.js';
+import paginate, { paginateWithCursor } from '../middlewares/pagination.js';
+import { uploadImageArray } from '../middlewares/upload.js';
+import { MAX_CHAT_ATTACHMENTS } from '../services/chat.service.js';
+import { validate } from '../validations/validation.middleware.js';
 import {
-  startChatValidation,
-  sendMessageValidation,
-  getChatsValidation
-} from '../validations/chat.validations.js';
+  chatListSchema,
+  chatStatusSchema,
+  reviewFlaggedUserSchema,
+  sendMessageSchema,
+  startChatSchema
+} from '../validations/chat.validation.js';
 
 const router = express.Router();
 
-// Protect all routes with authentication
 router.use(protect);
 
-// Start a new chat
-router.post('/', startChatValidation, startChat);
-
-// Send a message
-router.post('/:id/messages', sendMessageValidation, sendMessage);
-
-// Get all chats for current user
-router.get('/', getChatsValidation, getChats);
+router.post('/', validate(startChatSchema), startChat);
+router.get('/', validate(chatListSchema, 'query'), paginate(20), getChats);
+router.get('/unread', getUnreadChatCount);
+
+// Dispute handling
+router.get('/admin', isAdmin, paginate(20), getChatsForAdmin);
+router.get('/admin/flagged-users', isAdmin, paginate(20), getFlaggedChatUsers);
+router.patch(
+  '/admin/flagged-users/:userId/review',
+  isAdmin,
+  validate(reviewFlaggedUserSchema),
+  reviewFlaggedChatUser
+);
+router.post('/:id/join', isAdmin, joinChatAsAdmin);
+router.get('/:id/moderation', isAdmin, paginate(20), getChatModerationLog);
 
-// Get specific chat
 router.get('/:id', getChat);
+router.get('/:id/messages', paginateWithCursor(30), getMessages);
+router.post(
+  '/:id/messages',
+  uploadImageArray('attachments', MAX_CHAT_ATTACHMENTS),
+  validate(sendMessageSchema),
+  sendMessage
+);
+router.patch('/:id/read', markChatAsRead);
+router.patch('/:id/status', validate(chatStatusSchema), updateChatStatus);
 
 export default router;
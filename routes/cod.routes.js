@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  createHandover,
+  getAgentsCash,
+  getCollections,
+  getHandover,
+  getHandovers,
+  getMyCash,
+  getMyHandovers
+} from '../controllers/cod.controller.js';
+import { isAdmin, isDelivery, protect } from '../middlewares/auth.middleware.js';
+import paginate from '../middlewares/pagination.js';
+import { validate } from '../validations/validation.middleware.js';
+import {
+  collectionListSchema,
+  createHandoverSchema,
+  handoverListSchema
+} from '../validations/cod.validation.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Delivery agent: cash in hand
+router.get('/me', isDelivery, getMyCash);
+router.get('/me/handovers', isDelivery, paginate(20), getMyHandovers);
+
+// Admin: reconciliation
+router.get('/agents', isAdmin, getAgentsCash);
+router.get('/collections', isAdmin, validate(collectionListSchema, 'query'), paginate(20), getCollections);
+router.post('/handovers', isAdmin, validate(createHandoverSchema), createHandover);
+router.get('/handovers', isAdmin, validate(handoverListSchema, 'query'), paginate(20), getHandovers);
+router.get('/handovers/:id', isAdmin, getHandover);
+
+export default router;
@@ -1,6 +1,6 @@
 import express from 'express';
 import { isUser, isAdmin, protect } from '../middlewares/auth.middleware.js';
-import paginate from '../middlewares/pagination.js';
+import paginate, { paginateWithCursor } from '../middlewares/pagination.js';
 import {
   createComplaint,
   getComplaints,
@@ -20,7 +20,7 @@ router.post('/', isUser, createComplaint);
 
 // Get complaints (separate endpoints for user/admin)
 router.get('/user', isUser, paginate(), getComplaints);
-router.get('/admin', isAdmin, paginate(), getComplaintsForAdmin);
+router.get('/admin', isAdmin, paginateWithCursor(), getComplaintsForAdmin);
 
 // Get single complaint (both user and admin)
 router.get('/:id', protect, getComplaint);
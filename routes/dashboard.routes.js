@@ -1,6 +1,10 @@
 import express from 'express';
 import { protect, isSeller, isAdmin } from '../middlewares/auth.middleware.js';
-import { getSellerCounters, getAdminCounters } from '../controllers/dashboard.controller.js';
+import {
+  getSellerCounters,
+  getAdminCounters,
+  updateLowStockThreshold
+} from '../controllers/dashboard.controller.js';
 
 const router = express.Router();
 
@@ -10,4 +14,7 @@ router.use(protect);
 router.get('/seller/counters', isSeller, getSellerCounters);
 router.get('/admin/counters', isAdmin, getAdminCounters);
 
+// Stock alerts
+router.patch('/seller/low-stock-threshold', isSeller, updateLowStockThreshold);
+
 export default router;
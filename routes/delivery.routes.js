@@ -0,0 +1,43 @@
+import express from 'express';
+import {
+  assignOrderDelivery,
+  getDeliveries,
+  getDeliveryAgents,
+  getMyDeliveries,
+  rescheduleMyDelivery,
+  runAutoAssign,
+  unassignOrderDelivery,
+  updateDeliveryAgent,
+  updateMyDelivery
+} from '../controllers/delivery.controller.js';
+import { isAdmin, isDelivery, protect } from '../middlewares/auth.middleware.js';
+import paginate from '../middlewares/pagination.js';
+import { validate } from '../validations/validation.middleware.js';
+import {
+  assignDeliverySchema,
+  deliveryAgentSchema,
+  deliveryListSchema,
+  rescheduleDeliverySchema,
+  updateDeliveryTaskSchema
+} from '../validations/delivery.validation.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Courier work queue
+router.get('/me', isDelivery, validate(deliveryListSchema, 'query'), paginate(20), getMyDeliveries);
+router.patch('/:orderId/status', isDelivery, validate(updateDeliveryTaskSchema), updateMyDelivery);
+
+// Buyer: reschedule or switch to a pickup point after a failed attempt
+router.patch('/:orderId/reschedule', validate(rescheduleDeliverySchema), rescheduleMyDelivery);
+
+// Admin: agents and assignments
+router.get('/agents', isAdmin, getDeliveryAgents);
+router.put('/agents/:userId', isAdmin, validate(deliveryAgentSchema), updateDeliveryAgent);
+router.post('/auto-assign', isAdmin, runAutoAssign);
+router.get('/', isAdmin, validate(deliveryListSchema, 'query'), paginate(20), getDeliveries);
+router.post('/:orderId/assign', isAdmin, validate(assignDeliverySchema), assignOrderDelivery);
+router.delete('/:orderId/assign', isAdmin, unassignOrderDelivery);
+
+export default router;
@@ -14,23 +14,54 @@ import couponRoutes from './coupon.routes.js';
 import addressesRoutes from './address.routes.js';
 import authRoutes from './auth.routes.js';
 import ratingRoutes from './rating.routes.js';
+import adminRatingRoutes from './adminRating.routes.js';
+import sellerRatingRoutes from './seller/rating.routes.js';
+import sellerRoutes from './seller.routes.js';
+import storeRoutes from './store.routes.js';
+import sellerApplicationRoutes from './sellerApplication.routes.js';
+import productQuestionRoutes from './productQuestion.routes.js';
+import questionRoutes from './question.routes.js';
 import searchRoutes from './search.routes.js';
+import chatRoutes from './chat.routes.js';
 import analyticsRoutes from './analytics.routes.js';
 import transactionRoutes from './transaction.routes.js';
 import dashboardRoutes from './dashboard.routes.js';
 import platformEarningRoutes from './platformEarnings.routes.js';
 import logsRoutes from './logs.routes.js';
 import paymentRoutes from './payment.routes.js';
+import withdrawalRoutes from './withdrawal.routes.js';
+import refundRoutes from './refund.routes.js';
+import deliveryRoutes from './delivery.routes.js';
+import codRoutes from './cod.routes.js';
 
 const mountRoutes = (app) => {
     // Product ratings
     app.use('/api/products/:productId/ratings', ratingRoutes);
 
+    // Product Q&A
+    app.use('/api/products/:productId/questions', productQuestionRoutes);
+    app.use('/api/questions', questionRoutes);
+
     // Admin rating management
-    // app.use('/api/admin/ratings', adminRatingRoutes);
+    app.use('/api/admin/ratings', adminRatingRoutes);
 
     // Seller rating management
-    // app.use('/api/sellers/ratings', sellerRatingRoutes);
+    app.use('/api/sellers/ratings', sellerRatingRoutes);
+
+    // Public seller profiles
+    app.use('/api/sellers', sellerRoutes);
+
+    // Public storefronts and store follows
+    app.use('/api/stores', storeRoutes);
+
+    // Seller onboarding (KYC applications)
+    app.use('/api/seller-applications', sellerApplicationRoutes);
+
+    // Courier assignment and the delivery agents' work queue
+    app.use('/api/deliveries', deliveryRoutes);
+
+    // Cash-on-delivery collections and courier cash handovers
+    app.use('/api/cod', codRoutes);
 
     // Other routes
     app.use('/api/auth', authRoutes);
@@ -49,11 +80,14 @@ const mountRoutes = (app) => {
     app.use('/api/coupons', couponRoutes);
     app.use('/api/addresses', addressesRoutes);
     app.use('/api/transactions', transactionRoutes);
+    app.use('/api/withdrawals', withdrawalRoutes);
+    app.use('/api/refunds', refundRoutes);
     app.use('/api/dashboard', dashboardRoutes);
     app.use('/api/analytics', analyticsRoutes);
     app.use('/api/platform-earnings', platformEarningRoutes);
     app.use('/api/payments', paymentRoutes);
     app.use('/api/logs', logsRoutes);
+    app.use('/api/chats', chatRoutes);
 
     // Search route
     app.use('/api/search', searchRoutes);
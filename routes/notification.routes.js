@@ -8,6 +8,7 @@ import {
     searchUsers,
 } from '../controllers/notification.controller.js';
 import { isAdmin, protect } from '../middlewares/auth.middleware.js';
+import { paginateWithCursor } from '../middlewares/pagination.js';
 
 const router = express.Router();
 
@@ -15,7 +16,7 @@ const router = express.Router();
 router.use(protect);
 
 // User routes
-router.get('/', getNotifications);
+router.get('/', paginateWithCursor(20), getNotifications);
 router.get('/unread-count', getUnreadCount);
 router.patch('/:id/read', markAsRead);
 router.patch('/read-all', markAllAsRead);
@@ -5,17 +5,23 @@ import {
     orderComplete,
     updatePayment,
     createOrder,
+    getCheckoutQuote,
     confirmPreparation,
     createOrderFilterObj,
     updateDeliveryStatus,
     updatePaymentStatus,
     getUserOrderById,
     getUserOrders,
-    toggleOrderStatus
+    toggleOrderStatus,
+    updateOrderStatus,
+    updateShipment
 } from '../controllers/order.controller.js';
 import { getOrderActivity } from '../controllers/orderActivity.controller.js';
 import { isAdmin, isDelivery, isSeller, protect } from '../middlewares/auth.middleware.js';
 import isVerified from '../middlewares/isVerified.js';
+import paginate from '../middlewares/pagination.js';
+import { validate } from '../validations/validation.middleware.js';
+import { updateShipmentSchema } from '../validations/order.validation.js';
 
 const router = express.Router();
 
@@ -27,6 +33,8 @@ router.post('/complete', isDelivery, orderComplete);
 // User orders
 router.get('/users', getUserOrders);
 
+// Server-side price preview of the cart
+router.get('/quote', getCheckoutQuote);
 router.post("/", isVerified, createOrder);
 router.patch("/toggleActivation", isVerified, toggleOrderStatus);
 
@@ -35,13 +43,15 @@ router.patch("/toggleActivation", isVerified, toggleOrderStatus);
 router.get('/admin', isAdmin, getAllOrders);
 router.get('/vendor', isSeller, createOrderFilterObj, getVendorOrders);
 // Order activity log (seller & admin)
-router.get('/:id/activity', isSeller, getOrderActivity);
-router.get('/admin/:id/activity', isAdmin, getOrderActivity);
+router.get('/:orderId/activity', isSeller, paginate(), getOrderActivity);
+router.get('/admin/:orderId/activity', isAdmin, paginate(), getOrderActivity);
 
 router.get('/:id', getUserOrderById);
 // router.get('/vendor/:vendorId/earnings', isSeller, getVendorEarnings);
 router.patch('/prepared', isSeller, confirmPreparation);
 router.patch('/updateDelivery', isAdmin, updateDeliveryStatus);
+router.patch('/:id/status', updateOrderStatus);
+router.patch('/:id/shipments/:shipmentId', validate(updateShipmentSchema), updateShipment);
 router.patch('/:id/payment-status', isAdmin, updatePaymentStatus);
 router.post('/update-payment', updatePayment);
 // payment
@@ -1,5 +1,5 @@
 import express from 'express';
-import paginate from '../middlewares/pagination.js';
+import paginate, { paginateWithCursor } from '../middlewares/pagination.js';
 import {
   createProduct,
   getProducts,
@@ -21,7 +21,7 @@ import { isAdmin, isSeller, protect } from '../middlewares/auth.middleware.js';
 const router = express.Router({ mergeParams: true });
 
 
-router.get('/', paginate(), createFilterObj, createSortObj, getProducts);
+router.get('/', paginateWithCursor(), createFilterObj, createSortObj, getProducts);
 
 router.get('/featured', getFeaturedProducts);
 
@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  answerQuestion,
+  askQuestion,
+  deleteQuestion,
+  getProductQuestions,
+  reportQuestion,
+  toggleQuestionUpvote
+} from '../controllers/productQuestion.controller.js';
+import { isSeller, optionalProtect, protect } from '../middlewares/auth.middleware.js';
+import isVerified from '../middlewares/isVerified.js';
+import paginate from '../middlewares/pagination.js';
+import { validate } from '../validations/validation.middleware.js';
+import { answerQuestionSchema, askQuestionSchema } from '../validations/productQuestion.validation.js';
+
+// Mounted on /api/products/:productId/questions
+const router = express.Router({ mergeParams: true });
+
+// @route   GET /api/products/:productId/questions?answered=&sort=top|newest
+// @access  Public
+router.get('/', optionalProtect, paginate(10), getProductQuestions);
+
+router.use(protect);
+
+router.post('/', isVerified, validate(askQuestionSchema), askQuestion);
+router.put('/:questionId/answer', isSeller, validate(answerQuestionSchema), answerQuestion);
+router.post('/:questionId/upvote', toggleQuestionUpvote);
+router.post('/:questionId/report', reportQuestion);
+router.delete('/:questionId', deleteQuestion);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  getQuestionsForAdmin,
+  getSellerQuestions,
+  moderateQuestion
+} from '../controllers/productQuestion.controller.js';
+import { isAdmin, isSeller, protect } from '../middlewares/auth.middleware.js';
+import paginate from '../middlewares/pagination.js';
+import { validate } from '../validations/validation.middleware.js';
+import { moderateQuestionSchema } from '../validations/productQuestion.validation.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Questions on the seller's products
+router.get('/seller', isSeller, paginate(), getSellerQuestions);
+
+// Moderation
+router.get('/admin', isAdmin, paginate(), getQuestionsForAdmin);
+router.patch('/:questionId/moderate', isAdmin, validate(moderateQuestionSchema), moderateQuestion);
+
+export default router;
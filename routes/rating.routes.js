@@ -1,14 +1,16 @@
 import express from 'express';
 import { addRating, deleteRating, getProductRatings, updateRating } from '../controllers/rating.controller.js';
 import { protect, isUser } from '../middlewares/auth.middleware.js';
+import { validate } from '../validations/validation.middleware.js';
+import { addRatingSchema, updateRatingSchema } from '../validations/review.validation.js';
 
 const router = express.Router({ mergeParams: true });
 router.use(protect)
 // router.use(isUser)
-router.post('/', addRating)
+router.post('/', validate(addRatingSchema), addRating)
 router.get('/', getProductRatings)
 
-router.patch('/:ratingId',updateRating)
+router.patch('/:ratingId', validate(updateRatingSchema), updateRating)
 router.delete('/:ratingId',deleteRating)
   
 export default router;
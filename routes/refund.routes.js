@@ -0,0 +1,16 @@
+import express from 'express';
+import { protect, isAdmin } from '../middlewares/auth.middleware.js';
+import paginate from '../middlewares/pagination.js';
+import { getMyRefunds, getRefundsForAdmin, retryRefund } from '../controllers/refund.controller.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/me', paginate(), getMyRefunds);
+
+// Admin routes
+router.get('/admin', isAdmin, paginate(), getRefundsForAdmin);
+router.post('/admin/:id/retry', isAdmin, retryRefund);
+
+export default router;
@@ -1,11 +1,44 @@
 import express from 'express';
-import { searchProducts } from '../controllers/search.controller.js';
+import {
+  clearSearchHistory,
+  getSearchClickThrough,
+  getSearchHistory,
+  getTopSearches,
+  getTrendingSearches,
+  getZeroResultSearches,
+  recordSearchClick,
+  searchProducts,
+  suggestSearch
+} from '../controllers/search.controller.js';
 import paginate from '../middlewares/pagination.js';
+import { isAdmin, optionalProtect, protect } from '../middlewares/auth.middleware.js';
+import { validate } from '../validations/validation.middleware.js';
+import {
+  searchAnalyticsSchema,
+  searchClickSchema,
+  trendingSearchesSchema
+} from '../validations/search.validation.js';
 
 const router = express.Router();
 
 // GET /api/search?q=term
-router.get('/', paginate(), searchProducts);
+router.get('/', optionalProtect, paginate(), searchProducts);
+
+// GET /api/search/suggest?q=te
+router.get('/suggest', optionalProtect, suggestSearch);
+
+// Recent searches of the signed-in user
+router.get('/history', protect, getSearchHistory);
+router.delete('/history', protect, clearSearchHistory);
+
+// POST /api/search/click { searchId, productId, position }
+router.post('/click', validate(searchClickSchema), recordSearchClick);
+
+// Search analytics (admin)
+router.get('/analytics/top', protect, isAdmin, validate(searchAnalyticsSchema, 'query'), getTopSearches);
+router.get('/analytics/zero-results', protect, isAdmin, validate(searchAnalyticsSchema, 'query'), getZeroResultSearches);
+router.get('/analytics/ctr', protect, isAdmin, validate(searchAnalyticsSchema, 'query'), getSearchClickThrough);
+router.get('/analytics/trending', protect, isAdmin, validate(trendingSearchesSchema, 'query'), getTrendingSearches);
 
 export default router;
 
@@ -0,0 +1,11 @@
+import express from 'express';
+import { getSellerProfile } from '../controllers/seller.controller.js';
+
+const router = express.Router();
+
+// @route   GET /api/sellers/:sellerId
+// @desc    Public seller profile and reputation
+// @access  Public
+router.get('/:sellerId', getSellerProfile);
+
+export default router;
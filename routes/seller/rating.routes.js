@@ -1,17 +1,17 @@
-const express = require('express');
-const rating.controller = require('../../controllers/rating.controller');
-const authController = require('../../controllers/authController');
+import express from 'express';
+import { getSellerRatingStats, getSellerRatings } from '../../controllers/rating.controller.js';
+import { isSeller, protect } from '../../middlewares/auth.middleware.js';
+import paginate from '../../middlewares/pagination.js';
 
 const router = express.Router({ mergeParams: true });
 
 // Protect all routes after this middleware
-router.use(authController.protect);
-router.use(authController.restrictTo('seller'));
+router.use(protect, isSeller);
 
 // Get all ratings for seller's products
-router.get('/', rating.controller.getSellerRatings);
+router.get('/', paginate(), getSellerRatings);
 
 // Get stats for seller's ratings
-router.get('/stats', rating.controller.getSellerRatings);
+router.get('/stats', getSellerRatingStats);
 
-module.exports = router;
+export default router;
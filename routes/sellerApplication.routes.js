@@ -0,0 +1,38 @@
+import express from 'express';
+import {
+  getMySellerApplication,
+  getSellerApplication,
+  getSellerApplications,
+  reviewSellerApplication,
+  submitSellerApplication,
+  updateMySellerApplication
+} from '../controllers/sellerApplication.controller.js';
+import { isAdmin, protect } from '../middlewares/auth.middleware.js';
+import isVerified from '../middlewares/isVerified.js';
+import paginate from '../middlewares/pagination.js';
+import { uploadImageFields } from '../middlewares/upload.js';
+import { validate } from '../validations/validation.middleware.js';
+import { DOCUMENT_FIELDS } from '../services/sellerApplication.service.js';
+import {
+  reviewSellerApplicationSchema,
+  submitSellerApplicationSchema,
+  updateSellerApplicationSchema
+} from '../validations/sellerApplication.validation.js';
+
+const router = express.Router();
+
+const uploadDocuments = uploadImageFields(Object.keys(DOCUMENT_FIELDS));
+
+router.use(protect);
+
+// Applicant
+router.post('/', isVerified, uploadDocuments, validate(submitSellerApplicationSchema), submitSellerApplication);
+router.get('/me', getMySellerApplication);
+router.put('/me', isVerified, uploadDocuments, validate(updateSellerApplicationSchema), updateMySellerApplication);
+
+// Admin review
+router.get('/', isAdmin, paginate(), getSellerApplications);
+router.get('/:id', isAdmin, getSellerApplication);
+router.patch('/:id/review', isAdmin, validate(reviewSellerApplicationSchema), reviewSellerApplication);
+
+export default router;
@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  followStore,
+  getFollowedStores,
+  getMyStore,
+  getStore,
+  getStoreProducts,
+  unfollowStore,
+  updateMyStore
+} from '../controllers/store.controller.js';
+import { createFilterObj, createSortObj } from '../controllers/product.controller.js';
+import { isSeller, optionalProtect, protect } from '../middlewares/auth.middleware.js';
+import paginate, { paginateWithCursor } from '../middlewares/pagination.js';
+import { validate } from '../validations/validation.middleware.js';
+import { updateStoreSchema } from '../validations/store.validation.js';
+
+const router = express.Router();
+
+// Seller's own store and the buyer's followed stores (before /:slug)
+router.get('/me', protect, isSeller, getMyStore);
+router.patch('/me', protect, isSeller, validate(updateStoreSchema), updateMyStore);
+router.get('/following', protect, paginate(20), getFollowedStores);
+
+// @route   GET /api/stores/:slug
+// @access  Public
+router.get('/:slug', optionalProtect, getStore);
+
+// @route   GET /api/stores/:slug/products
+// @access  Public
+router.get('/:slug/products', paginateWithCursor(), createFilterObj, createSortObj, getStoreProducts);
+
+router.post('/:slug/follow', protect, followStore);
+router.delete('/:slug/follow', protect, unfollowStore);
+
+export default router;
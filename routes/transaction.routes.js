@@ -1,6 +1,6 @@
 import express from 'express';
 import { protect, isSeller, isAdmin } from '../middlewares/auth.middleware.js';
-import paginate from '../middlewares/pagination.js';
+import paginate, { paginateWithCursor } from '../middlewares/pagination.js';
 import { getSellerTransactions, getAdminTransactions } from '../controllers/financialTransaction.controller.js';
 
 const router = express.Router();
@@ -11,6 +11,6 @@ router.use(protect);
 router.get('/seller', isSeller, paginate(), getSellerTransactions);
 
 // Admin route
-router.get('/admin', isAdmin, paginate(), getAdminTransactions);
+router.get('/admin', isAdmin, paginateWithCursor(), getAdminTransactions);
 
 export default router;
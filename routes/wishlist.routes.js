@@ -8,8 +8,11 @@ import {
   toggleWishlist,
   checkFavorite,
   clearWishlist,
-  getWishlistCount
+  getWishlistCount,
+  setWishlistAlerts
 } from '../controllers/wishlist.controller.js';
+import { validate } from '../validations/validation.middleware.js';
+import { wishlistAlertsSchema } from '../validations/wishlist.validation.js';
 
 const router = express.Router();
 
@@ -36,6 +39,11 @@ router.get('/check/:productId', checkFavorite);
 // @access  Private
 router.post('/toggle', isVerified, toggleWishlist);
 
+// @route   PATCH /api/wishlist/:productId/alerts
+// @desc    Set back-in-stock / price-drop alerts for a wishlist item
+// @access  Private
+router.patch('/:productId/alerts', validate(wishlistAlertsSchema), setWishlistAlerts);
+
 // @route   DELETE /api/wishlist
 // @desc    Clear wishlist
 // @access  Private
@@ -0,0 +1,36 @@
+import express from 'express';
+import { protect, isSeller, isAdmin } from '../middlewares/auth.middleware.js';
+import paginate from '../middlewares/pagination.js';
+import { validate } from '../validations/validation.middleware.js';
+import {
+    approveWithdrawalSchema,
+    createWithdrawalSchema,
+    markWithdrawalPaidSchema,
+    rejectWithdrawalSchema
+} from '../validations/withdrawal.validation.js';
+import {
+    requestWithdrawal,
+    getMyWithdrawals,
+    cancelWithdrawal,
+    getWithdrawalsForAdmin,
+    approveWithdrawal,
+    rejectWithdrawal,
+    markWithdrawalPaid
+} from '../controllers/withdrawal.controller.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Seller routes
+router.post('/', isSeller, validate(createWithdrawalSchema), requestWithdrawal);
+router.get('/me', isSeller, paginate(), getMyWithdrawals);
+router.patch('/:id/cancel', isSeller, cancelWithdrawal);
+
+// Admin routes
+router.get('/admin', isAdmin, paginate(), getWithdrawalsForAdmin);
+router.patch('/admin/:id/approve', isAdmin, validate(approveWithdrawalSchema), approveWithdrawal);
+router.patch('/admin/:id/reject', isAdmin, validate(rejectWithdrawalSchema), rejectWithdrawal);
+router.patch('/admin/:id/paid', isAdmin, validate(markWithdrawalPaidSchema), markWithdrawalPaid);
+
+export default router;
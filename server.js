@@ -20,6 +20,12 @@ import jwt from 'jsonwebtoken';
 import './utils/cron.js';
 import cookie from 'cookie';
 import { startPendingPayoutProcessor } from './jobs/pendingPayoutProcessor.js';
+import { startStockHoldReleaser } from './jobs/stockHoldReleaser.js';
+import { startSearchIndexBackfill } from './jobs/searchIndexBackfill.js';
+import { startRatingStatusBackfill } from './jobs/ratingStatusBackfill.js';
+import { startStoreSlugBackfill } from './jobs/storeSlugBackfill.js';
+import { startKycDocumentBackfill } from './jobs/kycDocumentBackfill.js';
+import { startDeliveryAutoAssigner } from './jobs/deliveryAutoAssigner.js';
 
 // Initialize Express app
 const app = express();
@@ -99,19 +105,7 @@ io.use((socket, next) => {
 io.on('connection', (socket) => {
   logger.info('User connected:', socket.user?.email || 'Unknown');
 
-  // Handle chat room joining
-  socket.on('joinChat', (chatId) => {
-    socket.join(`chat_${chatId}`);
-    logger.info(`User ${socket.user?.email} joined chat ${chatId}`);
-  });
-
-  // Handle typing indicator
-  socket.on('typing', ({ chatId, isTyping }) => {
-    socket.to(`chat_${chatId}`).emit('userTyping', {
-      userId: socket.user.id,
-      isTyping
-    });
-  });
+  // Chat events are handled in socket.js (membership is checked there)
 
   // Handle disconnect
   socket.on('disconnect', () => {
@@ -159,6 +153,12 @@ const startServer = async () => {
       }
 
       startPendingPayoutProcessor();
+      startStockHoldReleaser();
+      startSearchIndexBackfill();
+      startRatingStatusBackfill();
+      startStoreSlugBackfill();
+      startKycDocumentBackfill();
+      startDeliveryAutoAssigner(io);
     });
   } catch (error) {
     logger.error('Failed to start server:', error);
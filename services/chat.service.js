@@ -0,0 +1,263 @@
+import mongoose from 'mongoose';
+import Chat from '../models/chat.model.js';
+import Message from '../models/message.model.js';
+import Product from '../models/product.model.js';
+import { uploadImageWithOptions } from './imageUploadService.js';
+import { CONTACT_BLOCKED_MESSAGE, recordChatViolation, screenMessage } from './chatSafety.service.js';
+import { createError } from '../utils/error.js';
+
+export const CHAT_NOT_FOUND_MESSAGE = 'المحادثة غير موجودة';
+export const MAX_CHAT_ATTACHMENTS = 5;
+
+// Order is loaded lazily: order.model -> orderStatus.service -> ... -> this service
+const orderModel = () => mongoose.model('Order');
+
+const idOf = (value) => (value?._id || value).toString();
+
+// Everyone who receives the conversation's messages: buyer, seller and joined admins
+export const chatMembers = (chat) => [
+  ...new Set([...chat.participants, ...(chat.admins || [])].map(idOf))
+];
+
+export const isChatMember = (chat, userId) => chatMembers(chat).includes(idOf(userId));
+
+const senderRole = (user) => (['seller', 'admin'].includes(user.role) ? user.role : 'user');
+
+// `unreadCounts` is a Map on documents and a plain object on lean results
+const unreadCountOf = (chat, userId) => {
+  const counts = chat.unreadCounts;
+  if (!counts) return 0;
+  return (counts instanceof Map ? counts.get(idOf(userId)) : counts[idOf(userId)]) || 0;
+};
+
+/**
+ * Public shape of a conversation for one member.
+ */
+export const formatChat = (chat, userId) => {
+  const { unreadCounts, __v, ...rest } = chat.toObject ? chat.toObject() : chat;
+  return {
+    ...rest,
+    id: chat._id,
+    unreadCount: unreadCountOf({ unreadCounts }, userId)
+  };
+};
+
+/**
+ * Conversation the user may read and write in: a member, or any admin.
+ *
+ * @throws 404 when missing, 403 for outsiders
+ */
+export const findChatForUser = async (chatId, user) => {
+  if (!mongoose.isValidObjectId(chatId)) throw createError(CHAT_NOT_FOUND_MESSAGE, 404);
+
+  const chat = await Chat.findById(chatId);
+  if (!chat) throw createError(CHAT_NOT_FOUND_MESSAGE, 404);
+
+  if (!isChatMember(chat, user._id) && user.role !== 'admin') {
+    throw createError('غير مصرح لك بالوصول إلى هذه المحادثة', 403);
+  }
+  return chat;
+};
+
+/**
+ * Buyer and seller of a new conversation. An order chat is between the order's
+ * buyer and one of its sellers (`sellerId` picks one on multi-vendor orders);
+ * a product chat is between the current user and the product's seller.
+ *
+ * @returns {Promise<{ buyer, seller, product?, order? }>}
+ */
+export const resolveChatParties = async (user, { productId, orderId, sellerId }) => {
+  const userId = idOf(user._id);
+
+  if (orderId) {
+    const order = await orderModel().findById(orderId).select('buyer items.seller').lean();
+    if (!order) throw createError('الطلب غير موجود', 404);
+
+    const sellers = [...new Set(order.items.map((item) => idOf(item.seller)))];
+
+    if (idOf(order.buyer) === userId) {
+      const seller = sellerId || (sellers.length === 1 ? sellers[0] : null);
+      if (!seller) throw createError('حدد البائع الذي تريد مراسلته', 400);
+      if (!sellers.includes(idOf(seller))) throw createError('البائع ليس جزءاً من هذا الطلب', 400);
+      return { buyer: order.buyer, seller, order: order._id };
+    }
+
+    if (sellers.includes(userId)) {
+      return { buyer: order.buyer, seller: user._id, order: order._id };
+    }
+
+    throw createError('غير مصرح لك بالمراسلة بخصوص هذا الطلب', 403);
+  }
+
+  const product = await Product.findById(productId).select('seller').lean();
+  if (!product) throw createError('المنتج غير موجود', 404);
+  if (idOf(product.seller) === userId) {
+    throw createError('لا يمكنك بدء محادثة مع نفسك', 400);
+  }
+  return { buyer: user._id, seller: product.seller, product: product._id };
+};
+
+/**
+ * Existing conversation between the parties about the same product / order,
+ * or a new one.
+ *
+ * @returns {Promise<{ chat, created: boolean }>}
+ */
+export const findOrCreateChat = async ({ buyer, seller, product, order }) => {
+  const scope = { buyer, seller, product: product || null, order: order || null };
+
+  const existing = await Chat.findOne(scope);
+  if (existing) return { chat: existing, created: false };
+
+  try {
+    const chat = await Chat.create({
+      participants: [buyer, seller],
+      buyer,
+      seller,
+      ...(product && { product }),
+      ...(order && { order })
+    });
+    return { chat, created: true };
+  } catch (err) {
+    // Created by a concurrent request in the meantime
+    if (err.code !== 11000) throw err;
+    return { chat: await Chat.findOne(scope), created: false };
+  }
+};
+
+export const uploadChatAttachments = async (files = []) => Promise.all(
+  files.slice(0, MAX_CHAT_ATTACHMENTS).map(async (file) => {
+    const { url, publicId } = await uploadImageWithOptions(file, { folder: 'mirvory/chat', tags: ['chat'] });
+    return { url, publicId };
+  })
+);
+
+/**
+ * Store a message, bump the other members' unread counts and push it to the
+ * chat room. A text message reopens a resolved or archived conversation.
+ * Messages from buyers and sellers go through the contact-sharing filter first.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {Object} chat Chat document
+ * @param {{ _id, role }} sender
+ * @param {{ content?, attachments?, type? }} payload
+ */
+export const postMessage = async (io, chat, sender, { content: text, attachments = [], type = 'text' }) => {
+  const screening = type === 'text' && sender.role !== 'admin'
+    ? screenMessage(text)
+    : { action: 'allow', content: text, findings: [] };
+
+  if (screening.action === 'block') {
+    await recordChatViolation(io, { chat, sender, action: 'block', findings: screening.findings, content: text });
+    throw createError(CONTACT_BLOCKED_MESSAGE, 400);
+  }
+
+  const { content } = screening;
+  const message = await Message.create({
+    chat: chat._id,
+    sender: sender._id,
+    senderRole: senderRole(sender),
+    type,
+    content,
+    attachments,
+    masked: screening.action === 'mask',
+    readBy: [sender._id]
+  });
+
+  if (screening.action === 'mask') {
+    await recordChatViolation(io, { chat, sender, message, action: 'mask', findings: screening.findings, content: text });
+  }
+
+  const recipients = chatMembers(chat).filter((id) => id !== idOf(sender._id));
+  const update = {
+    $set: {
+      lastMessage: {
+        sender: sender._id,
+        content,
+        hasAttachments: attachments.length > 0,
+        createdAt: message.createdAt
+      },
+      lastMessageAt: message.createdAt,
+      ...(type === 'text' && { status: 'active' })
+    }
+  };
+  if (recipients.length) {
+    update.$inc = Object.fromEntries(recipients.map((id) => [`unreadCounts.${id}`, 1]));
+  }
+  await Chat.updateOne({ _id: chat._id }, update);
+
+  if (io) {
+    io.to(`chat_${chat._id}`).emit('new_message', { chatId: chat._id, message: message.toObject() });
+    // Members not viewing the chat still get the unread badge
+    recipients.forEach((id) => {
+      io.to(`user_${id}`).emit('chat_message', {
+        chatId: chat._id,
+        from: sender._id,
+        preview: content ? content.slice(0, 100) : null,
+        hasAttachments: attachments.length > 0
+      });
+    });
+  }
+
+  return message;
+};
+
+/**
+ * Mark every message of the conversation as read by the user.
+ */
+export const markChatRead = async (io, chat, userId) => {
+  await Promise.all([
+    Message.updateMany({ chat: chat._id, readBy: { $ne: userId } }, { $addToSet: { readBy: userId } }),
+    Chat.updateOne({ _id: chat._id }, { $set: { [`unreadCounts.${idOf(userId)}`]: 0 } })
+  ]);
+
+  io?.to(`chat_${chat._id}`).emit('messages_read', {
+    chatId: chat._id,
+    readerId: userId,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Unread messages across all of the user's conversations
+export const getUnreadTotal = async (userId) => {
+  const id = new mongoose.Types.ObjectId(idOf(userId));
+  const [result] = await Chat.aggregate([
+    { $match: { $or: [{ participants: id }, { admins: id }] } },
+    { $group: { _id: null, total: { $sum: { $ifNull: [`$unreadCounts.${id}`, 0] } } } }
+  ]);
+  return result?.total || 0;
+};
+
+/**
+ * Add an admin to the conversation (dispute handling) and leave a system
+ * message so both parties see it.
+ *
+ * @returns {Promise<boolean>} false when the admin had already joined
+ */
+export const addAdminToChat = async (io, chat, admin) => {
+  const { modifiedCount } = await Chat.updateOne(
+    { _id: chat._id, admins: { $ne: admin._id } },
+    { $addToSet: { admins: admin._id } }
+  );
+  if (!modifiedCount) return false;
+
+  chat.admins.addToSet(admin._id);
+  await postMessage(io, chat, admin, { type: 'system', content: 'انضم فريق الدعم إلى المحادثة' });
+  return true;
+};
+
+export default {
+  CHAT_NOT_FOUND_MESSAGE,
+  MAX_CHAT_ATTACHMENTS,
+  chatMembers,
+  isChatMember,
+  formatChat,
+  findChatForUser,
+  resolveChatParties,
+  findOrCreateChat,
+  uploadChatAttachments,
+  postMessage,
+  markChatRead,
+  getUnreadTotal,
+  addAdminToChat
+};
@@ -0,0 +1,141 @@
+import User from '../models/user.model.js';
+import ChatModerationLog from '../models/chatModerationLog.model.js';
+import { config } from '../config/config.js';
+import { findContacts, findHiddenContacts, maskSpans } from '../utils/contactDetection.js';
+import { sendNotification } from '../utils/notify.js';
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+export const CHAT_SAFETY_POLICY = {
+  // 'mask' hides the contact details, 'block' rejects the message
+  action: process.env.CHAT_CONTACT_POLICY === 'block' ? 'block' : 'mask',
+  // Masked or blocked messages within the window before the sender is flagged
+  flagThreshold: envNumber('CHAT_FLAG_THRESHOLD', 3),
+  flagWindowDays: envNumber('CHAT_FLAG_WINDOW_DAYS', 30)
+};
+
+export const CONTACT_MASK = '[محجوب]';
+export const CONTACT_BLOCKED_MESSAGE = 'لا يُسمح بمشاركة أرقام الهواتف أو البريد الإلكتروني أو الروابط في المحادثة';
+
+// Links to the storefront itself are fine
+const ALLOWED_HOSTS = [config.clientUrl]
+  .map((url) => {
+    try {
+      return new URL(url).host.toLowerCase();
+    } catch {
+      return null;
+    }
+  })
+  .filter(Boolean);
+
+/**
+ * Screen a chat message for contact details.
+ *
+ * Plain and obfuscated matches (spelled-out digits, "at" / "dot" words,
+ * digits split on purpose) are both masked, or the message blocked, per
+ * `CHAT_CONTACT_POLICY`.
+ *
+ * @param {string} content
+ * @returns {{ action: 'allow'|'mask'|'block', content: string,
+ *   findings: Array<{ type: string, obfuscated: boolean }> }}
+ */
+export const screenMessage = (content) => {
+  if (!content) return { action: 'allow', content, findings: [] };
+
+  const options = { allowedHosts: ALLOWED_HOSTS };
+  // An obfuscated match can extend a plain one: merged so each is masked once
+  const spans = [
+    ...findContacts(content, options).map((span) => ({ ...span, obfuscated: false })),
+    ...findHiddenContacts(content, options).map((span) => ({ ...span, obfuscated: true }))
+  ]
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, span) => {
+      const last = merged[merged.length - 1];
+      if (last && span.start < last.end) {
+        last.end = Math.max(last.end, span.end);
+        last.obfuscated = last.obfuscated || span.obfuscated;
+      } else {
+        merged.push({ ...span });
+      }
+      return merged;
+    }, []);
+
+  const findings = spans.map(({ type, obfuscated }) => ({ type, obfuscated }));
+
+  if (!findings.length) return { action: 'allow', content, findings };
+
+  if (CHAT_SAFETY_POLICY.action === 'block') {
+    return { action: 'block', content, findings };
+  }
+
+  return { action: 'mask', content: maskSpans(content, spans, CONTACT_MASK), findings };
+};
+
+const flagSender = async (io, senderId, offenses) => {
+  // Only the first time past the threshold (or again after an admin cleared the flag)
+  const flagged = await User.findOneAndUpdate(
+    { _id: senderId, 'chatFlag.flagged': { $ne: true } },
+    {
+      $set: {
+        'chatFlag.flagged': true,
+        'chatFlag.flaggedAt': new Date(),
+        'chatFlag.offenses': offenses
+      }
+    },
+    { new: true }
+  ).select('firstName lastName email');
+  if (!flagged) return;
+
+  const admins = await User.find({ role: 'admin', isActive: true }).select('_id').lean();
+  await Promise.all(admins.map((admin) => sendNotification(io, {
+    userId: admin._id,
+    role: 'admin',
+    actor: senderId,
+    type: 'CHAT_USER_FLAGGED',
+    title: 'مستخدم يشارك بيانات تواصل في المحادثات',
+    message: `${flagged.firstName || flagged.email} حاول مشاركة بيانات تواصل ${offenses} مرات خلال ${CHAT_SAFETY_POLICY.flagWindowDays} يوماً`,
+    data: { userId: senderId }
+  })));
+};
+
+/**
+ * Log a masked / blocked message and flag the sender for admin review once
+ * they reach the threshold. Never throws: the message flow must go on.
+ */
+export const recordChatViolation = async (io, { chat, sender, message, action, findings, content }) => {
+  try {
+    await ChatModerationLog.create({
+      chat: chat._id,
+      message: message?._id,
+      sender: sender._id,
+      action: action === 'block' ? 'blocked' : 'masked',
+      findings,
+      content: content?.slice(0, 2000)
+    });
+
+    // Offenses an admin already reviewed don't count again
+    const user = await User.findById(sender._id).select('chatFlag.reviewedAt').lean();
+    const windowStart = new Date(Date.now() - CHAT_SAFETY_POLICY.flagWindowDays * 24 * 60 * 60 * 1000);
+    const reviewedAt = user?.chatFlag?.reviewedAt;
+    const since = reviewedAt && reviewedAt > windowStart ? reviewedAt : windowStart;
+
+    const offenses = await ChatModerationLog.countDocuments({ sender: sender._id, createdAt: { $gte: since } });
+
+    if (offenses >= CHAT_SAFETY_POLICY.flagThreshold) {
+      await flagSender(io, sender._id, offenses);
+    }
+  } catch (err) {
+    console.error(`Failed to record chat violation in chat ${chat._id}:`, err.message);
+  }
+};
+
+export default {
+  CHAT_SAFETY_POLICY,
+  CONTACT_MASK,
+  CONTACT_BLOCKED_MESSAGE,
+  screenMessage,
+  recordChatViolation
+};
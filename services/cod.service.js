@@ -0,0 +1,218 @@
+import mongoose from 'mongoose';
+import CodCollection from '../models/codCollection.model.js';
+import CashHandover from '../models/cashHandover.model.js';
+import User from '../models/user.model.js';
+import logOrderActivity from './orderActivity.service.js';
+import { shipmentItems } from './shipment.service.js';
+import { itemCouponShare } from './coupon.service.js';
+import { createError } from '../utils/error.js';
+import { sendNotification } from '../utils/notify.js';
+
+const roundMoney = (value) => Math.round((value || 0) * 100) / 100;
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+/**
+ * Cash the buyer pays on delivery of one shipment: its lines after the coupon
+ * plus its shipping fee (already net of any free-shipping coupon).
+ */
+export const shipmentCashDue = (order, shipment) => {
+  const items = shipmentItems(order, shipment)
+    .filter((item) => !item.refunded)
+    .reduce((sum, item) => sum + item.price * item.quantity - itemCouponShare(order, item), 0);
+  return roundMoney(items + (shipment.shippingFee || 0));
+};
+
+/**
+ * Let the seller earnings of reconciled collections be released (after the
+ * usual hold period).
+ *
+ * @param {Array<Object>} collections
+ * @param {Object} [opts]
+ * @param {import('mongoose').ClientSession} [opts.session]
+ */
+export const releaseCodEarnings = async (collections, { session } = {}) => {
+  if (!collections.length) return;
+
+  await User.bulkWrite(collections.map((collection) => ({
+    updateOne: {
+      filter: { _id: collection.seller },
+      update: { $set: { 'wallet.pendingTransactions.$[tx].awaitingCash': false } },
+      arrayFilters: [{ 'tx.orderId': collection.order, 'tx.awaitingCash': true }]
+    }
+  })), { session });
+};
+
+/**
+ * Record the cash taken for a delivered cash-on-delivery shipment. A courier's
+ * collection adds to their cash in hand until an admin confirms the handover;
+ * cash taken by an admin is reconciled on the spot.
+ *
+ * @param {Object} order Order document
+ * @param {Object} shipment Delivered shipment subdocument of `order`
+ * @param {{ _id, role }} collector
+ * @returns {Promise<Object|null>} The collection, or null when nothing is due
+ */
+export const recordCodCollection = async (order, shipment, collector) => {
+  if (order.paymentMethod !== 'cash') return null;
+
+  const amount = shipmentCashDue(order, shipment);
+  const byAdmin = collector.role === 'admin';
+
+  let collection;
+  try {
+    collection = await CodCollection.create({
+      order: order._id,
+      shipment: shipment._id,
+      seller: idOf(shipment.seller),
+      collectedBy: collector._id,
+      collectorRole: byAdmin ? 'admin' : 'delivery',
+      amount,
+      ...(byAdmin && { status: 'reconciled', reconciledAt: new Date(), reconciledBy: collector._id })
+    });
+  } catch (err) {
+    // Already recorded by a concurrent hand-over
+    if (err.code === 11000) return null;
+    throw err;
+  }
+
+  if (byAdmin) {
+    await releaseCodEarnings([collection]);
+  } else {
+    await User.updateOne({ _id: collector._id }, { $inc: { 'deliveryProfile.cashInHand': amount } });
+  }
+
+  await logOrderActivity({
+    orderId: order._id,
+    actorId: collector._id,
+    actorRole: collector.role,
+    action: 'cod_collected',
+    description: `Cash on delivery collected: ${amount.toFixed(2)} EGP`,
+    metadata: { shipmentId: shipment._id, amount, collectionId: collection._id }
+  });
+
+  return collection;
+};
+
+/**
+ * Cash an agent holds: their running balance and the collections not handed over yet.
+ */
+export const getAgentCashSummary = async (agentId) => {
+  const [agent, held] = await Promise.all([
+    User.findById(agentId).select('firstName lastName deliveryProfile.cashInHand').lean(),
+    CodCollection.aggregate([
+      { $match: { collectedBy: new mongoose.Types.ObjectId(idOf(agentId)), status: 'held' } },
+      { $group: { _id: null, amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  return {
+    cashInHand: roundMoney(agent?.deliveryProfile?.cashInHand),
+    heldCollections: held[0]?.count || 0,
+    heldAmount: roundMoney(held[0]?.amount)
+  };
+};
+
+const notifyHandover = async (io, handover, agent) => {
+  const amounts = `المتوقع ${handover.expectedAmount.toFixed(2)} جنيه، المستلم ${handover.receivedAmount.toFixed(2)} جنيه`;
+
+  await sendNotification(io, {
+    userId: agent._id,
+    actor: handover.receivedBy,
+    type: handover.status === 'balanced' ? 'COD_HANDOVER_CONFIRMED' : 'COD_HANDOVER_DISCREPANCY',
+    title: handover.status === 'balanced' ? 'تم تأكيد تسليم النقدية' : 'فرق في تسليم النقدية',
+    message: `${amounts}. الرصيد النقدي لديك الآن ${handover.cashInHandAfter.toFixed(2)} جنيه`,
+    data: { handoverId: handover._id }
+  });
+
+  if (handover.status === 'balanced') return;
+
+  const admins = await User.find({ role: 'admin', isActive: true }).select('_id').lean();
+  await Promise.all(admins.map((admin) => sendNotification(io, {
+    userId: admin._id,
+    role: 'admin',
+    actor: handover.receivedBy,
+    type: 'COD_HANDOVER_DISCREPANCY',
+    title: handover.status === 'short' ? 'عجز في نقدية مندوب التوصيل' : 'زيادة في نقدية مندوب التوصيل',
+    message: `${agent.firstName} ${agent.lastName}: ${amounts} (الفرق ${handover.discrepancy.toFixed(2)} جنيه)`,
+    data: { handoverId: handover._id, agentId: agent._id }
+  })));
+};
+
+/**
+ * Admin counts the cash an agent hands over. The agent's held collections (or
+ * the given ones) are reconciled and their seller earnings become releasable;
+ * the agent's cash in hand goes down by what was actually received, so a
+ * shortage stays on their balance. Discrepancies are reported to the admins.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {Object} opts
+ * @param {string} opts.agentId
+ * @param {Object} opts.admin Admin receiving the cash
+ * @param {number} opts.receivedAmount Cash counted
+ * @param {Array<string>} [opts.collectionIds] Defaults to every held collection
+ * @param {string} [opts.note]
+ * @returns {Promise<Object>} The handover
+ */
+export const createCashHandover = async (io, { agentId, admin, receivedAmount, collectionIds, note }) => {
+  const agent = await User.findById(agentId).select('firstName lastName role');
+  if (!agent || agent.role !== 'delivery') throw createError('مندوب التوصيل غير موجود', 404);
+
+  const filter = { collectedBy: agent._id, status: 'held' };
+  if (collectionIds?.length) filter._id = { $in: collectionIds };
+
+  // Claiming the collections, the agent's balance and the handover commit
+  // together: two admins can't settle the same cash twice, and a failure
+  // half-way leaves the collections held
+  const session = await mongoose.startSession();
+  let handover;
+
+  try {
+    await session.withTransaction(async () => {
+      handover = new CashHandover({ agent: agent._id, receivedBy: admin._id, receivedAmount, note });
+
+      const { modifiedCount } = await CodCollection.updateMany(filter, {
+        $set: { status: 'reconciled', handover: handover._id, reconciledAt: new Date(), reconciledBy: admin._id }
+      }, { session });
+      if (!modifiedCount) throw createError('لا توجد مبالغ محصّلة لدى المندوب لتسويتها', 400);
+
+      const collections = await CodCollection.find({ handover: handover._id }).session(session).lean();
+      const expectedAmount = roundMoney(collections.reduce((sum, collection) => sum + collection.amount, 0));
+      const discrepancy = roundMoney(receivedAmount - expectedAmount);
+
+      const updatedAgent = await User.findByIdAndUpdate(
+        agent._id,
+        { $inc: { 'deliveryProfile.cashInHand': -receivedAmount } },
+        { new: true, session }
+      ).select('deliveryProfile.cashInHand');
+
+      handover.set({
+        collections: collections.map((collection) => collection._id),
+        expectedAmount,
+        discrepancy,
+        status: discrepancy === 0 ? 'balanced' : discrepancy < 0 ? 'short' : 'over',
+        cashInHandAfter: roundMoney(updatedAgent.deliveryProfile.cashInHand)
+      });
+      await handover.save({ session });
+
+      await releaseCodEarnings(collections, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  try {
+    await notifyHandover(io, handover, agent);
+  } catch (err) {
+    console.error(`Failed to notify about cash handover ${handover._id}:`, err.message);
+  }
+
+  return handover;
+};
+
+export default {
+  shipmentCashDue,
+  releaseCodEarnings,
+  recordCodCollection,
+  getAgentCashSummary,
+  createCashHandover
+};
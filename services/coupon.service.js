@@ -0,0 +1,306 @@
+import mongoose from 'mongoose';
+import Coupon from '../models/coupon.model.js';
+import CouponRedemption from '../models/couponRedemption.model.js';
+import Order from '../models/order.model.js';
+import { createError } from '../utils/error.js';
+
+const roundMoney = (value) => Math.round((value || 0) * 100) / 100;
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+// Whether the coupon is inside its validity window and has uses left
+const isCouponLive = (coupon, now = new Date()) => Boolean(coupon)
+  && coupon.isActive
+  && coupon.validFrom <= now
+  && coupon.validUntil >= now
+  && coupon.currentUses < coupon.maxUses;
+
+const inScope = (list, ref) => !list?.length || list.some((id) => idOf(id) === idOf(ref));
+
+/**
+ * Whether a cart / order line can get the coupon: every non-empty scope list
+ * (categories, brands, sellers, products) must contain the line's product,
+ * and products on sale are skipped when `excludeDiscountedItems` is set.
+ */
+export const isLineEligible = (coupon, product) => {
+  const scope = coupon.scope || {};
+
+  if (coupon.excludeDiscountedItems && product.discountPercentage > 0) return false;
+
+  return inScope(scope.categories, product.category)
+    && inScope(scope.brands, product.brand)
+    && inScope(scope.sellers, product.seller)
+    && inScope(scope.products, product._id);
+};
+
+// Spread `amount` over the lines by value, the last line takes the rounding rest
+const allocate = (amount, lines) => {
+  const total = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  const shares = new Map();
+  let left = amount;
+
+  lines.forEach((line, index) => {
+    const share = index === lines.length - 1
+      ? roundMoney(left)
+      : roundMoney(amount * ((line.price * line.quantity) / total));
+    shares.set(idOf(line.id), share);
+    left -= share;
+  });
+
+  return shares;
+};
+
+/**
+ * Check every rule of a coupon against a user and their cart lines and work
+ * out the discount. Throws a 400 operational error when the coupon can't be
+ * used.
+ *
+ * @param {Object} coupon Coupon document
+ * @param {Object} opts
+ * @param {string} opts.userId Buyer
+ * @param {Array<Object>} opts.lines `{ id, product, price, quantity }`, `product` being the product document
+ * @param {Array<Object>} [opts.shipments] `{ seller, items: [line ids], shippingFee }`, needed for free-shipping coupons
+ * @returns {Promise<{
+ *   eligibleSubtotal: number,
+ *   discountAmount: number,
+ *   shippingDiscount: number,
+ *   lineDiscounts: Map<string, number>,
+ *   shippingDiscounts: Map<string, number>
+ * }>} Discounts per line id and per shipment seller id
+ */
+export const evaluateCoupon = async (coupon, { userId, lines, shipments = [] }) => {
+  if (!isCouponLive(coupon)) {
+    throw createError('Invalid or expired coupon code', 400);
+  }
+
+  if (coupon.firstOrderOnly) {
+    const hasOrdered = await Order.exists({ buyer: userId, wasCanceled: { $ne: true } });
+    if (hasOrdered) {
+      throw createError('This coupon is only valid on your first order', 400);
+    }
+  }
+
+  if (coupon.perUserLimit) {
+    // Cancelled orders (including expired payment holds) release their redemption
+    const used = await CouponRedemption.countDocuments({
+      coupon: coupon._id,
+      user: userId,
+      status: 'active'
+    });
+    if (used >= coupon.perUserLimit) {
+      throw createError('You have already used this coupon the maximum number of times', 400);
+    }
+  }
+
+  const eligible = lines.filter((line) => isLineEligible(coupon, line.product));
+  if (eligible.length === 0) {
+    throw createError('This coupon does not apply to any item in your cart', 400);
+  }
+
+  const eligibleSubtotal = roundMoney(eligible.reduce((sum, line) => sum + line.price * line.quantity, 0));
+  if (eligibleSubtotal < coupon.minPurchaseAmount) {
+    throw createError(`Minimum purchase amount of ${coupon.minPurchaseAmount} EGP required for eligible items`, 400);
+  }
+
+  let discountAmount = 0;
+  let shippingDiscount = 0;
+  const shippingDiscounts = new Map();
+
+  if (coupon.discountType === 'free_shipping') {
+    const eligibleIds = eligible.map((line) => idOf(line.id));
+    let cap = coupon.maxDiscountAmount || Infinity;
+
+    shipments
+      .filter((shipment) => shipment.items.some((id) => eligibleIds.includes(idOf(id))))
+      .forEach((shipment) => {
+        const waived = roundMoney(Math.min(shipment.shippingFee || 0, cap));
+        cap -= waived;
+        if (waived > 0) {
+          shippingDiscounts.set(idOf(shipment.seller), waived);
+          shippingDiscount += waived;
+        }
+      });
+    shippingDiscount = roundMoney(shippingDiscount);
+  } else if (coupon.discountType === 'percentage') {
+    discountAmount = (eligibleSubtotal * coupon.discountValue) / 100;
+    if (coupon.maxDiscountAmount && discountAmount > coupon.maxDiscountAmount) {
+      discountAmount = coupon.maxDiscountAmount;
+    }
+  } else {
+    discountAmount = coupon.discountValue;
+  }
+
+  discountAmount = roundMoney(Math.min(discountAmount, eligibleSubtotal));
+
+  return {
+    eligibleSubtotal,
+    discountAmount,
+    shippingDiscount,
+    lineDiscounts: discountAmount > 0 ? allocate(discountAmount, eligible) : new Map(),
+    shippingDiscounts
+  };
+};
+
+/**
+ * Take one use of the coupon and record the redemption for the order, inside
+ * the checkout transaction. The per-user sequence is unique, so two
+ * concurrent checkouts of the same user can't both take the last use.
+ */
+export const redeemCoupon = async (coupon, {
+  userId,
+  orderId,
+  discountAmount = 0,
+  shippingDiscount = 0,
+  session
+}) => {
+  const redeemed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $expr: { $lt: ['$currentUses', '$maxUses'] }
+    },
+    { $inc: { currentUses: 1 } },
+    { session }
+  );
+  if (!redeemed) {
+    throw createError('Coupon is no longer available', 400);
+  }
+
+  const previous = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId })
+    .session(session);
+
+  try {
+    await CouponRedemption.create([{
+      coupon: coupon._id,
+      user: userId,
+      order: orderId,
+      code: coupon.code,
+      sequence: previous + 1,
+      discountAmount,
+      shippingDiscount
+    }], { session });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw createError('Coupon is no longer available', 400);
+    }
+    throw err;
+  }
+};
+
+/**
+ * Give back the coupon use of a cancelled order: release its redemption and
+ * decrement the coupon's uses. Only the first call for an order releases, so
+ * every cancel path can call it.
+ *
+ * @param {Object} order Order document
+ * @param {Object} [opts]
+ * @param {import('mongoose').ClientSession} [opts.session]
+ * @returns {Promise<boolean>} Whether a use was given back
+ */
+export const releaseCouponRedemption = async (order, { session } = {}) => {
+  if (!order.coupon?.couponId) return false;
+
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { order: order._id, status: 'active' },
+    { $set: { status: 'released', releasedAt: new Date() } },
+    { session }
+  );
+  if (!redemption) return false;
+
+  await Coupon.updateOne(
+    { _id: redemption.coupon, currentUses: { $gt: 0 } },
+    { $inc: { currentUses: -1 } },
+    { session }
+  );
+  return true;
+};
+
+/**
+ * Take the use back for a cancelled order that is activated again. The coupon
+ * is checked as at checkout (active, inside its validity window, uses and the
+ * buyer's per-user limit left), so an order can't be reactivated past them.
+ *
+ * @param {Object} order Order document
+ * @returns {Promise<boolean>} Whether a use was taken
+ * @throws {AppError} 400 when the coupon can no longer be used
+ */
+export const restoreCouponRedemption = async (order) => {
+  if (!order.coupon?.couponId) return false;
+
+  const session = await mongoose.startSession();
+  try {
+    let restored = false;
+    await session.withTransaction(async () => {
+      restored = false;
+      const redemption = await CouponRedemption.findOne({ order: order._id, status: 'released' })
+        .session(session);
+      if (!redemption) return;
+
+      const coupon = await Coupon.findById(redemption.coupon).session(session);
+      if (!isCouponLive(coupon)) {
+        throw createError('The coupon of this order is no longer available', 400);
+      }
+
+      if (coupon.perUserLimit) {
+        const used = await CouponRedemption.countDocuments({
+          coupon: coupon._id,
+          user: redemption.user,
+          status: 'active'
+        }).session(session);
+        if (used >= coupon.perUserLimit) {
+          throw createError('The coupon of this order has been used the maximum number of times', 400);
+        }
+      }
+
+      // Conditional like `redeemCoupon`: the check above may be stale by now
+      const now = new Date();
+      const taken = await Coupon.findOneAndUpdate(
+        {
+          _id: coupon._id,
+          isActive: true,
+          validFrom: { $lte: now },
+          validUntil: { $gte: now },
+          $expr: { $lt: ['$currentUses', '$maxUses'] }
+        },
+        { $inc: { currentUses: 1 } },
+        { session }
+      );
+      if (!taken) {
+        throw createError('The coupon of this order is no longer available', 400);
+      }
+
+      await CouponRedemption.updateOne(
+        { _id: redemption._id, status: 'released' },
+        { $set: { status: 'active' }, $unset: { releasedAt: 1 } },
+        { session }
+      );
+      restored = true;
+    });
+    return restored;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Coupon discount carried by one order item. Orders placed before per-line
+ * discounts were stored get the whole-order discount pro-rated by value.
+ */
+export const itemCouponShare = (order, item) => {
+  if (item.couponDiscount !== undefined && item.couponDiscount !== null) {
+    return item.couponDiscount;
+  }
+
+  const subtotal = order.subtotal
+    || order.items.reduce((sum, it) => sum + it.price * it.quantity, 0);
+  const couponDiscount = order.coupon?.discountAmount || 0;
+  return subtotal > 0 ? roundMoney(couponDiscount * ((item.price * item.quantity) / subtotal)) : 0;
+};
+
+export default {
+  isLineEligible,
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCouponRedemption,
+  restoreCouponRedemption,
+  itemCouponShare
+};
@@ -0,0 +1,558 @@
+import mongoose from 'mongoose';
+import Order, { DELIVERY_TASK_STATUSES } from '../models/order.model.js';
+import User from '../models/user.model.js';
+import PickupPoint from '../models/pickupPoint.model.js';
+import logOrderActivity from './orderActivity.service.js';
+import { FINAL_STATUSES, getOrderStatus, transitionShipment } from './orderStatus.service.js';
+import { orderStockLines, releaseStock } from './inventory.service.js';
+import { refundCancelledShipment } from './refund.service.js';
+import { normalizeSearchText } from '../utils/searchText.js';
+import { createError } from '../utils/error.js';
+import { sendNotification } from '../utils/notify.js';
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+export const DELIVERY_POLICY = {
+  // Open deliveries an agent can hold before the auto-assigner skips them
+  maxActivePerAgent: envNumber('DELIVERY_MAX_ACTIVE_PER_AGENT', 20),
+  // Failed attempts before the order is cancelled and sent back to the sellers
+  maxFailedAttempts: envNumber('DELIVERY_MAX_FAILED_ATTEMPTS', 3),
+  // How far ahead a buyer can reschedule a failed delivery
+  maxRescheduleDays: envNumber('DELIVERY_MAX_RESCHEDULE_DAYS', 7)
+};
+
+// Deliveries still in the agent's queue
+export const ACTIVE_DELIVERY_STATUSES = DELIVERY_TASK_STATUSES
+  .filter((status) => !['delivered', 'returned_to_seller'].includes(status));
+
+export const FAILURE_REASON_LABELS = {
+  no_answer: 'لم يرد أحد على الباب',
+  buyer_unavailable: 'المستلم غير متواجد',
+  wrong_address: 'العنوان غير صحيح أو غير مكتمل',
+  phone_unreachable: 'تعذر الوصول إلى رقم الهاتف',
+  buyer_refused: 'رفض المستلم استلام الطلب',
+  other: 'سبب آخر'
+};
+
+/**
+ * Moves an assigned agent can make: from -> [to]. `delivered` is only reached
+ * through the secret-code hand-over (POST /api/orders/complete).
+ */
+const TASK_TRANSITIONS = {
+  assigned: ['picked_up'],
+  picked_up: ['out_for_delivery'],
+  out_for_delivery: ['failed_attempt'],
+  failed_attempt: ['out_for_delivery'],
+  returning_to_seller: ['returned_to_seller']
+};
+
+// Shipment lifecycle status each queue status moves the order's shipments to
+const SHIPMENT_STATUS_BY_TASK = {
+  picked_up: 'shipped',
+  out_for_delivery: 'out_for_delivery'
+};
+
+const SHIPMENT_RANK = ['placed', 'confirmed', 'preparing', 'ready', 'shipped', 'out_for_delivery', 'delivered'];
+
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+// Governorates are matched loosely (hamza / taa marbuta / case)
+export const normalizeZone = (zone) => normalizeSearchText(zone || '');
+
+const activeShipments = (order) => (order.shipments || []).filter((sh) => sh.status !== 'cancelled');
+
+/**
+ * Throw unless the user may hand over / update the order as its courier.
+ * Admins always may; delivery agents only for orders assigned to them.
+ */
+export const assertAssignedAgent = (order, user) => {
+  if (user.role === 'admin') return;
+  if (!order.delivery?.agent || idOf(order.delivery.agent) !== idOf(user._id)) {
+    throw createError('هذا الطلب غير مُسند إليك', 403);
+  }
+};
+
+const pushHistory = (order, entry) => {
+  order.delivery.history = order.delivery.history || [];
+  order.delivery.history.push({ ...entry, at: new Date() });
+};
+
+/**
+ * Open deliveries per agent.
+ *
+ * @param {Array<string>} agentIds
+ * @returns {Promise<Map<string, number>>}
+ */
+export const getAgentLoads = async (agentIds) => {
+  const loads = await Order.aggregate([
+    { $match: { 'delivery.agent': { $in: agentIds }, 'delivery.status': { $in: ACTIVE_DELIVERY_STATUSES } } },
+    { $group: { _id: '$delivery.agent', count: { $sum: 1 } } }
+  ]);
+  return new Map(loads.map((load) => [idOf(load._id), load.count]));
+};
+
+/**
+ * Least busy available agent covering the order: its pickup point for pickup
+ * orders, its governorate for home deliveries. Agents at the
+ * `DELIVERY_MAX_ACTIVE_PER_AGENT` limit are skipped.
+ *
+ * @returns {Promise<Object|null>} User document, or null when nobody covers it
+ */
+export const findBestAgent = async (order) => {
+  const filter = {
+    role: 'delivery',
+    isActive: true,
+    'deliveryProfile.isAvailable': { $ne: false }
+  };
+
+  const pickupPoint = idOf(order.deliveryInfo?.pickupPoint || order.pickupPoint);
+  if (order.deliveryMethod === 'pickup') {
+    if (!pickupPoint) return null;
+    filter['deliveryProfile.pickupPoints'] = pickupPoint;
+  } else {
+    const zone = normalizeZone(order.deliveryInfo?.governorate);
+    if (!zone) return null;
+    filter['deliveryProfile.zones'] = zone;
+  }
+
+  const agents = await User.find(filter).select('firstName lastName role isActive');
+  if (!agents.length) return null;
+
+  const loads = await getAgentLoads(agents.map((agent) => agent._id));
+  const [best] = agents
+    .map((agent) => ({ agent, load: loads.get(idOf(agent._id)) || 0 }))
+    .filter(({ load }) => load < DELIVERY_POLICY.maxActivePerAgent)
+    .sort((a, b) => a.load - b.load);
+
+  return best?.agent || null;
+};
+
+/**
+ * Assign (or reassign) the order to a delivery agent and notify them.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {Object} order Order document
+ * @param {Object} agent User document with role `delivery`
+ * @param {Object} [opts]
+ * @param {Object} [opts.actor] Admin assigning the order (none for the auto-assigner)
+ * @returns {Promise<Object>} The saved order
+ */
+export const assignDelivery = async (io, order, agent, { actor = null } = {}) => {
+  if (agent.role !== 'delivery' || !agent.isActive) {
+    throw createError('المستخدم ليس مندوب توصيل نشطاً', 400);
+  }
+
+  const status = getOrderStatus(order);
+  // A cancelled order can still change hands while the parcels go back to the sellers
+  if (FINAL_STATUSES.includes(status) && order.delivery?.status !== 'returning_to_seller') {
+    throw createError(`لا يمكن إسناد طلب حالته "${status}"`, 400);
+  }
+
+  const previous = order.delivery?.agent ? idOf(order.delivery.agent) : null;
+  if (previous === idOf(agent._id)) {
+    throw createError('الطلب مُسند بالفعل إلى هذا المندوب', 400);
+  }
+
+  const from = order.delivery?.status;
+  order.delivery.agent = agent._id;
+  order.delivery.assignedAt = new Date();
+  order.delivery.assignedBy = actor?._id;
+  order.delivery.autoAssigned = !actor;
+  // A new courier starts over unless the parcels were already collected
+  if (!from || from === 'assigned') order.delivery.status = 'assigned';
+
+  pushHistory(order, {
+    action: previous ? 'reassigned' : 'assigned',
+    from,
+    to: order.delivery.status,
+    agent: agent._id,
+    actor: actor?._id,
+    actorRole: actor ? 'admin' : 'system'
+  });
+  await order.save();
+
+  await logOrderActivity({
+    orderId: order._id,
+    actorId: actor?._id || null,
+    actorRole: actor ? 'admin' : 'system',
+    action: previous ? 'delivery_reassigned' : 'delivery_assigned',
+    description: `Order assigned to delivery agent ${idOf(agent._id)}`,
+    metadata: { agent: idOf(agent._id), previousAgent: previous, auto: !actor }
+  });
+
+  try {
+    await sendNotification(io, {
+      userId: agent._id,
+      actor: actor?._id,
+      type: 'DELIVERY_ASSIGNED',
+      title: 'تم إسناد طلب توصيل جديد إليك 🚚',
+      message: `الطلب رقم #${order._id.toString().slice(-6)} - ${order.deliveryMethod === 'pickup' ? 'تسليم في نقطة استلام' : order.deliveryInfo?.governorate || order.deliveryAddress || ''}`,
+      data: { orderId: order._id }
+    });
+  } catch (err) {
+    console.error(`Failed to notify delivery agent about order ${order._id}:`, err.message);
+  }
+
+  return order;
+};
+
+/**
+ * Take the order off its agent's queue before pickup.
+ */
+export const unassignDelivery = async (order, actor) => {
+  if (!order.delivery?.agent) {
+    throw createError('الطلب غير مُسند لأي مندوب', 400);
+  }
+  if (order.delivery.status !== 'assigned') {
+    throw createError('استلم المندوب الطلب بالفعل، أعد إسناده لمندوب آخر بدلاً من ذلك', 400);
+  }
+
+  const agent = order.delivery.agent;
+  pushHistory(order, {
+    action: 'unassigned',
+    from: 'assigned',
+    agent,
+    actor: actor._id,
+    actorRole: 'admin'
+  });
+  order.delivery.agent = undefined;
+  order.delivery.status = undefined;
+  order.delivery.assignedAt = undefined;
+  order.delivery.assignedBy = undefined;
+  order.delivery.autoAssigned = undefined;
+  await order.save();
+
+  await logOrderActivity({
+    orderId: order._id,
+    actorId: actor._id,
+    actorRole: 'admin',
+    action: 'delivery_unassigned',
+    description: `Order taken off delivery agent ${idOf(agent)}`,
+    metadata: { agent: idOf(agent) }
+  });
+
+  return order;
+};
+
+/**
+ * Assign the order to the best matching agent, if any.
+ *
+ * @returns {Promise<Object|null>} The agent, or null when nobody covers the order
+ */
+export const autoAssignDelivery = async (io, order) => {
+  const agent = await findBestAgent(order);
+  if (!agent) return null;
+
+  await assignDelivery(io, order, agent);
+  return agent;
+};
+
+/**
+ * Auto-assign every unassigned order whose shipments are all ready for pickup.
+ *
+ * @returns {Promise<{ assigned: number, unmatched: number }>}
+ */
+export const autoAssignPendingDeliveries = async (io) => {
+  const orders = await Order.find({ status: 'ready', 'delivery.agent': { $exists: false } })
+    .sort({ createdAt: 1 })
+    .limit(200);
+
+  let assigned = 0;
+  for (const order of orders) {
+    try {
+      if (await autoAssignDelivery(io, order)) assigned += 1;
+    } catch (err) {
+      console.error(`Failed to auto-assign order ${order._id}:`, err.message);
+    }
+  }
+
+  return { assigned, unmatched: orders.length - assigned };
+};
+
+const notifyFailedAttempt = async (io, order, user, { reason, note }) => {
+  const remaining = DELIVERY_POLICY.maxFailedAttempts - order.delivery.attempts.length;
+
+  await sendNotification(io, {
+    userId: order.buyer,
+    role: 'user',
+    actor: user._id,
+    type: 'DELIVERY_FAILED_ATTEMPT',
+    title: 'تعذر توصيل طلبك',
+    message: `لم يتمكن المندوب من توصيل الطلب رقم #${order._id.toString().slice(-6)}: ${FAILURE_REASON_LABELS[reason]}. `
+      + `يمكنك تحديد موعد جديد أو الاستلام من نقطة استلام (${remaining} محاولة متبقية قبل إلغاء الطلب)`,
+    data: { orderId: order._id, reason, note, attempts: order.delivery.attempts.length, remaining }
+  });
+};
+
+/**
+ * Cancel the shipments a courier could not deliver: prepaid money goes back
+ * to the buyer now, the stock once the parcels are back with the sellers.
+ */
+const startReturnToSeller = async (io, order) => {
+  const attempts = order.delivery.attempts.length;
+
+  pushHistory(order, {
+    action: 'status',
+    from: order.delivery.status,
+    to: 'returning_to_seller',
+    actorRole: 'system',
+    reason: `${attempts} failed attempts`
+  });
+  order.delivery.status = 'returning_to_seller';
+
+  // Shipments handed over earlier in a partial delivery stay delivered
+  const returning = activeShipments(order).filter((sh) => sh.status !== 'delivered');
+  for (const shipment of returning) {
+    await transitionShipment(order, shipment, 'cancelled', {
+      role: 'system',
+      note: `Cancelled after ${attempts} failed delivery attempts`,
+      metadata: { returnToSeller: true }
+    });
+  }
+
+  // Set after the transitions, which derive `deliveryStatus` from the order status
+  order.deliveryStatus = 'returning_to_seller';
+  await order.save();
+
+  const refunds = [];
+  for (const shipment of returning) {
+    const refund = await refundCancelledShipment(order, shipment, { io });
+    if (refund) refunds.push(refund);
+  }
+
+  try {
+    await sendNotification(io, {
+      userId: order.buyer,
+      role: 'user',
+      type: 'ORDER_CANCELLED',
+      title: 'تم إلغاء طلبك',
+      message: `تم إلغاء الطلب رقم #${order._id.toString().slice(-6)} بعد ${attempts} محاولات توصيل فاشلة`
+        + (refunds.length ? ' وسيتم رد المبلغ المدفوع' : ''),
+      data: { orderId: order._id, refundIds: refunds.map((refund) => refund._id) }
+    });
+
+    const sellers = [...new Set(returning.map((sh) => idOf(sh.seller)))];
+    await Promise.all(sellers.map((sellerId) => sendNotification(io, {
+      userId: sellerId,
+      role: 'seller',
+      type: 'DELIVERY_RETURNED_TO_SELLER',
+      title: 'شحنة في طريق العودة إليك',
+      message: `تعذر توصيل الطلب رقم #${order._id.toString().slice(-6)} وتم إلغاؤه، وسيعيد المندوب الشحنة إليك`,
+      data: { orderId: order._id }
+    })));
+  } catch (err) {
+    console.error(`Failed to notify about return of order ${order._id}:`, err.message);
+  }
+};
+
+/**
+ * Parcels are back with the sellers: put the stock of the shipments that
+ * left them back on sale (once).
+ */
+const finishReturnToSeller = async (order) => {
+  const claimed = await Order.updateOne(
+    { _id: order._id, 'delivery.stockRestored': { $ne: true } },
+    { $set: { 'delivery.stockRestored': true } }
+  );
+
+  if (claimed.modifiedCount > 0) {
+    const returnedItems = order.shipments
+      .filter((sh) => sh.shippedAt && !sh.deliveredAt)
+      .flatMap((sh) => sh.items.map(idOf));
+    await releaseStock(orderStockLines(order.items.filter((item) => returnedItems.includes(idOf(item._id)))));
+  }
+
+  order.delivery.stockRestored = true;
+  order.delivery.returnedAt = new Date();
+  order.deliveryStatus = 'returned_to_seller';
+};
+
+/**
+ * Move an assigned order along the agent's queue: `picked_up` ships every
+ * active shipment, `out_for_delivery` moves them on, `failed_attempt` records
+ * the reason and tells the buyer (the order is cancelled and sent back to the
+ * sellers after `DELIVERY_MAX_FAILED_ATTEMPTS`), `returned_to_seller` restocks it.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {Object} order Order document
+ * @param {Object} user Assigned agent (or admin)
+ * @param {{ status: string, reason?: string, note?: string }} change
+ * @returns {Promise<Object>} The saved order
+ */
+export const updateDeliveryTask = async (io, order, user, { status, reason, note }) => {
+  assertAssignedAgent(order, user);
+
+  const from = order.delivery.status;
+  if (!TASK_TRANSITIONS[from]?.includes(status)) {
+    throw createError(`لا يمكن نقل التوصيل من "${from}" إلى "${status}"`, 400);
+  }
+
+  const role = user.role === 'admin' ? 'admin' : 'delivery';
+  const target = SHIPMENT_STATUS_BY_TASK[status];
+  const shipments = activeShipments(order);
+
+  if (status === 'picked_up' && shipments.some((sh) => SHIPMENT_RANK.indexOf(sh.status) < SHIPMENT_RANK.indexOf('ready'))) {
+    throw createError('لم يجهّز كل البائعين شحناتهم بعد', 400);
+  }
+
+  order.delivery.status = status;
+  if (status === 'failed_attempt') {
+    order.delivery.attempts = order.delivery.attempts || [];
+    order.delivery.attempts.push({ reason, note, at: new Date() });
+    order.deliveryStatus = 'failed_attempt';
+  }
+  if (status === 'out_for_delivery') {
+    order.deliveryStatus = 'shipped';
+    order.delivery.rescheduledFor = undefined;
+  }
+  if (status === 'returned_to_seller') {
+    await finishReturnToSeller(order);
+  }
+  pushHistory(order, { action: 'status', from, to: status, actor: user._id, actorRole: role, reason });
+
+  // Shipments already past the target (e.g. a retry after a failed attempt) stay as they are
+  const moving = target
+    ? shipments.filter((sh) => SHIPMENT_RANK.indexOf(sh.status) < SHIPMENT_RANK.indexOf(target))
+    : [];
+
+  for (const shipment of moving) {
+    if (target === 'out_for_delivery' && shipment.status === 'ready') {
+      await transitionShipment(order, shipment, 'shipped', { actorId: user._id, role, note: 'Picked up by courier' });
+    }
+    await transitionShipment(order, shipment, target, { actorId: user._id, role, note });
+  }
+
+  await order.save();
+
+  await logOrderActivity({
+    orderId: order._id,
+    actorId: user._id,
+    actorRole: role,
+    action: `delivery_${status}`,
+    description: reason ? `Delivery ${status}: ${reason}` : `Delivery ${status}`,
+    metadata: { from, to: status, reason, note }
+  });
+
+  if (status === 'failed_attempt') {
+    if (order.delivery.attempts.length >= DELIVERY_POLICY.maxFailedAttempts) {
+      await startReturnToSeller(io, order);
+      return order;
+    }
+
+    try {
+      await notifyFailedAttempt(io, order, user, { reason, note });
+    } catch (err) {
+      console.error(`Failed to notify buyer about failed delivery of order ${order._id}:`, err.message);
+    }
+  }
+
+  return order;
+};
+
+/**
+ * Buyer's answer to a failed attempt: a new delivery date, or collecting the
+ * order from a pickup point instead. The courier keeps the order and is told.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {Object} order Order document
+ * @param {Object} buyer
+ * @param {{ date?: Date, pickupPointId?: string, note?: string }} change
+ * @returns {Promise<Object>} The saved order
+ */
+export const rescheduleDelivery = async (io, order, buyer, { date, pickupPointId, note }) => {
+  if (idOf(order.buyer) !== idOf(buyer._id)) {
+    throw createError('غير مصرح لك بتعديل هذا الطلب', 403);
+  }
+  if (order.delivery?.status !== 'failed_attempt') {
+    throw createError('يمكن تعديل موعد التوصيل بعد محاولة توصيل فاشلة فقط', 400);
+  }
+
+  const latest = Date.now() + DELIVERY_POLICY.maxRescheduleDays * 24 * 60 * 60 * 1000;
+  if (date && (date.getTime() <= Date.now() || date.getTime() > latest)) {
+    throw createError(`اختر موعداً خلال ${DELIVERY_POLICY.maxRescheduleDays} أيام القادمة`, 400);
+  }
+
+  let action = 'rescheduled';
+  let pickupPoint = null;
+  if (pickupPointId) {
+    pickupPoint = mongoose.isValidObjectId(pickupPointId)
+      ? await PickupPoint.findOne({ _id: pickupPointId, status: 'active' }).select('stationName')
+      : null;
+    if (!pickupPoint) throw createError('نقطة الاستلام غير موجودة', 404);
+
+    action = 'switched_to_pickup';
+    order.deliveryMethod = 'pickup';
+    order.pickupPoint = pickupPoint._id;
+    order.deliveryInfo.pickupPoint = pickupPoint._id;
+  }
+
+  order.delivery.rescheduledFor = date;
+  order.delivery.rescheduleNote = note;
+  pushHistory(order, { action, actor: buyer._id, actorRole: 'user', reason: note });
+  await order.save();
+
+  await logOrderActivity({
+    orderId: order._id,
+    actorId: buyer._id,
+    actorRole: 'user',
+    action: `delivery_${action}`,
+    description: pickupPoint
+      ? `Buyer switched delivery to pickup point ${pickupPoint.stationName}`
+      : `Buyer rescheduled delivery to ${date?.toISOString()}`,
+    metadata: { date, pickupPointId, note }
+  });
+
+  try {
+    await sendNotification(io, {
+      userId: order.delivery.agent,
+      actor: buyer._id,
+      type: 'DELIVERY_RESCHEDULED',
+      title: pickupPoint ? 'المشتري اختار الاستلام من نقطة استلام' : 'المشتري حدد موعداً جديداً للتوصيل',
+      message: pickupPoint
+        ? `الطلب رقم #${order._id.toString().slice(-6)}: سلّم الطلب في ${pickupPoint.stationName}`
+        : `الطلب رقم #${order._id.toString().slice(-6)}: ${date.toLocaleString('ar-EG')}`,
+      data: { orderId: order._id, date, pickupPointId }
+    });
+  } catch (err) {
+    console.error(`Failed to notify courier about rescheduled order ${order._id}:`, err.message);
+  }
+
+  return order;
+};
+
+/**
+ * Close the agent's task once the secret-code hand-over delivered every shipment.
+ */
+export const completeDeliveryTask = (order, user) => {
+  if (!order.delivery?.agent || order.delivery.status === 'delivered') return;
+  if (getOrderStatus(order) !== 'delivered') return;
+
+  pushHistory(order, {
+    action: 'status',
+    from: order.delivery.status,
+    to: 'delivered',
+    actor: user._id,
+    actorRole: user.role === 'admin' ? 'admin' : 'delivery'
+  });
+  order.delivery.status = 'delivered';
+};
+
+export default {
+  DELIVERY_POLICY,
+  ACTIVE_DELIVERY_STATUSES,
+  FAILURE_REASON_LABELS,
+  normalizeZone,
+  assertAssignedAgent,
+  getAgentLoads,
+  findBestAgent,
+  assignDelivery,
+  unassignDelivery,
+  autoAssignDelivery,
+  autoAssignPendingDeliveries,
+  updateDeliveryTask,
+  rescheduleDelivery,
+  completeDeliveryTask
+};
@@ -61,9 +61,10 @@ export const uploadImage = async (file) => {
     }
 };
 
-export const removeImage = async (publicId) => {
+// `type`: نوع التسليم الذي رُفعت به الصورة ('upload' ما لم تكن خاصة)
+export const removeImage = async (publicId, { type } = {}) => {
     try {
-        const result = await cloudinary.uploader.destroy(publicId);
+        const result = await cloudinary.uploader.destroy(publicId, type ? { type } : {});
         console.log('Image removed successfully:', { publicId, result });
         return result;
     } catch (error) {
@@ -113,6 +114,8 @@ export const uploadImageWithOptions = async (file, options = {}) => {
             folder = 'mirvory',
             transformation = [{ width: 800, height: 600, crop: 'limit' }],
             resourceType = 'auto',
+            // 'authenticated' تُبقي الصورة خاصة: لا تُعرض إلا بروابط موقّعة
+            type = 'upload',
             tags = []
         } = options;
 
@@ -127,6 +130,7 @@ export const uploadImageWithOptions = async (file, options = {}) => {
                 {
                     folder,
                     resource_type: resourceType,
+                    type,
                     transformation,
                     tags
                 },
@@ -159,4 +163,11 @@ export const uploadImageWithOptions = async (file, options = {}) => {
         console.error('Upload with options error:', error);
         throw error;
     }
-};
\ No newline at end of file
+};
+
+// رابط مؤقت موقّع لصورة خاصة (مرفوعة بـ type: 'authenticated')
+export const signedImageUrl = (publicId, { format, type = 'authenticated', expiresInSeconds = 600 } = {}) =>
+    cloudinary.utils.private_download_url(publicId, format, {
+        type,
+        expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds
+    });
@@ -0,0 +1,306 @@
+import mongoose from 'mongoose';
+import Product from '../models/product.model.js';
+import Order from '../models/order.model.js';
+import Notification from '../models/notification.model.js';
+import { createError } from '../utils/error.js';
+import { canTransition, getOrderStatus, transitionOrder } from './orderStatus.service.js';
+import { checkStockLevels } from './stockAlert.service.js';
+import { releaseCouponRedemption } from './coupon.service.js';
+
+// Online payments (card / wallet) hold the stock until Paymob confirms them
+export const HOLD_PAYMENT_METHODS = ['card', 'wallet'];
+export const STOCK_HOLD_MINUTES = Number(process.env.STOCK_HOLD_MINUTES) || 30;
+
+// Filter / update for one stock line; variant lines also move the variant's own stock
+const stockUpdate = ({ product, variant, quantity }, sign) => (variant
+  ? {
+    filter: { _id: product, 'variants._id': variant },
+    update: { $inc: { 'variants.$.quantity': sign * quantity, quantity: sign * quantity, sold: -sign * quantity } }
+  }
+  : {
+    filter: { _id: product },
+    update: { $inc: { quantity: sign * quantity, sold: -sign * quantity } }
+  });
+
+/**
+ * Decrement stock for every line, failing instead of going below zero.
+ * Meant to run inside the checkout transaction so a failing line rolls the
+ * earlier ones back.
+ *
+ * @param {Array<{ product: string, variant?: string, quantity: number, title?: string }>} lines
+ * @param {Object} [opts]
+ * @param {import('mongoose').ClientSession} [opts.session]
+ */
+export const reserveStock = async (lines, { session } = {}) => {
+  for (const line of lines) {
+    const { product, variant, quantity, title } = line;
+    const { update } = stockUpdate(line, -1);
+    const filter = variant
+      ? { _id: product, variants: { $elemMatch: { _id: variant, quantity: { $gte: quantity } } } }
+      : { _id: product, quantity: { $gte: quantity } };
+
+    const result = await Product.updateOne(filter, update, { session });
+
+    if (result.modifiedCount === 0) {
+      const current = await Product.findById(product).select('quantity title variants').session(session || null);
+      const available = variant
+        ? current?.variants?.id(variant)?.quantity
+        : current?.quantity;
+      throw createError(
+        `Only ${available || 0} item(s) left of "${title || current?.title || product}"`,
+        409
+      );
+    }
+  }
+};
+
+// Put the stock of the given lines back
+export const releaseStock = async (lines, { session } = {}) => {
+  if (!lines.length) return;
+
+  await Product.bulkWrite(
+    lines.map((line) => ({ updateOne: stockUpdate(line, 1) })),
+    { ordered: false, session }
+  );
+};
+
+// Stock lines of an order's items
+export const orderStockLines = (items) => items.map((item) => ({
+  product: item.product?._id || item.product,
+  variant: item.variant,
+  quantity: item.quantity
+}));
+
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+// Order items handled by one shipment
+const shipmentItems = (order, shipment) => {
+  const ids = shipment.items.map(idOf);
+  return order.items.filter((item) => ids.includes(idOf(item._id)));
+};
+
+/**
+ * Put the stock of shipments that never left their seller back on sale.
+ * Each shipment is claimed once through its `stockRestored` flag, so every
+ * cancel path can call it; shipped parcels are restocked when they come back
+ * to the seller. Orders from before shipments restock as a whole.
+ *
+ * @param {Object} order Order document
+ * @param {Array<Object>} shipments Shipment subdocuments of `order`
+ * @param {Object} [opts]
+ * @param {import('mongoose').ClientSession} [opts.session]
+ * @returns {Promise<Array<Object>>} The order items put back on sale
+ */
+export const restockShipments = async (order, shipments, { session } = {}) => {
+  const restocked = [];
+
+  if (!order.shipments?.length) {
+    const claimed = await Order.updateOne(
+      { _id: order._id, stockRestored: { $ne: true } },
+      { $set: { stockRestored: true } },
+      { session }
+    );
+    if (claimed.modifiedCount > 0) restocked.push(...order.items);
+    order.stockRestored = true;
+  }
+
+  for (const shipment of shipments.filter((sh) => !sh.shippedAt)) {
+    const claimed = await Order.updateOne(
+      { _id: order._id, shipments: { $elemMatch: { _id: shipment._id, stockRestored: { $ne: true } } } },
+      { $set: { 'shipments.$.stockRestored': true } },
+      { session }
+    );
+    if (claimed.modifiedCount > 0) restocked.push(...shipmentItems(order, shipment));
+    shipment.stockRestored = true;
+  }
+
+  await releaseStock(orderStockLines(restocked), { session });
+  return restocked;
+};
+
+/**
+ * Take the stock of restocked shipments again for an order that is activated
+ * again, failing (and taking nothing) when some of it was sold meanwhile.
+ *
+ * @param {Object} order Order document
+ * @param {Array<Object>} shipments Shipment subdocuments of `order`
+ * @returns {Promise<boolean>} Whether any stock was taken
+ * @throws {AppError} 409 when an item is out of stock
+ */
+export const reserveRestockedShipments = async (order, shipments) => {
+  const legacy = !order.shipments?.length && order.stockRestored;
+  const restocked = shipments.filter((sh) => sh.stockRestored);
+  if (!legacy && restocked.length === 0) return false;
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      if (legacy) {
+        const claimed = await Order.updateOne(
+          { _id: order._id, stockRestored: true },
+          { $set: { stockRestored: false } },
+          { session }
+        );
+        if (claimed.modifiedCount > 0) await reserveStock(orderStockLines(order.items), { session });
+      }
+
+      for (const shipment of restocked) {
+        const claimed = await Order.updateOne(
+          { _id: order._id, shipments: { $elemMatch: { _id: shipment._id, stockRestored: true } } },
+          { $set: { 'shipments.$.stockRestored': false } },
+          { session }
+        );
+        if (claimed.modifiedCount > 0) {
+          await reserveStock(orderStockLines(shipmentItems(order, shipment)), { session });
+        }
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (legacy) order.stockRestored = false;
+  restocked.forEach((shipment) => { shipment.stockRestored = false; });
+  return true;
+};
+
+/**
+ * Give back what a cancelled order or shipment still holds: the payment hold
+ * of an unpaid order, so a late Paymob payment is refunded instead of
+ * confirmed, and the stock of its cancelled shipments. Safe to repeat.
+ *
+ * @param {Object} order Order document
+ * @returns {Promise<boolean>} Whether the payment hold was released by this call
+ */
+export const releaseCancelledStock = async (order) => {
+  const orderCancelled = getOrderStatus(order) === 'cancelled';
+  const cancelled = (order.shipments || []).filter((sh) => sh.status === 'cancelled');
+  const session = await mongoose.startSession();
+  let holdReleased = false;
+  let restocked = [];
+
+  try {
+    await session.withTransaction(async () => {
+      holdReleased = false;
+      if (orderCancelled && order.stockHold?.status === 'held') {
+        const claimed = await Order.updateOne(
+          { _id: order._id, 'stockHold.status': 'held', paymentStatus: 'pending' },
+          { $set: { 'stockHold.status': 'released', 'stockHold.releasedAt': new Date() } },
+          { session }
+        );
+        holdReleased = claimed.modifiedCount > 0;
+      }
+
+      restocked = await restockShipments(order, cancelled, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (holdReleased) {
+    order.stockHold.status = 'released';
+    order.stockHold.releasedAt = new Date();
+  }
+  if (restocked.length) await checkStockLevels(restocked.map((item) => item.product));
+
+  return holdReleased;
+};
+
+export const buildStockHold = (paymentMethod) => (HOLD_PAYMENT_METHODS.includes(paymentMethod)
+  ? { status: 'held', expiresAt: new Date(Date.now() + STOCK_HOLD_MINUTES * 60 * 1000) }
+  : undefined);
+
+/**
+ * Give back the stock and coupon of an order whose online payment never
+ * completed, then cancel it. Safe to call concurrently: only one caller
+ * wins the hold.
+ *
+ * @param {Object} order Order document
+ * @param {Object} [opts]
+ * @param {string} [opts.note] Reason stored in the status history
+ * @returns {Promise<boolean>} Whether the hold was released by this call
+ */
+export const releaseOrderHold = async (order, { note = 'Payment was not completed in time' } = {}) => {
+  const session = await mongoose.startSession();
+  let released = false;
+
+  try {
+    await session.withTransaction(async () => {
+      const claimed = await Order.updateOne(
+        { _id: order._id, 'stockHold.status': 'held', paymentStatus: 'pending' },
+        { $set: { 'stockHold.status': 'released', 'stockHold.releasedAt': new Date() } },
+        { session }
+      );
+      released = claimed.modifiedCount > 0;
+      if (!released) return;
+
+      await restockShipments(order, order.shipments || [], { session });
+      await releaseCouponRedemption(order, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (!released) return false;
+
+  await checkStockLevels(order.items.map((item) => item.product));
+
+  order.stockHold.status = 'released';
+  order.stockHold.releasedAt = new Date();
+
+  if (canTransition(getOrderStatus(order), 'cancelled', 'system')) {
+    await transitionOrder(order, 'cancelled', { role: 'system', note });
+  } else {
+    await order.save();
+  }
+
+  try {
+    await Notification.create({
+      userId: order.buyer?._id || order.buyer,
+      role: 'user',
+      type: 'ORDER_CANCELLED',
+      title: 'تم إلغاء الطلب ⏰',
+      message: `انتهت مهلة الدفع للطلب رقم #${order._id.toString().slice(-6)} وتم إلغاؤه`,
+      data: { orderId: order._id },
+      link: `/orders/${order._id}`
+    });
+  } catch (nErr) {
+    console.error('Failed to notify buyer about released stock hold:', nErr);
+  }
+
+  return true;
+};
+
+// Release every hold whose payment window has passed
+export const releaseExpiredHolds = async () => {
+  const orders = await Order.find({
+    'stockHold.status': 'held',
+    'stockHold.expiresAt': { $lte: new Date() },
+    paymentStatus: 'pending'
+  });
+
+  let released = 0;
+  for (const order of orders) {
+    try {
+      if (await releaseOrderHold(order)) released += 1;
+    } catch (err) {
+      console.error(`Failed to release stock hold of order ${order._id}:`, err);
+    }
+  }
+
+  return released;
+};
+
+export default {
+  HOLD_PAYMENT_METHODS,
+  STOCK_HOLD_MINUTES,
+  reserveStock,
+  releaseStock,
+  orderStockLines,
+  restockShipments,
+  reserveRestockedShipments,
+  releaseCancelledStock,
+  buildStockHold,
+  releaseOrderHold,
+  releaseExpiredHolds
+};
@@ -0,0 +1,395 @@
+import logOrderActivity from './orderActivity.service.js';
+import { createError } from '../utils/error.js';
+import { refreshSellerReputations } from './sellerReputation.service.js';
+import { releaseCouponRedemption, restoreCouponRedemption } from './coupon.service.js';
+import { releaseCancelledStock, reserveRestockedShipments, restockShipments } from './inventory.service.js';
+
+export const ORDER_STATUSES = [
+  'placed',
+  'confirmed',
+  'preparing',
+  'ready',
+  'shipped',
+  'out_for_delivery',
+  'delivered',
+  'cancelled',
+  'returned'
+];
+
+export const FINAL_STATUSES = ['delivered', 'cancelled', 'returned'];
+
+/**
+ * Allowed transitions: from -> { to: [roles allowed to perform it] }.
+ * `user` is the buyer, `system` covers jobs and internal services.
+ */
+const TRANSITIONS = {
+  placed: {
+    confirmed: ['admin', 'seller', 'system'],
+    preparing: ['admin', 'seller'],
+    cancelled: ['admin', 'user', 'system']
+  },
+  confirmed: {
+    preparing: ['admin', 'seller'],
+    cancelled: ['admin', 'user', 'system']
+  },
+  preparing: {
+    ready: ['admin', 'seller'],
+    cancelled: ['admin', 'user']
+  },
+  ready: {
+    shipped: ['admin', 'delivery'],
+    delivered: ['admin', 'delivery'], // pickup point hand-over
+    cancelled: ['admin']
+  },
+  shipped: {
+    out_for_delivery: ['admin', 'delivery'],
+    delivered: ['admin', 'delivery'],
+    cancelled: ['admin', 'system']
+  },
+  out_for_delivery: {
+    delivered: ['admin', 'delivery'],
+    cancelled: ['admin', 'system'] // return to seller after failed delivery attempts
+  },
+  delivered: {
+    returned: ['admin', 'system']
+  },
+  cancelled: {
+    placed: ['admin', 'user'] // one-time reactivation
+  },
+  returned: {}
+};
+
+// Legacy `deliveryStatus` kept in sync for existing clients and dashboards
+const DELIVERY_STATUS_BY_STATUS = {
+  placed: 'pending',
+  confirmed: 'pending',
+  preparing: 'pending',
+  ready: 'pending',
+  shipped: 'shipped',
+  out_for_delivery: 'shipped',
+  delivered: 'delivered',
+  cancelled: 'cancelled',
+  returned: 'delivered'
+};
+
+const PREPARED_STATUSES = ['ready', 'shipped', 'out_for_delivery', 'delivered', 'returned'];
+
+// Moves that change a seller's on-time, cancellation or delivery counts
+const REPUTATION_STATUSES = ['ready', 'delivered', 'cancelled', 'returned'];
+
+/**
+ * Current lifecycle status of an order. Orders created before the lifecycle
+ * existed have no `status`, so it is derived from the legacy flags.
+ */
+export const getOrderStatus = (order) => {
+  if (order.status) return order.status;
+  if (order.deliveryStatus === 'cancelled') return 'cancelled';
+  if (order.deliveryStatus === 'delivered') return 'delivered';
+  if (order.deliveryStatus === 'shipped') return 'shipped';
+  if (order.isPrepared) return 'ready';
+  if (order.items?.some((it) => it.isPrepared)) return 'preparing';
+  return 'placed';
+};
+
+export const canTransition = (from, to, role) => {
+  const allowedRoles = TRANSITIONS[from]?.[to];
+  return Boolean(allowedRoles && allowedRoles.includes(role));
+};
+
+export const getAllowedTransitions = (order, role) => {
+  const from = getOrderStatus(order);
+  return Object.entries(TRANSITIONS[from] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([to]) => to);
+};
+
+/**
+ * Throw an operational error unless `role` may move the order to `to`.
+ */
+export const assertTransition = (order, to, role) => {
+  const from = getOrderStatus(order);
+
+  if (!ORDER_STATUSES.includes(to)) {
+    throw createError(`Unknown order status "${to}"`, 400);
+  }
+
+  if (!TRANSITIONS[from]?.[to]) {
+    throw createError(`Cannot move order from "${from}" to "${to}"`, 400);
+  }
+
+  if (!canTransition(from, to, role)) {
+    throw createError(`Role "${role}" is not allowed to move order from "${from}" to "${to}"`, 403);
+  }
+
+  return from;
+};
+
+// Progress order used to roll shipment statuses up into the order status
+const STATUS_RANK = {
+  placed: 0,
+  confirmed: 1,
+  preparing: 2,
+  ready: 3,
+  shipped: 4,
+  out_for_delivery: 5,
+  delivered: 6,
+  returned: 7
+};
+
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+// A cancelled order gives its coupon use back
+const releaseCouponUse = async (order) => {
+  try {
+    await releaseCouponRedemption(order);
+  } catch (err) {
+    console.error(`Failed to update the coupon redemption of order ${order._id}:`, err.message);
+  }
+};
+
+// Cancelled shipments give their stock back, a cancelled order its payment hold
+const restockCancelled = async (order) => {
+  try {
+    await releaseCancelledStock(order);
+  } catch (err) {
+    console.error(`Failed to restock cancelled order ${order._id}:`, err.message);
+  }
+};
+
+// Activating a cancelled order (or shipment) takes its coupon use and stock
+// again before anything is saved: a coupon that expired or ran out, or stock
+// sold meanwhile, refuses the move
+const retakeCancelled = async (order, shipments, { coupon }) => {
+  const restocked = shipments.filter((shipment) => shipment.stockRestored);
+  const retaken = { coupon: coupon && await restoreCouponRedemption(order), restocked: null };
+
+  try {
+    if (await reserveRestockedShipments(order, shipments)) retaken.restocked = restocked;
+  } catch (err) {
+    if (retaken.coupon) await releaseCouponUse(order);
+    throw err;
+  }
+  return retaken;
+};
+
+// Save the order, giving back what was taken again for it when that fails
+const saveOrder = async (order, retaken) => {
+  try {
+    await order.save();
+  } catch (err) {
+    if (retaken?.coupon) await releaseCouponUse(order);
+    if (retaken?.restocked) {
+      await restockShipments(order, retaken.restocked)
+        .catch((restockErr) => console.error(`Failed to restock order ${order._id}:`, restockErr.message));
+    }
+    throw err;
+  }
+};
+
+// Set the order status and keep the legacy flags in sync
+const applyOrderStatus = (order, from, to, { actorId, role, note }) => {
+  const now = new Date();
+
+  order.status = to;
+  order.deliveryStatus = DELIVERY_STATUS_BY_STATUS[to];
+  order.isPrepared = PREPARED_STATUSES.includes(to)
+    || (to === 'cancelled' ? order.isPrepared : false);
+
+  if (to === 'delivered') {
+    order.deliveredAt = now;
+  }
+
+  if (to === 'cancelled') {
+    order.wasCanceled = true;
+    order.cancelDate = now;
+    order.cancelCount = (order.cancelCount || 0) + 1;
+  }
+
+  if (from === 'cancelled' && to === 'placed') {
+    order.wasCanceled = false;
+    order.wasActivated = true;
+    order.activateCount = (order.activateCount || 0) + 1;
+  }
+
+  order.statusHistory = order.statusHistory || [];
+  order.statusHistory.push({ from, to, actor: actorId, actorRole: role, note, at: now });
+  order.updatedAt = now;
+};
+
+// Set a shipment status and its timestamps
+const applyShipmentStatus = (order, shipment, from, to, { actorId, role, note }) => {
+  const now = new Date();
+
+  shipment.status = to;
+  shipment.statusHistory = shipment.statusHistory || [];
+  shipment.statusHistory.push({ from, to, actor: actorId, actorRole: role, note, at: now });
+
+  if (to === 'ready' && !shipment.preparedAt) {
+    shipment.preparedAt = now;
+    shipment.preparationMinutes = Math.round((now - new Date(order.createdAt)) / 60000);
+  }
+  if (to === 'shipped' && !shipment.shippedAt) {
+    shipment.shippedAt = now;
+  }
+  if (to === 'delivered') {
+    shipment.deliveredAt = now;
+    shipment.deliveredBy = actorId;
+  }
+};
+
+/**
+ * Order status implied by its shipments: the least advanced active shipment,
+ * bumped to `preparing` as soon as any seller started, `cancelled` when every
+ * shipment is cancelled.
+ */
+export const rollupStatus = (order) => {
+  const active = (order.shipments || []).filter((sh) => sh.status !== 'cancelled');
+  if (!order.shipments?.length) return getOrderStatus(order);
+  if (active.length === 0) return 'cancelled';
+
+  if (active.every((sh) => sh.status === 'returned')) return 'returned';
+  if (active.every((sh) => ['delivered', 'returned'].includes(sh.status))) return 'delivered';
+
+  const ranks = active.map((sh) => STATUS_RANK[sh.status]);
+  const min = Math.min(...ranks);
+  if (min < STATUS_RANK.preparing && Math.max(...ranks) >= STATUS_RANK.preparing) {
+    return 'preparing';
+  }
+
+  return active.find((sh) => STATUS_RANK[sh.status] === min).status;
+};
+
+/**
+ * Validate and apply a lifecycle transition to the whole order, cascade it to
+ * every shipment that can make the same move, persist the order and write the
+ * activity log entry.
+ *
+ * @param {Object} order Order document
+ * @param {string} to Target status
+ * @param {Object} [opts]
+ * @param {string} [opts.actorId] User performing the change
+ * @param {string} [opts.role] Role of the actor ('user' | 'seller' | 'admin' | 'delivery' | 'system')
+ * @param {string} [opts.note] Free text stored in the status history
+ * @param {Object} [opts.metadata] Extra data for the activity log
+ * @returns {Promise<Object>} The saved order
+ */
+export const transitionOrder = async (order, to, {
+  actorId = null,
+  role = 'system',
+  note,
+  metadata = {}
+} = {}) => {
+  const from = assertTransition(order, to, role);
+  const opts = { actorId, role, note };
+  const cancelledShipments = (order.shipments || []).filter((sh) => sh.status === 'cancelled');
+  const retaken = from === 'cancelled'
+    ? await retakeCancelled(order, cancelledShipments, { coupon: true })
+    : null;
+
+  (order.shipments || []).forEach((shipment) => {
+    if (TRANSITIONS[shipment.status]?.[to]) {
+      applyShipmentStatus(order, shipment, shipment.status, to, opts);
+    }
+  });
+
+  applyOrderStatus(order, from, to, opts);
+
+  await saveOrder(order, retaken);
+  if (to === 'cancelled') {
+    await releaseCouponUse(order);
+    await restockCancelled(order);
+  }
+
+  await logOrderActivity({
+    orderId: order._id,
+    actorId,
+    actorRole: role,
+    action: `order_${to}`,
+    description: note || `Order status changed from ${from} to ${to}`,
+    metadata: { from, to, ...metadata }
+  });
+
+  if (REPUTATION_STATUSES.includes(to)) {
+    // Not awaited: reputation is bookkeeping, the transition is already saved
+    refreshSellerReputations((order.shipments || []).map((shipment) => shipment.seller));
+  }
+
+  return order;
+};
+
+/**
+ * Validate and apply a transition to one seller shipment, then roll the
+ * order status up from all shipments. Persists the order and logs both moves.
+ *
+ * @param {Object} order Order document (with shipments)
+ * @param {Object} shipment Shipment subdocument of `order`
+ * @param {string} to Target status
+ * @param {Object} [opts] Same options as `transitionOrder`
+ * @returns {Promise<Object>} The saved order
+ */
+export const transitionShipment = async (order, shipment, to, {
+  actorId = null,
+  role = 'system',
+  note,
+  metadata = {}
+} = {}) => {
+  const from = assertTransition(shipment, to, role);
+  const opts = { actorId, role, note };
+
+  applyShipmentStatus(order, shipment, from, to, opts);
+
+  const orderFrom = getOrderStatus(order);
+  const orderTo = rollupStatus(order);
+  if (orderTo !== orderFrom) {
+    applyOrderStatus(order, orderFrom, orderTo, {
+      actorId,
+      role: 'system',
+      note: 'Rolled up from seller shipments'
+    });
+  }
+
+  const retaken = from === 'cancelled'
+    ? await retakeCancelled(order, [shipment], { coupon: orderFrom === 'cancelled' })
+    : null;
+  await saveOrder(order, retaken);
+  if (orderTo !== orderFrom && orderTo === 'cancelled') await releaseCouponUse(order);
+  if (to === 'cancelled') await restockCancelled(order);
+
+  await logOrderActivity({
+    orderId: order._id,
+    actorId,
+    actorRole: role,
+    action: `shipment_${to}`,
+    description: note || `Shipment of seller ${idOf(shipment.seller)} moved from ${from} to ${to}`,
+    metadata: { shipmentId: shipment._id, seller: idOf(shipment.seller), from, to, ...metadata }
+  });
+
+  if (orderTo !== orderFrom) {
+    await logOrderActivity({
+      orderId: order._id,
+      actorId,
+      actorRole: 'system',
+      action: `order_${orderTo}`,
+      description: `Order status changed from ${orderFrom} to ${orderTo}`,
+      metadata: { from: orderFrom, to: orderTo, shipmentId: shipment._id }
+    });
+  }
+
+  if (REPUTATION_STATUSES.includes(to)) {
+    refreshSellerReputations([shipment.seller]);
+  }
+
+  return order;
+};
+
+export default {
+  ORDER_STATUSES,
+  FINAL_STATUSES,
+  getOrderStatus,
+  canTransition,
+  getAllowedTransitions,
+  assertTransition,
+  rollupStatus,
+  transitionOrder,
+  transitionShipment
+};
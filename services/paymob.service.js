@@ -0,0 +1,42 @@
+import axios from 'axios';
+
+const PAYMOB_BASE_URL = 'https://accept.paymob.com/api';
+// Overridable so staging can point refunds at a stand-in endpoint
+const PAYMOB_REFUND_URL = process.env.PAYMOB_REFUND_URL || `${PAYMOB_BASE_URL}/acceptance/void_refund/refund`;
+
+export const getPaymobAuthToken = async () => {
+  const { data } = await axios.post(`${PAYMOB_BASE_URL}/auth/tokens`, {
+    api_key: process.env.PAYMOB_API_KEY
+  });
+  return data.token;
+};
+
+/**
+ * Refund (part of) a captured Paymob transaction.
+ *
+ * @param {Object} opts
+ * @param {string|number} opts.transactionId Paymob transaction id from the webhook
+ * @param {number} opts.amount Amount in EGP
+ * @returns {Promise<{ reference: string, raw: Object }>}
+ */
+export const refundPaymobTransaction = async ({ transactionId, amount }) => {
+  if (!transactionId) {
+    throw new Error('Paymob transaction id is missing for this order');
+  }
+
+  const authToken = await getPaymobAuthToken();
+
+  const { data } = await axios.post(PAYMOB_REFUND_URL, {
+    auth_token: authToken,
+    transaction_id: transactionId,
+    amount_cents: Math.round(amount * 100)
+  });
+
+  if (data?.success === false) {
+    throw new Error(data?.data?.message || 'Paymob refund was declined');
+  }
+
+  return { reference: String(data?.id || transactionId), raw: data };
+};
+
+export default { getPaymobAuthToken, refundPaymobTransaction };
@@ -0,0 +1,149 @@
+import Order from '../models/order.model.js';
+import User from '../models/user.model.js';
+import Notification from '../models/notification.model.js';
+import PlatformEarningsModel from '../models/PlatformEarnings.model.js';
+import FinancialTransaction from '../models/financialTransaction.model.js';
+import { getPlatformFeeByPrice } from '../utils/platformFee.js';
+import { shipmentItems } from './shipment.service.js';
+import { itemCouponShare } from './coupon.service.js';
+
+const PAYOUT_HOLD_DAYS = 3;
+
+const roundMoney = (value) => Math.round((value || 0) * 100) / 100;
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+/**
+ * Credit the seller of a delivered shipment and record the platform share.
+ *
+ * Sellers receive their full earnings; the coupon discount on the
+ * shipment's lines is borne by the platform, which also keeps the shipment's
+ * shipping fee (after any free-shipping coupon). The caller persists `order`.
+ *
+ * @param {Object} order Order document
+ * @param {Object} shipment Shipment subdocument of `order`
+ * @returns {Promise<Object|null>} The payout summary, or null if already paid out
+ */
+export const processShipmentPayout = async (order, shipment) => {
+  if (shipment.payout?.processed) return null;
+
+  const seller = await User.findById(idOf(shipment.seller));
+  if (!seller) return null;
+
+  // Claim the shipment first so a concurrent delivery call can't pay it twice
+  const claimed = await Order.updateOne(
+    {
+      _id: order._id,
+      shipments: { $elemMatch: { _id: shipment._id, 'payout.processed': { $ne: true } } }
+    },
+    { $set: { 'shipments.$.payout.processed': true } }
+  );
+  if (claimed.modifiedCount === 0) return null;
+
+  let itemTotal = 0;
+  let sellerAmount = 0;
+  let couponShare = 0;
+  shipmentItems(order, shipment)
+    .filter((item) => !item.refunded)
+    .forEach((item) => {
+      const total = item.price * item.quantity;
+      itemTotal += total;
+      sellerAmount += total * (1 - getPlatformFeeByPrice(item.price));
+      couponShare += itemCouponShare(order, item);
+    });
+
+  sellerAmount = roundMoney(sellerAmount);
+  couponShare = roundMoney(couponShare);
+  const commission = roundMoney(itemTotal - sellerAmount);
+
+  const totalCouponDiscount = order.coupon?.discountAmount || 0;
+  const shippingRevenue = shipment.shippingFee || 0;
+  const platformAmount = roundMoney(commission - couponShare + shippingRevenue);
+
+  await PlatformEarningsModel.create({
+    orderId: order._id,
+    sellerId: seller._id,
+    commission,
+    discountAmount: couponShare,
+    amount: platformAmount,
+    shippingRevenue,
+    discountDetails: order.coupon?.code ? {
+      couponCode: order.coupon?.code,
+      totalCouponDiscount,
+      platformShare: couponShare,
+      sellerShare: 0,
+      shippingDiscount: shipment.shippingDiscount || 0
+    } : undefined
+  });
+
+  if (!seller.wallet) {
+    seller.wallet = {
+      balance: 0,
+      pendingBalance: 0,
+      availableBalance: 0,
+      pendingTransactions: [],
+      lastTransaction: null
+    };
+  }
+
+  const releaseDate = new Date(Date.now() + PAYOUT_HOLD_DAYS * 24 * 60 * 60 * 1000);
+
+  seller.wallet.pendingBalance = roundMoney((seller.wallet.pendingBalance || 0) + sellerAmount);
+  seller.wallet.pendingTransactions = seller.wallet.pendingTransactions || [];
+  seller.wallet.pendingTransactions.push({
+    orderId: order._id,
+    amount: sellerAmount,
+    releaseDate,
+    status: 'pending',
+    // Released only once the courier's cash is reconciled (services/cod.service.js)
+    ...(order.paymentMethod === 'cash' && { awaitingCash: true })
+  });
+
+  seller.wallet.lastTransaction = {
+    amount: sellerAmount,
+    type: 'sale',
+    date: new Date(),
+    orderId: order._id,
+    couponDeduction: null
+  };
+
+  await FinancialTransaction.create({
+    seller: seller._id,
+    order: order._id,
+    amount: sellerAmount,
+    type: 'credit',
+    balanceAfter: (seller.wallet.balance || 0) + (seller.wallet.pendingBalance || 0),
+    source: 'order_payout',
+    status: 'pending',
+    note: 'Full earnings - All discounts borne by platform',
+    metadata: { shipmentId: shipment._id }
+  });
+
+  await seller.save();
+
+  shipment.payout = {
+    processed: true,
+    sellerAmount,
+    commission,
+    couponShare,
+    platformAmount,
+    processedAt: new Date()
+  };
+
+  try {
+    await Notification.create({
+      userId: seller._id,
+      role: 'seller',
+      type: 'PAYOUT_COMPLETED',
+      title: '💵 تم تحويل الأرباح',
+      message: `تم تحويل مبلغ ${sellerAmount.toFixed(2)} جنيه كأرباح كاملة من الطلب رقم #${order._id}`,
+      data: { orderId: order._id, shipmentId: shipment._id },
+      link: `/seller/orders/${order._id}`
+    });
+  } catch (nErr) {
+    console.error('Failed to notify seller about payout:', nErr);
+  }
+
+  return shipment.payout;
+};
+
+export default { processShipmentPayout };
@@ -0,0 +1,177 @@
+import mongoose from 'mongoose';
+import Coupon from '../models/coupon.model.js';
+import { createError } from '../utils/error.js';
+import { evaluateCoupon } from './coupon.service.js';
+import { buildShipments } from './shipment.service.js';
+import { findVariant, getVariantPrice, optionValue } from './productVariant.service.js';
+
+const roundMoney = (value) => Math.round((value || 0) * 100) / 100;
+
+// Totals closer than this are the same total
+const TOTAL_TOLERANCE = 0.01;
+
+/**
+ * Price the buyer pays for one unit: the variant's price override (or the
+ * product price) with the product's discount percentage applied.
+ */
+export const getUnitPrice = (product, variant) => {
+  const listPrice = getVariantPrice(product, variant);
+  const discountPercentage = product.discountPercentage || 0;
+  return discountPercentage > 0
+    ? roundMoney(listPrice * (1 - discountPercentage / 100))
+    : listPrice;
+};
+
+/**
+ * Price a cart entirely on the server: line prices, coupon discount (checked
+ * against all of its rules), per-seller shipping and the final total. The
+ * result carries the order items and shipments `createOrder` persists.
+ *
+ * @param {Object} cart Cart document with `items.product` populated
+ * @param {Object} opts
+ * @param {string} opts.userId Buyer
+ * @param {boolean} [opts.strictCoupon=true] Throw when the applied coupon no
+ *   longer applies; otherwise price without it and report `couponError`
+ * @returns {Promise<Object>} `{ lines, items, shipments, subtotal, discount,
+ *   shippingDiscount, shippingFee, total, coupon, couponDoc, couponError }`
+ */
+export const quoteCart = async (cart, { userId, strictCoupon = true } = {}) => {
+  if (!cart?.items?.length) {
+    throw createError('No cart found or cart is empty', 404);
+  }
+
+  const gone = cart.items.find((item) => !item.product);
+  if (gone) {
+    throw createError('A product in your cart is no longer available', 400);
+  }
+
+  // Resolve each line's variant: price override, SKU and option snapshot
+  const lines = cart.items.map((item) => ({ item, variant: findVariant(item.product, item.variant) }));
+  const unavailable = lines.find(({ item, variant }) => item.variant && !variant?.isActive);
+  if (unavailable) {
+    throw createError(`The selected variant of "${unavailable.item.product.title}" is no longer available`, 400);
+  }
+
+  const items = lines.map(({ item, variant }) => ({
+    _id: new mongoose.Types.ObjectId(),
+    product: item.product._id,
+    seller: item.product.seller,
+    variant: variant?._id,
+    sku: variant?.sku,
+    options: variant?.options,
+    quantity: item.quantity,
+    listPrice: getVariantPrice(item.product, variant),
+    price: getUnitPrice(item.product, variant),
+    couponDiscount: 0,
+    color: variant ? optionValue(variant, 'color') : (item.colors?.length > 0 ? item.colors[0] : undefined),
+    size: variant ? optionValue(variant, 'size') : (item.sizes?.length > 0 ? item.sizes[0] : undefined)
+  }));
+
+  // One shipment (sub-order) per seller, each with its own shipping fee
+  const shipments = buildShipments(items);
+
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+  let discount = 0;
+  let shippingDiscount = 0;
+  let coupon = null;
+  let couponDoc = null;
+  let couponError = null;
+
+  if (cart.appliedCoupon?.couponId) {
+    couponDoc = await Coupon.findById(cart.appliedCoupon.couponId);
+
+    try {
+      const result = await evaluateCoupon(couponDoc, {
+        userId,
+        lines: items.map((item, index) => ({
+          id: item._id,
+          product: lines[index].item.product,
+          price: item.price,
+          quantity: item.quantity
+        })),
+        shipments
+      });
+
+      // Only eligible lines carry the discount, so payouts and refunds can split it per seller
+      items.forEach((item) => {
+        item.couponDiscount = result.lineDiscounts.get(item._id.toString()) || 0;
+      });
+      shipments.forEach((shipment) => {
+        const waived = result.shippingDiscounts.get(shipment.seller.toString()) || 0;
+        shipment.shippingDiscount = waived;
+        shipment.shippingFee = roundMoney(shipment.shippingFee - waived);
+      });
+
+      discount = result.discountAmount;
+      shippingDiscount = result.shippingDiscount;
+      coupon = {
+        code: couponDoc.code,
+        discountType: couponDoc.discountType,
+        discountAmount: discount,
+        shippingDiscount,
+        couponId: couponDoc._id
+      };
+    } catch (err) {
+      if (strictCoupon || !err.isOperational) throw err;
+      couponError = err.message;
+      couponDoc = null;
+    }
+  }
+
+  const shippingFee = roundMoney(shipments.reduce((sum, shipment) => sum + shipment.shippingFee, 0));
+  const total = roundMoney(Math.max(0, subtotal - discount) + shippingFee);
+
+  return {
+    lines,
+    items,
+    shipments,
+    subtotal,
+    discount,
+    shippingDiscount,
+    shippingFee,
+    total,
+    coupon,
+    couponDoc,
+    couponError
+  };
+};
+
+// Whether the total the client showed the buyer still matches the quote
+export const matchesQuote = (quote, expectedTotal) =>
+  Math.abs(Number(expectedTotal) - quote.total) < TOTAL_TOLERANCE;
+
+// Client-facing shape of a quote
+export const formatQuote = (quote) => ({
+  items: quote.items.map((item, index) => ({
+    product: item.product,
+    title: quote.lines[index].item.product.title,
+    variant: item.variant,
+    sku: item.sku,
+    options: item.options,
+    quantity: item.quantity,
+    listPrice: item.listPrice,
+    price: item.price,
+    lineTotal: roundMoney(item.price * item.quantity),
+    couponDiscount: item.couponDiscount
+  })),
+  shipments: quote.shipments.map((shipment) => ({
+    seller: shipment.seller,
+    subtotal: shipment.subtotal,
+    shippingFee: shipment.shippingFee,
+    shippingDiscount: shipment.shippingDiscount || 0
+  })),
+  subtotal: quote.subtotal,
+  discount: quote.discount,
+  shippingDiscount: quote.shippingDiscount,
+  shippingFee: quote.shippingFee,
+  total: quote.total,
+  coupon: quote.coupon,
+  couponError: quote.couponError
+});
+
+export default {
+  getUnitPrice,
+  quoteCart,
+  matchesQuote,
+  formatQuote
+};
@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+import ProductQuestion from '../models/productQuestion.model.js';
+
+// Answered questions shown on the product page
+const PRODUCT_PAGE_QUESTIONS = 5;
+// Window of answered questions the response-time stats are computed on
+const RESPONSE_STATS_DAYS = 90;
+
+const formatUserName = (userDoc) => {
+  if (!userDoc) return 'Unknown User';
+  const fullName = [userDoc.firstName, userDoc.lastName].filter(Boolean).join(' ').trim();
+  return fullName || 'Unknown User';
+};
+
+/**
+ * Public shape of a question: no voter / reporter lists, only whether the
+ * current user upvoted it.
+ *
+ * @param {Object} question Lean question with `user` populated (firstName lastName)
+ * @param {string} [userId] Current user
+ */
+export const formatQuestion = (question, userId) => ({
+  id: question._id,
+  product: question.product,
+  question: question.question,
+  user: question.user ? { id: question.user._id, name: formatUserName(question.user) } : null,
+  answer: question.isAnswered
+    ? {
+      text: question.answer.text,
+      answeredByRole: question.answer.answeredByRole,
+      answeredAt: question.answeredAt,
+      updatedAt: question.answer.updatedAt
+    }
+    : null,
+  isAnswered: question.isAnswered,
+  upvoteCount: question.upvoteCount,
+  hasUpvoted: Boolean(userId && question.upvotes?.some((id) => id.toString() === userId.toString())),
+  createdAt: question.createdAt
+});
+
+/**
+ * Most upvoted answered questions of a product, for `getProductById`.
+ *
+ * @returns {Promise<{ questions: Array, answeredCount: number }>}
+ */
+export const getProductPageQuestions = async (productId) => {
+  const filter = { product: productId, status: 'published', isAnswered: true };
+
+  const [questions, answeredCount] = await Promise.all([
+    ProductQuestion.find(filter)
+      .sort({ upvoteCount: -1, answeredAt: -1 })
+      .limit(PRODUCT_PAGE_QUESTIONS)
+      .populate('user', 'firstName lastName')
+      .lean(),
+    ProductQuestion.countDocuments(filter)
+  ]);
+
+  return { questions: questions.map((q) => formatQuestion(q)), answeredCount };
+};
+
+/**
+ * Seller's Q&A counters: open questions and how fast they get answered.
+ *
+ * @returns {Promise<{ unanswered: number, oldestUnansweredAt: Date|null,
+ *   answered: number, avgResponseHours: number|null, answeredWithin24h: number|null }>}
+ */
+export const getSellerQuestionStats = async (sellerId) => {
+  const seller = new mongoose.Types.ObjectId(sellerId);
+  const since = new Date(Date.now() - RESPONSE_STATS_DAYS * 24 * 60 * 60 * 1000);
+
+  const [stats] = await ProductQuestion.aggregate([
+    { $match: { seller, status: 'published' } },
+    {
+      $facet: {
+        unanswered: [
+          { $match: { isAnswered: false } },
+          { $group: { _id: null, count: { $sum: 1 }, oldest: { $min: '$createdAt' } } }
+        ],
+        answered: [
+          { $match: { isAnswered: true, answeredAt: { $gte: since } } },
+          { $project: { hours: { $divide: [{ $subtract: ['$answeredAt', '$createdAt'] }, 60 * 60 * 1000] } } },
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              avgHours: { $avg: '$hours' },
+              within24h: { $sum: { $cond: [{ $lte: ['$hours', 24] }, 1, 0] } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const open = stats.unanswered[0];
+  const answered = stats.answered[0];
+
+  return {
+    unanswered: open?.count || 0,
+    oldestUnansweredAt: open?.oldest || null,
+    answered: answered?.count || 0,
+    avgResponseHours: answered ? Math.round(answered.avgHours * 10) / 10 : null,
+    // Share of questions answered within a day
+    answeredWithin24h: answered ? Math.round((answered.within24h / answered.count) * 100) / 100 : null
+  };
+};
+
+export default {
+  formatQuestion,
+  getProductPageQuestions,
+  getSellerQuestionStats
+};
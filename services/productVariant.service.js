@@ -0,0 +1,97 @@
+import { createError } from '../utils/error.js';
+
+const parseJsonField = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw createError('Invalid variants format, expected a JSON array', 400);
+  }
+};
+
+/**
+ * Validate and normalise the `variants` field of a product create/update
+ * request (multipart forms send it as a JSON string).
+ *
+ * @param {Array|string} raw
+ * @returns {Array<Object>} Clean variant objects, existing ones keep their `_id`
+ */
+export const parseVariants = (raw) => {
+  const variants = parseJsonField(raw) || [];
+
+  if (!Array.isArray(variants)) {
+    throw createError('Invalid variants format, expected an array', 400);
+  }
+
+  const combinations = new Set();
+  const skus = new Set();
+
+  return variants.map((variant, index) => {
+    const options = Array.isArray(variant?.options) ? variant.options : [];
+    if (!options.length || !options.every((opt) => opt?.name && opt?.value)) {
+      throw createError(`Variant #${index + 1} needs at least one option with a name and value`, 400);
+    }
+
+    const key = options
+      .map((opt) => `${opt.name}:${opt.value}`.toLowerCase())
+      .sort()
+      .join('|');
+    if (combinations.has(key)) {
+      throw createError(`Variant #${index + 1} repeats the options of another variant`, 400);
+    }
+    combinations.add(key);
+
+    const quantity = parseInt(variant.quantity, 10) || 0;
+    if (quantity < 0) {
+      throw createError(`Variant #${index + 1} stock can't be negative`, 400);
+    }
+
+    const hasPrice = variant.price !== undefined && variant.price !== null && variant.price !== '';
+    const price = hasPrice ? parseFloat(variant.price) : undefined;
+    if (hasPrice && (Number.isNaN(price) || price < 0)) {
+      throw createError(`Variant #${index + 1} has an invalid price`, 400);
+    }
+
+    const sku = variant.sku ? String(variant.sku).trim() : undefined;
+    if (sku) {
+      if (skus.has(sku)) {
+        throw createError(`SKU "${sku}" is used by more than one variant`, 400);
+      }
+      skus.add(sku);
+    }
+
+    return {
+      ...(variant._id ? { _id: variant._id } : {}),
+      sku,
+      options: options.map((opt) => ({ name: String(opt.name).trim(), value: String(opt.value).trim() })),
+      price,
+      quantity,
+      images: Array.isArray(variant.images) ? variant.images : [],
+      isActive: variant.isActive !== undefined ? variant.isActive === true || variant.isActive === 'true' : true
+    };
+  });
+};
+
+export const findVariant = (product, variantId) => {
+  if (!variantId || !product?.variants?.length) return null;
+  return product.variants.find((variant) => variant._id.toString() === variantId.toString()) || null;
+};
+
+export const getVariantPrice = (product, variant) => (
+  variant?.price !== undefined && variant?.price !== null ? variant.price : product.price
+);
+
+// "Red / XL"
+export const variantLabel = (variant) => (variant?.options || []).map((opt) => opt.value).join(' / ');
+
+// Value of a named option, e.g. optionValue(variant, 'size')
+export const optionValue = (variant, name) => (variant?.options || [])
+  .find((opt) => opt.name.toLowerCase() === name.toLowerCase())?.value;
+
+export default {
+  parseVariants,
+  findVariant,
+  getVariantPrice,
+  variantLabel,
+  optionValue
+};
@@ -0,0 +1,441 @@
+import Refund from '../models/refund.model.js';
+import Order from '../models/order.model.js';
+import User from '../models/user.model.js';
+import PlatformEarningsModel from '../models/PlatformEarnings.model.js';
+import FinancialTransaction from '../models/financialTransaction.model.js';
+import { sendNotification } from '../utils/notify.js';
+import { getPlatformFeeByPrice } from '../utils/platformFee.js';
+import { refundPaymobTransaction } from './paymob.service.js';
+import { getOrderStatus, transitionOrder, transitionShipment } from './orderStatus.service.js';
+import { findShipmentForItem, shipmentItems } from './shipment.service.js';
+import { orderStockLines, releaseStock } from './inventory.service.js';
+import { checkStockLevels } from './stockAlert.service.js';
+import { itemCouponShare } from './coupon.service.js';
+
+const ONLINE_PAYMENT_METHODS = ['card', 'wallet'];
+const REFUNDABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+
+const roundMoney = (value) => Math.round((value || 0) * 100) / 100;
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+const notify = async (io, payload) => {
+  try {
+    await sendNotification(io, payload);
+  } catch (err) {
+    console.error('Failed to send refund notification:', err.message);
+  }
+};
+
+/**
+ * Break the refundable amount of the given order items down into the item
+ * total, its pro-rated share of the coupon and shipping, and how much of it
+ * comes back from the seller vs. the platform.
+ *
+ * Mirrors the split in the shipment payout: sellers receive their full
+ * earnings and the platform bears the coupon and keeps the shipping fee of
+ * each seller's shipment.
+ */
+export const computeRefundItems = (order, items) => {
+  const subtotal = order.subtotal
+    || order.items.reduce((sum, it) => sum + it.price * it.quantity, 0);
+
+  return items.map((item) => {
+    const itemTotal = roundMoney(item.price * item.quantity);
+    const ratio = subtotal > 0 ? itemTotal / subtotal : 0;
+    const couponShare = roundMoney(itemCouponShare(order, item));
+
+    // Shipping is charged per seller shipment, so it's shared within it
+    const shipment = findShipmentForItem(order, item._id);
+    const shippingShare = shipment
+      ? roundMoney(shipment.subtotal > 0 ? shipment.shippingFee * (itemTotal / shipment.subtotal) : 0)
+      : roundMoney((order.shippingFee || 0) * ratio);
+    const refundAmount = roundMoney(Math.max(0, itemTotal - couponShare + shippingShare));
+
+    // Nothing was credited to anyone before the payout ran
+    const paidOut = shipment ? Boolean(shipment.payout?.processed) : order.payoutProcessed;
+    const sellerReversal = paidOut
+      ? roundMoney(itemTotal * (1 - getPlatformFeeByPrice(item.price)))
+      : 0;
+    const platformReversal = paidOut
+      ? roundMoney(refundAmount - sellerReversal)
+      : 0;
+
+    return {
+      orderItem: item._id,
+      product: idOf(item.product),
+      seller: idOf(item.seller),
+      quantity: item.quantity,
+      itemTotal,
+      couponShare,
+      shippingShare,
+      refundAmount,
+      sellerReversal,
+      platformReversal
+    };
+  });
+};
+
+// Take the seller's share back, pending earnings first, then available balance
+const reverseSellerEarnings = async (order, sellerId, amount, refund) => {
+  if (amount <= 0) return;
+
+  const seller = await User.findById(sellerId);
+  if (!seller) return;
+
+  seller.wallet = seller.wallet || {};
+  let remaining = amount;
+  let fromPending = 0;
+  let fromBalance = 0;
+
+  const pendingTx = (seller.wallet.pendingTransactions || []).find(
+    (t) => t.status === 'pending' && t.orderId?.toString() === order._id.toString()
+  );
+
+  if (pendingTx) {
+    fromPending = Math.min(pendingTx.amount, remaining);
+    pendingTx.amount = roundMoney(pendingTx.amount - fromPending);
+    if (pendingTx.amount <= 0) pendingTx.status = 'cancelled';
+    seller.wallet.pendingBalance = Math.max(0, roundMoney((seller.wallet.pendingBalance || 0) - fromPending));
+    remaining = roundMoney(remaining - fromPending);
+  }
+
+  if (remaining > 0) {
+    fromBalance = Math.min(seller.wallet.balance || 0, remaining);
+    seller.wallet.balance = roundMoney((seller.wallet.balance || 0) - fromBalance);
+    seller.wallet.availableBalance = Math.max(0, roundMoney((seller.wallet.availableBalance || 0) - fromBalance));
+    remaining = roundMoney(remaining - fromBalance);
+  }
+
+  seller.wallet.lastTransaction = {
+    orderId: order._id,
+    amount,
+    type: 'refund',
+    date: new Date()
+  };
+
+  await seller.save();
+
+  await FinancialTransaction.create({
+    seller: seller._id,
+    order: order._id,
+    amount,
+    type: 'debit',
+    balanceAfter: (seller.wallet.balance || 0) + (seller.wallet.pendingBalance || 0),
+    source: 'refund',
+    status: 'completed',
+    note: remaining > 0
+      ? `Refund reversal – ${remaining.toFixed(2)} EGP could not be collected from the wallet`
+      : 'Refund reversal of order earnings',
+    metadata: { refundId: refund._id, fromPending, fromBalance, shortfall: remaining }
+  });
+};
+
+const reversePlatformEarnings = async (order, sellerId, amount) => {
+  if (amount === 0) return;
+
+  await PlatformEarningsModel.findOneAndUpdate(
+    { orderId: order._id, sellerId },
+    { $inc: { amount: -amount, refundedAmount: amount } }
+  );
+};
+
+// Send the money back to the buyer; marks the refund completed or failed
+const issueRefund = async (refund, order) => {
+  refund.attempts += 1;
+
+  try {
+    if (refund.method === 'paymob') {
+      const { reference } = await refundPaymobTransaction({
+        transactionId: order.paymentData?.transactionId,
+        amount: refund.amount
+      });
+      refund.providerReference = reference;
+    } else {
+      await User.updateOne(
+        { _id: refund.buyer },
+        {
+          $inc: { 'wallet.balance': refund.amount },
+          $set: {
+            'wallet.lastTransaction': {
+              orderId: order._id,
+              amount: refund.amount,
+              type: 'refund',
+              date: new Date()
+            }
+          },
+          $push: {
+            'wallet.transactionHistory': {
+              $each: [{
+                type: 'refund',
+                amount: refund.amount,
+                description: `Store credit for order #${order._id}`,
+                reference: refund._id.toString(),
+                status: 'completed'
+              }],
+              $slice: -100
+            }
+          }
+        }
+      );
+      refund.providerReference = refund._id.toString();
+    }
+
+    refund.status = 'completed';
+    refund.completedAt = new Date();
+    refund.failureReason = undefined;
+  } catch (err) {
+    console.error('Refund issue failed:', err.response?.data || err.message);
+    refund.status = 'failed';
+    refund.failureReason = err.response?.data?.message || err.message;
+  }
+
+  await refund.save();
+  return refund;
+};
+
+const notifyRefundCompleted = async (io, refund, order) => {
+  const buyerPayload = refund.method === 'paymob'
+    ? {
+      type: 'PAYMENT_REFUNDED',
+      title: '💳 تم استرداد المبلغ',
+      message: `تم استرداد ${refund.amount.toFixed(2)} جنيه إلى وسيلة الدفع الخاصة بالطلب رقم #${order._id}`
+    }
+    : {
+      type: 'ORDER_REFUNDED',
+      title: '💰 تم إضافة رصيد لحسابك',
+      message: `تمت إضافة ${refund.amount.toFixed(2)} جنيه كرصيد في حسابك عن الطلب رقم #${order._id}`
+    };
+
+  await notify(io, {
+    userId: refund.buyer,
+    role: 'user',
+    ...buyerPayload,
+    data: { orderId: order._id, refundId: refund._id, amount: refund.amount, method: refund.method }
+  });
+};
+
+const notifySellers = async (io, refund, order) => {
+  const bySeller = {};
+  refund.items.forEach((item) => {
+    const sellerId = item.seller?.toString();
+    if (!sellerId) return;
+    bySeller[sellerId] = (bySeller[sellerId] || 0) + item.sellerReversal;
+  });
+
+  await Promise.all(Object.entries(bySeller).map(([sellerId, deducted]) => notify(io, {
+    userId: sellerId,
+    role: 'seller',
+    type: 'ORDER_REFUNDED',
+    title: '↩️ استرداد على طلب',
+    message: deducted > 0
+      ? `تم خصم ${deducted.toFixed(2)} جنيه من أرباحك بسبب استرداد على الطلب رقم #${order._id}`
+      : `تم استرداد قيمة منتجات من الطلب رقم #${order._id}`,
+    data: { orderId: order._id, refundId: refund._id, deducted }
+  })));
+};
+
+/**
+ * Refund the given order items: records a Refund, reverses seller and
+ * platform earnings, returns the money to the buyer and notifies everyone.
+ *
+ * @param {Object} opts
+ * @param {Object} opts.order Order document
+ * @param {Array<string>} [opts.itemIds] Order item ids; defaults to every unrefunded item
+ * @param {'return'|'cancellation'|'manual'} opts.reason
+ * @param {Object} [opts.returnRequest] ReturnRequest document that triggered the refund
+ * @param {boolean} [opts.storeCredit] Force store credit instead of the original payment method
+ * @param {string} [opts.actorId] User who triggered the refund
+ * @param {import('socket.io').Server} [opts.io]
+ * @returns {Promise<Object|null>} The Refund document, or null when there is nothing to refund
+ */
+export const processRefund = async ({
+  order,
+  itemIds,
+  reason,
+  returnRequest = null,
+  storeCredit = false,
+  actorId = null,
+  io = null
+}) => {
+  const wanted = itemIds?.map((id) => id.toString());
+  const items = order.items.filter((item) => !item.refunded
+    && (!wanted || wanted.includes(item._id.toString())));
+
+  if (items.length === 0) return null;
+
+  const refundItems = computeRefundItems(order, items);
+  let amount = roundMoney(refundItems.reduce((sum, it) => sum + it.refundAmount, 0));
+
+  // Never give back more than was actually charged
+  if (order.total > 0) {
+    amount = Math.min(amount, roundMoney(order.total - (order.refundedAmount || 0)));
+  }
+  if (amount <= 0) return null;
+
+  const paidOnline = ONLINE_PAYMENT_METHODS.includes(order.paymentMethod)
+    && REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus);
+
+  // Flag the items first (conditionally) so a concurrent call can't refund them twice
+  const itemObjectIds = items.map((it) => it._id);
+  const flagged = await Order.updateOne(
+    {
+      _id: order._id,
+      items: { $not: { $elemMatch: { _id: { $in: itemObjectIds }, refunded: true } } }
+    },
+    {
+      $set: { 'items.$[it].refunded': true, 'items.$[it].refundedAt': new Date() },
+      $inc: { refundedAmount: amount }
+    },
+    { arrayFilters: [{ 'it._id': { $in: itemObjectIds } }] }
+  );
+  if (flagged.modifiedCount === 0) return null;
+
+  const refund = await Refund.create({
+    order: order._id,
+    buyer: idOf(order.buyer),
+    returnRequest: returnRequest?._id,
+    reason,
+    items: refundItems,
+    amount,
+    method: paidOnline && !storeCredit ? 'paymob' : 'store_credit',
+    processedBy: actorId
+  });
+
+  const totalsBySeller = {};
+  refundItems.forEach((it) => {
+    if (!totalsBySeller[it.seller]) totalsBySeller[it.seller] = { seller: 0, platform: 0 };
+    totalsBySeller[it.seller].seller += it.sellerReversal;
+    totalsBySeller[it.seller].platform += it.platformReversal;
+  });
+
+  for (const [sellerId, totals] of Object.entries(totalsBySeller)) {
+    await reverseSellerEarnings(order, sellerId, roundMoney(totals.seller), refund);
+    await reversePlatformEarnings(order, sellerId, roundMoney(totals.platform));
+  }
+
+  const refundedAmount = roundMoney((order.refundedAmount || 0) + amount);
+  const fullyRefunded = order.items.every((item) => item.refunded
+    || items.some((it) => it._id.toString() === item._id.toString()));
+
+  if (REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    await Order.updateOne(
+      { _id: order._id },
+      { paymentStatus: fullyRefunded ? 'refunded' : 'partially_refunded' }
+    );
+  }
+
+  await issueRefund(refund, order);
+
+  if (returnRequest) {
+    returnRequest.refund = refund._id;
+    await returnRequest.save();
+  }
+
+  if (refund.status === 'completed') {
+    await notifyRefundCompleted(io, refund, order);
+  }
+  await notifySellers(io, refund, order);
+
+  order.refundedAmount = refundedAmount;
+  return refund;
+};
+
+// Refund the returned item once the return request is finished
+export const refundReturnRequest = async (returnRequest, { actorId, io, storeCredit = false } = {}) => {
+  if (returnRequest.refund) return null;
+
+  const order = await Order.findById(returnRequest.order);
+  if (!order) return null;
+
+  const item = order.items.find((it) => idOf(it.product) === returnRequest.item.toString());
+  if (!item) return null;
+
+  const refund = await processRefund({
+    order,
+    itemIds: [item._id],
+    reason: 'return',
+    returnRequest,
+    storeCredit,
+    actorId,
+    io
+  });
+
+  if (!refund) return refund;
+
+  // The returned item goes back on sale
+  await releaseStock(orderStockLines([item]));
+  await checkStockLevels([item.product]);
+
+  const updated = await Order.findById(order._id);
+
+  // Close the seller's shipment once all of its items came back; the order
+  // status rolls up from the shipments
+  const shipment = findShipmentForItem(updated, item._id);
+  if (shipment) {
+    if (shipment.status === 'delivered'
+      && shipmentItems(updated, shipment).every((it) => it.refunded)) {
+      await transitionShipment(updated, shipment, 'returned', {
+        actorId,
+        role: 'system',
+        note: 'All shipment items returned and refunded'
+      });
+    }
+    return refund;
+  }
+
+  // Close the lifecycle once every item of a delivered order came back
+  if (getOrderStatus(order) === 'delivered' && updated.items.every((it) => it.refunded)) {
+    await transitionOrder(updated, 'returned', {
+      actorId,
+      role: 'system',
+      note: 'All items returned and refunded'
+    });
+  }
+
+  return refund;
+};
+
+// Refund every item of a cancelled order that was already paid online
+export const refundCancelledOrder = async (order, { actorId, io } = {}) => {
+  const paidOnline = ONLINE_PAYMENT_METHODS.includes(order.paymentMethod)
+    && REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus);
+  if (!paidOnline) return null;
+
+  return processRefund({ order, reason: 'cancellation', actorId, io });
+};
+
+// Refund the items of a single cancelled seller shipment that was already paid online
+export const refundCancelledShipment = async (order, shipment, { actorId, io } = {}) => {
+  const paidOnline = ONLINE_PAYMENT_METHODS.includes(order.paymentMethod)
+    && REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus);
+  if (!paidOnline) return null;
+
+  return processRefund({ order, itemIds: shipment.items, reason: 'cancellation', actorId, io });
+};
+
+// Re-attempt a failed refund, optionally falling back to store credit
+export const retryRefund = async (refund, { storeCredit = false, io } = {}) => {
+  const order = await Order.findById(refund.order);
+  if (!order) {
+    throw new Error('Order not found for refund');
+  }
+
+  if (storeCredit) refund.method = 'store_credit';
+
+  await issueRefund(refund, order);
+
+  if (refund.status === 'completed') {
+    await notifyRefundCompleted(io, refund, order);
+  }
+
+  return refund;
+};
+
+export default {
+  computeRefundItems,
+  processRefund,
+  refundReturnRequest,
+  refundCancelledOrder,
+  refundCancelledShipment,
+  retryRefund
+};
@@ -0,0 +1,25 @@
+import Order from '../models/order.model.js';
+
+/**
+ * The buyer's delivered order containing the product, if any: a review is a
+ * verified purchase only when it can point at one.
+ *
+ * @param {string} userId Reviewer
+ * @param {Object} product Product with `_id` and `seller`
+ * @returns {Promise<Object|null>} Lean order (`_id` only)
+ */
+export const findDeliveredPurchase = (userId, product) => Order.findOne({
+  buyer: userId,
+  'items.product': product._id,
+  $or: [
+    { status: 'delivered' },
+    { deliveryStatus: 'delivered' },
+    // Multi-vendor orders: the seller's own shipment was delivered
+    { shipments: { $elemMatch: { seller: product.seller, status: 'delivered' } } }
+  ]
+})
+  .sort({ createdAt: -1 })
+  .select('_id')
+  .lean();
+
+export default { findDeliveredPurchase };
@@ -0,0 +1,175 @@
+import mongoose from 'mongoose';
+import SearchEvent from '../models/searchEvent.model.js';
+import { normalizeSearchText } from '../utils/searchText.js';
+import logger from '../utils/logger.js';
+
+const DEFAULT_WINDOW_DAYS = 7;
+// A query needs this many searches in the window to be trending
+const TRENDING_MIN_SEARCHES = 3;
+
+const roundRate = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Store one search request. Never throws: search must not fail because of
+ * analytics.
+ *
+ * @returns {Promise<string|null>} Event id the client sends back with a click
+ */
+export const logSearchEvent = async ({
+  query,
+  filters,
+  sort,
+  page,
+  resultCount,
+  userId,
+  sessionId
+}) => {
+  const term = normalizeSearchText(query);
+  if (!term) return null;
+
+  try {
+    const event = await SearchEvent.create({
+      term,
+      query,
+      filters,
+      sort,
+      page,
+      resultCount,
+      user: userId,
+      sessionId
+    });
+    return event._id.toString();
+  } catch (err) {
+    logger.warn('Failed to log search event:', err.message);
+    return null;
+  }
+};
+
+/**
+ * Record the product a user opened from a search's results (first click only).
+ *
+ * @returns {Promise<boolean>} Whether the click was recorded
+ */
+export const logSearchClick = async ({ searchId, productId, position }) => {
+  const { modifiedCount } = await SearchEvent.updateOne(
+    { _id: searchId, clickedProduct: { $exists: false } },
+    {
+      $set: {
+        clickedProduct: new mongoose.Types.ObjectId(productId),
+        clickPosition: position,
+        clickedAt: new Date()
+      }
+    }
+  );
+  return modifiedCount > 0;
+};
+
+// `from` / `to` of a report, the last week by default
+export const resolveWindow = ({ from, to } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  return { from: start, to: end };
+};
+
+// Searches per query with their click-through rate
+const queryStats = (match, limit, sort) => SearchEvent.aggregate([
+  { $match: match },
+  {
+    $group: {
+      _id: '$term',
+      query: { $last: '$query' },
+      searches: { $sum: 1 },
+      clicks: { $sum: { $cond: [{ $ifNull: ['$clickedProduct', false] }, 1, 0] } },
+      avgResults: { $avg: '$resultCount' },
+      users: { $addToSet: '$user' },
+      lastSearchedAt: { $max: '$createdAt' }
+    }
+  },
+  {
+    $project: {
+      _id: 0,
+      term: '$_id',
+      query: 1,
+      searches: 1,
+      clicks: 1,
+      ctr: { $cond: [{ $gt: ['$searches', 0] }, { $divide: ['$clicks', '$searches'] }, 0] },
+      avgResults: { $round: ['$avgResults', 1] },
+      uniqueUsers: { $size: { $setDifference: ['$users', [null]] } },
+      lastSearchedAt: 1
+    }
+  },
+  { $sort: sort },
+  { $limit: limit }
+]).then((rows) => rows.map((row) => ({ ...row, ctr: roundRate(row.ctr) })));
+
+/**
+ * Most searched queries in the window, with their CTR.
+ */
+export const getTopQueries = ({ from, to, limit = 20 }) =>
+  queryStats({ createdAt: { $gte: from, $lte: to } }, limit, { searches: -1 });
+
+/**
+ * Queries that returned nothing in the window: what people look for and
+ * don't find.
+ */
+export const getZeroResultQueries = ({ from, to, limit = 20 }) =>
+  queryStats({ createdAt: { $gte: from, $lte: to }, resultCount: 0 }, limit, { searches: -1 });
+
+/**
+ * Click-through rate per query, for queries searched at least `minSearches`
+ * times. Lowest CTR first: those results need work.
+ */
+export const getClickThroughRates = async ({ from, to, limit = 20, minSearches = 5 }) => {
+  const rows = await queryStats({ createdAt: { $gte: from, $lte: to } }, 1000, { searches: -1 });
+  return rows
+    .filter((row) => row.searches >= minSearches)
+    .sort((a, b) => a.ctr - b.ctr || b.searches - a.searches)
+    .slice(0, limit);
+};
+
+/**
+ * Queries growing fastest: searches in the last `hours` compared with the
+ * window of the same length just before it.
+ */
+export const getTrendingQueries = async ({ hours = 24, limit = 20 }) => {
+  const now = Date.now();
+  const windowMs = hours * 60 * 60 * 1000;
+  const currentFrom = new Date(now - windowMs);
+  const previousFrom = new Date(now - 2 * windowMs);
+
+  const rows = await SearchEvent.aggregate([
+    { $match: { createdAt: { $gte: previousFrom } } },
+    {
+      $group: {
+        _id: '$term',
+        query: { $last: '$query' },
+        current: { $sum: { $cond: [{ $gte: ['$createdAt', currentFrom] }, 1, 0] } },
+        previous: { $sum: { $cond: [{ $lt: ['$createdAt', currentFrom] }, 1, 0] } }
+      }
+    },
+    { $match: { current: { $gte: TRENDING_MIN_SEARCHES } } }
+  ]);
+
+  return rows
+    .map((row) => ({
+      term: row._id,
+      query: row.query,
+      current: row.current,
+      previous: row.previous,
+      // Relative growth; brand-new queries grow by their own count
+      growth: roundRate((row.current - row.previous) / Math.max(row.previous, 1))
+    }))
+    .filter((row) => row.growth > 0)
+    .sort((a, b) => b.growth - a.growth || b.current - a.current)
+    .slice(0, limit);
+};
+
+export default {
+  logSearchEvent,
+  logSearchClick,
+  resolveWindow,
+  getTopQueries,
+  getZeroResultQueries,
+  getClickThroughRates,
+  getTrendingQueries
+};
@@ -0,0 +1,193 @@
+import mongoose from 'mongoose';
+import Product from '../models/product.model.js';
+import logger from '../utils/logger.js';
+
+// Upper bounds of the price buckets, the last bucket is "5000 and above"
+export const PRICE_BOUNDARIES = [0, 100, 250, 500, 1000, 2500, 5000];
+export const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+const FACET_LIMIT = 20;
+
+// `?brand=a,b` and `?brand=a&brand=b` both give ['a', 'b']
+const listParam = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(values.map((v) => String(v).trim()).filter(Boolean))].sort();
+};
+
+const idListParam = (value) => listParam(value)
+  .filter((id) => mongoose.isValidObjectId(id))
+  .map((id) => new mongoose.Types.ObjectId(id));
+
+/**
+ * Read the facet filters of a search request. Every facet can hold several
+ * values (OR within a facet, AND between facets).
+ *
+ * @param {Object} query `req.query`
+ * @returns {Object} Mongo condition per facet name, only for facets in use
+ */
+export const parseFacetFilters = (query) => {
+  const filters = {};
+
+  const categories = idListParam(query.category);
+  if (categories.length) filters.category = { category: { $in: categories } };
+
+  const brands = idListParam(query.brand);
+  if (brands.length) filters.brand = { brand: { $in: brands } };
+
+  const sellers = idListParam(query.seller);
+  if (sellers.length) filters.seller = { seller: { $in: sellers } };
+
+  const colors = listParam(query.color);
+  if (colors.length) filters.color = { 'colors.value': { $in: colors } };
+
+  const sizes = listParam(query.size);
+  if (sizes.length) filters.size = { sizes: { $in: sizes } };
+
+  const minPrice = parseFloat(query.minPrice);
+  const maxPrice = parseFloat(query.maxPrice);
+  if (!Number.isNaN(minPrice) || !Number.isNaN(maxPrice)) {
+    filters.price = { price: {} };
+    if (!Number.isNaN(minPrice)) filters.price.price.$gte = minPrice;
+    if (!Number.isNaN(maxPrice)) filters.price.price.$lte = maxPrice;
+  }
+
+  const rating = parseFloat(query.rating);
+  if (!Number.isNaN(rating) && rating > 0) {
+    filters.rating = { ratingsAverage: { $gte: rating } };
+  }
+
+  if (query.inStock === 'true') {
+    filters.inStock = { quantity: { $gt: 0 } };
+  }
+
+  return filters;
+};
+
+// All active facet conditions merged into one filter
+export const combineFacetFilters = (filters, except = null) => Object.entries(filters)
+  .filter(([name]) => name !== except)
+  .reduce((acc, [, condition]) => ({ ...acc, ...condition }), {});
+
+// Count per value of a field, with the referenced document's name
+const refFacet = (field, from, nameField) => [
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $match: { _id: { $ne: null } } },
+  { $sort: { count: -1 } },
+  { $limit: FACET_LIMIT },
+  {
+    $lookup: {
+      from,
+      localField: '_id',
+      foreignField: '_id',
+      as: 'ref',
+      pipeline: [{ $project: { name: `$${nameField}` } }]
+    }
+  },
+  { $project: { _id: 0, value: '$_id', name: { $first: '$ref.name' }, count: 1 } }
+];
+
+// Count per value of an array field
+const arrayFacet = (path, valueField, nameField) => [
+  { $unwind: `$${path}` },
+  {
+    $group: {
+      _id: valueField ? `$${path}.${valueField}` : `$${path}`,
+      name: { $first: nameField ? `$${path}.${nameField}` : `$${path}` },
+      count: { $sum: 1 }
+    }
+  },
+  { $sort: { count: -1 } },
+  { $limit: FACET_LIMIT },
+  { $project: { _id: 0, value: '$_id', name: 1, count: 1 } }
+];
+
+const FACET_PIPELINES = {
+  category: refFacet('category', 'categories', 'name'),
+  brand: refFacet('brand', 'brands', 'name'),
+  seller: refFacet('seller', 'users', 'vendorProfile.storeName'),
+  price: [
+    {
+      $bucket: {
+        groupBy: '$price',
+        boundaries: PRICE_BOUNDARIES,
+        default: 'over',
+        output: { count: { $sum: 1 } }
+      }
+    }
+  ],
+  rating: [
+    {
+      $group: {
+        _id: null,
+        ...Object.fromEntries(RATING_THRESHOLDS.map((min) => [
+          `r${min}`,
+          { $sum: { $cond: [{ $gte: ['$ratingsAverage', min] }, 1, 0] } }
+        ]))
+      }
+    }
+  ],
+  color: arrayFacet('colors', 'value', 'name'),
+  size: arrayFacet('sizes'),
+  inStock: [{ $match: { quantity: { $gt: 0 } } }, { $count: 'count' }]
+};
+
+// Turn the raw $facet output into client-friendly lists
+const shapeFacets = (raw) => {
+  const last = PRICE_BOUNDARIES[PRICE_BOUNDARIES.length - 1];
+
+  return {
+    category: raw.category,
+    brand: raw.brand,
+    seller: raw.seller,
+    price: raw.price.map((bucket) => {
+      if (bucket._id === 'over') return { min: last, max: null, count: bucket.count };
+      const index = PRICE_BOUNDARIES.indexOf(bucket._id);
+      return { min: bucket._id, max: PRICE_BOUNDARIES[index + 1], count: bucket.count };
+    }),
+    rating: RATING_THRESHOLDS.map((min) => ({ min, count: raw.rating[0]?.[`r${min}`] || 0 })),
+    color: raw.color,
+    size: raw.size,
+    inStock: raw.inStock[0]?.count || 0
+  };
+};
+
+/**
+ * Facet counts over the products matching the search. Each facet is counted
+ * with every other facet filter applied but not its own, so the sidebar keeps
+ * showing the alternatives of a facet the user already picked from.
+ *
+ * @param {Object} search Search without facet filters: `{ match, stages }`
+ *   (the `$match` and the relevance stages that follow it)
+ * @param {Object} filters Output of `parseFacetFilters`
+ * @returns {Promise<Object|null>} Facets, or null if they couldn't be computed
+ */
+export const computeFacets = async (search, filters) => {
+  try {
+    const facetStages = Object.fromEntries(
+      Object.entries(FACET_PIPELINES).map(([name, pipeline]) => [
+        name,
+        [{ $match: combineFacetFilters(filters, name) }, ...pipeline]
+      ])
+    );
+
+    const [raw] = await Product.aggregate([
+      { $match: search.match },
+      ...search.stages,
+      { $facet: facetStages }
+    ]);
+
+    return shapeFacets(raw);
+  } catch (err) {
+    logger.warn('Error computing search facets:', err.message);
+    return null;
+  }
+};
+
+export default {
+  PRICE_BOUNDARIES,
+  RATING_THRESHOLDS,
+  parseFacetFilters,
+  combineFacetFilters,
+  computeFacets
+};
@@ -0,0 +1,169 @@
+import Product from '../models/product.model.js';
+import Category from '../models/category.model.js';
+import Brand from '../models/brand.model.js';
+import SearchTerm from '../models/searchTerm.model.js';
+import SearchHistory from '../models/searchHistory.model.js';
+import { searchCache } from '../utils/cache.js';
+import { normalizeSearchText } from '../utils/searchText.js';
+import logger from '../utils/logger.js';
+
+export const RECENT_SEARCHES_LIMIT = 10;
+const SUGGEST_LIMIT = 6;
+const POPULAR_LIMIT = 5;
+const MAX_QUERY_LENGTH = 100;
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A name matches when one of its words starts with the prefix
+const startsWord = (name, prefix) => normalizeSearchText(name)
+  .split(' ')
+  .some((word) => word.startsWith(prefix));
+
+// Active categories / brands are few and rarely change: keep them in the cache
+const loadNamed = async (key, Model) => {
+  const cached = await searchCache.get(key);
+  if (cached) return cached;
+
+  const docs = await Model.find({ status: 'active' }).select('name').lean();
+  const names = docs.map((doc) => ({ _id: doc._id, name: doc.name }));
+  await searchCache.set(key, names);
+  return names;
+};
+
+const matchNamed = (docs, prefix) => docs
+  .filter((doc) => startsWord(doc.name, prefix))
+  .slice(0, SUGGEST_LIMIT);
+
+/**
+ * Suggestions shared by every user for a typed prefix: product titles,
+ * categories, brands and popular queries, all matched on the normalized text.
+ * An empty prefix only returns the most popular queries.
+ *
+ * @param {string} q What the user typed so far
+ * @returns {Promise<{ products: Array, categories: Array, brands: Array, popular: Array }>}
+ */
+export const getSuggestions = async (q) => {
+  const prefix = normalizeSearchText(q).slice(0, MAX_QUERY_LENGTH);
+  const cacheKey = `suggest:v1:${prefix}`;
+
+  const cached = await searchCache.get(cacheKey);
+  if (cached) return cached;
+
+  if (!prefix) {
+    const popular = await SearchTerm.find().sort({ count: -1 }).limit(POPULAR_LIMIT).select('query count').lean();
+    const result = { products: [], categories: [], brands: [], popular };
+    await searchCache.set(cacheKey, result);
+    return result;
+  }
+
+  const pattern = escapeRegex(prefix);
+
+  const [products, categories, brands, popular] = await Promise.all([
+    Product.find({
+      isApproved: true,
+      status: 'available',
+      isActive: true,
+      // Prefix of the title or of any word in it
+      $or: [
+        { searchTitle: { $regex: `^${pattern}` } },
+        { searchTitle: { $regex: ` ${pattern}` } }
+      ]
+    })
+      .select('title images price discountedPrice')
+      .sort({ ratingsQuantity: -1 })
+      .limit(SUGGEST_LIMIT)
+      .lean(),
+    loadNamed('suggest:categories', Category).then((docs) => matchNamed(docs, prefix)),
+    loadNamed('suggest:brands', Brand).then((docs) => matchNamed(docs, prefix)),
+    SearchTerm.find({ term: { $regex: `^${pattern}` } })
+      .sort({ count: -1 })
+      .limit(POPULAR_LIMIT)
+      .select('query count')
+      .lean()
+  ]);
+
+  const result = {
+    products: products.map((p) => ({
+      _id: p._id,
+      title: p.title,
+      image: p.images?.[0],
+      price: p.discountedPrice ?? p.price
+    })),
+    categories,
+    brands,
+    popular
+  };
+
+  await searchCache.set(cacheKey, result);
+  return result;
+};
+
+/**
+ * Count a search towards popular queries and the user's recent history.
+ * Never throws: search must not fail because of bookkeeping.
+ *
+ * @param {string} query Raw query
+ * @param {string} [userId] Signed-in user, if any
+ */
+export const recordSearch = async (query, userId) => {
+  const raw = (query || '').toString().trim().slice(0, MAX_QUERY_LENGTH);
+  const term = normalizeSearchText(raw);
+  if (!term) return;
+
+  try {
+    const now = new Date();
+
+    await SearchTerm.updateOne(
+      { term },
+      { $inc: { count: 1 }, $set: { query: raw, lastSearchedAt: now } },
+      { upsert: true }
+    );
+
+    if (userId) {
+      await SearchHistory.updateOne(
+        { user: userId, term },
+        { $set: { query: raw, searchedAt: now } },
+        { upsert: true }
+      );
+
+      // Keep only the latest entries
+      const stale = await SearchHistory.find({ user: userId })
+        .sort({ searchedAt: -1 })
+        .skip(RECENT_SEARCHES_LIMIT)
+        .select('_id')
+        .lean();
+      if (stale.length) {
+        await SearchHistory.deleteMany({ _id: { $in: stale.map((doc) => doc._id) } });
+      }
+    }
+  } catch (err) {
+    logger.warn('Failed to record search:', err.message);
+  }
+};
+
+export const getRecentSearches = (userId) => SearchHistory.find({ user: userId })
+  .sort({ searchedAt: -1 })
+  .limit(RECENT_SEARCHES_LIMIT)
+  .select('query searchedAt')
+  .lean();
+
+/**
+ * Forget one recent search (by its text) or all of them.
+ *
+ * @returns {Promise<number>} Number of entries removed
+ */
+export const clearRecentSearches = async (userId, query) => {
+  const filter = { user: userId };
+  if (query) filter.term = normalizeSearchText(query);
+
+  const { deletedCount } = await SearchHistory.deleteMany(filter);
+  return deletedCount;
+};
+
+export default {
+  RECENT_SEARCHES_LIMIT,
+  getSuggestions,
+  recordSearch,
+  getRecentSearches,
+  clearRecentSearches
+};
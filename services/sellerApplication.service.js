@@ -0,0 +1,154 @@
+import User from '../models/user.model.js';
+import SellerApplication, {
+  OPEN_APPLICATION_STATUSES,
+  REQUIRED_KYC_DOCUMENTS
+} from '../models/sellerApplication.model.js';
+import { removeImage, signedImageUrl, uploadImageWithOptions } from './imageUploadService.js';
+import { sendNotification } from '../utils/notify.js';
+
+// Multipart field name -> document type
+export const DOCUMENT_FIELDS = {
+  nationalIdFront: 'national_id_front',
+  nationalIdBack: 'national_id_back',
+  commercialRegister: 'commercial_register',
+  taxCard: 'tax_card'
+};
+
+const KYC_UPLOAD_OPTIONS = {
+  folder: 'mirvory/kyc',
+  // Keep documents readable: no 800x600 downscale
+  transformation: [{ width: 2000, height: 2000, crop: 'limit' }],
+  resourceType: 'image',
+  // Private: only reachable through signed URLs
+  type: 'authenticated',
+  tags: ['kyc']
+};
+
+// How long a document URL handed to an admin stays valid
+const KYC_URL_MINUTES = Number(process.env.KYC_URL_MINUTES) || 10;
+
+// Documents uploaded before they were private have no accessType
+const accessTypeOf = (doc) => doc.accessType || 'upload';
+
+// Document types present in the multer `req.files` map
+export const uploadedDocumentTypes = (files = {}) =>
+  Object.keys(DOCUMENT_FIELDS).filter((field) => files[field]?.length).map((field) => DOCUMENT_FIELDS[field]);
+
+export const missingRequiredDocuments = (types) =>
+  REQUIRED_KYC_DOCUMENTS.filter((type) => !types.includes(type));
+
+/**
+ * Upload the KYC images of a request to Cloudinary as private images. No URL
+ * is kept: admins get signed ones through `withSignedDocumentUrls`.
+ *
+ * @param {Object} files multer `req.files` (one file per field)
+ * @returns {Promise<Array<{ type, publicId, format, accessType }>>}
+ */
+export const uploadKycDocuments = async (files = {}) => {
+  const fields = Object.keys(DOCUMENT_FIELDS).filter((field) => files[field]?.length);
+
+  return Promise.all(fields.map(async (field) => {
+    const { publicId, format } = await uploadImageWithOptions(files[field][0], KYC_UPLOAD_OPTIONS);
+    return {
+      type: DOCUMENT_FIELDS[field],
+      publicId,
+      format,
+      accessType: KYC_UPLOAD_OPTIONS.type,
+      uploadedAt: new Date()
+    };
+  }));
+};
+
+/**
+ * Application (lean object) whose documents carry a signed URL expiring after
+ * `KYC_URL_MINUTES`, for admins reviewing it. Stored URLs are never returned.
+ */
+export const withSignedDocumentUrls = (application) => {
+  const expiresAt = new Date(Date.now() + KYC_URL_MINUTES * 60 * 1000);
+
+  return {
+    ...application,
+    documents: (application.documents || []).map(({ url, ...doc }) => ({
+      ...doc,
+      url: doc.publicId
+        ? signedImageUrl(doc.publicId, {
+          // Not migrated documents only have the format in their URL
+          format: doc.format || url?.split('.').pop(),
+          type: accessTypeOf(doc),
+          expiresInSeconds: KYC_URL_MINUTES * 60
+        })
+        : null,
+      urlExpiresAt: expiresAt
+    }))
+  };
+};
+
+// Application (lean object) as its applicant sees it: documents without URLs
+export const withoutDocumentUrls = (application) => ({
+  ...application,
+  documents: (application.documents || []).map(({ url, ...doc }) => doc)
+});
+
+/**
+ * Replace documents of the same type with newly uploaded ones. The replaced
+ * images are removed from Cloudinary in the background.
+ */
+export const mergeDocuments = (current = [], uploaded = []) => {
+  const replacedTypes = uploaded.map((doc) => doc.type);
+  const replaced = current.filter((doc) => replacedTypes.includes(doc.type));
+
+  replaced.filter((doc) => doc.publicId).forEach((doc) => {
+    removeImage(doc.publicId, { type: accessTypeOf(doc) }).catch((err) => {
+      console.error('Failed to remove replaced KYC document:', err.message);
+    });
+  });
+
+  return [...current.filter((doc) => !replacedTypes.includes(doc.type)), ...uploaded];
+};
+
+/**
+ * Whether the national ID already belongs to a seller, or to another open
+ * application.
+ */
+export const isNationalIdTaken = async (nationalId, userId) => {
+  const [seller, application] = await Promise.all([
+    User.exists({ 'vendorProfile.nationalId': nationalId, _id: { $ne: userId } }),
+    SellerApplication.exists({
+      'store.nationalId': nationalId,
+      user: { $ne: userId },
+      status: { $in: OPEN_APPLICATION_STATUSES }
+    })
+  ]);
+  return Boolean(seller || application);
+};
+
+// Tell every active admin that an application waits for review
+export const notifyAdminsOfApplication = async (io, application, { resubmitted = false } = {}) => {
+  try {
+    const admins = await User.find({ role: 'admin', isActive: true }).select('_id').lean();
+
+    await Promise.all(admins.map((admin) => sendNotification(io, {
+      userId: admin._id,
+      role: 'admin',
+      actor: application.user,
+      type: 'SELLER_APPLICATION_SUBMITTED',
+      title: resubmitted ? 'تم تعديل طلب بائع' : 'طلب بائع جديد',
+      message: `طلب فتح متجر "${application.store.storeName}" بانتظار المراجعة`,
+      data: { applicationId: application._id }
+    })));
+  } catch (err) {
+    console.error('Failed to notify admins of seller application:', err.message);
+  }
+};
+
+export default {
+  DOCUMENT_FIELDS,
+  uploadedDocumentTypes,
+  missingRequiredDocuments,
+  uploadKycDocuments,
+  withSignedDocumentUrls,
+  withoutDocumentUrls,
+  mergeDocuments,
+  isNationalIdTaken,
+  notifyAdminsOfApplication
+};
@@ -0,0 +1,237 @@
+import mongoose from 'mongoose';
+import Rating from '../models/rating.model.js';
+import ReturnRequest from '../models/returnRequest.model.js';
+import User from '../models/user.model.js';
+import Product from '../models/product.model.js';
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// Order metrics only look at recent orders, reviews count all-time
+const WINDOW_DAYS = envNumber('SELLER_REPUTATION_WINDOW_DAYS', 180);
+// A shipment is prepared on time when it is ready within this many hours of the order
+const PREPARATION_SLA_HOURS = envNumber('SELLER_PREPARATION_SLA_HOURS', 48);
+
+// Thresholds for granting / revoking `isTrustedSeller` automatically
+export const TRUST_THRESHOLDS = {
+  enabled: process.env.SELLER_TRUST_AUTO !== 'false',
+  minScore: envNumber('SELLER_TRUST_MIN_SCORE', 4.5),
+  minOrders: envNumber('SELLER_TRUST_MIN_ORDERS', 20),
+  maxCancellationRate: envNumber('SELLER_TRUST_MAX_CANCELLATION_RATE', 0.05),
+  maxReturnRate: envNumber('SELLER_TRUST_MAX_RETURN_RATE', 0.1)
+};
+
+// Weight of each metric in the 0-5 score; metrics without data are left out
+const SCORE_WEIGHTS = {
+  reviews: 0.5,
+  onTime: 0.2,
+  cancellations: 0.15,
+  returns: 0.15
+};
+
+const roundRate = (value) => Math.round(value * 1000) / 1000;
+
+// Order is loaded lazily: order.model -> orderStatus.service -> this service
+const orderModel = () => mongoose.model('Order');
+
+const reviewStats = async (seller) => {
+  const [stats] = await Rating.aggregate([
+    { $match: { seller, status: 'approved' } },
+    { $group: { _id: null, count: { $sum: 1 }, average: { $avg: '$rating' } } }
+  ]);
+  return { count: stats?.count || 0, average: stats?.average || 0 };
+};
+
+const shipmentStats = async (seller, since) => {
+  const [stats] = await orderModel().aggregate([
+    { $match: { 'shipments.seller': seller, createdAt: { $gte: since } } },
+    { $unwind: '$shipments' },
+    { $match: { 'shipments.seller': seller } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        prepared: { $sum: { $cond: [{ $gt: ['$shipments.preparedAt', null] }, 1, 0] } },
+        preparedOnTime: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $gt: ['$shipments.preparedAt', null] },
+                  { $lte: ['$shipments.preparationMinutes', PREPARATION_SLA_HOURS * 60] }
+                ]
+              },
+              1,
+              0
+            ]
+          }
+        },
+        // Only cancellations made by the seller count against them
+        sellerCancelled: {
+          $sum: {
+            $cond: [
+              {
+                $gt: [
+                  {
+                    $size: {
+                      $filter: {
+                        input: { $ifNull: ['$shipments.statusHistory', []] },
+                        as: 'entry',
+                        cond: {
+                          $and: [
+                            { $eq: ['$$entry.to', 'cancelled'] },
+                            { $eq: ['$$entry.actorRole', 'seller'] }
+                          ]
+                        }
+                      }
+                    }
+                  },
+                  0
+                ]
+              },
+              1,
+              0
+            ]
+          }
+        },
+        delivered: { $sum: { $cond: [{ $in: ['$shipments.status', ['delivered', 'returned']] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  return {
+    total: stats?.total || 0,
+    prepared: stats?.prepared || 0,
+    preparedOnTime: stats?.preparedOnTime || 0,
+    sellerCancelled: stats?.sellerCancelled || 0,
+    delivered: stats?.delivered || 0
+  };
+};
+
+/**
+ * Reputation of a seller from their approved product reviews, on-time
+ * preparation, seller cancellations and return requests.
+ *
+ * @param {string} sellerId
+ * @returns {Promise<Object>} Metrics and the 0-5 `score`
+ */
+export const computeSellerReputation = async (sellerId) => {
+  const seller = new mongoose.Types.ObjectId(sellerId);
+  const since = new Date(Date.now() - WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const [reviews, shipments, returns] = await Promise.all([
+    reviewStats(seller),
+    shipmentStats(seller, since),
+    ReturnRequest.countDocuments({ seller, status: { $ne: 'rejected' }, createdAt: { $gte: since } })
+  ]);
+
+  const onTimeRate = shipments.prepared ? shipments.preparedOnTime / shipments.prepared : null;
+  const cancellationRate = shipments.total ? shipments.sellerCancelled / shipments.total : null;
+  const returnRate = shipments.delivered ? Math.min(1, returns / shipments.delivered) : null;
+
+  const parts = [
+    [reviews.count ? reviews.average : null, SCORE_WEIGHTS.reviews],
+    [onTimeRate === null ? null : onTimeRate * 5, SCORE_WEIGHTS.onTime],
+    [cancellationRate === null ? null : (1 - cancellationRate) * 5, SCORE_WEIGHTS.cancellations],
+    [returnRate === null ? null : (1 - returnRate) * 5, SCORE_WEIGHTS.returns]
+  ].filter(([value]) => value !== null);
+
+  const weight = parts.reduce((sum, [, w]) => sum + w, 0);
+  const score = weight ? parts.reduce((sum, [value, w]) => sum + value * w, 0) / weight : 0;
+
+  return {
+    score: Math.round(score * 10) / 10,
+    reviewAverage: Math.round(reviews.average * 10) / 10,
+    reviewCount: reviews.count,
+    orderCount: shipments.total,
+    onTimeRate: onTimeRate === null ? null : roundRate(onTimeRate),
+    cancellationRate: cancellationRate === null ? null : roundRate(cancellationRate),
+    returnRate: returnRate === null ? null : roundRate(returnRate),
+    windowDays: WINDOW_DAYS,
+    updatedAt: new Date()
+  };
+};
+
+// Whether the reputation meets every trusted-seller threshold
+export const meetsTrustThresholds = (reputation) =>
+  reputation.score >= TRUST_THRESHOLDS.minScore
+  && reputation.orderCount >= TRUST_THRESHOLDS.minOrders
+  && (reputation.cancellationRate ?? 0) <= TRUST_THRESHOLDS.maxCancellationRate
+  && (reputation.returnRate ?? 0) <= TRUST_THRESHOLDS.maxReturnRate;
+
+/**
+ * Recompute and store a seller's reputation (`vendorProfile.reputation`,
+ * `vendorProfile.rating`), and grant / revoke the trusted badge unless an
+ * admin set it by hand. Never throws: callers run it after reviews and orders
+ * change.
+ *
+ * Each event recomputes the one seller's metrics rather than bumping
+ * counters: the order metrics cover a sliding window, so orders leaving it
+ * could not be taken off a counter without scanning them again. The
+ * aggregates only read that seller's documents through indexed fields.
+ *
+ * @returns {Promise<Object|null>} The reputation, or null for non-sellers
+ */
+export const refreshSellerReputation = async (sellerId) => {
+  try {
+    const seller = await User.findOne({ _id: sellerId, vendorProfile: { $exists: true } })
+      .select('isTrustedSeller trustedSellerSource');
+    if (!seller) return null;
+
+    const reputation = await computeSellerReputation(sellerId);
+    const update = {
+      'vendorProfile.reputation': reputation,
+      'vendorProfile.rating': reputation.score
+    };
+
+    // Sellers trusted before the thresholds existed were trusted by an admin
+    if (!seller.trustedSellerSource && seller.isTrustedSeller) {
+      seller.trustedSellerSource = 'manual';
+      update.trustedSellerSource = 'manual';
+    }
+
+    const autoTrust = TRUST_THRESHOLDS.enabled && seller.trustedSellerSource !== 'manual';
+    const trusted = autoTrust ? meetsTrustThresholds(reputation) : seller.isTrustedSeller;
+    if (trusted !== seller.isTrustedSeller) {
+      update.isTrustedSeller = trusted;
+      update.trustedSellerSource = 'auto';
+    }
+
+    await User.updateOne({ _id: sellerId }, { $set: update });
+
+    if (trusted !== seller.isTrustedSeller) {
+      await Product.updateMany({ seller: sellerId }, { sellerTrusted: trusted });
+    }
+
+    return reputation;
+  } catch (err) {
+    console.error(`Failed to refresh reputation of seller ${sellerId}:`, err.message);
+    return null;
+  }
+};
+
+// Refresh several sellers (e.g. every seller of a multi-vendor order)
+export const refreshSellerReputations = async (sellerIds) => {
+  const unique = [...new Set(sellerIds.filter(Boolean).map((id) => (id._id || id).toString()))];
+  for (const sellerId of unique) {
+    await refreshSellerReputation(sellerId);
+  }
+};
+
+// Nightly: order metrics are windowed, so they move even without new events
+export const refreshAllSellerReputations = async () => {
+  const sellers = await User.find({ role: 'seller', vendorProfile: { $exists: true } }).select('_id').lean();
+  await refreshSellerReputations(sellers.map((seller) => seller._id));
+  return sellers.length;
+};
+
+export default {
+  TRUST_THRESHOLDS,
+  computeSellerReputation,
+  meetsTrustThresholds,
+  refreshSellerReputation,
+  refreshSellerReputations,
+  refreshAllSellerReputations
+};
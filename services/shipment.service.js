@@ -0,0 +1,86 @@
+import { getOrderStatus } from './orderStatus.service.js';
+
+export const SHIPPING_FEE = 30;
+export const FREE_SHIPPING_THRESHOLD = 500;
+
+const idOf = (ref) => (ref?._id || ref)?.toString();
+const roundMoney = (value) => Math.round((value || 0) * 100) / 100;
+
+// Each seller ships separately, so the fee is charged per seller group
+export const shippingFeeFor = (subtotal) => (subtotal > FREE_SHIPPING_THRESHOLD ? 0 : SHIPPING_FEE);
+
+/**
+ * Group order items by seller into shipment ("sub-order") objects.
+ *
+ * @param {Array<Object>} items Order items (with `_id`, `seller`, `price`, `quantity`)
+ * @param {Object} [opts]
+ * @param {string} [opts.status] Initial shipment status
+ * @param {boolean} [opts.chargeShipping] Compute a per-seller shipping fee
+ * @returns {Array<Object>}
+ */
+export const buildShipments = (items, { status = 'placed', chargeShipping = true } = {}) => {
+  const groups = new Map();
+
+  items.forEach((item) => {
+    const sellerId = idOf(item.seller);
+    if (!groups.has(sellerId)) {
+      groups.set(sellerId, { seller: sellerId, items: [], subtotal: 0 });
+    }
+    const group = groups.get(sellerId);
+    group.items.push(item._id);
+    group.subtotal = roundMoney(group.subtotal + item.price * item.quantity);
+  });
+
+  return [...groups.values()].map((group) => ({
+    ...group,
+    shippingFee: chargeShipping ? shippingFeeFor(group.subtotal) : 0,
+    status,
+    statusHistory: [{ to: status, actorRole: 'system' }]
+  }));
+};
+
+/**
+ * Orders created before shipments existed get them on first touch. The old
+ * order-level shipping fee is spread over the sellers by subtotal.
+ */
+export const ensureShipments = (order) => {
+  if (order.shipments?.length) return order.shipments;
+
+  const status = getOrderStatus(order);
+  const shipments = buildShipments(order.items, { status, chargeShipping: false });
+  const subtotal = shipments.reduce((sum, sh) => sum + sh.subtotal, 0);
+
+  shipments.forEach((shipment) => {
+    shipment.shippingFee = subtotal > 0
+      ? roundMoney((order.shippingFee || 0) * (shipment.subtotal / subtotal))
+      : 0;
+    shipment.payout = { processed: Boolean(order.payoutProcessed) };
+    if (status === 'delivered') shipment.deliveredAt = order.deliveredAt;
+  });
+
+  order.shipments = shipments;
+  return order.shipments;
+};
+
+export const findSellerShipment = (order, sellerId) =>
+  (order.shipments || []).find((sh) => idOf(sh.seller) === sellerId.toString());
+
+export const findShipmentForItem = (order, itemId) =>
+  (order.shipments || []).find((sh) => sh.items.some((id) => id.toString() === itemId.toString()));
+
+// Order items belonging to a shipment
+export const shipmentItems = (order, shipment) => {
+  const ids = shipment.items.map((id) => id.toString());
+  return order.items.filter((item) => ids.includes(item._id.toString()));
+};
+
+export default {
+  SHIPPING_FEE,
+  FREE_SHIPPING_THRESHOLD,
+  shippingFeeFor,
+  buildShipments,
+  ensureShipments,
+  findSellerShipment,
+  findShipmentForItem,
+  shipmentItems
+};
@@ -0,0 +1,167 @@
+import Product from '../models/product.model.js';
+import User from '../models/user.model.js';
+import Notification from '../models/notification.model.js';
+import { variantLabel } from './productVariant.service.js';
+
+export const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+export const getStockLevel = (quantity, threshold) => {
+  if ((quantity || 0) <= 0) return 'out';
+  if (quantity <= threshold) return 'low';
+  return 'ok';
+};
+
+const getThresholds = async (sellerIds) => {
+  const sellers = await User.find({ _id: { $in: sellerIds } }).select('vendorProfile.lowStockThreshold');
+  return new Map(sellers.map((seller) => [
+    seller._id.toString(),
+    seller.vendorProfile?.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD
+  ]));
+};
+
+const buildAlert = (product, level, quantity, variant) => {
+  const name = variant ? `${product.title} (${variantLabel(variant)})` : product.title;
+  return {
+    userId: product.seller,
+    role: 'seller',
+    type: level === 'out' ? 'PRODUCT_OUT_OF_STOCK' : 'LOW_STOCK',
+    title: level === 'out' ? 'نفد المخزون ⛔' : 'المخزون منخفض ⚠️',
+    message: level === 'out'
+      ? `نفدت الكمية من "${name}" ولن يظهر كمتوفر حتى تعيد تعبئته`
+      : `تبقى ${quantity} قطعة فقط من "${name}"`,
+    data: {
+      productId: product._id,
+      variantId: variant?._id,
+      sku: variant?.sku,
+      quantity
+    },
+    link: `/seller/products/${product._id}`
+  };
+};
+
+/**
+ * Re-evaluate the stock level of the given products (and their variants)
+ * against the seller's low-stock threshold. A seller is only alerted when a
+ * level changes to `low` or `out`, the stored level is the dedupe key.
+ * Out-of-stock products are flagged with `outOfStock`.
+ *
+ * Never throws: stock alerts must not break the flow that changed the stock.
+ *
+ * @param {Array<string>} productIds
+ * @returns {Promise<number>} Number of alerts sent
+ */
+export const checkStockLevels = async (productIds) => {
+  try {
+    const ids = [...new Set(productIds.map(idOf).filter(Boolean))];
+    if (!ids.length) return 0;
+
+    const products = await Product.find({ _id: { $in: ids } })
+      .select('title seller quantity variants stockLevel outOfStock');
+    const thresholds = await getThresholds(products.map((product) => product.seller));
+    const alerts = [];
+
+    for (const product of products) {
+      const threshold = thresholds.get(idOf(product.seller)) ?? DEFAULT_LOW_STOCK_THRESHOLD;
+      const hasVariants = product.variants?.length > 0;
+
+      // Products with variants are alerted per variant, the product itself only when it's sold out
+      let level = getStockLevel(product.quantity, threshold);
+      if (hasVariants && level === 'low') level = 'ok';
+
+      const changed = await Product.updateOne(
+        { _id: product._id, stockLevel: { $ne: level } },
+        { $set: { stockLevel: level, outOfStock: level === 'out' } }
+      );
+      if (changed.modifiedCount > 0 && level !== 'ok') {
+        alerts.push(buildAlert(product, level, product.quantity));
+      }
+
+      for (const variant of hasVariants ? product.variants : []) {
+        if (!variant.isActive) continue;
+
+        const variantLevel = getStockLevel(variant.quantity, threshold);
+        const variantChanged = await Product.updateOne(
+          {
+            _id: product._id,
+            variants: { $elemMatch: { _id: variant._id, stockLevel: { $ne: variantLevel } } }
+          },
+          { $set: { 'variants.$.stockLevel': variantLevel } }
+        );
+        if (variantChanged.modifiedCount > 0 && variantLevel !== 'ok' && level !== 'out') {
+          alerts.push(buildAlert(product, variantLevel, variant.quantity, variant));
+        }
+      }
+    }
+
+    if (alerts.length) {
+      await Notification.insertMany(alerts);
+    }
+    return alerts.length;
+  } catch (err) {
+    console.error('Failed to check stock levels:', err);
+    return 0;
+  }
+};
+
+/**
+ * Products / variants of a seller at or below their low-stock threshold,
+ * most urgent first.
+ *
+ * @param {string} sellerId
+ * @param {Object} [opts]
+ * @param {number} [opts.limit]
+ * @returns {Promise<{ threshold: number, count: number, items: Array<Object> }>}
+ */
+export const getRestockReport = async (sellerId, { limit = 20 } = {}) => {
+  const thresholds = await getThresholds([sellerId]);
+  const threshold = thresholds.get(sellerId.toString()) ?? DEFAULT_LOW_STOCK_THRESHOLD;
+
+  const products = await Product.find({
+    seller: sellerId,
+    isActive: true,
+    $or: [
+      { quantity: { $lte: threshold } },
+      { variants: { $elemMatch: { isActive: true, quantity: { $lte: threshold } } } }
+    ]
+  })
+    .select('title images quantity sold variants')
+    .lean();
+
+  const items = [];
+  products.forEach((product) => {
+    const base = {
+      productId: product._id,
+      title: product.title,
+      image: product.images?.[0],
+      sold: product.sold
+    };
+
+    if (product.variants?.length) {
+      product.variants
+        .filter((variant) => variant.isActive && variant.quantity <= threshold)
+        .forEach((variant) => items.push({
+          ...base,
+          variantId: variant._id,
+          sku: variant.sku,
+          variant: variantLabel(variant),
+          quantity: variant.quantity,
+          level: getStockLevel(variant.quantity, threshold)
+        }));
+    } else {
+      items.push({ ...base, quantity: product.quantity, level: getStockLevel(product.quantity, threshold) });
+    }
+  });
+
+  items.sort((a, b) => a.quantity - b.quantity);
+
+  return { threshold, count: items.length, items: items.slice(0, limit) };
+};
+
+export default {
+  DEFAULT_LOW_STOCK_THRESHOLD,
+  getStockLevel,
+  checkStockLevels,
+  getRestockReport
+};
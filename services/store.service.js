@@ -0,0 +1,117 @@
+import User from '../models/user.model.js';
+import Product from '../models/product.model.js';
+import StoreFollow from '../models/storeFollow.model.js';
+import { sendNotification } from '../utils/notify.js';
+import { createError } from '../utils/error.js';
+
+export const STORE_NOT_FOUND_MESSAGE = 'المتجر غير موجود';
+
+// Seller fields exposed on the public storefront
+const STORE_FIELDS = [
+  'vendorProfile.storeName',
+  'vendorProfile.slug',
+  'vendorProfile.logo',
+  'vendorProfile.banner',
+  'vendorProfile.description',
+  'vendorProfile.city',
+  'vendorProfile.rating',
+  'isTrustedSeller',
+  'createdAt'
+].join(' ');
+
+// Products a buyer can see on a storefront
+export const storeProductsFilter = (sellerId) => ({
+  seller: sellerId,
+  isApproved: true,
+  isActive: true,
+  status: 'available'
+});
+
+/**
+ * Active seller behind a storefront slug.
+ *
+ * @throws 404 when no active store has this slug
+ */
+export const findStoreBySlug = async (slug) => {
+  const seller = await User.findOne({
+    'vendorProfile.slug': String(slug).toLowerCase(),
+    role: 'seller',
+    isActive: true
+  })
+    .select(STORE_FIELDS)
+    .lean();
+
+  if (!seller) throw createError(STORE_NOT_FOUND_MESSAGE, 404);
+  return seller;
+};
+
+/**
+ * Public shape of a store.
+ *
+ * @param {Object} seller Lean seller selected with the storefront fields
+ * @param {Object} [extra] Counters and `isFollowing` for the current user
+ */
+export const formatStore = (seller, extra = {}) => ({
+  id: seller._id,
+  slug: seller.vendorProfile.slug,
+  storeName: seller.vendorProfile.storeName,
+  logo: seller.vendorProfile.logo || null,
+  banner: seller.vendorProfile.banner || null,
+  description: seller.vendorProfile.description || '',
+  city: seller.vendorProfile.city || null,
+  rating: seller.vendorProfile.rating || 0,
+  isTrustedSeller: Boolean(seller.isTrustedSeller),
+  joinedAt: seller.createdAt,
+  ...extra
+});
+
+/**
+ * Tell the followers of the product's store that it listed something new.
+ * Only the first approval of a product notifies: the product is claimed
+ * before anything is sent. Never throws, approval must not fail on it.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {Object} product Approved product
+ */
+export const notifyStoreFollowers = async (io, product) => {
+  if (!product?.isApproved) return;
+
+  try {
+    const { modifiedCount } = await Product.updateOne(
+      { _id: product._id, followersNotifiedAt: { $exists: false } },
+      { $set: { followersNotifiedAt: new Date() } }
+    );
+    if (!modifiedCount) return;
+
+    const sellerId = product.seller?._id || product.seller;
+    const seller = await User.findById(sellerId).select('vendorProfile.storeName vendorProfile.slug').lean();
+    const storeName = seller?.vendorProfile?.storeName || 'متجر تتابعه';
+
+    const followers = StoreFollow.find({ seller: sellerId }).select('user').lean().cursor();
+    for await (const follow of followers) {
+      try {
+        await sendNotification(io, {
+          userId: follow.user,
+          role: 'user',
+          actor: sellerId,
+          type: 'STORE_NEW_PRODUCT',
+          title: `منتج جديد من ${storeName}`,
+          message: `أضاف ${storeName} منتجاً جديداً: "${product.title}"`,
+          data: { productId: product._id, sellerId, storeSlug: seller?.vendorProfile?.slug }
+        });
+      } catch (err) {
+        console.error('Failed to notify store follower:', err.message);
+      }
+    }
+  } catch (err) {
+    console.error(`Failed to notify followers of product ${product._id}:`, err.message);
+  }
+};
+
+export default {
+  STORE_NOT_FOUND_MESSAGE,
+  storeProductsFilter,
+  findStoreBySlug,
+  formatStore,
+  notifyStoreFollowers
+};
@@ -0,0 +1,127 @@
+import Wishlist from '../models/wishlist.model.js';
+import User from '../models/user.model.js';
+import { sendNotification } from '../utils/notify.js';
+import { sendWishlistAlertEmail } from '../middlewares/email.middleware.js';
+import { config } from '../config/config.js';
+
+// Price the buyer actually pays
+const effectivePrice = (product) => product.discountedPrice ?? product.price;
+
+// In-app + socket notification, plus email when the user opted in to emails
+const deliverAlert = async (io, userIds, { type, title, message, product }) => {
+  const users = await User.find({ _id: { $in: userIds } })
+    .select('email firstName preferences.notifications preferences.language');
+
+  for (const user of users) {
+    try {
+      await sendNotification(io, {
+        userId: user._id,
+        role: 'user',
+        type,
+        title,
+        message,
+        data: { productId: product._id, price: effectivePrice(product) }
+      });
+    } catch (err) {
+      console.error('Failed to send wishlist alert:', err.message);
+    }
+
+    if (user.preferences?.notifications?.email !== false && user.email) {
+      sendWishlistAlertEmail(user, {
+        title,
+        message,
+        link: `${config.clientUrl}/products/${product._id}`
+      }, user.preferences?.language).catch((err) => {
+        console.error('Failed to email wishlist alert:', err.message);
+      });
+    }
+  }
+};
+
+/**
+ * Atomically mark the matching alert on each wishlist and return the users
+ * whose wishlist was updated, so concurrent product updates alert once.
+ */
+const claimAlerts = async (itemMatch, alertUpdates) => {
+  const wishlists = await Wishlist.find({ products: { $elemMatch: itemMatch } })
+    .select('user')
+    .lean();
+
+  const $set = {};
+  Object.entries(alertUpdates).forEach(([key, value]) => {
+    $set[`products.$.alerts.${key}`] = value;
+  });
+
+  const users = [];
+  for (const wishlist of wishlists) {
+    const { modifiedCount } = await Wishlist.updateOne(
+      { _id: wishlist._id, products: { $elemMatch: itemMatch } },
+      { $set }
+    );
+    if (modifiedCount > 0) users.push(wishlist.user);
+  }
+  return users;
+};
+
+/**
+ * Fire the wishlist alerts the product's current state satisfies: back in
+ * stock for items armed while it was sold out, price drop when the paid price
+ * fell below the amount a user asked for. Each alert is claimed on the
+ * wishlist item before it is sent, so it goes out once. Products waiting for
+ * approval are skipped and picked up again when they are approved.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {Object} product Product document after the change
+ */
+export const notifyWishlistWatchers = async (io, product) => {
+  if (!product?.isApproved) return;
+
+  try {
+    const now = new Date();
+
+    if (product.quantity > 0) {
+      const users = await claimAlerts(
+        { product: product._id, 'alerts.backInStock': true },
+        { backInStock: false, backInStockNotifiedAt: now }
+      );
+
+      if (users.length) {
+        await deliverAlert(io, users, {
+          type: 'WISHLIST_ITEM_BACK_IN_STOCK',
+          title: 'المنتج متوفر الآن 🎉',
+          message: `"${product.title}" من قائمة أمنياتك عاد للمخزون`,
+          product
+        });
+      }
+    }
+
+    const price = effectivePrice(product);
+    if (price > 0) {
+      // Only a lower price than the one already alerted about fires again
+      const users = await claimAlerts(
+        {
+          product: product._id,
+          'alerts.priceBelow': { $gt: price },
+          $or: [
+            { 'alerts.lastNotifiedPrice': null },
+            { 'alerts.lastNotifiedPrice': { $gt: price } }
+          ]
+        },
+        { lastNotifiedPrice: price, priceDropNotifiedAt: now }
+      );
+
+      if (users.length) {
+        await deliverAlert(io, users, {
+          type: 'WISHLIST_ITEM_PRICE_DROPPED',
+          title: 'انخفض السعر 💸',
+          message: `سعر "${product.title}" أصبح ${price} جنيه`,
+          product
+        });
+      }
+    }
+  } catch (err) {
+    console.error('Failed to process wishlist alerts:', err);
+  }
+};
+
+export default { notifyWishlistWatchers };
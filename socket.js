@@ -3,6 +3,8 @@ import { Server } from 'socket.io';
 import { socketAuthMiddleware } from './middlewares/socketAuth.js';
 import logger from './utils/logger.js';
 import { redis } from './config/redis-client.js';
+import User from './models/user.model.js';
+import { findChatForUser, markChatRead, postMessage } from './services/chat.service.js';
 
 let io;
 
@@ -64,12 +66,33 @@ export const init = (server) => {
       timestamp: new Date().toISOString(),
     });
 
+    // Role is not always in the token: load it once per connection
+    const loadActor = async () => {
+      if (!socket.data.actor) {
+        socket.data.actor = await User.findById(userId).select('role').lean();
+      }
+      return socket.data.actor;
+    };
+
+    // Chat the socket may use (same rules as the REST API)
+    const accessChat = async (chatId) => {
+      const actor = await loadActor();
+      if (!actor) throw new Error('User not found');
+      return { actor, chat: await findChatForUser(chatId, actor) };
+    };
+
     // Join chat room
-    socket.on('join_chat', (chatId) => {
+    socket.on('join_chat', async (chatId) => {
       if (!chatId) {
         return socket.emit('error', { message: 'Chat ID is required' });
       }
 
+      try {
+        await accessChat(chatId);
+      } catch (error) {
+        return socket.emit('error', { message: error.message, chatId });
+      }
+
       socket.join(`chat_${chatId}`);
       logger.info(`User ${userEmail} joined chat ${chatId}`);
 
@@ -99,11 +122,12 @@ export const init = (server) => {
       });
     });
 
-    // Typing indicator
+    // Typing indicator (only inside a joined chat)
     socket.on('typing', ({ chatId, isTyping }) => {
-      if (!chatId) return;
+      if (!chatId || !socket.rooms.has(`chat_${chatId}`)) return;
 
       socket.to(`chat_${chatId}`).emit('user_typing', {
+        chatId,
         userId,
         userEmail,
         isTyping,
@@ -111,86 +135,41 @@ export const init = (server) => {
       });
     });
 
-    // Send message
-    socket.on('send_message', async (messageData) => {
-      const { chatId, content, replyTo } = messageData;
+    // Send a text message (attachments go through POST /api/chats/:id/messages)
+    socket.on('send_message', async (messageData = {}) => {
+      const { chatId, content } = messageData;
+      const text = typeof content === 'string' ? content.trim() : '';
 
-      if (!chatId || !content) {
+      if (!chatId || !text) {
         return socket.emit('error', { message: 'Chat ID and content are required' });
       }
+      if (text.length > 2000) {
+        return socket.emit('error', { message: 'Message is too long', chatId });
+      }
 
       try {
-        // Save message to database
-        const Chat = (await import('./models/Chat.model.js')).default;
-        const Message = (await import('./models/Message.model.js')).default;
-
-        const chat = await Chat.findById(chatId);
-        if (!chat) {
-          return socket.emit('error', { message: 'Chat not found' });
-        }
+        const { actor, chat } = await accessChat(chatId);
 
-        // Check if user is a participant
-        if (!chat.participants.includes(userId)) {
-          return socket.emit('error', { message: 'Not a participant in this chat' });
+        if (actor.role === 'admin' && !chat.admins.some((id) => id.equals(actor._id))) {
+          return socket.emit('error', { message: 'Join the chat first', chatId });
         }
 
-        // Create message
-        const message = await Message.create({
-          chat: chatId,
-          sender: userId,
-          content,
-          replyTo,
-          readBy: [userId],
-        });
-
-        // Populate sender info
-        await message.populate('sender', 'name email avatar');
-
-        // Update chat's last message
-        chat.lastMessage = message._id;
-        chat.lastActivity = new Date();
-        await chat.save();
-
-        // Emit to all participants in the chat
-        io.to(`chat_${chatId}`).emit('new_message', {
-          message: message.toObject(),
-          chatId,
-        });
-
-        // Notify participants (excluding sender)
-        chat.participants.forEach(participantId => {
-          if (participantId.toString() !== userId && connectedUsers.has(participantId.toString())) {
-            io.to(`user_${participantId}`).emit('notification', {
-              type: 'new_message',
-              message: `New message from ${socket.user.email}`,
-              chatId,
-              from: userId,
-            });
-          }
-        });
-
+        // Emits `new_message` to the room and `chat_message` to the other members
+        await postMessage(io, chat, actor, { content: text });
       } catch (error) {
         logger.error('Error sending message:', error);
-        socket.emit('error', { message: 'Failed to send message' });
+        // Operational errors (e.g. blocked by the contact-sharing filter) are shown as-is
+        socket.emit('error', { message: error.isOperational ? error.message : 'Failed to send message', chatId });
       }
     });
 
-    // Read receipt
-    socket.on('mark_as_read', async ({ messageId, chatId }) => {
-      try {
-        const Message = (await import('./models/Message.model.js')).default;
-
-        await Message.findByIdAndUpdate(messageId, {
-          $addToSet: { readBy: userId }
-        });
-
-        // Notify sender that message was read
-        socket.to(`chat_${chatId}`).emit('message_read', {
-          messageId,
-          readerId: userId,
-          timestamp: new Date().toISOString(),
-        });
+    // Read receipt: marks the whole conversation as read
+    socket.on('mark_as_read', async ({ chatId } = {}) => {
+      if (!chatId) return;
 
+      try {
+        const { actor, chat } = await accessChat(chatId);
+        await markChatRead(io, chat, actor._id);
       } catch (error) {
         logger.error('Error marking message as read:', error);
       }
@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { deobfuscate, findContacts, findHiddenContacts } from '../utils/contactDetection.js';
+import { CONTACT_MASK, screenMessage } from '../services/chatSafety.service.js';
+
+const contactsIn = (text) => [...findContacts(text), ...findHiddenContacts(text)];
+
+describe('contact detection', () => {
+  describe('ordinary messages', () => {
+    [
+      'متوفر مقاسات 38, 40, 42, 44',
+      'sizes 38 40 42 44 available',
+      'السعر 1500 - 2000 - 2500 حسب المقاس',
+      'prices 1500-2000-2500',
+      'هيوصل يوم 2024-10-19 12:30',
+      'أعمار 1, 2, 3, 4, 5, 6, 7, 8 سنين',
+      'المقاس ٣٨ و ٤٠ و ٤٢ بسعر ١٥٠٠'
+    ].forEach((text) => {
+      it(`finds nothing in "${text}"`, () => {
+        assert.deepEqual(contactsIn(text), []);
+        assert.deepEqual(screenMessage(text), { action: 'allow', content: text, findings: [] });
+      });
+    });
+  });
+
+  describe('plain contact details', () => {
+    [
+      ['كلمني على 01012345678', '01012345678'],
+      ['call me 010 1234 5678', '010 1234 5678'],
+      ['رقمي +20 10 1234 5678', '+20 10 1234 5678'],
+      ['الأرضي 02-2345-6789', '02-2345-6789'],
+      ['٠١٠١٢٣٤٥٦٧٨', '٠١٠١٢٣٤٥٦٧٨']
+    ].forEach(([text, phone]) => {
+      it(`finds the phone in "${text}"`, () => {
+        assert.deepEqual(findContacts(text).map((span) => span.value), [phone]);
+      });
+    });
+
+    it('finds emails and links', () => {
+      assert.deepEqual(
+        findContacts('ahmed@gmail.com or www.example.com').map((span) => span.type),
+        ['email', 'url']
+      );
+    });
+  });
+
+  describe('obfuscated contact details', () => {
+    [
+      'zero one zero one two three four five six seven eight',
+      'صفر واحد صفر واحد اتنين تلاتة اربعة خمسة ستة سبعة تمانية',
+      '0*1*0*1*2*3*4*5*6*7*8',
+      '0 - 1 - 0 - 1 - 2 - 3 - 4 - 5 - 6 - 7 - 8',
+      'o1o12345678'
+    ].forEach((text) => {
+      it(`finds the phone in "${text}"`, () => {
+        assert.equal(deobfuscate(text).replace(/\D/g, ''), '01012345678');
+        assert.deepEqual(findHiddenContacts(text).map((span) => [span.type, span.value]), [['phone', text]]);
+      });
+    });
+
+    it('finds emails written with "at" and "dot"', () => {
+      assert.deepEqual(findHiddenContacts('mail ahmed at gmail dot com').map((span) => span.value), ['ahmed at gmail dot com']);
+    });
+
+    it('masks them instead of blocking the message', () => {
+      const result = screenMessage('كلمني zero one zero one two three four five six seven eight بعد الضهر');
+
+      assert.equal(result.action, 'mask');
+      assert.equal(result.content, `كلمني ${CONTACT_MASK} بعد الضهر`);
+      assert.deepEqual(result.findings, [{ type: 'phone', obfuscated: true }]);
+    });
+
+    it('masks a plain match and its obfuscated extension once', () => {
+      const result = screenMessage('o1o12345678 please');
+
+      assert.equal(result.content, `${CONTACT_MASK} please`);
+      assert.equal(result.findings.length, 1);
+    });
+  });
+});
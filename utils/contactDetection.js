@@ -0,0 +1,189 @@
+// Detection of contact details (phones, emails, links) in chat text, including
+// the usual ways of hiding them from a plain regex
+
+const ARABIC_INDIC_DIGITS = /[٠-٩]/g;
+const EASTERN_ARABIC_DIGITS = /[۰-۹]/g;
+
+// Phone numbers are 8-15 digits, optionally split by spaces, dots, dashes...
+const PHONE = /(?:\+|00)?\d(?:[\s.\-_()/]{0,2}\d){7,14}/g;
+// ...but split digits are only a phone in international form (+20 / 0020) or
+// the national one (0 then 8-10 digits, e.g. 010 1234 5678 or 02 2345 6789):
+// lists of sizes, prices or dates are split digits too
+const INTERNATIONAL_PREFIX = /^(?:\+|00)/;
+const NATIONAL_PHONE = /^0\d{8,10}$/;
+// The same one to three characters between single digits, e.g. 0*1*0*... or
+// 0 - 1 - 0 - ...: digits split on purpose
+const SPACED_DIGITS = /(?<!\d)(\+\s?)?\d(?=([^\p{L}\d@+]{1,3})\d(?!\d))(?:\2\d(?!\d)){7,14}/gu;
+const EMAIL = /[\p{L}\p{N}._%+-]+\s?@\s?[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/giu;
+const URL = /(?:https?:\/\/|www\.)[^\s]+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|me|io|eg|info|co|biz|link|ly|app|shop|store|site|online)\b(?:\/[^\s]*)?/gi;
+
+const DIGIT_WORDS = {
+  0: ['zero', 'صفر'],
+  1: ['one', 'واحد'],
+  2: ['two', 'اتنين', 'اثنين', 'إثنين'],
+  3: ['three', 'تلاتة', 'تلاته', 'ثلاثة', 'ثلاثه'],
+  4: ['four', 'اربعة', 'اربعه', 'أربعة', 'أربعه'],
+  5: ['five', 'خمسة', 'خمسه'],
+  6: ['six', 'ستة', 'سته'],
+  7: ['seven', 'سبعة', 'سبعه'],
+  8: ['eight', 'تمانية', 'تمانيه', 'ثمانية', 'ثمانيه'],
+  9: ['nine', 'تسعة', 'تسعه']
+};
+
+// A standalone word (\b does not work with Arabic letters)
+const wordPattern = (words) => new RegExp(`(?<![\\p{L}])(?:${words.join('|')})(?![\\p{L}])`, 'giu');
+
+const DIGIT_WORD_PATTERNS = Object.entries(DIGIT_WORDS).map(([digit, words]) => [wordPattern(words), digit]);
+const AT_PATTERN = /\s*(?:[([{]\s*(?:at|ات)\s*[)\]}]|(?<![\p{L}])(?:at|ات|آت)(?![\p{L}]))\s*/giu;
+const DOT_PATTERN = /\s*(?:[([{]\s*(?:dot|دوت|نقطة|نقطه)\s*[)\]}]|(?<![\p{L}])(?:dot|دوت|نقطة|نقطه)(?![\p{L}]))\s*/giu;
+
+/**
+ * Latin digits for Arabic-Indic and Eastern Arabic ones. Keeps the length, so
+ * match positions still point into the original text.
+ */
+export const normalizeDigits = (text) => String(text)
+  .replace(ARABIC_INDIC_DIGITS, (d) => String(d.charCodeAt(0) - 0x0660))
+  .replace(EASTERN_ARABIC_DIGITS, (d) => String(d.charCodeAt(0) - 0x06F0));
+
+const digitsOf = (value) => value.replace(/\D/g, '');
+
+// Whether a PHONE match is a phone number rather than a list of numbers
+const isPhoneNumber = (value) => {
+  const digits = digitsOf(value);
+  if (digits.length < 8 || digits.length > 15) return false;
+  if (INTERNATIONAL_PREFIX.test(value)) return true;
+  return /^\d+$/.test(value) || NATIONAL_PHONE.test(digits);
+};
+
+const hostOf = (url) => {
+  try {
+    return new globalThis.URL(url).host.toLowerCase();
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Spans of contact details in the text, overlapping matches merged (an email
+ * is not also reported as a link).
+ *
+ * @param {string} text
+ * @param {{ allowedHosts?: string[] }} [options] Links to these hosts are fine
+ * @returns {Array<{ type: 'phone'|'email'|'url', start: number, end: number, value: string }>}
+ */
+export const findContacts = (text, { allowedHosts = [] } = {}) => {
+  const normalized = normalizeDigits(text);
+  const spans = [];
+
+  const collect = (pattern, type, accept = () => true) => {
+    for (const match of normalized.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (!accept(match[0])) continue;
+      if (spans.some((span) => start < span.end && end > span.start)) continue;
+      spans.push({ type, start, end, value: text.slice(start, end) });
+    }
+  };
+
+  collect(EMAIL, 'email');
+  collect(URL, 'url', (value) => {
+    const host = hostOf(/^https?:\/\//i.test(value) ? value : `http://${value}`);
+    return !host || !allowedHosts.some((allowed) => host === allowed || host.endsWith(`.${allowed}`));
+  });
+  collect(PHONE, 'phone', isPhoneNumber);
+
+  return spans.sort((a, b) => a.start - b.start);
+};
+
+// Text as UTF-16 units that remember the span of the original text they come from
+const unitsText = (units) => units.map((unit) => unit.ch).join('');
+
+// `String#replace` over units: replacement characters cover the whole match
+const replaceUnits = (units, pattern, replacement) => {
+  const text = unitsText(units);
+  const result = [];
+  let cursor = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    const first = units[match.index];
+    const last = units[match.index + match[0].length - 1];
+    const value = typeof replacement === 'function' ? replacement(...match) : replacement;
+
+    result.push(...units.slice(cursor, match.index));
+    result.push(...value.split('').map((ch) => ({ ch, start: first.start, end: last.end })));
+    cursor = match.index + match[0].length;
+  }
+
+  return [...result, ...units.slice(cursor)];
+};
+
+// Undo the deliberate obfuscations, keeping where each character comes from
+const deobfuscateUnits = (text) => {
+  let units = normalizeDigits(text).split('')
+    .flatMap((ch, index) => ch.toLowerCase().split('').map((lower) => ({ ch: lower, start: index, end: index + 1 })));
+
+  DIGIT_WORD_PATTERNS.forEach(([pattern, digit]) => {
+    units = replaceUnits(units, pattern, digit);
+  });
+
+  // Letter o next to digits, not inside a word
+  units = replaceUnits(units, /(?:(?<=\d[\s.-]?)|(?<![\p{L}\d]))o(?=[\s.-]?\d)/gu, '0');
+  units = replaceUnits(units, AT_PATTERN, '@');
+  units = replaceUnits(units, DOT_PATTERN, '.');
+  // Joined only into an international or national number: a list of
+  // single-digit sizes split the same way stays as it is
+  return replaceUnits(units, SPACED_DIGITS, (match, plus) => {
+    const digits = digitsOf(match);
+    return (plus && digits.length >= 8) || NATIONAL_PHONE.test(digits) ? `${plus ? '+' : ''}${digits}` : match;
+  });
+};
+
+/**
+ * The text with the usual obfuscations undone: digits spelled out, "at" /
+ * "dot" written as words, letter o used for zero and single digits split by
+ * the same separator (0*1*0...). Positions do not map back to the original
+ * text, `findHiddenContacts` does that.
+ */
+export const deobfuscate = (text) => unitsText(deobfuscateUnits(String(text)));
+
+/**
+ * Contact details that only appear once the obfuscations are undone, as spans
+ * of the original text (e.g. the whole "zero one zero ..." run), so they can be
+ * masked like plain ones. Spans inside one found by `findContacts` are left
+ * out; a longer one (e.g. "o1o12345678" around "12345678") is kept.
+ *
+ * @param {string} text
+ * @param {{ allowedHosts?: string[] }} [options]
+ * @returns {Array<{ type: 'phone'|'email'|'url', start: number, end: number, value: string }>}
+ */
+export const findHiddenContacts = (text, options = {}) => {
+  const units = deobfuscateUnits(String(text));
+  const plain = findContacts(text, options);
+  const spans = [];
+
+  findContacts(unitsText(units), options).forEach((span) => {
+    const start = units[span.start].start;
+    const end = units[span.end - 1].end;
+    const within = (other) => start >= other.start && end <= other.end;
+    const overlaps = (other) => start < other.end && end > other.start;
+    if (plain.some(within) || spans.some(overlaps)) return;
+    spans.push({ type: span.type, start, end, value: text.slice(start, end) });
+  });
+
+  return spans;
+};
+
+/**
+ * Replace the given spans with `mask`.
+ */
+export const maskSpans = (text, spans, mask) => {
+  let result = '';
+  let cursor = 0;
+  spans.forEach((span) => {
+    result += text.slice(cursor, span.start) + mask;
+    cursor = span.end;
+  });
+  return result + text.slice(cursor);
+};
+
+export default { normalizeDigits, findContacts, deobfuscate, findHiddenContacts, maskSpans };
@@ -1,5 +1,6 @@
 import cron from 'node-cron';
 import { releasePendingEarnings } from '../controllers/order.controller.js';
+import { refreshAllSellerReputations } from '../services/sellerReputation.service.js';
 
 // Run daily at 2 AM
 cron.schedule('0 2 * * *', async () => {
@@ -12,4 +13,13 @@ cron.schedule('0 2 * * *', async () => {
   }
 });
 
+// Seller reputation, daily at 3 AM: on-time / cancellation / return rates cover a sliding window
+cron.schedule('0 3 * * *', async () => {
+  try {
+    await refreshAllSellerReputations();
+  } catch (error) {
+    console.error('Error refreshing seller reputations:', error);
+  }
+});
+
 //console.log('Cron job scheduler started...');
\ No newline at end of file
@@ -0,0 +1,102 @@
+// Opaque cursors for keyset pagination: the sort key values of a boundary
+// document plus its _id, so deep pages don't need skip()
+
+/**
+ * Sort with `_id` appended as the tie breaker, so every document has a
+ * unique position.
+ */
+export const withTieBreaker = (sort = {}) => {
+  const keys = Object.entries(sort).filter(([key]) => key !== '_id');
+  const last = keys.length ? keys[keys.length - 1][1] : -1;
+  return Object.fromEntries([...keys, ['_id', sort._id ?? last]]);
+};
+
+// Identifies the sort a cursor was made for, e.g. "price:1,_id:1"
+const sortSignature = (sort) => Object.entries(sort)
+  .map(([key, order]) => `${key}:${order}`)
+  .join(',');
+
+const readPath = (doc, path) => {
+  if (typeof doc.get === 'function') return doc.get(path);
+  return path.split('.').reduce((value, key) => value?.[key], doc);
+};
+
+/**
+ * Cursor pointing at `doc` in a listing sorted by `sort`.
+ *
+ * @param {Object} doc Boundary document of a page
+ * @param {Object} sort Sort with tie breaker (see withTieBreaker)
+ * @param {'next'|'prev'} direction Which side of `doc` the cursor reads
+ * @returns {string} base64url token
+ */
+export const encodeCursor = (doc, sort, direction) => {
+  const payload = {
+    s: sortSignature(sort),
+    d: direction,
+    v: Object.keys(sort).map((key) => readPath(doc, key) ?? null)
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * @returns {{ signature: string, direction: string, values: Array }|null}
+ *   null when the token is malformed
+ */
+export const decodeCursor = (token) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    if (typeof payload.s !== 'string' || !['next', 'prev'].includes(payload.d) || !Array.isArray(payload.v)) {
+      return null;
+    }
+    return { signature: payload.s, direction: payload.d, values: payload.v };
+  } catch {
+    return null;
+  }
+};
+
+export const cursorMatchesSort = (cursor, sort) => cursor.signature === sortSignature(sort);
+
+// Condition for "key comes after value" in the given order. MongoDB sorts
+// null / missing values before everything else.
+const after = (key, value, order) => {
+  if (order === 1) {
+    return value === null ? { [key]: { $ne: null } } : { [key]: { $gt: value } };
+  }
+  if (value === null) return null;
+  return { $or: [{ [key]: { $lt: value } }, { [key]: null }] };
+};
+
+/**
+ * Filter for the documents after the cursor in `sort` order (mongoose casts
+ * the JSON values back to dates / ObjectIds from the schema).
+ *
+ * For sort `{ price: 1, _id: 1 }` and values `[10, id]` this is
+ * `price > 10 OR (price = 10 AND _id > id)`.
+ */
+export const cursorCondition = (sort, values) => {
+  const keys = Object.keys(sort);
+  const branches = keys
+    .map((key, index) => {
+      const next = after(key, values[index], sort[key]);
+      if (!next) return null;
+      const equal = Object.fromEntries(keys.slice(0, index).map((prev, i) => [prev, values[i]]));
+      return { ...equal, ...next };
+    })
+    .filter(Boolean);
+
+  return branches.length ? { $or: branches } : { _id: null };
+};
+
+// Same keys in the opposite order, for reading backwards from a cursor
+export const reverseSort = (sort) => Object.fromEntries(
+  Object.entries(sort).map(([key, order]) => [key, -order])
+);
+
+export default {
+  withTieBreaker,
+  encodeCursor,
+  decodeCursor,
+  cursorMatchesSort,
+  cursorCondition,
+  reverseSort
+};
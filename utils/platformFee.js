@@ -0,0 +1,9 @@
+// calc platform percentage
+export function getPlatformFeeByPrice(price) {
+  if (price < 300) return 0.18;
+  if (price >= 300 && price <= 799) return 0.15;
+  if (price >= 800 && price <= 1999) return 0.12;
+  return 0.10; // more than 2000
+}
+
+export default getPlatformFeeByPrice;
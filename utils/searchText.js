@@ -0,0 +1,57 @@
+// Arabic-aware text normalization shared by product indexing and search
+
+const TASHKEEL = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED]/g;
+const TATWEEL = /\u0640/g;
+const ARABIC_INDIC_DIGITS = /[\u0660-\u0669]/g;
+const EASTERN_ARABIC_DIGITS = /[\u06F0-\u06F9]/g;
+
+/**
+ * Fold a string into its search form: lowercase, no tashkeel or tatweel,
+ * alef / hamza variants to ا, ؤ to و, ئ and ى to ي, ة to ه, Arabic digits to
+ * Latin ones and anything that isn't a letter or digit to a single space.
+ *
+ * normalizeSearchText('أحذِيَة') === normalizeSearchText('احذيه') // 'احذيه'
+ */
+export const normalizeSearchText = (text) => {
+  if (!text) return '';
+
+  return String(text)
+    .toLowerCase()
+    .replace(TASHKEEL, '')
+    .replace(TATWEEL, '')
+    .replace(/[أإآٱ]/g, 'ا')
+    .replace(/ؤ/g, 'و')
+    .replace(/[ئى]/g, 'ي')
+    .replace(/ة/g, 'ه')
+    .replace(ARABIC_INDIC_DIGITS, (d) => String(d.charCodeAt(0) - 0x0660))
+    .replace(EASTERN_ARABIC_DIGITS, (d) => String(d.charCodeAt(0) - 0x06F0))
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+};
+
+export const tokenize = (text) => normalizeSearchText(text).split(' ').filter(Boolean);
+
+/**
+ * Trigrams of each word, padded so short words and word starts count too:
+ * 'shoe' -> [' sh', 'sho', 'hoe', 'oe '].
+ */
+export const trigrams = (text) => {
+  const grams = new Set();
+
+  tokenize(text).forEach((word) => {
+    const padded = ` ${word} `;
+    for (let i = 0; i <= padded.length - 3; i += 1) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  });
+
+  return [...grams];
+};
+
+// URL-safe slug that keeps Arabic letters: 'متجر أحمد' -> 'متجر-احمد'
+export const slugify = (text, maxLength = 60) => tokenize(text)
+  .join('-')
+  .slice(0, maxLength)
+  .replace(/-+$/, '');
+
+export default { normalizeSearchText, tokenize, trigrams, slugify };
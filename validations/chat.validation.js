@@ -0,0 +1,32 @@
+import { baseSchema, Joi, patterns } from './base.schema.js';
+import { CHAT_STATUSES } from '../models/chat.model.js';
+
+export const startChatSchema = baseSchema.keys({
+  productId: Joi.string().pattern(patterns.objectId),
+  orderId: Joi.string().pattern(patterns.objectId),
+  // Picks the seller on a multi-vendor order
+  sellerId: Joi.string().pattern(patterns.objectId),
+  message: Joi.string().trim().max(2000)
+}).or('productId', 'orderId');
+
+// Multipart body: attachments arrive as files
+export const sendMessageSchema = baseSchema.keys({
+  content: Joi.string().trim().max(2000).allow('')
+});
+
+export const chatStatusSchema = baseSchema.keys({
+  status: Joi.string().valid(...CHAT_STATUSES).required()
+});
+
+export const chatListSchema = baseSchema.keys({
+  status: Joi.string().valid(...CHAT_STATUSES),
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100),
+  cursor: Joi.string().allow('')
+});
+
+export const reviewFlaggedUserSchema = baseSchema.keys({
+  note: Joi.string().trim().max(500)
+});
+
+export default { startChatSchema, sendMessageSchema, chatStatusSchema, chatListSchema, reviewFlaggedUserSchema };
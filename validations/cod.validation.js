@@ -0,0 +1,30 @@
+import { baseSchema, Joi, patterns } from './base.schema.js';
+import { COD_COLLECTION_STATUSES } from '../models/codCollection.model.js';
+import { HANDOVER_STATUSES } from '../models/cashHandover.model.js';
+
+export const createHandoverSchema = baseSchema.keys({
+  agentId: Joi.string().pattern(patterns.objectId).required(),
+  // Cash counted by the admin
+  receivedAmount: Joi.number().min(0).precision(2).required(),
+  // Defaults to every collection the agent holds
+  collectionIds: Joi.array().items(Joi.string().pattern(patterns.objectId)).min(1),
+  note: Joi.string().trim().max(500).allow('')
+});
+
+export const collectionListSchema = baseSchema.keys({
+  agent: Joi.string().pattern(patterns.objectId),
+  status: Joi.string().valid(...COD_COLLECTION_STATUSES),
+  order: Joi.string().pattern(patterns.objectId),
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100)
+});
+
+export const handoverListSchema = baseSchema.keys({
+  agent: Joi.string().pattern(patterns.objectId),
+  status: Joi.string().valid(...HANDOVER_STATUSES),
+  discrepancy: Joi.string().valid('true', 'false'),
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100)
+});
+
+export default { createHandoverSchema, collectionListSchema, handoverListSchema };
@@ -14,8 +14,8 @@ export const commonCouponRules = {
 
   // Discount type validation
   discountType: body('discountType')
-    .isIn(['percentage', 'fixed'])
-    .withMessage('Discount type must be either "percentage" or "fixed"'),
+    .isIn(['percentage', 'fixed', 'free_shipping'])
+    .withMessage('Discount type must be "percentage", "fixed" or "free_shipping"'),
 
   // Discount value validation
   discountValue: body('discountValue')
@@ -103,6 +103,40 @@ export const commonCouponRules = {
     .isBoolean()
     .withMessage('Active status must be true or false')
     .toBoolean(),
+
+  // Uses per user (null = unlimited)
+  perUserLimit: body('perUserLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Per-user limit must be at least 1')
+    .toInt(),
+
+  firstOrderOnly: body('firstOrderOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('First order only must be true or false')
+    .toBoolean(),
+
+  excludeDiscountedItems: body('excludeDiscountedItems')
+    .optional()
+    .isBoolean()
+    .withMessage('Exclude discounted items must be true or false')
+    .toBoolean(),
+
+  // Scope lists: categories, brands, sellers, products
+  scope: [
+    body('scope')
+      .optional()
+      .isObject()
+      .withMessage('Scope must be an object'),
+    ...['categories', 'brands', 'sellers', 'products'].map((key) => body(`scope.${key}`)
+      .optional()
+      .isArray()
+      .withMessage(`Scope ${key} must be an array`)),
+    body('scope.*.*')
+      .isMongoId()
+      .withMessage('Scope entries must be valid IDs'),
+  ],
 };
 
 // Create coupon validation
@@ -116,6 +150,10 @@ export const createCouponValidation = [
   commonCouponRules.validUntil,
   commonCouponRules.maxUses,
   commonCouponRules.isActive,
+  commonCouponRules.perUserLimit,
+  commonCouponRules.firstOrderOnly,
+  commonCouponRules.excludeDiscountedItems,
+  ...commonCouponRules.scope,
 
   // Custom validation for business logic
   body().custom((value, { req }) => {
@@ -143,8 +181,8 @@ export const updateCouponValidation = [
 
   body('discountType')
     .optional()
-    .isIn(['percentage', 'fixed'])
-    .withMessage('Discount type must be either "percentage" or "fixed"'),
+    .isIn(['percentage', 'fixed', 'free_shipping'])
+    .withMessage('Discount type must be "percentage", "fixed" or "free_shipping"'),
 
   body('discountValue')
     .optional()
@@ -205,6 +243,11 @@ export const updateCouponValidation = [
     .withMessage('Active status must be true or false')
     .toBoolean(),
 
+  commonCouponRules.perUserLimit,
+  commonCouponRules.firstOrderOnly,
+  commonCouponRules.excludeDiscountedItems,
+  ...commonCouponRules.scope,
+
   // Ensure at least one field is being updated
   body().custom((value) => {
     const fields = Object.keys(value);
@@ -268,8 +311,8 @@ export const couponQueryValidation = [
 
   query('discountType')
     .optional()
-    .isIn(['percentage', 'fixed'])
-    .withMessage('Discount type must be either "percentage" or "fixed"'),
+    .isIn(['percentage', 'fixed', 'free_shipping'])
+    .withMessage('Discount type must be "percentage", "fixed" or "free_shipping"'),
 
   query('valid')
     .optional()
@@ -0,0 +1,45 @@
+import { baseSchema, Joi, patterns } from './base.schema.js';
+import { DELIVERY_FAILURE_REASONS, DELIVERY_TASK_STATUSES } from '../models/order.model.js';
+
+// `delivered` goes through POST /api/orders/complete with the secret code
+export const updateDeliveryTaskSchema = baseSchema.keys({
+  status: Joi.string().valid('picked_up', 'out_for_delivery', 'failed_attempt', 'returned_to_seller').required(),
+  reason: Joi.string().valid(...DELIVERY_FAILURE_REASONS).when('status', {
+    is: 'failed_attempt',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  // Required to explain an `other` failure reason
+  note: Joi.string().trim().max(500).allow('').when('reason', {
+    is: 'other',
+    then: Joi.required().disallow('')
+  })
+});
+
+// Buyer, after a failed attempt: a new date and/or a pickup point instead of the address
+export const rescheduleDeliverySchema = baseSchema.keys({
+  date: Joi.date().iso(),
+  pickupPointId: Joi.string().pattern(patterns.objectId),
+  note: Joi.string().trim().max(300).allow('')
+}).or('date', 'pickupPointId');
+
+export const assignDeliverySchema = baseSchema.keys({
+  // Omitted: the auto-assigner picks the agent
+  agentId: Joi.string().pattern(patterns.objectId)
+});
+
+export const deliveryAgentSchema = baseSchema.keys({
+  zones: Joi.array().items(Joi.string().trim().max(100)).max(50),
+  pickupPoints: Joi.array().items(Joi.string().pattern(patterns.objectId)).max(50),
+  isAvailable: Joi.boolean()
+});
+
+export const deliveryListSchema = baseSchema.keys({
+  status: Joi.string().valid(...DELIVERY_TASK_STATUSES),
+  agent: Joi.string().pattern(patterns.objectId),
+  unassigned: Joi.string().valid('true', 'false'),
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100)
+});
+
+export default { updateDeliveryTaskSchema, rescheduleDeliverySchema, assignDeliverySchema, deliveryAgentSchema, deliveryListSchema };
@@ -1,4 +1,5 @@
 import { baseSchema, Joi, patterns } from './base.schema.js';
+import { ORDER_STATUSES } from '../services/orderStatus.service.js';
 
 // Order status and payment enums
 const ORDER_STATUS = ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'];
@@ -76,6 +77,17 @@ const updatePaymentStatusSchema = baseSchema.keys({
   notes: Joi.string().allow(''),
 });
 
+// Update a seller shipment (sub-order): lifecycle status and/or tracking info
+const updateShipmentSchema = baseSchema.keys({
+  status: Joi.string().valid(...ORDER_STATUSES),
+  note: Joi.string().trim().max(500).allow(''),
+  tracking: Joi.object({
+    carrier: Joi.string().trim().max(100).allow(''),
+    trackingNumber: Joi.string().trim().max(100).allow(''),
+    url: Joi.string().uri().allow('')
+  }).min(1),
+}).or('status', 'tracking');
+
 // Order query schema
 const orderQuerySchema = baseSchema.keys({
   page: Joi.number().integer().min(1).default(1),
@@ -92,6 +104,7 @@ export {
   createOrderSchema,
   updateOrderStatusSchema,
   updatePaymentStatusSchema,
+  updateShipmentSchema,
   orderQuerySchema,
   ORDER_STATUS,
   PAYMENT_METHODS,
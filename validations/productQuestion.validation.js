@@ -0,0 +1,16 @@
+import { baseSchema, Joi } from './base.schema.js';
+
+export const askQuestionSchema = baseSchema.keys({
+  question: Joi.string().trim().min(5).max(500).required()
+});
+
+export const answerQuestionSchema = baseSchema.keys({
+  answer: Joi.string().trim().min(1).max(2000).required()
+});
+
+export const moderateQuestionSchema = baseSchema.keys({
+  status: Joi.string().valid('published', 'hidden').required(),
+  reason: Joi.string().trim().max(500)
+});
+
+export default { askQuestionSchema, answerQuestionSchema, moderateQuestionSchema };
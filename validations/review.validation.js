@@ -47,7 +47,49 @@ const updateReviewStatusSchema = baseSchema.keys({
   adminComment: Joi.string().allow(''),
 });
 
+// Product rating (POST / PATCH /api/products/:productId/ratings)
+const subRating = Joi.number().integer().min(1).max(5);
+const ratingFields = {
+  rating: Joi.number().integer().min(1).max(5),
+  comment: Joi.string().trim().max(1000).allow(''),
+  images: Joi.array().items(Joi.string().uri()).max(5),
+  wouldRecommend: Joi.boolean(),
+  productQuality: subRating,
+  valueForMoney: subRating,
+  accuracy: subRating,
+  shippingSpeed: subRating,
+  packaging: subRating,
+  sellerCommunication: subRating,
+  sizeAccuracy: subRating,
+  colorAccuracy: subRating,
+};
+
+const addRatingSchema = baseSchema.keys({
+  ...ratingFields,
+  rating: ratingFields.rating.required(),
+});
+
+const updateRatingSchema = baseSchema.keys(ratingFields).min(1);
+
+const moderateRatingSchema = baseSchema.keys({
+  status: Joi.string().valid('approved', 'rejected').required(),
+  reason: Joi.string().trim().max(500).when('status', { is: 'rejected', then: Joi.required() }),
+  isFeatured: Joi.boolean(),
+});
+
+// GET /api/admin/ratings
+const ratingModerationQuerySchema = baseSchema.keys({
+  status: Joi.string().valid(...REVIEW_STATUS),
+  product: Joi.string().pattern(patterns.objectId),
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100),
+});
+
 export {
+  addRatingSchema,
+  updateRatingSchema,
+  moderateRatingSchema,
+  ratingModerationQuerySchema,
   createReviewSchema,
   updateReviewSchema,
   updateReviewStatusSchema,
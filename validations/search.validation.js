@@ -0,0 +1,24 @@
+import { baseSchema, Joi, patterns } from './base.schema.js';
+
+// Click on a product from a search's results (searchId comes with the results)
+export const searchClickSchema = baseSchema.keys({
+  searchId: Joi.string().pattern(patterns.objectId).required(),
+  productId: Joi.string().pattern(patterns.objectId).required(),
+  position: Joi.number().integer().min(1)
+});
+
+// Time window and size of a search analytics report
+export const searchAnalyticsSchema = baseSchema.keys({
+  from: Joi.date().iso(),
+  to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  minSearches: Joi.number().integer().min(1).default(5)
+});
+
+export const trendingSearchesSchema = baseSchema.keys({
+  // Length of the current window, compared with the one before it
+  hours: Joi.number().integer().min(1).max(24 * 30).default(24),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+export default { searchClickSchema, searchAnalyticsSchema, trendingSearchesSchema };
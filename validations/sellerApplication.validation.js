@@ -0,0 +1,44 @@
+import { baseSchema, Joi } from './base.schema.js';
+
+const storeFields = {
+  storeName: Joi.string().trim().min(2).max(100),
+  ownerName: Joi.string().trim().min(2).max(100),
+  phone: Joi.string().trim().pattern(/^01[0125][0-9]{8}$/).messages({
+    'string.pattern.base': 'Please provide a valid Egyptian phone number (01XXXXXXXXX)'
+  }),
+  nationalId: Joi.string().trim().pattern(/^\d{14}$/).messages({
+    'string.pattern.base': 'Please provide a valid 14-digit national ID'
+  }),
+  city: Joi.string().trim().max(50).allow(''),
+  description: Joi.string().trim().max(1000).allow(''),
+  payoutMethod: Joi.string().valid('instapay', 'vodafone_cash', 'bank'),
+  payoutAccount: Joi.string().trim().min(1).max(50)
+};
+
+// Multipart body: the documents arrive as files, validated by the controller
+export const submitSellerApplicationSchema = baseSchema.keys({
+  ...storeFields,
+  storeName: storeFields.storeName.required(),
+  ownerName: storeFields.ownerName.required(),
+  phone: storeFields.phone.required(),
+  nationalId: storeFields.nationalId.required(),
+  payoutMethod: storeFields.payoutMethod.required(),
+  payoutAccount: storeFields.payoutAccount.required()
+});
+
+export const updateSellerApplicationSchema = baseSchema.keys(storeFields);
+
+export const reviewSellerApplicationSchema = baseSchema.keys({
+  decision: Joi.string().valid('approve', 'reject', 'request_changes').required(),
+  reason: Joi.string().trim().max(1000).when('decision', {
+    is: 'approve',
+    then: Joi.optional(),
+    otherwise: Joi.required()
+  })
+});
+
+export default {
+  submitSellerApplicationSchema,
+  updateSellerApplicationSchema,
+  reviewSellerApplicationSchema
+};
@@ -0,0 +1,9 @@
+import { baseSchema, Joi } from './base.schema.js';
+
+export const updateStoreSchema = baseSchema.keys({
+  description: Joi.string().trim().max(1000).allow(''),
+  logo: Joi.string().trim().uri().allow(''),
+  banner: Joi.string().trim().uri().allow('')
+}).min(1);
+
+export default { updateStoreSchema };
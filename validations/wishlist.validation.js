@@ -0,0 +1,10 @@
+import { baseSchema, Joi } from './base.schema.js';
+
+// Opt in/out of back-in-stock and price-drop alerts for a wishlist item
+export const wishlistAlertsSchema = baseSchema.keys({
+  backInStock: Joi.boolean(),
+  // null turns the price alert off
+  priceBelow: Joi.number().positive().precision(2).allow(null)
+}).or('backInStock', 'priceBelow');
+
+export default { wishlistAlertsSchema };
@@ -0,0 +1,25 @@
+import { baseSchema, Joi } from './base.schema.js';
+
+export const WITHDRAWAL_STATUSES = ['pending', 'approved', 'rejected', 'paid', 'cancelled'];
+
+// Seller: request a withdrawal
+export const createWithdrawalSchema = baseSchema.keys({
+  amount: Joi.number().positive().precision(2).required(),
+  note: Joi.string().trim().max(500).allow('')
+});
+
+// Admin: approve a pending request
+export const approveWithdrawalSchema = baseSchema.keys({
+  note: Joi.string().trim().max(500).allow('')
+});
+
+// Admin: reject a pending/approved request
+export const rejectWithdrawalSchema = baseSchema.keys({
+  reason: Joi.string().trim().min(3).max(500).required()
+});
+
+// Admin: mark an approved request as paid
+export const markWithdrawalPaidSchema = baseSchema.keys({
+  transferReference: Joi.string().trim().min(3).max(100).required(),
+  note: Joi.string().trim().max(500).allow('')
+});